@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// risk-predictor-app/bin/risk-predictor-server.js
+
+import { parseArgs } from 'node:util';
+import { createApiServer } from '../server/ApiServer.js';
+import { DEFAULT_LOCALE, createTranslator } from '../src/I18n.js';
+
+/**
+ * REST API サーバーを起動する
+ *
+ * risk-predictor-server [--port 8787] [--host 127.0.0.1]
+ * 既定ではこのマシンからの接続だけを受け付ける。ポートは環境変数 PORT でも指定できる。
+ * 引数の誤りは環境変数 LANG が ja で始まらなければ英語で表示する。
+ */
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const { t } = createTranslator(process.env.LANG && !process.env.LANG.startsWith('ja') ? 'en' : DEFAULT_LOCALE);
+
+let options;
+try {
+    options = parseArgs({
+        options: {
+            port: { type: 'string', default: process.env.PORT || String(DEFAULT_PORT) },
+            host: { type: 'string', default: DEFAULT_HOST },
+        },
+    }).values;
+} catch (e) {
+    console.error(t('cli.serverUsage', { detail: e.message }));
+    process.exit(2);
+}
+
+const port = Number(options.port);
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(t('cli.invalidPort'));
+    process.exit(2);
+}
+
+const server = createApiServer();
+server.listen(port, options.host, () => {
+    const { address, port: actualPort } = server.address();
+    console.log(`Risk Predictor API: http://${address}:${actualPort} (OpenAPI: /openapi.json)`);
+});
+
+// Ctrl+C で処理中のリクエストを終えてから停止する
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
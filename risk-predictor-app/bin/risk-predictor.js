@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+// risk-predictor-app/bin/risk-predictor.js
+
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseCasesText, resultsToCsv, scoreBatch } from '../src/CaseIO.js';
+import { DEFAULT_LOCALE, LOCALES, LocalizedError, createTranslator, localizeMessages } from '../src/I18n.js';
+import { RISK_LEVEL_ORDER, toRiskLevel } from '../src/RiskLevels.js';
+import { BUILT_IN_PROFILES, DEFAULT_SCORING_PROFILE, parseProfilesJson, profileName } from '../src/ScoringProfiles.js';
+
+/**
+ * コマンドラインからのスコアリング (画面と同じ計算モジュールを使う)
+ *
+ * risk-predictor score [ファイル...] [オプション]
+ * - ファイルは CSV / JSON (画面の一括スコアリングと同じ形式)。省略または - で標準入力から読み込む。
+ * - 各ケースの現状スコアとワーストケース (金利上昇・空室率悪化) を表・JSON・CSV で出力する。
+ * - 表示言語は --lang (ja / en) で指定する。省略時は環境変数 LANG が ja で始まらなければ英語。
+ *   JSON・CSV のリスク判定はコード (low / medium / high)。
+ *
+ * 終了コード:
+ * - 0: すべてのケースが閾値の範囲内
+ * - 1: 閾値 (--fail-on / --min-score) を超えるリスクのケースがある
+ * - 2: 引数・ファイル・入力データにエラーがある、またはケースが1件もないファイルがある
+ */
+
+const EXIT_OK = 0;
+const EXIT_THRESHOLD_EXCEEDED = 1;
+const EXIT_INVALID = 2;
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+const INPUT_FORMATS = ['csv', 'json'];
+
+const usage = (i18n) => i18n.t('cli.usage', {
+    profiles: BUILT_IN_PROFILES.map((profile) => profile.id).join(' / '),
+    defaultProfile: DEFAULT_SCORING_PROFILE.id,
+});
+
+// 引数・入力の誤り (メッセージカタログ cli のキーで作成する)
+class UsageError extends LocalizedError {
+    constructor(key, params) {
+        super(`cli.${key}`, params);
+    }
+}
+
+/**
+ * 表示言語を決める (--lang の値、なければ環境変数 LANG)
+ * 引数の誤りも表示言語で表示するため、引数の解釈より前に決める。
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {string} - 'ja' / 'en'
+ */
+function resolveLocale(args) {
+    const index = args.findIndex((arg) => arg === '--lang' || arg.startsWith('--lang='));
+    const value = index < 0 ? undefined : args[index].split('=')[1] ?? args[index + 1];
+    if (LOCALES[value]) return value;
+    const { LANG } = process.env;
+    return LANG && !LANG.startsWith('ja') ? 'en' : DEFAULT_LOCALE;
+}
+
+/**
+ * コマンドライン引数を解釈する
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {object} - { help, files, format, inputFormat, profile, failOn, minScore, worstCase }
+ *                     failOn はリスク判定のコード
+ * @throws {UsageError} - 引数が正しくない場合
+ */
+function parseCommandLine(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', default: 'table' },
+                'input-format': { type: 'string' },
+                profile: { type: 'string' },
+                'fail-on': { type: 'string' },
+                'min-score': { type: 'string' },
+                'worst-case': { type: 'boolean', default: false },
+                lang: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (e) {
+        throw new UsageError('invalidArguments', { detail: e.message });
+    }
+    const { values, positionals } = parsed;
+    if (values.help) return { help: true };
+
+    const [command, ...files] = positionals;
+    if (command !== 'score') throw command ? new UsageError('unknownCommand', { command }) : new UsageError('missingCommand');
+    if (!OUTPUT_FORMATS.includes(values.format)) throw new UsageError('invalidOption', { option: '--format', values: OUTPUT_FORMATS.join(' / ') });
+    if (values['input-format'] && !INPUT_FORMATS.includes(values['input-format'])) {
+        throw new UsageError('invalidOption', { option: '--input-format', values: INPUT_FORMATS.join(' / ') });
+    }
+    if (values.lang && !LOCALES[values.lang]) throw new UsageError('invalidOption', { option: '--lang', values: Object.keys(LOCALES).join(' / ') });
+
+    // '中' / '高' (旧形式) の指定も受け付ける
+    const failOn = values['fail-on'] && toRiskLevel(values['fail-on'].toLowerCase());
+    if (failOn && !(failOn in RISK_LEVEL_ORDER)) throw new UsageError('invalidFailOn');
+
+    const minScore = values['min-score'] === undefined ? undefined : Number(values['min-score']);
+    if (minScore !== undefined && !Number.isFinite(minScore)) throw new UsageError('invalidMinScore');
+
+    return {
+        help: false,
+        files: files.length > 0 ? files : ['-'],
+        format: values.format,
+        inputFormat: values['input-format'],
+        profile: values.profile,
+        failOn,
+        minScore,
+        worstCase: values['worst-case'],
+    };
+}
+
+// ファイル (- は標準入力) をテキストで読み込む
+const readSource = (file) => readFileSync(file === '-' ? 0 : file, 'utf8');
+
+/**
+ * ルールプロファイルを読み込む (組み込みの ID または JSON ファイル)
+ * @param {string} [value] - --profile の値
+ * @param {object} i18n - 表示言語の翻訳・表示形式の関数
+ * @returns {object}
+ * @throws {UsageError}
+ */
+function loadProfile(value, i18n) {
+    if (!value) return DEFAULT_SCORING_PROFILE;
+    const builtIn = BUILT_IN_PROFILES.find((profile) => profile.id === value);
+    if (builtIn) return builtIn;
+
+    let result;
+    try {
+        result = parseProfilesJson(readSource(value));
+    } catch (e) {
+        throw new UsageError('unreadableProfile', { file: value, detail: e.message });
+    }
+    if (result.errors.length > 0) {
+        throw new UsageError('invalidProfile', { file: value, errors: result.errors.map((error) => `\n  ${i18n.m(error)}`).join('') });
+    }
+    if (result.profiles.length !== 1) throw new UsageError('multipleProfiles', { file: value });
+    return result.profiles[0];
+}
+
+/**
+ * ケースのリスクが閾値を超えるか
+ * @param {object} metrics - flattenAssessment の結果
+ * @param {object} options - parseCommandLine の結果
+ * @returns {boolean}
+ */
+function exceedsThreshold(metrics, { failOn, minScore, worstCase }) {
+    const levels = worstCase ? [metrics.riskLevel, metrics.rateHikeRiskLevel, metrics.vacancyRiskLevel] : [metrics.riskLevel];
+    if (failOn && levels.some((level) => RISK_LEVEL_ORDER[level] >= RISK_LEVEL_ORDER[failOn])) return true;
+    return minScore !== undefined && metrics.finalScore < minScore;
+}
+
+// 全角文字を2桁として数えた表示幅
+const displayWidth = (text) => [...text].reduce((width, char) => width + (char.codePointAt(0) > 0xff ? 2 : 1), 0);
+const padEnd = (text, width) => text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+const padStart = (text, width) => ' '.repeat(Math.max(0, width - displayWidth(text))) + text;
+
+const formatDscr = (value, i18n) => (value === null || value === undefined ? '-' : i18n.decimal(value));
+
+// 表の列 (label はメッセージカタログ cli.column.* の名前)
+const TABLE_COLUMNS = [
+    { label: 'case', value: (result) => result.label },
+    { label: 'name', value: (result) => result.details.name || '' },
+    { label: 'score', value: (result) => String(result.metrics.finalScore), align: 'right' },
+    { label: 'riskLevel', value: (result, i18n) => i18n.riskLevel(result.metrics.riskLevel) },
+    { label: 'dscr', value: (result, i18n) => formatDscr(result.metrics.dscr, i18n), align: 'right' },
+    {
+        label: 'rateHike',
+        value: (result, i18n) => `${formatDscr(result.metrics.rateHikeDscr, i18n)} (${i18n.riskLevel(result.metrics.rateHikeRiskLevel)})`,
+        align: 'right',
+    },
+    {
+        label: 'vacancy',
+        value: (result, i18n) => `${formatDscr(result.metrics.vacancyDscr, i18n)} (${i18n.riskLevel(result.metrics.vacancyRiskLevel)})`,
+        align: 'right',
+    },
+    { label: 'result', value: (result, i18n) => i18n.t(result.thresholdExceeded ? 'cli.thresholdExceeded' : 'cli.ok') },
+];
+
+/**
+ * スコアリング結果を表形式のテキストにする (エラー・警告は表の後に列挙する)
+ * @param {Array<object>} results - 各ケースの結果 (label・thresholdExceeded 付き)
+ * @param {object} profile - ルールプロファイル
+ * @param {object} i18n - 表示言語の翻訳・表示形式の関数
+ * @returns {string}
+ */
+function formatTable(results, profile, i18n) {
+    const scored = results.filter((result) => result.metrics);
+    const labels = TABLE_COLUMNS.map((column) => i18n.t(`cli.column.${column.label}`));
+    const cells = scored.map((result) => TABLE_COLUMNS.map((column) => column.value(result, i18n)));
+    const widths = labels.map((label, index) => Math.max(displayWidth(label), ...cells.map((row) => displayWidth(row[index]))));
+    const formatRow = (row) => row
+        .map((text, index) => (TABLE_COLUMNS[index].align === 'right' ? padStart(text, widths[index]) : padEnd(text, widths[index])))
+        .join('  ')
+        .trimEnd();
+
+    const lines = [i18n.t('cli.profile', { name: i18n.m(profileName(profile)), revision: profile.revision }), ''];
+    if (scored.length > 0) {
+        lines.push(formatRow(labels));
+        lines.push(widths.map((width) => '-'.repeat(width)).join('  '));
+        cells.forEach((row) => lines.push(formatRow(row)));
+    }
+
+    const failed = results.filter((result) => result.errors.length > 0);
+    if (failed.length > 0) {
+        lines.push('', i18n.t('cli.errors', { count: failed.length }));
+        failed.forEach((result) => lines.push(`  ${result.label}: ${result.errors.map((error) => i18n.m(error.message)).join(' / ')}`));
+    }
+    const warned = results.filter((result) => (result.warnings || []).length > 0);
+    if (warned.length > 0) {
+        lines.push('', i18n.t('cli.warnings'));
+        warned.forEach((result) => lines.push(`  ${result.label}: ${result.warnings.map((warning) => i18n.m(warning.message)).join(' / ')}`));
+    }
+
+    const exceeded = results.filter((result) => result.thresholdExceeded).length;
+    lines.push('', i18n.t('cli.summary', { total: results.length, scored: scored.length, failed: failed.length, exceeded }));
+    return lines.join('\n');
+}
+
+/**
+ * score コマンドを実行する
+ * @param {object} options - parseCommandLine の結果
+ * @param {{ stdout: { write: Function }, stderr: { write: Function } }} io - 出力先
+ * @param {object} i18n - 表示言語の翻訳・表示形式の関数
+ * @returns {number} - 終了コード
+ */
+function runScore(options, io, i18n) {
+    const profile = loadProfile(options.profile, i18n);
+    const results = [];
+    let unreadable = false;
+
+    options.files.forEach((file) => {
+        const source = file === '-' ? 'stdin' : basename(file);
+        const fileLabel = file === '-' ? i18n.t('cli.stdin') : file;
+        let cases;
+        try {
+            cases = parseCasesText(readSource(file), options.inputFormat);
+        } catch (e) {
+            io.stderr.write(`${i18n.t('cli.unreadableFile', { file: fileLabel, detail: e.key ? e : e.message })}\n`);
+            unreadable = true;
+            return;
+        }
+        // 空の入力や見出し行だけの CSV を閾値の範囲内として通さない
+        if (cases.length === 0) {
+            io.stderr.write(`${i18n.t('cli.noCases', { file: fileLabel })}\n`);
+            unreadable = true;
+            return;
+        }
+        scoreBatch(cases, profile).forEach((result) => {
+            results.push({
+                source,
+                label: options.files.length > 1 ? `${source}:${result.rowNumber}` : String(result.rowNumber),
+                ...result,
+                thresholdExceeded: result.metrics ? exceedsThreshold(result.metrics, options) : false,
+            });
+        });
+    });
+
+    if (options.format === 'json') {
+        const cases = results.map((result) => {
+            const record = localizeMessages(i18n.locale, result);
+            delete record.label;
+            return record;
+        });
+        io.stdout.write(`${JSON.stringify({ profile: { id: profile.id, name: i18n.m(profileName(profile)), revision: profile.revision }, cases }, null, 2)}\n`);
+    } else if (options.format === 'csv') {
+        io.stdout.write(`${resultsToCsv(results, i18n.locale)}\r\n`);
+    } else {
+        io.stdout.write(`${formatTable(results, profile, i18n)}\n`);
+    }
+
+    if (unreadable || results.some((result) => result.errors.length > 0)) return EXIT_INVALID;
+    return results.some((result) => result.thresholdExceeded) ? EXIT_THRESHOLD_EXCEEDED : EXIT_OK;
+}
+
+function main(args, io) {
+    const i18n = createTranslator(resolveLocale(args));
+    try {
+        const options = parseCommandLine(args);
+        if (options.help) {
+            io.stdout.write(`${usage(i18n)}\n`);
+            return EXIT_OK;
+        }
+        return runScore(options, io, i18n);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        io.stderr.write(`${i18n.m(e)}\n\n${usage(i18n)}\n`);
+        return EXIT_INVALID;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2), { stdout: process.stdout, stderr: process.stderr });
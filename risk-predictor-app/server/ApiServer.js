@@ -0,0 +1,218 @@
+// risk-predictor-app/server/ApiServer.js
+
+import { createServer } from 'node:http';
+import { parseCasesText, parseJsonCases, scoreBatch } from '../src/CaseIO.js';
+import { DEFAULT_LOCALE, LOCALES, localizeMessages } from '../src/I18n.js';
+import { MODEL_VERSION, calculateRealEstateRisk, normalizeInput, runWorstCaseSimulation } from '../src/RiskCalculator.js';
+import { DEFAULT_SCORING_PROFILE } from '../src/ScoringProfiles.js';
+import { SEVERITY, validateInput } from '../src/Validation.js';
+import { OPENAPI_DOCUMENT } from './OpenApi.js';
+import {
+    BATCH_REQUEST_SCHEMA,
+    MAX_BATCH_CASES,
+    SCORE_REQUEST_SCHEMA,
+    WORST_CASE_REQUEST_SCHEMA,
+    resolveProfile,
+    validateSchema,
+} from './RequestSchema.js';
+
+/**
+ * リスク評価の REST API サーバー (外部サービスに依存せずローカルで動かす)
+ *
+ * - GET  /health               稼働確認
+ * - GET  /openapi.json         OpenAPI 記述
+ * - POST /score                現状のスコア (calculateRealEstateRisk)
+ * - POST /simulate/worst-case  ワーストケース (runWorstCaseSimulation)
+ * - POST /batch                一括スコアリング (JSON または CSV)
+ *
+ * エラーは { error: { code, message, details: [{ field, message }] } } の形式で返す。
+ * メッセージ (エラー・警告・計算結果の説明) は Accept-Language の言語 (ja / en、既定は ja) で返す。
+ * リスク判定はコード (low / medium / high)。
+ */
+
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+// エラーレスポンスにする例外 (status は HTTP ステータス、code は機械判定用のコード、key・params はメッセージカタログ api.*)
+export class ApiError extends Error {
+    constructor(status, code, key, params = {}, details = []) {
+        super(key);
+        this.status = status;
+        this.code = code;
+        this.key = `api.${key}`;
+        this.params = params;
+        this.details = details;
+    }
+}
+
+/**
+ * Accept-Language からレスポンスの言語を決める (対応する言語がなければ日本語)
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {string} - 'ja' / 'en'
+ */
+export function localeFromRequest(req) {
+    const languages = (req.headers['accept-language'] || '')
+        .split(',')
+        .map((part) => {
+            const [tag, ...options] = part.trim().split(';');
+            const quality = options.find((option) => option.trim().startsWith('q='));
+            return { language: tag.split('-')[0].toLowerCase(), quality: quality ? Number(quality.trim().slice(2)) : 1 };
+        })
+        .filter((item) => LOCALES[item.language] && item.quality > 0)
+        .sort((a, b) => b.quality - a.quality);
+    return languages[0]?.language || DEFAULT_LOCALE;
+}
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(body));
+};
+
+// リクエストの本文をテキストで読み込む (MAX_BODY_BYTES を超えたら 413)
+async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new ApiError(413, 'payload_too_large', 'payloadTooLarge', { limit: MAX_BODY_BYTES / 1024 });
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+const mediaTypeOf = (req) => (req.headers['content-type'] || 'application/json').split(';')[0].trim().toLowerCase();
+
+// JSON の本文を読み込み、スキーマで検証する
+async function readJsonRequest(req, schema) {
+    if (mediaTypeOf(req) !== 'application/json') {
+        throw new ApiError(415, 'unsupported_media_type', 'unsupportedMediaType');
+    }
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (e) {
+        if (e instanceof ApiError) throw e;
+        throw new ApiError(400, 'invalid_json', 'invalidJson', { detail: e.message });
+    }
+    const errors = validateSchema(schema, body, 'body');
+    if (errors.length > 0) throw new ApiError(400, 'invalid_request', 'invalidRequest', {}, errors);
+    return body;
+}
+
+const requireProfile = (value, path) => {
+    const { profile, errors } = resolveProfile(value, path);
+    if (errors.length > 0) throw new ApiError(400, 'invalid_request', 'invalidProfile', {}, errors);
+    return profile || DEFAULT_SCORING_PROFILE;
+};
+
+// 入力データを正規化し、Validation.js の規則で検証する (エラーは 422、警告はレスポンスに含める)
+const checkInput = (data) => {
+    const input = normalizeInput(data);
+    const issues = validateInput(input).map((item) => ({ field: `body.input.${item.field}`, message: item.message, severity: item.severity }));
+    const errors = issues.filter((item) => item.severity === SEVERITY.ERROR);
+    if (errors.length > 0) {
+        throw new ApiError(422, 'invalid_input', 'invalidInput', {}, errors.map(({ field, message }) => ({ field, message })));
+    }
+    return { input, warnings: issues.map(({ field, message }) => ({ field, message })) };
+};
+
+async function handleScore(req) {
+    const body = await readJsonRequest(req, SCORE_REQUEST_SCHEMA);
+    const profile = requireProfile(body.profile, 'body.profile');
+    const { input, warnings } = checkInput(body.input);
+    return { result: calculateRealEstateRisk(input, profile), warnings };
+}
+
+async function handleWorstCase(req) {
+    const body = await readJsonRequest(req, WORST_CASE_REQUEST_SCHEMA);
+    const profile = requireProfile(body.profile, 'body.profile');
+    const { input, warnings } = checkInput(body.input);
+    const result = runWorstCaseSimulation(input, {
+        profile,
+        simulatedInterestRate: body.simulatedInterestRate,
+        worstVacancyRate: body.worstVacancyRate,
+    });
+    return { result, warnings };
+}
+
+async function handleBatch(req, url) {
+    let cases;
+    let profile;
+    if (mediaTypeOf(req) === 'text/csv') {
+        profile = requireProfile(url.searchParams.get('profile') ?? undefined, 'query.profile');
+        cases = parseCasesText(await readBody(req), 'csv');
+        if (cases.length > MAX_BATCH_CASES) {
+            throw new ApiError(400, 'invalid_request', 'tooManyCases', { max: MAX_BATCH_CASES }, [
+                { field: 'body', message: { key: 'api.caseCount', params: { count: cases.length } } },
+            ]);
+        }
+    } else {
+        const body = await readJsonRequest(req, BATCH_REQUEST_SCHEMA);
+        profile = requireProfile(body.profile, 'body.profile');
+        cases = parseJsonCases(JSON.stringify(body.cases));
+    }
+
+    const results = scoreBatch(cases, profile);
+    const failed = results.filter((result) => !result.metrics).length;
+    return {
+        profile: { id: profile.id, name: profile.name, revision: profile.revision },
+        summary: { total: results.length, scored: results.length - failed, failed },
+        results,
+    };
+}
+
+// { パス: { メソッド: 処理 } } (処理は (req, url) を受け取り、レスポンスの本文を返す)
+const ROUTES = {
+    '/health': { GET: async () => ({ status: 'ok', modelVersion: MODEL_VERSION }) },
+    '/openapi.json': { GET: async () => OPENAPI_DOCUMENT },
+    '/score': { POST: handleScore },
+    '/simulate/worst-case': { POST: handleWorstCase },
+    '/batch': { POST: handleBatch },
+};
+
+/**
+ * API のリクエストを処理する (http.createServer に渡すハンドラ)
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+export async function handleApiRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const locale = localeFromRequest(req);
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Accept-Language',
+            });
+            res.end();
+            return;
+        }
+        const route = ROUTES[url.pathname.replace(/\/$/, '') || '/'];
+        if (!route) throw new ApiError(404, 'not_found', 'notFound', { path: url.pathname });
+        const handler = route[req.method];
+        if (!handler) throw new ApiError(405, 'method_not_allowed', 'methodNotAllowed', { path: url.pathname, methods: Object.keys(route).join(' / ') });
+        sendJson(res, 200, localizeMessages(locale, await handler(req, url)));
+    } catch (e) {
+        if (e instanceof ApiError) {
+            const message = { key: e.key, params: e.params };
+            sendJson(res, e.status, localizeMessages(locale, { error: { code: e.code, message, details: e.details } }));
+            return;
+        }
+        console.error(e);
+        const message = { key: 'api.internalError' };
+        sendJson(res, 500, localizeMessages(locale, { error: { code: 'internal_error', message, details: [] } }));
+    }
+}
+
+/**
+ * API サーバーを作成する (listen は呼び出し側で行う)
+ * @returns {import('node:http').Server}
+ */
+export function createApiServer() {
+    return createServer((req, res) => {
+        handleApiRequest(req, res);
+    });
+}
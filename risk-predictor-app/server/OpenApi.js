@@ -0,0 +1,221 @@
+// risk-predictor-app/server/OpenApi.js
+
+import { MODEL_VERSION } from '../src/RiskCalculator.js';
+import { RISK_LEVELS } from '../src/RiskLevels.js';
+import {
+    BATCH_REQUEST_SCHEMA,
+    INPUT_SCHEMA,
+    MAX_BATCH_CASES,
+    SCORE_REQUEST_SCHEMA,
+    WORST_CASE_REQUEST_SCHEMA,
+} from './RequestSchema.js';
+
+/**
+ * REST API の OpenAPI 記述 (GET /openapi.json で返す)
+ *
+ * リクエストのスキーマは RequestSchema.js の検証に使うものをそのまま載せる。
+ * レスポンスは主な項目だけを記載する (計算結果の全項目は計算モジュールの JSDoc を参照)。
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// リクエストの input を components.schemas.Input の参照に置き換える
+const withInputRef = (schema) => ({ ...schema, properties: { ...schema.properties, input: ref('Input') } });
+
+const RISK_LEVEL_SCHEMA = { type: 'string', enum: Object.values(RISK_LEVELS), description: 'リスク判定のコード' };
+
+const ISSUE_SCHEMA = {
+    type: 'object',
+    properties: {
+        field: { type: 'string', description: '項目のパス (例: body.input.vacancyRate)' },
+        message: { type: 'string' },
+    },
+};
+
+const SCORE_RESULT_SCHEMA = {
+    type: 'object',
+    description: 'calculateRealEstateRisk の結果',
+    properties: {
+        modelVersion: { type: 'string' },
+        scoreDirection: { type: 'string', enum: ['higher-is-safer'] },
+        finalScore: { type: 'number', minimum: 0, maximum: 100, description: '最終スコア (高いほど安全)' },
+        riskLevel: RISK_LEVEL_SCHEMA,
+        riskDetail: { type: 'string' },
+        creditScore: { type: 'number' },
+        propertyScore: { type: 'number' },
+        interestRiskScore: { type: 'number' },
+        noi: { type: 'number' },
+        currentDcsr: { type: 'number' },
+        contributions: { type: 'array', items: { type: 'object' }, description: 'ルールごとの加減点' },
+        profile: { type: 'object', description: '評価に使ったルールプロファイル' },
+        marketComparison: {
+            type: ['object', 'null'],
+            description: '入力の前提と地域の目安 (input.marketBenchmark) の比較。目安を指定しない場合は null',
+        },
+    },
+};
+
+const SCENARIO_RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        dcsr: { type: 'number' },
+        riskLevel: RISK_LEVEL_SCHEMA,
+        riskDetail: { type: 'string' },
+        result: ref('ScoreResult'),
+    },
+};
+
+const WORST_CASE_RESULT_SCHEMA = {
+    type: 'object',
+    description: 'runWorstCaseSimulation の結果',
+    properties: {
+        modelVersion: { type: 'string' },
+        original: ref('ScoreResult'),
+        rateHike: {
+            ...SCENARIO_RESULT_SCHEMA,
+            properties: { ...SCENARIO_RESULT_SCHEMA.properties, interestRate: { type: 'number' }, repayment: { type: 'number' } },
+        },
+        vacancy: {
+            ...SCENARIO_RESULT_SCHEMA,
+            properties: { ...SCENARIO_RESULT_SCHEMA.properties, vacancyRate: { type: 'number' } },
+        },
+    },
+};
+
+const BATCH_RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        rowNumber: { type: 'integer', description: 'cases 内の位置 (1始まり)' },
+        details: { type: 'object', description: 'ケース情報 (name・property など)' },
+        input: ref('Input'),
+        errors: { type: 'array', items: ref('Issue') },
+        warnings: { type: 'array', items: ref('Issue') },
+        metrics: { type: ['object', 'null'], description: '主な指標 (flattenAssessment の結果)。エラーのあるケースは null' },
+    },
+};
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+                code: {
+                    type: 'string',
+                    enum: ['invalid_json', 'invalid_request', 'invalid_input', 'not_found', 'method_not_allowed', 'payload_too_large', 'unsupported_media_type', 'internal_error'],
+                },
+                message: { type: 'string' },
+                details: { type: 'array', items: ref('Issue') },
+            },
+        },
+    },
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+const errorResponse = (description) => ({ description, content: jsonContent(ref('Error')) });
+
+const VALIDATION_RESPONSES = {
+    400: errorResponse('JSON の構文・リクエストのスキーマのエラー (invalid_json / invalid_request)'),
+    413: errorResponse('リクエストが大きすぎる (payload_too_large)'),
+    415: errorResponse('対応していない Content-Type (unsupported_media_type)'),
+};
+
+const withWarnings = (result) => ({
+    type: 'object',
+    properties: { result, warnings: { type: 'array', items: ref('Issue'), description: '入力データの警告 (計算は行う)' } },
+});
+
+export const OPENAPI_DOCUMENT = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Risk Predictor API',
+        version: MODEL_VERSION,
+        description: '不動産投資ローンのリスク評価 (画面と同じ計算モジュール)。ローカルで起動して使う。'
+            + 'エラー・警告・判定の説明は Accept-Language (ja / en、既定は ja) の言語で返す。',
+    },
+    servers: [{ url: 'http://127.0.0.1:8787' }],
+    paths: {
+        '/health': {
+            get: {
+                summary: '稼働確認',
+                responses: {
+                    200: {
+                        description: '稼働中',
+                        content: jsonContent({ type: 'object', properties: { status: { type: 'string' }, modelVersion: { type: 'string' } } }),
+                    },
+                },
+            },
+        },
+        '/openapi.json': {
+            get: { summary: 'この API の OpenAPI 記述', responses: { 200: { description: 'OpenAPI 3.1 の JSON', content: jsonContent({ type: 'object' }) } } },
+        },
+        '/score': {
+            post: {
+                summary: '現状のリスクスコアを計算する',
+                requestBody: { required: true, content: jsonContent(ref('ScoreRequest')) },
+                responses: {
+                    200: { description: '計算結果', content: jsonContent(withWarnings(ref('ScoreResult'))) },
+                    ...VALIDATION_RESPONSES,
+                    422: errorResponse('入力データの検証エラー (invalid_input)'),
+                },
+            },
+        },
+        '/simulate/worst-case': {
+            post: {
+                summary: 'ワーストケース (金利上昇・空室率悪化) をシミュレーションする',
+                requestBody: { required: true, content: jsonContent(ref('WorstCaseRequest')) },
+                responses: {
+                    200: { description: 'シミュレーション結果', content: jsonContent(withWarnings(ref('WorstCaseResult'))) },
+                    ...VALIDATION_RESPONSES,
+                    422: errorResponse('入力データの検証エラー (invalid_input)'),
+                },
+            },
+        },
+        '/batch': {
+            post: {
+                summary: `複数のケースを一括でスコアリングする (最大${MAX_BATCH_CASES}件)`,
+                description: 'JSON のほか、画面の一括スコアリングと同じ形式の CSV (text/csv) も受け付ける。'
+                    + 'CSV の場合、ルールプロファイルはクエリ文字列 profile に組み込みの ID で指定する。'
+                    + '入力データの項目名は CSV の列見出しと同じ別名 (「年収」など) も使える。どの項目にもあたらない名前はそのケースのエラーにする。'
+                    + 'エラーのあるケースはリクエスト全体をエラーにせず、ケースごとの errors に記載する。',
+                parameters: [{ name: 'profile', in: 'query', required: false, schema: { type: 'string' }, description: 'CSV の場合のルールプロファイル (組み込みの ID)' }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        ...jsonContent(ref('BatchRequest')),
+                        'text/csv': { schema: { type: 'string' } },
+                    },
+                },
+                responses: {
+                    200: {
+                        description: 'ケースごとの結果',
+                        content: jsonContent({
+                            type: 'object',
+                            properties: {
+                                profile: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, revision: { type: 'integer' } } },
+                                summary: { type: 'object', properties: { total: { type: 'integer' }, scored: { type: 'integer' }, failed: { type: 'integer' } } },
+                                results: { type: 'array', items: ref('BatchResult') },
+                            },
+                        }),
+                    },
+                    ...VALIDATION_RESPONSES,
+                },
+            },
+        },
+    },
+    components: {
+        schemas: {
+            Input: INPUT_SCHEMA,
+            ScoreRequest: withInputRef(SCORE_REQUEST_SCHEMA),
+            WorstCaseRequest: withInputRef(WORST_CASE_REQUEST_SCHEMA),
+            BatchRequest: BATCH_REQUEST_SCHEMA,
+            ScoreResult: SCORE_RESULT_SCHEMA,
+            WorstCaseResult: WORST_CASE_RESULT_SCHEMA,
+            BatchResult: BATCH_RESULT_SCHEMA,
+            Issue: ISSUE_SCHEMA,
+            Error: ERROR_SCHEMA,
+        },
+    },
+};
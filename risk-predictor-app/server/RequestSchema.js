@@ -0,0 +1,209 @@
+// risk-predictor-app/server/RequestSchema.js
+
+import { STRUCTURES } from '../src/Collateral.js';
+import { DEFAULT_LOCALE, translate } from '../src/I18n.js';
+import { MARKET_ASSUMPTION_FIELDS, PROPERTY_TYPES } from '../src/MarketAssumptions.js';
+import { DEFAULT_PROPERTY } from '../src/Portfolio.js';
+import { DEFAULT_INPUT, LEGACY_FIELD_ALIASES } from '../src/RiskCalculator.js';
+import { BUILT_IN_PROFILES, parseProfilesJson } from '../src/ScoringProfiles.js';
+import { FIELD_RULES, PROPERTY_RULES } from '../src/Validation.js';
+
+/**
+ * REST API のリクエストスキーマ (JSON Schema) と検証
+ *
+ * 入力データのスキーマは DEFAULT_INPUT の型と Validation.js の範囲ルールから作成するため、
+ * 入力項目を追加しても API の検証・OpenAPI の記述を別途更新する必要はない。
+ * 検証は API で使う範囲 (type / enum / minimum / maximum / required / properties / items / minItems / maxItems) だけに対応する。
+ * 検証エラーはメッセージで返し、ApiServer.js でリクエストの言語の文言にする (スキーマの説明は日本語)。
+ */
+
+// 文字列の入力項目で指定できる値
+const ENUM_VALUES = {
+    repaymentMethod: ['level-payment', 'level-principal'],
+    rateType: ['variable', 'fixed'],
+    structure: Object.keys(STRUCTURES),
+};
+
+// 範囲ルール (FIELD_RULES / PROPERTY_RULES) を数値のスキーマに変換する
+const numberSchema = (rule = {}) => ({
+    type: rule.integer ? 'integer' : 'number',
+    ...(rule.min !== undefined ? { minimum: rule.min } : {}),
+    ...(rule.max !== undefined ? { maximum: rule.max } : {}),
+});
+
+const LARGE_REPAIR_SCHEMA = {
+    type: 'object',
+    required: ['year', 'amount'],
+    properties: {
+        year: { type: 'integer', minimum: 1, description: '実施年 (予測の何年目か)' },
+        amount: { type: 'number', minimum: 0, description: '金額 (円)' },
+    },
+    additionalProperties: false,
+};
+
+const PROPERTY_SCHEMA = {
+    type: 'object',
+    properties: Object.fromEntries(Object.keys(DEFAULT_PROPERTY).map((name) => [
+        name,
+        PROPERTY_RULES[name] ? { ...numberSchema(PROPERTY_RULES[name]), description: translate(DEFAULT_LOCALE, `propertyFields.${name}`) } : { type: 'string' },
+    ])),
+    additionalProperties: false,
+};
+
+// 地域の目安 (MarketAssumptions.js の applyMarketAssumption で記録する形式。比較しない場合は null)
+const MARKET_BENCHMARK_SCHEMA = {
+    type: ['object', 'null'],
+    required: ['id', 'prefecture', 'propertyType', ...MARKET_ASSUMPTION_FIELDS],
+    properties: {
+        id: { type: 'string' },
+        prefecture: { type: 'string', description: '都道府県' },
+        ward: { type: 'string', description: '市区町村' },
+        propertyType: { type: 'string', enum: PROPERTY_TYPES },
+        ...Object.fromEntries(MARKET_ASSUMPTION_FIELDS.map((name) => [
+            name,
+            { type: 'number', minimum: 0, maximum: 1, description: translate(DEFAULT_LOCALE, `fields.${name}`) },
+        ])),
+    },
+    additionalProperties: false,
+};
+
+const fieldSchema = (name, defaultValue) => {
+    if (name === 'largeRepairs') return { type: 'array', items: LARGE_REPAIR_SCHEMA };
+    if (name === 'additionalProperties') return { type: 'array', items: PROPERTY_SCHEMA };
+    if (name === 'marketBenchmark') return MARKET_BENCHMARK_SCHEMA;
+    if (ENUM_VALUES[name]) return { type: 'string', enum: ENUM_VALUES[name] };
+    if (typeof defaultValue === 'number') return numberSchema(FIELD_RULES[name]);
+    return { type: typeof defaultValue };
+};
+
+// 入力データのスキーマ (省略した項目は DEFAULT_INPUT の値を使う。旧フィールド名も受け付ける)
+export const INPUT_SCHEMA = {
+    type: 'object',
+    description: '入力データ (比率は 0.0 - 1.0。省略した項目は既定値を使う)',
+    properties: {
+        ...Object.fromEntries(Object.entries(DEFAULT_INPUT).map(([name, value]) => [name, { ...fieldSchema(name, value), default: value }])),
+        ...Object.fromEntries(Object.entries(LEGACY_FIELD_ALIASES).map(([legacy, name]) => [
+            legacy,
+            { ...fieldSchema(name, DEFAULT_INPUT[name]), deprecated: true, description: `${name} の旧フィールド名` },
+        ])),
+    },
+    additionalProperties: false,
+};
+
+// ルールプロファイルの指定 (組み込みの ID、または画面から書き出したプロファイル)
+export const PROFILE_SCHEMA = {
+    description: `組み込みプロファイルの ID (${BUILT_IN_PROFILES.map((profile) => profile.id).join(' / ')}) またはプロファイルのオブジェクト`,
+    type: ['string', 'object'],
+};
+
+export const MAX_BATCH_CASES = 1000;
+
+// POST /score のリクエスト
+export const SCORE_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['input'],
+    properties: { input: INPUT_SCHEMA, profile: PROFILE_SCHEMA },
+    additionalProperties: false,
+};
+
+// POST /simulate/worst-case のリクエスト (シナリオの値を省略した場合は入力データ・モデルの既定値を使う)
+export const WORST_CASE_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['input'],
+    properties: {
+        input: INPUT_SCHEMA,
+        profile: PROFILE_SCHEMA,
+        simulatedInterestRate: { ...numberSchema(FIELD_RULES.simulatedInterestRate), description: '金利上昇シナリオの金利 (既定: input.simulatedInterestRate)' },
+        worstVacancyRate: { type: 'number', minimum: 0, maximum: 1, description: '空室率悪化シナリオの空室率 (既定: 0.2)' },
+    },
+    additionalProperties: false,
+};
+
+// POST /batch のリクエスト (各ケースは画面の一括スコアリングと同じ規則で変換し、ケースごとにエラーを返す)
+export const BATCH_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['cases'],
+    properties: {
+        cases: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_BATCH_CASES,
+            items: { type: 'object', description: '入力データ、または { name, property, debtor, guarantor, notes, input } 形式のケース' },
+        },
+        profile: PROFILE_SCHEMA,
+    },
+    additionalProperties: false,
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+const matchesType = (expected, actual) => expected === actual || (expected === 'number' && actual === 'integer');
+
+// 検証エラー (メッセージカタログ api.schema.* のキー)
+const issue = (field, key, params = {}) => ({ field, message: { key: `api.schema.${key}`, params } });
+
+/**
+ * 値をスキーマで検証する
+ * @param {object} schema - JSON Schema (RequestSchema.js の冒頭に記載した範囲に対応)
+ * @param {*} value - 検証する値
+ * @param {string} path - エラーに付ける項目のパス (例: 'input.vacancyRate')
+ * @returns {Array<{ field: string, message: object }>} - 検証エラー (message はメッセージ。問題がなければ空)
+ */
+export function validateSchema(schema, value, path) {
+    const types = [].concat(schema.type || []);
+    const actual = typeOf(value);
+    if (types.length > 0 && !types.some((type) => matchesType(type, actual))) {
+        return [issue(path, 'type', { types: types.join(' | ') })];
+    }
+    if (schema.enum && !schema.enum.includes(value)) return [issue(path, 'enum', { values: schema.enum.join(' / ') })];
+    if (schema.minimum !== undefined && value < schema.minimum) return [issue(path, 'minimum', { min: schema.minimum })];
+    if (schema.maximum !== undefined && value > schema.maximum) return [issue(path, 'maximum', { max: schema.maximum })];
+
+    const errors = [];
+    if (actual === 'array' && schema.items) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(issue(path, 'maxItems', { max: schema.maxItems }));
+        }
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(issue(path, 'minItems', { min: schema.minItems }));
+        }
+        value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+    if (actual === 'object' && schema.properties) {
+        (schema.required || []).filter((name) => value[name] === undefined).forEach((name) => {
+            errors.push(issue(`${path}.${name}`, 'required'));
+        });
+        Object.entries(value).forEach(([name, item]) => {
+            if (schema.properties[name]) errors.push(...validateSchema(schema.properties[name], item, `${path}.${name}`));
+            else if (schema.additionalProperties === false) errors.push(issue(`${path}.${name}`, 'unknownProperty'));
+        });
+    }
+    return errors;
+}
+
+/**
+ * リクエストのプロファイル指定をプロファイルに変換する
+ * @param {string|object|undefined} value - 組み込みの ID またはプロファイルのオブジェクト (省略時は undefined を返す)
+ * @param {string} path - エラーに付ける項目のパス
+ * @returns {{ profile: object|undefined, errors: Array<{ field: string, message: object }> }}
+ */
+export function resolveProfile(value, path) {
+    if (value === undefined) return { profile: undefined, errors: [] };
+    if (typeof value === 'string') {
+        const profile = BUILT_IN_PROFILES.find((item) => item.id === value);
+        return profile
+            ? { profile, errors: [] }
+            : { profile: undefined, errors: [issue(path, 'unknownProfile', { ids: BUILT_IN_PROFILES.map((item) => item.id).join(' / ') })] };
+    }
+    const { profiles, errors } = parseProfilesJson(JSON.stringify(value));
+    return {
+        profile: profiles[0],
+        // 1件だけの取り込みのため「1件目:」を付けずに返す
+        errors: errors.map((message) => ({ field: path, message: message.params.error })),
+    };
+}
@@ -0,0 +1,235 @@
+// risk-predictor-app/src/AfterTaxCashFlow.js
+
+import { projectCashFlows } from './CashFlowProjection.js';
+import { getUsefulLife } from './Collateral.js';
+import { buildAmortizationSchedule, loanFromInput, summarizeScheduleByYear } from './LoanAmortization.js';
+import { normalizeInput } from './RiskCalculator.js';
+
+/**
+ * 税引後キャッシュフローの計算 (日本の個人の不動産所得)
+ *
+ * 長期収支予測 (CashFlowProjection.js) の各年について、次を計算する。
+ * - 減価償却費: 建物の取得価額を定額法で償却する。中古建物の耐用年数は簡便法で求める。
+ * - 支払利息: 返済予定表の利息部分 (年間返済額の内訳)。不動産所得が赤字の場合、
+ *   土地取得に充てた借入金の利子は給与所得と損益通算できない (建物分から先に充当したものとする)。
+ * - 固定資産税・都市計画税: 固定資産税評価額 × 標準税率 (住宅用地の特例を適用可)。
+ * - 所得税・住民税の増減: 主債務者の給与所得に不動産所得を合算した税額と、給与所得のみの税額の差。
+ *   不動産所得が赤字なら給与所得の税額が減る (還付)。
+ * 税引後CF = 返済後CF - 固定資産税・都市計画税 - 所得税・住民税の増加額
+ * 元金返済額が減価償却費を上回る年 (デッドクロス) 以降は、手元に残る資金より課税所得が大きくなる。
+ *
+ * 前提: 主債務者の年収は給与収入とする。経費率には固定資産税・都市計画税を含めない。
+ * 大規模修繕は全額を修繕費として支出年の経費とする。固定資産税評価額は予測期間中一定とする。
+ */
+
+// 税率・控除の前提 (所得税は令和7年分以降、住民税は令和8年度以降の制度)
+export const TAX_ASSUMPTIONS = {
+    propertyTaxRate: 0.014, // 固定資産税 (標準税率)
+    cityPlanningTaxRate: 0.003, // 都市計画税 (制限税率)
+    residentialLandPropertyTaxRatio: 1 / 6, // 小規模住宅用地の課税標準 (固定資産税)
+    residentialLandCityPlanningTaxRatio: 1 / 3, // 小規模住宅用地の課税標準 (都市計画税)
+    socialInsuranceRate: 0.15, // 社会保険料 (給与収入に対する割合)
+    reconstructionSurtaxRate: 0.021, // 復興特別所得税 (所得税額に対する割合)
+    residentTaxRate: 0.1, // 住民税 (所得割)
+    usedBuildingLifeRatio: 0.2, // 中古建物の耐用年数 (簡便法): 経過年数に乗じる割合
+    minUsefulLife: 2,
+};
+
+// 給与所得控除 (給与収入の上限, 控除額の計算)
+const EMPLOYMENT_DEDUCTIONS = [
+    { upTo: 1900000, deduction: () => 650000 },
+    { upTo: 3600000, deduction: (income) => income * 0.3 + 80000 },
+    { upTo: 6600000, deduction: (income) => income * 0.2 + 440000 },
+    { upTo: 8500000, deduction: (income) => income * 0.1 + 1100000 },
+    { upTo: Infinity, deduction: () => 1950000 },
+];
+
+// 基礎控除 (合計所得金額の上限, 控除額)
+const INCOME_TAX_BASIC_DEDUCTIONS = [
+    { upTo: 1320000, amount: 950000 },
+    { upTo: 3360000, amount: 880000 },
+    { upTo: 4890000, amount: 680000 },
+    { upTo: 6550000, amount: 630000 },
+    { upTo: 23500000, amount: 580000 },
+    { upTo: 24000000, amount: 480000 },
+    { upTo: 24500000, amount: 320000 },
+    { upTo: 25000000, amount: 160000 },
+    { upTo: Infinity, amount: 0 },
+];
+const RESIDENT_TAX_BASIC_DEDUCTIONS = [
+    { upTo: 24000000, amount: 430000 },
+    { upTo: 24500000, amount: 290000 },
+    { upTo: 25000000, amount: 150000 },
+    { upTo: Infinity, amount: 0 },
+];
+
+// 所得税の速算表 (課税所得の上限, 税率, 控除額)
+const INCOME_TAX_BRACKETS = [
+    { upTo: 1950000, rate: 0.05, deduction: 0 },
+    { upTo: 3300000, rate: 0.1, deduction: 97500 },
+    { upTo: 6950000, rate: 0.2, deduction: 427500 },
+    { upTo: 9000000, rate: 0.23, deduction: 636000 },
+    { upTo: 18000000, rate: 0.33, deduction: 1536000 },
+    { upTo: 40000000, rate: 0.4, deduction: 2796000 },
+    { upTo: Infinity, rate: 0.45, deduction: 4796000 },
+];
+
+const findBracket = (table, value) => table.find((row) => value <= row.upTo);
+
+// 課税所得は 1,000円未満を切り捨てる
+const toTaxableIncome = (income) => Math.floor(Math.max(0, income) / 1000) * 1000;
+
+/**
+ * 給与所得を計算する (給与収入 - 給与所得控除)
+ * @param {number} salary - 給与収入
+ * @returns {number}
+ */
+export function calculateEmploymentIncome(salary) {
+    if (salary <= 0) return 0;
+    return Math.max(0, salary - findBracket(EMPLOYMENT_DEDUCTIONS, salary).deduction(salary));
+}
+
+/**
+ * 所得税 (復興特別所得税を含む) と住民税 (所得割) を計算する
+ * @param {number} totalIncome - 合計所得金額 (損益通算後)
+ * @param {number} socialInsurance - 社会保険料控除
+ * @returns {object} - { incomeTax, residentTax, total, marginalRate }
+ *                     marginalRate は所得が1円増えた場合の所得税・住民税の増加割合
+ */
+export function calculateIncomeTaxes(totalIncome, socialInsurance) {
+    const income = Math.max(0, totalIncome);
+    const incomeTaxable = toTaxableIncome(income - socialInsurance - findBracket(INCOME_TAX_BASIC_DEDUCTIONS, income).amount);
+    const residentTaxable = toTaxableIncome(income - socialInsurance - findBracket(RESIDENT_TAX_BASIC_DEDUCTIONS, income).amount);
+
+    const bracket = findBracket(INCOME_TAX_BRACKETS, incomeTaxable);
+    const incomeTax = Math.max(0, incomeTaxable * bracket.rate - bracket.deduction) * (1 + TAX_ASSUMPTIONS.reconstructionSurtaxRate);
+    const residentTax = residentTaxable * TAX_ASSUMPTIONS.residentTaxRate;
+
+    const marginalRate = (incomeTaxable > 0 ? bracket.rate * (1 + TAX_ASSUMPTIONS.reconstructionSurtaxRate) : 0)
+        + (residentTaxable > 0 ? TAX_ASSUMPTIONS.residentTaxRate : 0);
+    return { incomeTax, residentTax, total: incomeTax + residentTax, marginalRate };
+}
+
+/**
+ * 建物の耐用年数を求める (中古建物は簡便法)
+ * - 法定耐用年数を全部経過: 法定耐用年数 × 20%
+ * - 一部経過: (法定耐用年数 - 経過年数) + 経過年数 × 20%
+ * (1年未満の端数は切り捨て、2年未満は2年)
+ * @param {string} structure - 建物構造 (Collateral.js の STRUCTURES)
+ * @param {number} ageAtAcquisition - 取得時の築年数
+ * @returns {number}
+ */
+export function calculateDepreciationLife(structure, ageAtAcquisition) {
+    const usefulLife = getUsefulLife(structure);
+    const age = Math.max(0, Math.floor(ageAtAcquisition));
+    const { usedBuildingLifeRatio, minUsefulLife } = TAX_ASSUMPTIONS;
+    const life = age >= usefulLife
+        ? usefulLife * usedBuildingLifeRatio
+        : usefulLife - age + age * usedBuildingLifeRatio;
+    return Math.max(minUsefulLife, Math.floor(life));
+}
+
+// 定額法の償却率 (1 / 耐用年数 を小数点以下3桁に切り上げ、耐用年数省令の別表と一致する)
+export const straightLineRate = (life) => Math.ceil(1000 / life) / 1000;
+
+/**
+ * 減価償却費を計算する (定額法、帳簿価額は備忘価額 1円まで償却する)
+ * @param {number} cost - 取得価額
+ * @param {number} rate - 償却率
+ * @param {number} yearOfOwnership - 取得からの年数 (1始まり)
+ * @returns {number}
+ */
+export function calculateDepreciation(cost, rate, yearOfOwnership) {
+    if (cost <= 1 || yearOfOwnership < 1) return 0;
+    const annual = cost * rate;
+    const bookValueBefore = Math.max(1, cost - annual * (yearOfOwnership - 1));
+    return Math.min(annual, bookValueBefore - 1);
+}
+
+/**
+ * 固定資産税・都市計画税の年税額を計算する
+ * @param {object} input - 正規化済みの入力データ
+ * @returns {number}
+ */
+export function calculatePropertyTaxes(input) {
+    const { landTaxAssessedValue, buildingTaxAssessedValue, residentialLandSpecial } = input;
+    const a = TAX_ASSUMPTIONS;
+    const landForPropertyTax = landTaxAssessedValue * (residentialLandSpecial ? a.residentialLandPropertyTaxRatio : 1);
+    const landForCityPlanningTax = landTaxAssessedValue * (residentialLandSpecial ? a.residentialLandCityPlanningTaxRatio : 1);
+    return (landForPropertyTax + buildingTaxAssessedValue) * a.propertyTaxRate
+        + (landForCityPlanningTax + buildingTaxAssessedValue) * a.cityPlanningTaxRate;
+}
+
+/**
+ * 税引後キャッシュフローとデッドクロスの年を計算する
+ * @param {object} data - 入力データオブジェクト (RiskCalculator の DEFAULT_INPUT と同じスキーマ)
+ *   以下の前提を使用する:
+ *   buildingAcquisitionCost (建物の取得価額), yearsOwned (取得からの経過年数),
+ *   landTaxAssessedValue / buildingTaxAssessedValue (固定資産税評価額), residentialLandSpecial (住宅用地の特例)
+ * @param {object} [projection] - projectCashFlows の結果 (省略時は計算する)
+ * @returns {object} - { years: 各年の税務計算と税引後CF, deadCrossYear, firstNegativeAfterTaxYear,
+ *                       depreciationLife, depreciationRate, propertyTaxes, baseIncomeTaxes }
+ *                     deadCrossYear は予測期間中に該当しない場合 null
+ */
+export function calculateAfterTaxCashFlows(data, projection = projectCashFlows(data)) {
+    const input = normalizeInput(data);
+    const yearly = summarizeScheduleByYear(buildAmortizationSchedule(loanFromInput(input)));
+    const yearsOwned = Math.max(0, Math.floor(input.yearsOwned));
+    const depreciationLife = calculateDepreciationLife(input.structure, input.buildingAge - yearsOwned);
+    const depreciationRate = straightLineRate(depreciationLife);
+    const propertyTaxes = calculatePropertyTaxes(input);
+
+    const salaryIncome = calculateEmploymentIncome(input.annualIncome);
+    const socialInsurance = input.annualIncome * TAX_ASSUMPTIONS.socialInsuranceRate;
+    const baseIncomeTaxes = calculateIncomeTaxes(salaryIncome, socialInsurance);
+    // 土地取得に充てた借入の割合 (借入は建物の取得価額から先に充当したものとする)
+    const landLoanShare = input.totalDebt > 0 ? Math.max(0, input.totalDebt - input.buildingAcquisitionCost) / input.totalDebt : 0;
+
+    let cumulativeAfterTaxCash = 0;
+    let deadCrossYear = null;
+    let firstNegativeAfterTaxYear = null;
+
+    const years = projection.years.map((year) => {
+        const revenue = year.rentIncome * (1 - year.vacancyRate);
+        const operatingExpenses = revenue - year.noi;
+        const depreciation = calculateDepreciation(input.buildingAcquisitionCost, depreciationRate, yearsOwned + year.year);
+
+        // 年間返済額を返済予定表の利息・元金の比率で按分する
+        const loanYear = yearly[year.year - 1];
+        const interest = loanYear && loanYear.debtService > 0 ? year.debtService * (loanYear.interest / loanYear.debtService) : 0;
+        const principal = year.debtService - interest;
+
+        let rentalIncome = revenue - operatingExpenses - year.largeRepair - propertyTaxes - depreciation - interest;
+        // 赤字のうち土地の借入金利子に相当する部分は損益通算できない
+        const nonDeductibleLoss = rentalIncome < 0 ? Math.min(-rentalIncome, interest * landLoanShare) : 0;
+        rentalIncome += nonDeductibleLoss;
+
+        const taxes = calculateIncomeTaxes(salaryIncome + rentalIncome, socialInsurance);
+        const taxChange = taxes.total - baseIncomeTaxes.total;
+        const afterTaxCashFlow = year.cashFlow - propertyTaxes - taxChange;
+        cumulativeAfterTaxCash += afterTaxCashFlow;
+
+        if (deadCrossYear === null && principal > depreciation) deadCrossYear = year.year;
+        if (firstNegativeAfterTaxYear === null && afterTaxCashFlow < 0) firstNegativeAfterTaxYear = year.year;
+
+        return {
+            year: year.year,
+            revenue,
+            operatingExpenses,
+            largeRepair: year.largeRepair,
+            propertyTaxes,
+            depreciation,
+            interest,
+            principal,
+            rentalIncome,
+            nonDeductibleLoss,
+            taxChange,
+            marginalTaxRate: taxes.marginalRate,
+            preTaxCashFlow: year.cashFlow,
+            afterTaxCashFlow,
+            cumulativeAfterTaxCash,
+        };
+    });
+
+    return { years, deadCrossYear, firstNegativeAfterTaxYear, depreciationLife, depreciationRate, propertyTaxes, baseIncomeTaxes };
+}
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Bar, CartesianGrid, ComposedChart, Legend, Line, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { useI18n } from './I18nContext.js';
+
+// 税引後キャッシュフロー (減価償却・支払利息・固定資産税・所得税/住民税) とデッドクロスの表示コンポーネント
+const AfterTaxCashFlowPanel = ({ afterTax }) => {
+  const { t, yen, compactYen, number, percent, decimal } = useI18n();
+  const formatAmount = (value) => number(Math.round(value));
+  const { years, deadCrossYear, firstNegativeAfterTaxYear, depreciationLife, depreciationRate, propertyTaxes, baseIncomeTaxes } = afterTax;
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('afterTax.title')}</h2>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4 text-sm">
+        <p className={`p-2 rounded text-center font-semibold ${deadCrossYear ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+          {deadCrossYear ? t('afterTax.deadCross', { year: deadCrossYear }) : t('afterTax.noDeadCross')}
+        </p>
+        <p className={`p-2 rounded text-center font-semibold ${firstNegativeAfterTaxYear ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+          {firstNegativeAfterTaxYear
+            ? t('afterTax.negative', { year: firstNegativeAfterTaxYear })
+            : t('afterTax.positive')}
+        </p>
+      </div>
+      <ul className="mb-4 text-xs text-gray-600 text-left space-y-1">
+        <li>{t('afterTax.depreciation', { life: depreciationLife, rate: decimal(depreciationRate, 3) })}</li>
+        <li>{t('afterTax.propertyTaxes', { amount: yen(propertyTaxes) })}</li>
+        <li>
+          {t('afterTax.baseIncomeTaxes', { amount: yen(baseIncomeTaxes.total), rate: percent(baseIncomeTaxes.marginalRate) })}
+        </li>
+      </ul>
+
+      <div className="w-full h-[320px] bg-white rounded-lg p-2">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={years}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" unit={t('projection.yearUnit')} />
+            <YAxis tickFormatter={compactYen} />
+            <Tooltip formatter={(value) => yen(value)} />
+            <Legend />
+            <Bar dataKey="afterTaxCashFlow" name={t('afterTax.column.afterTaxCashFlow')} fill="#60a5fa" />
+            <Line dataKey="depreciation" name={t('afterTax.column.depreciation')} stroke="#22c55e" dot={false} />
+            <Line dataKey="principal" name={t('afterTax.principal')} stroke="#ef4444" dot={false} />
+            {deadCrossYear && <ReferenceLine x={deadCrossYear} stroke="#ef4444" strokeDasharray="4 4" label={t('afterTax.deadCrossLabel')} />}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs text-right bg-white rounded-lg">
+          <thead>
+            <tr className="border-b text-gray-500">
+              <th className="text-left p-1">{t('projection.column.year')}</th>
+              <th className="p-1">{t('afterTax.column.depreciation')}</th>
+              <th className="p-1">{t('afterTax.column.interest')}</th>
+              <th className="p-1">{t('afterTax.column.principal')}</th>
+              <th className="p-1">{t('afterTax.column.rentalIncome')}</th>
+              <th className="p-1">{t('afterTax.column.taxChange')}</th>
+              <th className="p-1">{t('projection.column.cashFlow')}</th>
+              <th className="p-1">{t('afterTax.column.afterTaxCashFlow')}</th>
+              <th className="p-1">{t('afterTax.column.cumulative')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {years.map((year) => (
+              <tr key={year.year} className={`border-b border-gray-100 ${year.year === deadCrossYear ? 'bg-red-50 font-bold text-red-700' : ''}`}>
+                <td className="text-left p-1">{year.year}</td>
+                <td className="p-1">{formatAmount(year.depreciation)}</td>
+                <td className="p-1">{formatAmount(year.interest)}</td>
+                <td className="p-1">{formatAmount(year.principal)}</td>
+                <td className={`p-1 ${year.rentalIncome < 0 ? 'text-blue-600' : ''}`}>{formatAmount(year.rentalIncome)}</td>
+                <td className="p-1">{formatAmount(year.taxChange)}</td>
+                <td className="p-1">{formatAmount(year.preTaxCashFlow)}</td>
+                <td className={`p-1 ${year.afterTaxCashFlow < 0 ? 'text-red-600' : ''}`}>{formatAmount(year.afterTaxCashFlow)}</td>
+                <td className="p-1">{formatAmount(year.cumulativeAfterTaxCash)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-1 text-xs text-gray-500 text-left">
+        {t('afterTax.note')}
+      </p>
+    </div>
+  );
+};
+
+export default AfterTaxCashFlowPanel;
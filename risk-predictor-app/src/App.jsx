@@ -1,156 +1,78 @@
-import React, { useState, useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { RadialBarChart, RadialBar, ResponsiveContainer } from 'recharts';
-
-// --- 定数 ---
-const WORST_CASE_VACANCY_RATE = 0.20; // 空室率悪化シナリオとして20%を固定
-
-// 初期値の型定義
-const initialInput = {
-  annualIncome: 5000000,
-  annualRepayment: 1000000,
-  totalDebt: 30000000,
-  annualRentIncome: 2000000,
-  expenseRate: 0.3, // 年間経費率 (0.0 - 1.0)
-  vacancyRate: 0.1, // 想定空室率 (0.0 - 1.0)
-  interestRate: 0.03, // 現在の金利 (0.0 - 1.0)
-  simulatedInterestRate: 0.04, // シミュレーション用金利 (初期値 4%に設定)
-  otherDebtRatio: 0.1, // 他の負債の年収比 (0.0 - 1.0)
-};
-
-// 年間返済額を再計算する簡易関数 (簡略化のため、元本と利息の比率を考慮せず、総負債と金利から増額分のみ概算)
-const estimateIncreasedRepayment = (totalDebt, currentRate, newRate) => {
-    // 簡略化された方法で、金利上昇による年間返済額の増加分を概算
-    // 金利差に対して総負債を乗じ、概算係数(0.7)で調整
-    return totalDebt * (newRate - currentRate) * 0.7; 
-};
-
-// 計算ロジックをカプセル化した関数
-const calculateRiskScore = (input) => {
-  const {
-    annualIncome,
-    annualRepayment,
-    totalDebt,
-    annualRentIncome,
-    expenseRate,
-    vacancyRate,
-    interestRate,
-    simulatedInterestRate,
-    otherDebtRatio,
-  } = input;
-
-  // 1. 債務者信用力の評価 (Credit Score: 0 - 30点)
-  const debtToIncomeRatio = annualRepayment / (annualIncome || 1);
-  const totalDebtToIncomeRatio = totalDebt / (annualIncome || 1);
-
-  let creditScore = 30;
-  if (debtToIncomeRatio > 0.3) creditScore -= 5;
-  if (totalDebtToIncomeRatio > 5) creditScore -= 10;
-  if (otherDebtRatio > 0.2) creditScore -= 5;
-  if (creditScore < 0) creditScore = 0;
-
-  // 2. 物件収益力の評価 (Property Score: 0 - 40点)
-  // NOI (Net Operating Income) = 年間家賃収入 * (1 - 空室率) * (1 - 経費率)
-  const noi = annualRentIncome * (1 - vacancyRate) * (1 - expenseRate);
-  const currentDcsr = noi / (annualRepayment || 1); // DCSR (Debt Service Coverage Ratio)
-
-  let propertyScore = 40;
-  if (currentDcsr < 1.2) propertyScore -= 10;
-  if (currentDcsr < 1.0) propertyScore -= 15;
-  if (expenseRate > 0.4) propertyScore -= 5;
-  if (vacancyRate > 0.15) propertyScore -= 5;
-  if (propertyScore < 0) propertyScore = 0;
-  
-  // 3. 金利リスクの評価 (Current Interest Rate Risk: 0 - 30点)
-  let interestRiskScore = 30;
-  if (interestRate > 0.04) interestRiskScore -= 10;
-  if (interestRate > 0.05) interestRiskScore -= 10;
-  if (totalDebtToIncomeRatio > 8) interestRiskScore -= 5;
-  if (interestRiskScore < 0) interestRiskScore = 0;
-
-  // 4. 金利上昇シミュレーション
-  const increasedRepayment = estimateIncreasedRepayment(totalDebt, interestRate, simulatedInterestRate);
-  const simulatedRepayment = annualRepayment + increasedRepayment;
-  const simulatedDcsr = noi / (simulatedRepayment || 1);
-  
-  let simulatedRiskLevel = '低';
-  let simulatedRiskDetail = 'シミュレーション金利でもリスクは低いままです。';
-  
-  if (simulatedDcsr < 1.2) {
-    simulatedRiskLevel = '中';
-    simulatedRiskDetail = `シミュレーション金利（${(simulatedInterestRate * 100).toFixed(2)}%）では、DCSRが${simulatedDcsr.toFixed(2)}まで低下し、リスクは中程度に上昇します。`;
-  }
-  if (simulatedDcsr < 1.0) {
-    simulatedRiskLevel = '高';
-    simulatedRiskDetail = `シミュレーション金利（${(simulatedInterestRate * 100).toFixed(2)}%）では、DCSRが1.0を下回り、収益が返済額を下回る高いリスクがあります。`;
-  }
-
-  // 5. 空室率悪化シミュレーション (20%固定)
-  // 年間返済額は現状のまま、空室率を悪化させる (20%を適用)
-  const worstCaseVacancyNoi = annualRentIncome * (1 - WORST_CASE_VACANCY_RATE) * (1 - expenseRate);
-  const worstCaseVacancyDcsr = worstCaseVacancyNoi / (annualRepayment || 1);
-
-  let vacancyRiskLevel = '低';
-  let vacancyRiskDetail = `空室率${WORST_CASE_VACANCY_RATE * 100}%のケースでもDCSRは${worstCaseVacancyDcsr.toFixed(2)}で、安定しています。`;
-
-  if (worstCaseVacancyDcsr < 1.2) {
-    vacancyRiskLevel = '中';
-    vacancyRiskDetail = `空室率が${WORST_CASE_VACANCY_RATE * 100}%に悪化すると、DCSRが${worstCaseVacancyDcsr.toFixed(2)}まで低下し、収益性が中程度のリスクにさらされます。`;
-  }
-  if (worstCaseVacancyDcsr < 1.0) {
-    vacancyRiskLevel = '高';
-    vacancyRiskDetail = `空室率が${WORST_CASE_VACANCY_RATE * 100}%に悪化すると、DCSRが1.0を下回り、収益が返済額を下回る高いリスクがあります。`;
-  }
-  
-  // 最終スコア (合計 100点満点)
-  const finalScore = creditScore + propertyScore + interestRiskScore;
-
-  // 現在のリスク判定
-  let riskLevel = '低';
-  let riskDetail = '債務者・物件収益性ともに優れており、連帯保証リスクは非常に低いと評価されます。';
-
-  if (finalScore < 80) {
-    riskLevel = '中';
-    riskDetail = '一部の財務指標に改善の余地があります。詳細な内訳（信用力、収益力）を確認し、懸念点を特定してください。';
-  }
-  if (finalScore < 50) {
-    riskLevel = '高';
-    riskDetail = '信用力または物件収益力に大きな懸念があります。連帯保証人として引き受ける前に、詳細なリスクトレードオフ分析が必要です。';
-  }
-
-  return {
-    finalScore,
-    riskLevel,
-    riskDetail,
-    creditScore,
-    propertyScore,
-    interestRiskScore,
-    currentDcsr,
-    simulatedDcsr,
-    simulatedRiskLevel,
-    simulatedRiskDetail,
-    simulatedRepayment,
-    worstCaseVacancyDcsr,
-    vacancyRiskLevel,
-    vacancyRiskDetail,
-    WORST_CASE_VACANCY_RATE,
-  };
+import { DEFAULT_INPUT } from './RiskCalculator.js';
+import { assessCase } from './CaseAssessment.js';
+import CashFlowProjectionPanel, { LargeRepairEditor } from './CashFlowProjectionPanel.jsx';
+import AfterTaxCashFlowPanel from './AfterTaxCashFlowPanel.jsx';
+import PortfolioPanel, { PropertyListEditor } from './PortfolioPanel.jsx';
+import MonteCarloPanel from './MonteCarloPanel.jsx';
+import ScenarioBuilderPanel from './ScenarioBuilderPanel.jsx';
+import ScenarioSweepPanel from './ScenarioSweepPanel.jsx';
+import SensitivityPanel from './SensitivityPanel.jsx';
+import ScoreBreakdownPanel from './ScoreBreakdownPanel.jsx';
+import CaseManagerPanel from './CaseManagerPanel.jsx';
+import { EMPTY_CASE_DETAILS } from './CaseStore.js';
+import RiskReport from './RiskReport.jsx';
+import BatchPanel from './BatchPanel.jsx';
+import ScoringProfilePanel from './ScoringProfilePanel.jsx';
+import HistoryPanel from './HistoryPanel.jsx';
+import MarketAssumptionPanel, { MarketBenchmarkSelector } from './MarketAssumptionPanel.jsx';
+import { loadMarketAssumptions, saveMarketAssumptions } from './MarketAssumptions.js';
+import {
+  DEFAULT_SCORING_PROFILE,
+  describeProfileForResult,
+  loadActiveProfileId,
+  loadProfiles,
+  profileName,
+  saveActiveProfileId,
+  saveProfiles,
+} from './ScoringProfiles.js';
+import { loadSavedScenarios } from './StressScenarios.js';
+import { addHistoryEntry, loadHistory, saveHistory } from './CalculationHistory.js';
+import { buildShareUrl, decodeUrlState, readUrlStateParam } from './UrlState.js';
+import {
+  COLLATERAL_FIELDS,
+  GUARANTOR_FIELDS,
+  INPUT_FIELDS,
+  LOAN_OPTION_FIELDS,
+  PROJECTION_FIELDS,
+  SIMULATION_FIELD,
+  STRUCTURE_FIELD,
+  TAX_FIELDS,
+  fieldLabel,
+  optionLabel,
+} from './InputFields.js';
+import { NUMBER_FORMATS, formatNumericValue, parseNumericText } from './NumberFormat.js';
+import { SEVERITY, groupIssuesByField, hasErrors, validateInput } from './Validation.js';
+import { LOCALES, createTranslator, loadLocale, saveLocale } from './I18n.js';
+import { I18nContext, useI18n } from './I18nContext.js';
+import { RISK_LEVELS } from './RiskLevels.js';
+
+const GAUGE_COLORS = { [RISK_LEVELS.LOW]: "#22c55e", [RISK_LEVELS.MEDIUM]: "#f97316", [RISK_LEVELS.HIGH]: "#ef4444" };
+
+// リスク判定の表示色
+const RISK_BADGE_CLASSES = {
+  [RISK_LEVELS.LOW]: 'bg-green-100 text-green-800',
+  [RISK_LEVELS.MEDIUM]: 'bg-yellow-100 text-yellow-800',
+  [RISK_LEVELS.HIGH]: 'bg-red-100 text-red-800',
 };
 
-// ゲージメーターのグラフコンポーネント
+// ゲージメーターのグラフコンポーネント (色はプロファイルの区切りで判定したリスクレベルに合わせる)
 const RiskGaugeChart = ({ score }) => {
+  const { t, riskLevel } = useI18n();
   const totalScore = score.finalScore;
 
   const percentage = Math.round((totalScore / 100) * 100);
   const gaugeData = [{
-    name: "リスクスコア",
+    name: t('app.riskScore'),
     value: totalScore,
-    fill: totalScore >= 80 ? "#22c55e" : totalScore >= 50 ? "#f97316" : "#ef4444",
+    fill: GAUGE_COLORS[score.riskLevel],
     max: 100,
   }];
 
   return (
     <div className="w-full h-[300px] flex flex-col items-center p-4">
-      <div className="text-xl font-bold mb-4 text-gray-700">総合リスクスコア (現状): {totalScore}点 / 100点</div>
+      <div className="text-xl font-bold mb-4 text-gray-700">{t('app.totalScore', { score: totalScore })}</div>
       <ResponsiveContainer width="100%" height="100%">
         <RadialBarChart
           cx="50%"
@@ -192,7 +114,7 @@ const RiskGaugeChart = ({ score }) => {
             className="text-lg font-medium"
             fill="#4b5563"
           >
-            {score.riskLevel}リスク
+            {t('app.riskLevelLabel', { level: riskLevel(score.riskLevel) })}
           </text>
         </RadialBarChart>
       </ResponsiveContainer>
@@ -201,234 +123,712 @@ const RiskGaugeChart = ({ score }) => {
 };
 
 // 金利上昇シミュレーション結果コンポーネント
-const InterestSimulationResult = ({ score, simulatedInterestRate }) => {
+const InterestSimulationResult = ({ simulation }) => {
+    const { t, m, yen, percent, decimal, riskLevel } = useI18n();
     return (
         <div className="p-4 border-2 border-dashed border-red-300 rounded-lg bg-red-50 shadow-md">
             <h3 className="text-lg font-bold text-red-700 mb-3 flex items-center">
                 <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd"></path></svg>
-                金利上昇シミュレーション ({ (simulatedInterestRate * 100).toFixed(2) }% 適用時)
+                {t('app.rateHikeTitle', { rate: percent(simulation.interestRate, 2) })}
             </h3>
             <div className="space-y-2 text-sm text-gray-700">
                 <div className="flex justify-between border-b pb-1">
-                    <span className="font-medium">概算の年間総返済額 (シミュレーション後):</span>
-                    <span className="font-bold text-red-600">¥{score.simulatedRepayment.toLocaleString('ja-JP')}</span>
+                    <span className="font-medium">{t('app.simulatedRepayment')}</span>
+                    <span className="font-bold text-red-600">{yen(simulation.repayment)}</span>
+                </div>
+                <div className="flex justify-between border-b pb-1">
+                    <span className="font-medium">{t('app.peakYear')}</span>
+                    <span className="font-bold text-red-600">{t('common.yearNumber', { year: simulation.peakYear })}</span>
                 </div>
                 <div className="flex justify-between pb-1">
-                    <span className="font-medium">シミュレーション後のDCSR:</span>
-                    <span className="font-bold text-red-600">{score.simulatedDcsr.toFixed(2)}</span>
+                    <span className="font-medium">{t('app.simulatedDcsr')}</span>
+                    <span className="font-bold text-red-600">{decimal(simulation.dcsr)}</span>
                 </div>
-                <p className={`mt-3 p-2 rounded text-center font-semibold 
-                    ${score.simulatedRiskLevel === '低' ? 'bg-green-100 text-green-800' : 
-                      score.simulatedRiskLevel === '中' ? 'bg-yellow-100 text-yellow-800' : 
-                      'bg-red-100 text-red-800'}`}
-                >
-                    リスク判定: {score.simulatedRiskLevel}
+                {simulation.maxUnpaidInterest > 0 && (
+                    <p className="p-2 rounded bg-red-100 text-red-800 text-xs">
+                        {t('app.unpaidInterest', { unpaid: { yen: simulation.maxUnpaidInterest }, lumpSum: { yen: simulation.finalLumpSum } })}
+                    </p>
+                )}
+                <p className={`mt-3 p-2 rounded text-center font-semibold ${RISK_BADGE_CLASSES[simulation.riskLevel]}`}>
+                    {t('app.riskJudgement', { level: riskLevel(simulation.riskLevel) })}
                 </p>
-                <p className="text-xs text-gray-500 italic mt-1">{score.simulatedRiskDetail}</p>
+                <p className="text-xs text-gray-500 italic mt-1">{m(simulation.riskDetail)}</p>
+                <RepaymentScheduleTable yearly={simulation.yearly} />
             </div>
         </div>
     );
 };
 
+// 年次の返済予定表コンポーネント
+const RepaymentScheduleTable = ({ yearly }) => {
+    const { t, number } = useI18n();
+    return (
+        <details className="mt-2 text-xs">
+            <summary className="cursor-pointer text-gray-600">{t('app.schedule.show')}</summary>
+            <table className="w-full mt-2 text-right">
+                <thead>
+                    <tr className="border-b text-gray-500">
+                        <th className="text-left">{t('app.schedule.year')}</th>
+                        <th>{t('app.schedule.debtService')}</th>
+                        <th>{t('app.schedule.interest')}</th>
+                        <th>{t('app.schedule.principal')}</th>
+                        <th>{t('app.schedule.endingBalance')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {yearly.map((year) => (
+                        <tr key={year.year} className="border-b border-gray-100">
+                            <td className="text-left">{year.year}</td>
+                            <td>{number(Math.round(year.debtService))}</td>
+                            <td>{number(Math.round(year.interest))}</td>
+                            <td>{number(Math.round(year.principal))}</td>
+                            <td>{number(Math.round(year.endingBalance))}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </details>
+    );
+};
+
 // 空室率悪化シミュレーション結果コンポーネント
-const VacancySimulationResult = ({ score }) => {
+const VacancySimulationResult = ({ simulation }) => {
+    const { t, m, percent, decimal, riskLevel } = useI18n();
     return (
         <div className="p-4 border-2 border-dashed border-yellow-400 rounded-lg bg-yellow-50 shadow-md">
             <h3 className="text-lg font-bold text-yellow-700 mb-3 flex items-center">
                 <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path d="M10 2a8 8 0 100 16 8 8 0 000-16zm1 12H9v-2h2v2zm0-3H9V6h2v5z"></path></svg>
-                空室率悪化シミュレーション ({ (score.WORST_CASE_VACANCY_RATE * 100).toFixed(0) }% 想定)
+                {t('app.vacancyTitle', { rate: percent(simulation.vacancyRate, 0) })}
             </h3>
             <div className="space-y-2 text-sm text-gray-700">
                 <div className="flex justify-between pb-1">
-                    <span className="font-medium">シミュレーション後のDCSR:</span>
-                    <span className="font-bold text-yellow-600">{score.worstCaseVacancyDcsr.toFixed(2)}</span>
+                    <span className="font-medium">{t('app.simulatedDcsr')}</span>
+                    <span className="font-bold text-yellow-600">{decimal(simulation.dcsr)}</span>
                 </div>
-                <p className={`mt-3 p-2 rounded text-center font-semibold 
-                    ${score.vacancyRiskLevel === '低' ? 'bg-green-100 text-green-800' : 
-                      score.vacancyRiskLevel === '中' ? 'bg-yellow-100 text-yellow-800' : 
-                      'bg-red-100 text-red-800'}`}
-                >
-                    リスク判定: {score.vacancyRiskLevel}
+                <p className={`mt-3 p-2 rounded text-center font-semibold ${RISK_BADGE_CLASSES[simulation.riskLevel]}`}>
+                    {t('app.riskJudgement', { level: riskLevel(simulation.riskLevel) })}
                 </p>
-                <p className="text-xs text-gray-500 italic mt-1">{score.vacancyRiskDetail}</p>
+                <p className="text-xs text-gray-500 italic mt-1">{m(simulation.riskDetail)}</p>
             </div>
         </div>
     );
 };
 
-const InputField = ({ label, name, value, onChange, placeholder, step = 1, min = 0, max = 9999999999 }) => (
-  <div className="mb-4">
-    <label className="block text-gray-700 text-sm font-medium mb-1">{label}</label>
-    <input
-      type="number"
-      name={name}
-      value={value}
-      onChange={onChange}
-      placeholder={placeholder}
-      step={step}
-      min={min}
-      max={max}
-      className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150"
-    />
-  </div>
+// 担保評価 (LTV・競売時の回収見込み) の結果コンポーネント
+const CollateralResult = ({ collateral }) => {
+  const { t, yen, percent } = useI18n();
+  return (
+    <div className="mt-8 p-4 border border-gray-200 rounded-lg bg-white">
+      <h3 className="text-md font-semibold text-gray-800 mb-2">{t('app.collateral.title')}</h3>
+      <ul className="space-y-1 text-sm text-gray-600">
+        <li className="flex justify-between">
+          <span>{t('app.collateral.values')}</span>
+          <span className="font-bold text-gray-800">
+            {yen(collateral.costValue)} / {collateral.incomeValue === null ? '-' : yen(collateral.incomeValue)}
+          </span>
+        </li>
+        <li className="flex justify-between">
+          <span>{t('app.collateral.collateralValue')}</span>
+          <span className="font-bold text-gray-800">{yen(collateral.collateralValue)}</span>
+        </li>
+        <li className="flex justify-between">
+          <span>{t('app.collateral.ltv')}</span>
+          <span className={`font-bold ${collateral.ltv > 1 ? 'text-red-600' : 'text-gray-800'}`}>
+            {Number.isFinite(collateral.ltv) ? percent(collateral.ltv) : t('common.notComputable')}
+            {' / '}
+            {collateral.purchaseLtv === null ? '-' : percent(collateral.purchaseLtv)}
+          </span>
+        </li>
+        <li className="flex justify-between">
+          <span>{t('app.collateral.recoveryValue')}</span>
+          <span className="font-bold text-gray-800">{yen(collateral.recoveryValue)}</span>
+        </li>
+        <li className="flex justify-between">
+          <span>{t('app.collateral.shortfall')}</span>
+          <span className={`font-bold ${collateral.shortfall > 0 ? 'text-red-600' : 'text-gray-800'}`}>
+            {yen(collateral.shortfall)}
+          </span>
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+// 連帯保証人の負担能力の評価結果コンポーネント
+const GuarantorExposureResult = ({ guarantor }) => {
+  const { t, m, yen, percent, decimal, riskLevel } = useI18n();
+  return (
+    <div className="mt-8 p-4 border border-gray-200 rounded-lg bg-white">
+      <h3 className="text-md font-semibold text-gray-800 mb-2">{t('app.guarantor.title')}</h3>
+      <ul className="space-y-1 text-sm text-gray-600">
+        <li className="flex justify-between">
+          <span>{t('app.guarantor.maxExposure')}</span>
+          <span className="font-bold text-gray-800">
+            {yen(guarantor.maxExposure)}
+            {guarantor.maxExposureYear > 0 && ` ${t('app.guarantor.maxExposureYear', { year: guarantor.maxExposureYear })}`}
+          </span>
+        </li>
+        <li className="flex justify-between">
+          <span>{t('app.guarantor.expectedShortfall')}</span>
+          <span className="font-bold text-gray-800">
+            {yen(guarantor.expectedShortfall)}
+            {guarantor.expectedShortfallYear > 0 && ` (${t('common.yearNumber', { year: guarantor.expectedShortfallYear })})`}
+          </span>
+        </li>
+        {guarantor.otherGuarantees > 0 && (
+          <li className="flex justify-between">
+            <span>{t('app.guarantor.totalExposure')}</span>
+            <span className="font-bold text-gray-800">{yen(guarantor.totalExposure)}</span>
+          </li>
+        )}
+        <li className="flex justify-between">
+          <span>{t('app.guarantor.netWorthShare')}</span>
+          <span className="font-bold text-gray-800">
+            {guarantor.netWorthShare === null ? t('app.guarantor.noNetWorth') : percent(guarantor.netWorthShare)}
+          </span>
+        </li>
+        <li className="flex justify-between">
+          <span>{t('app.guarantor.incomeYears')}</span>
+          <span className="font-bold text-gray-800">
+            {guarantor.incomeYears === null ? t('app.guarantor.noIncome') : t('app.guarantor.incomeYearsValue', { years: decimal(guarantor.incomeYears, 1) })}
+          </span>
+        </li>
+      </ul>
+      <p className={`mt-3 p-2 rounded text-center font-semibold text-sm ${RISK_BADGE_CLASSES[guarantor.riskLevel]}`}>
+        {t('app.guarantor.riskJudgement', { level: riskLevel(guarantor.riskLevel) })}
+      </p>
+      <p className="mt-2 text-gray-600 text-xs">{m(guarantor.riskDetail)}</p>
+    </div>
+  );
+};
+
+// 数値入力欄: 編集中は入力した文字列をそのまま保持し、正しく解釈できた値だけを反映する
+const InputField = ({ field, value, onChange, issues = [] }) => {
+  const i18n = useI18n();
+  const [draft, setDraft] = useState(null); // フォーカス中の編集文字列
+  const [parseError, setParseError] = useState(null);
+
+  const handleTextChange = (e) => {
+    const text = e.target.value;
+    setDraft(text);
+    const parsed = parseNumericText(text, field.format);
+    setParseError(parsed.error);
+    if (parsed.error === null) onChange(field.name, parsed.value);
+  };
+
+  // 入力欄を離れたら、反映済みの値を整形して表示する
+  const handleBlur = () => {
+    setDraft(null);
+    setParseError(null);
+  };
+
+  const messages = parseError ? [{ severity: SEVERITY.ERROR, message: parseError }] : issues;
+  const hasError = messages.some((item) => item.severity === SEVERITY.ERROR);
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 text-sm font-medium mb-1">{fieldLabel(field, i18n)}</label>
+      <input
+        type="text"
+        inputMode="decimal"
+        name={field.name}
+        value={draft ?? formatNumericValue(value, field.format)}
+        onChange={handleTextChange}
+        onFocus={() => setDraft(formatNumericValue(value, field.format))}
+        onBlur={handleBlur}
+        placeholder={field.placeholder}
+        className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150 ${hasError ? 'border-red-500' : ''}`}
+      />
+      {field.format === NUMBER_FORMATS.YEN && !parseError && (
+        <p className="mt-1 text-xs text-gray-500 text-right">{i18n.compactYen(value)}</p>
+      )}
+      <IssueMessages issues={messages} />
+    </div>
+  );
+};
+
+// 検証結果のメッセージ (エラーは赤、警告は黄)
+const IssueMessages = ({ issues }) => {
+  const { t, m } = useI18n();
+  return issues.map((item, index) => (
+    <p
+      key={index}
+      className={`mt-1 text-xs text-left ${item.severity === SEVERITY.ERROR ? 'text-red-600' : 'text-yellow-700'}`}
+    >
+      {item.severity === SEVERITY.ERROR ? t('common.error') : t('common.warning')}: {m(item.message)}
+    </p>
+  ));
+};
+
+const SelectField = ({ field, value, onChange }) => {
+  const i18n = useI18n();
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 text-sm font-medium mb-1">{fieldLabel(field, i18n)}</label>
+      <select
+        name={field.name}
+        value={value}
+        onChange={onChange}
+        className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150"
+      >
+        {field.options.map(option => (
+          <option key={option.value} value={option.value}>{optionLabel(field, option, i18n)}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+// 共有リンク (#s=...) の計算条件を読み取る (共有リンクでなければ null)
+const readSharedLink = () => {
+  const encoded = readUrlStateParam();
+  if (!encoded) return null;
+  try {
+    return { state: decodeUrlState(encoded), error: null };
+  } catch (e) {
+    return { state: null, error: e };
+  }
+};
+
+// 共有リンクの計算条件で評価する (入力エラーがある場合は null)
+// リンクに記録されたルールプロファイルを使い、共有元と同じ結果を再現する
+const assessSharedState = (state) => (
+  state && !hasErrors(validateInput(state.input)) ? assessCase(state.input, state.profile || DEFAULT_SCORING_PROFILE) : null
 );
 
-function App() {
-  const [input, setInput] = useState(initialInput);
-  const [score, setScore] = useState(null);
+const sharedLinkError = (link) => {
+  if (!link) return null;
+  if (link.error) return link.error;
+  return hasErrors(validateInput(link.state.input)) ? { key: 'app.error.sharedInput' } : null;
+};
 
+function App() {
+  const [locale, setLocale] = useState(loadLocale);
+  const i18n = useMemo(() => createTranslator(locale), [locale]);
+  const { t, m, decimal } = i18n;
+  const [sharedLink] = useState(readSharedLink);
+  const [input, setInput] = useState(() => sharedLink?.state?.input || DEFAULT_INPUT);
+  const [score, setScore] = useState(() => assessSharedState(sharedLink?.state));
+  // 表示中の評価結果を計算した入力 (計算後に編集中の入力ではなく、こちらから分析・比較を作る)
+  const [scoredInput, setScoredInput] = useState(() => (score ? sharedLink.state.input : null));
+  const [scenarios, setScenarios] = useState(() => sharedLink?.state?.scenarios || loadSavedScenarios());
+  const [history, setHistory] = useState(loadHistory);
+  const [shareMessage, setShareMessage] = useState(null);
+  const [caseDetails, setCaseDetails] = useState(EMPTY_CASE_DETAILS);
+  const [showReport, setShowReport] = useState(false);
+  const [caseListVersion, setCaseListVersion] = useState(0);
+
+  const [calculationError, setCalculationError] = useState(() => sharedLinkError(sharedLink));
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(loadActiveProfileId);
+  const [marketAssumptions, setMarketAssumptions] = useState(loadMarketAssumptions);
+
+  // 選択中のルールプロファイル (削除済みの場合は標準に戻す)
+  const profile = profiles.find((item) => item.id === activeProfileId) || DEFAULT_SCORING_PROFILE;
+
+  useEffect(() => saveProfiles(profiles), [profiles]);
+  useEffect(() => saveActiveProfileId(activeProfileId), [activeProfileId]);
+  useEffect(() => saveHistory(history), [history]);
+  useEffect(() => saveMarketAssumptions(marketAssumptions), [marketAssumptions]);
+  useEffect(() => saveLocale(locale), [locale]);
+
+  // 開いたままのページに別の共有リンクを貼り付けた場合も、その計算条件に切り替える
+  useEffect(() => {
+    const handleHashChange = () => {
+      const link = readSharedLink();
+      if (!link) return;
+      setCalculationError(sharedLinkError(link));
+      if (!link.state) return;
+      setInput(link.state.input);
+      if (link.state.scenarios) setScenarios(link.state.scenarios);
+      const assessment = assessSharedState(link.state);
+      setScore(assessment);
+      setScoredInput(assessment ? link.state.input : null);
+      if (assessment) setHistory((prev) => addHistoryEntry(prev, link.state.input, assessment));
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const issues = useMemo(() => validateInput(input), [input]);
+  const issuesByField = useMemo(() => groupIssuesByField(issues), [issues]);
+
+  // 選択項目・チェックボックスの変更
   const handleChange = (e) => {
-    const { name, value, type } = e.target;
-    // 数値としてパースし、空欄の場合は0をセット
-    const newValue = type === 'number' ? parseFloat(value) : value;
-
-    setInput((prev) => ({
-      ...prev,
-      [name]: isNaN(newValue) ? 0 : newValue,
-    }));
+    const { name, value, type, checked } = e.target;
+    setInput((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // 数値項目の変更 (InputField で解釈済みの値を受け取る)
+  const handleValueChange = (name, value) => {
+    setCalculationError(null);
+    setInput((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // 評価結果を表示し、計算履歴に追加する
+  const applyAssessment = (nextInput, scoringProfile) => {
+    const assessment = assessCase(nextInput, scoringProfile);
+    setScore(assessment);
+    setScoredInput(nextInput);
+    setHistory((prev) => addHistoryEntry(prev, nextInput, assessment));
+  };
+
+  // 入力エラーがある場合は計算しない
+  const calculate = () => {
+    if (hasErrors(issues)) {
+      setCalculationError({ key: 'app.error.input' });
+      return false;
+    }
+    setCalculationError(null);
+    applyAssessment(input, profile);
+    return true;
   };
 
   const handleCalculate = () => {
-    const result = calculateRiskScore(input);
-    setScore(result);
+    calculate();
   };
 
-  const formatNumber = (num) => {
-    if (num === null || num === undefined) return '';
-    return num.toLocaleString('ja-JP');
+  // レポートは最新の入力で再計算してから表示する
+  const handleOpenReport = () => {
+    if (calculate()) setShowReport(true);
   };
-  
-  // 入力フィールドのデータ
-  const fields = [
-    { label: "主債務者の年収 (円)", name: "annualIncome", placeholder: "5,000,000", step: 100000 },
-    { label: "年間の総返済額 (円) - 現状", name: "annualRepayment", placeholder: "1,000,000", step: 100000 },
-    { label: "借入総額 (円)", name: "totalDebt", placeholder: "30,000,000", step: 1000000 },
-    { label: "年間総家賃収入 (円)", name: "annualRentIncome", placeholder: "2,000,000", step: 100000 },
-    { label: "年間経費率 (0.0 - 1.0)", name: "expenseRate", placeholder: "0.3", step: 0.01, max: 1 },
-    { label: "想定空室率 (0.0 - 1.0) - 現状", name: "vacancyRate", placeholder: "0.1", step: 0.01, max: 1 },
-    { label: "現在の金利 (0.0 - 1.0)", name: "interestRate", placeholder: "0.03", step: 0.001, max: 1 },
-    { label: "他の負債の年収比 (0.0 - 1.0)", name: "otherDebtRatio", placeholder: "0.1", step: 0.01, max: 1 },
-  ];
-
-  const simulationField = { 
-    label: "シミュレーション金利 (0.0 - 1.0)", 
-    name: "simulatedInterestRate", 
-    placeholder: "0.04", 
-    step: 0.001, 
-    max: 1 
+
+  // 共有リンクは最新の入力で再計算してから作成し、アドレスバーの URL も差し替える
+  const handleShare = () => {
+    if (!calculate()) return;
+    const url = buildShareUrl({ input, scenarios, profile: describeProfileForResult(profile) });
+    window.history.replaceState(null, '', url);
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+    copied.then(
+      () => setShareMessage({ key: 'app.share.copied' }),
+      () => setShareMessage({ key: 'app.share.copyFailed' }),
+    );
   };
 
+  // 計算履歴から以前の入力に戻して再計算する
+  const handleRestoreHistory = (entry) => {
+    const nextInput = { ...DEFAULT_INPUT, ...entry.input };
+    setInput(nextInput);
+    if (hasErrors(validateInput(nextInput))) {
+      setScore(null);
+      setScoredInput(null);
+      setCalculationError({ key: 'app.error.historyInput' });
+      return;
+    }
+    setCalculationError(null);
+    applyAssessment(nextInput, profile);
+  };
+
+  // 保存済みケースを開いた場合は、入力とケース情報を差し替えて再計算する
+  // (保存時のルールプロファイルが記録されていれば、それを使って当時の評価を再現する)
+  const handleOpenCase = (caseRecord) => {
+    const nextInput = { ...DEFAULT_INPUT, ...caseRecord.input };
+    const { name, property, debtor, guarantor, notes } = caseRecord;
+    setCaseDetails({ name, property, debtor, guarantor, notes });
+    setInput(nextInput);
+    if (hasErrors(validateInput(nextInput))) {
+      setScore(null);
+      setScoredInput(null);
+      setCalculationError({ key: 'app.error.caseInput' });
+      return;
+    }
+    setCalculationError(null);
+    applyAssessment(nextInput, caseRecord.profile || profile);
+  };
 
   return (
-    <div className="min-h-screen bg-gray-50 flex flex-col items-center py-10 px-4 font-inter">
-      <div className="w-full max-w-3xl bg-white shadow-2xl rounded-xl p-8">
-        <header className="text-center mb-10">
-          <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-800 mb-1">連帯保証リスク予測 Webアプリ</h1>
-          <div className="w-24 h-1 bg-blue-500 mx-auto rounded"></div>
-        </header>
-
-        <main className="grid grid-cols-1 md:grid-cols-2 gap-8">
-          {/* 左カラム: 入力フォーム */}
-          <div className="p-4 bg-blue-50 rounded-lg shadow-inner">
-            <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">不動産投資案件の詳細入力</h2>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen bg-gray-50 flex flex-col items-center py-10 px-4 font-inter">
+        <div className="w-full max-w-3xl bg-white shadow-2xl rounded-xl p-8">
+          <header className="text-center mb-10">
+            <div className="flex justify-end mb-2">
+              <label className="text-xs text-gray-600">
+                {t('common.language')}:{' '}
+                <select value={locale} onChange={(e) => setLocale(e.target.value)} className="border rounded px-1 py-0.5">
+                  {Object.entries(LOCALES).map(([code, { label }]) => (
+                    <option key={code} value={code}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-800 mb-1">{t('app.title')}</h1>
+            <div className="w-24 h-1 bg-blue-500 mx-auto rounded"></div>
+          </header>
+
+          <CaseManagerPanel
+            input={input}
+            details={caseDetails}
+            onDetailsChange={setCaseDetails}
+            onOpenCase={handleOpenCase}
+            refreshToken={caseListVersion}
+            profile={profile}
+          />
+
+          <ScoringProfilePanel
+            profiles={profiles}
+            activeProfileId={profile.id}
+            onProfilesChange={setProfiles}
+            onActiveProfileChange={setActiveProfileId}
+          />
+
+          <MarketAssumptionPanel assumptions={marketAssumptions} onAssumptionsChange={setMarketAssumptions} />
+
+          <main className="grid grid-cols-1 md:grid-cols-2 gap-8">
+            {/* 左カラム: 入力フォーム */}
+            <div className="p-4 bg-blue-50 rounded-lg shadow-inner">
+              <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('app.inputTitle')}</h2>
             
-            <div className="space-y-4">
-              {fields.map(field => (
-                <InputField
-                  key={field.name}
-                  label={field.label}
-                  name={field.name}
-                  value={formatNumber(input[field.name])}
-                  onChange={(e) => {
-                    const rawValue = e.target.value.replace(/,/g, '');
-                    handleChange({ target: { name: field.name, value: rawValue, type: 'number' } });
-                  }}
-                  placeholder={field.placeholder}
-                  step={field.step}
-                  max={field.max}
-                />
-              ))}
-              
-              <div className="pt-2 border-t border-blue-200">
-                <InputField
-                    key={simulationField.name}
-                    label={simulationField.label}
-                    name={simulationField.name}
-                    value={formatNumber(input[simulationField.name])}
-                    onChange={(e) => {
-                      const rawValue = e.target.value.replace(/,/g, '');
-                      handleChange({ target: { name: simulationField.name, value: rawValue, type: 'number' } });
+              <div className="space-y-4">
+                <div className="pb-2 border-b border-blue-200">
+                  <h3 className="text-md font-semibold text-gray-700 mb-2">{t('market.title')}</h3>
+                  <MarketBenchmarkSelector
+                    input={input}
+                    assumptions={marketAssumptions}
+                    onChange={(nextInput) => {
+                      setCalculationError(null);
+                      setInput(nextInput);
                     }}
-                    placeholder={simulationField.placeholder}
-                    step={simulationField.step}
-                    max={simulationField.max}
                   />
+                  <IssueMessages issues={issuesByField.marketBenchmark || []} />
+                </div>
+
+                {INPUT_FIELDS.map(field => (
+                  <InputField
+                    key={field.name}
+                    field={field}
+                    value={input[field.name]}
+                    onChange={handleValueChange}
+                    issues={issuesByField[field.name]}
+                  />
+                ))}
+              
+                {LOAN_OPTION_FIELDS.map(field => (
+                  <SelectField
+                    key={field.name}
+                    field={field}
+                    value={input[field.name]}
+                    onChange={handleChange}
+                  />
+                ))}
+                <label className="flex items-center text-gray-700 text-sm font-medium">
+                  <input
+                    type="checkbox"
+                    name="applyPaymentRules"
+                    checked={input.applyPaymentRules}
+                    onChange={handleChange}
+                    className="mr-2"
+                  />
+                  {t('app.applyPaymentRules')}
+                </label>
+
+                <div className="pt-2 border-t border-blue-200">
+                  <InputField
+                    field={SIMULATION_FIELD}
+                    value={input[SIMULATION_FIELD.name]}
+                    onChange={handleValueChange}
+                    issues={issuesByField[SIMULATION_FIELD.name]}
+                  />
+                </div>
+
+                <div className="pt-2 border-t border-blue-200">
+                  <h3 className="text-md font-semibold text-gray-700 mb-2">{t('app.holdingsTitle')}</h3>
+                  <div className="mb-4">
+                    <label className="block text-gray-700 text-sm font-medium mb-1">{t('app.propertyArea')}</label>
+                    <input
+                      type="text"
+                      name="propertyArea"
+                      value={input.propertyArea}
+                      onChange={handleChange}
+                      placeholder={t('app.propertyAreaPlaceholder')}
+                      className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <label className="block text-gray-700 text-sm font-medium mb-1">{t('app.otherProperties')}</label>
+                  <PropertyListEditor
+                    properties={input.additionalProperties}
+                    onChange={(additionalProperties) => setInput((prev) => ({ ...prev, additionalProperties }))}
+                  />
+                  <IssueMessages issues={issuesByField.additionalProperties || []} />
+                </div>
+
+                <div className="pt-2 border-t border-blue-200">
+                  <h3 className="text-md font-semibold text-gray-700 mb-2">{t('app.projectionTitle')}</h3>
+                  {PROJECTION_FIELDS.map(field => (
+                    <InputField
+                      key={field.name}
+                      field={field}
+                      value={input[field.name]}
+                      onChange={handleValueChange}
+                      issues={issuesByField[field.name]}
+                    />
+                  ))}
+                  <LargeRepairEditor
+                    repairs={input.largeRepairs}
+                    onChange={(largeRepairs) => setInput((prev) => ({ ...prev, largeRepairs }))}
+                  />
+                  <IssueMessages issues={issuesByField.largeRepairs || []} />
+                </div>
+
+                <div className="pt-2 border-t border-blue-200">
+                  <h3 className="text-md font-semibold text-gray-700 mb-2">{t('app.collateralTitle')}</h3>
+                  <SelectField
+                    field={STRUCTURE_FIELD}
+                    value={input[STRUCTURE_FIELD.name]}
+                    onChange={handleChange}
+                  />
+                  {COLLATERAL_FIELDS.map(field => (
+                    <InputField
+                      key={field.name}
+                      field={field}
+                      value={input[field.name]}
+                      onChange={handleValueChange}
+                      issues={issuesByField[field.name]}
+                    />
+                  ))}
+                </div>
+
+                <div className="pt-2 border-t border-blue-200">
+                  <h3 className="text-md font-semibold text-gray-700 mb-2">{t('app.taxTitle')}</h3>
+                  {TAX_FIELDS.map(field => (
+                    <InputField
+                      key={field.name}
+                      field={field}
+                      value={input[field.name]}
+                      onChange={handleValueChange}
+                      issues={issuesByField[field.name]}
+                    />
+                  ))}
+                  <label className="flex items-center text-gray-700 text-sm font-medium">
+                    <input
+                      type="checkbox"
+                      name="residentialLandSpecial"
+                      checked={input.residentialLandSpecial}
+                      onChange={handleChange}
+                      className="mr-2"
+                    />
+                    {t('app.residentialLandSpecial')}
+                  </label>
+                </div>
+
+                <div className="pt-2 border-t border-blue-200">
+                  <h3 className="text-md font-semibold text-gray-700 mb-2">{t('app.guarantorTitle')}</h3>
+                  {GUARANTOR_FIELDS.map(field => (
+                    <InputField
+                      key={field.name}
+                      field={field}
+                      value={input[field.name]}
+                      onChange={handleValueChange}
+                      issues={issuesByField[field.name]}
+                    />
+                  ))}
+                </div>
               </div>
-            </div>
             
-            <button
-              onClick={handleCalculate}
-              className="mt-6 w-full bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-4 rounded-lg shadow-lg transition duration-200 ease-in-out transform hover:scale-[1.01]"
-            >
-              リスクスコアを計算・シミュレーション
-            </button>
-          </div>
-
-          {/* 右カラム: 結果表示 (グラフ化) */}
-          <div className="p-4 bg-gray-100 rounded-lg shadow-inner flex flex-col justify-center items-center">
-            <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3 w-full">リスク分析結果</h2>
+              <button
+                onClick={handleCalculate}
+                className="mt-6 w-full bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-4 rounded-lg shadow-lg transition duration-200 ease-in-out transform hover:scale-[1.01]"
+              >
+                {t('app.calculate')}
+              </button>
+              {calculationError && (
+                <p className="mt-2 p-2 rounded bg-red-100 text-red-800 text-sm">{m(calculationError)}</p>
+              )}
+            </div>
+
+            {/* 右カラム: 結果表示 (グラフ化) */}
+            <div className="p-4 bg-gray-100 rounded-lg shadow-inner flex flex-col justify-center items-center">
+              <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3 w-full">{t('app.resultTitle')}</h2>
             
-            {score ? (
-              <div className="w-full">
-                <RiskGaugeChart score={score} />
+              {score ? (
+                <div className="w-full">
+                  <RiskGaugeChart score={score} />
                 
-                <div className="mt-4 p-4 border border-gray-200 rounded-lg bg-white">
-                    <h3 className="text-md font-semibold text-gray-800 mb-2">現状のリスク詳細</h3>
-                    <ul className="space-y-1 text-sm text-gray-600">
-                      <li className="flex justify-between">
-                        <span>主債務者信用力 (最大30点):</span>
-                        <span className="font-bold text-blue-600">{score.creditScore}点</span>
-                      </li>
-                      <li className="flex justify-between">
-                        <span>物件収益力 (最大40点):</span>
-                        <span className="font-bold text-green-600">{score.propertyScore}点</span>
-                      </li>
-                      <li className="flex justify-between">
-                        <span>金利変動リスク (最大30点):</span>
-                        <span className="font-bold text-yellow-600">{score.interestRiskScore}点</span>
-                      </li>
-                      <li className="flex justify-between mt-2 pt-2 border-t border-gray-100">
-                        <span className="font-medium">債務カバー率 (DCSR) - 現状:</span>
-                        <span className="font-bold text-gray-800">{score.currentDcsr.toFixed(2)}</span>
-                      </li>
-                    </ul>
-                    <p className={`mt-3 p-2 rounded text-center font-semibold text-sm
-                        ${score.riskLevel === '低' ? 'bg-green-100 text-green-800' : 
-                          score.riskLevel === '中' ? 'bg-yellow-100 text-yellow-800' : 
-                          'bg-red-100 text-red-800'}`}
-                        >
-                        現状リスク判定: {score.riskLevel}
-                    </p>
-                    <p className="mt-2 text-gray-600 text-xs max-w-lg">{score.riskDetail}</p>
-                </div>
+                  <div className="mt-4 p-4 border border-gray-200 rounded-lg bg-white">
+                      <h3 className="text-md font-semibold text-gray-800 mb-2">{t('app.currentDetail')}</h3>
+                      <ul className="space-y-1 text-sm text-gray-600">
+                        <li className="flex justify-between">
+                          <span>{t('app.creditScore')}</span>
+                          <span className="font-bold text-blue-600">{t('common.points', { points: score.creditScore })}</span>
+                        </li>
+                        <li className="flex justify-between">
+                          <span>{t('app.propertyScore')}</span>
+                          <span className="font-bold text-green-600">{t('common.points', { points: score.propertyScore })}</span>
+                        </li>
+                        <li className="flex justify-between">
+                          <span>{t('app.interestRiskScore')}</span>
+                          <span className="font-bold text-yellow-600">{t('common.points', { points: score.interestRiskScore })}</span>
+                        </li>
+                        <li className="flex justify-between mt-2 pt-2 border-t border-gray-100">
+                          <span className="font-medium">{t('app.currentDcsr')}</span>
+                          <span className="font-bold text-gray-800">{decimal(score.currentDcsr)}</span>
+                        </li>
+                      </ul>
+                      <p className={`mt-3 p-2 rounded text-center font-semibold text-sm ${RISK_BADGE_CLASSES[score.riskLevel]}`}>
+                          {t('app.currentRiskJudgement', { level: i18n.riskLevel(score.riskLevel) })}
+                      </p>
+                      <p className="mt-2 text-gray-600 text-xs max-w-lg">{m(score.riskDetail)}</p>
+                      <p className="mt-1 text-gray-400 text-xs">{t('app.modelVersion', { version: score.modelVersion })}</p>
+                      <p className="text-gray-400 text-xs">{t('app.profile', { name: profileName(score.profile), revision: score.profile.revision })}</p>
+                  </div>
                 
-                {/* 2つのシミュレーション結果を並べて表示 */}
-                <h3 className="text-xl font-bold text-gray-700 mt-8 mb-4 border-l-4 border-blue-500 pl-3 w-full">ワーストケース分析</h3>
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-                    <InterestSimulationResult score={score} simulatedInterestRate={input.simulatedInterestRate} />
-                    <VacancySimulationResult score={score} />
+                  {/* 2つのシミュレーション結果を並べて表示 */}
+                  <h3 className="text-xl font-bold text-gray-700 mt-8 mb-4 border-l-4 border-blue-500 pl-3 w-full">{t('app.worstCaseTitle')}</h3>
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                      <InterestSimulationResult simulation={score.worstCase.rateHike} />
+                      <VacancySimulationResult simulation={score.worstCase.vacancy} />
+                  </div>
+
+                  <CollateralResult collateral={score.collateral} />
+                  <GuarantorExposureResult guarantor={score.guarantor} />
+
+                  <button
+                    onClick={handleOpenReport}
+                    className="mt-6 w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg shadow"
+                  >
+                    {t('app.openReport')}
+                  </button>
+                  <button
+                    onClick={handleShare}
+                    className="mt-2 w-full border border-blue-500 text-blue-600 font-bold py-2 px-4 rounded-lg"
+                  >
+                    {t('app.share.button')}
+                  </button>
+                  {shareMessage && <p className="mt-1 text-xs text-gray-600">{m(shareMessage)}</p>}
                 </div>
-              </div>
-            ) : (
-              <div className="text-center py-20 text-gray-500">
-                <svg className="w-12 h-12 mx-auto mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 19V6l-2 2M15 19V6l2 2m-8 0h6m-6 4h6m-6 4h6"></path></svg>
-                <p>入力値を設定し、「リスクスコアを計算」ボタンを押してください。結果がグラフとシミュレーションで表示されます。</p>
-              </div>
-            )}
-          </div>
-        </main>
+              ) : (
+                <div className="text-center py-20 text-gray-500">
+                  <svg className="w-12 h-12 mx-auto mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 19V6l-2 2M15 19V6l2 2m-8 0h6m-6 4h6m-6 4h6"></path></svg>
+                  <p>{t('app.emptyResult')}</p>
+                </div>
+              )}
+            </div>
+          </main>
+
+          {score && <ScoreBreakdownPanel input={scoredInput} score={score} fields={[...INPUT_FIELDS, ...COLLATERAL_FIELDS]} />}
+          {score && <PortfolioPanel portfolio={score.portfolio} contributions={score.contributions} />}
+          {score && <CashFlowProjectionPanel projection={score.projection} />}
+          {score && <AfterTaxCashFlowPanel afterTax={score.afterTax} />}
+          {score && <ScenarioBuilderPanel input={scoredInput} profile={score.profile} scenarios={scenarios} onScenariosChange={setScenarios} />}
+          {/* scoredInput は検証を通った計算時の入力のため、編集中の入力のエラーでは隠さない (重い探索は再計算時だけ行う) */}
+          {score && <SensitivityPanel input={scoredInput} fields={INPUT_FIELDS} profile={score.profile} />}
+          {score && <ScenarioSweepPanel input={scoredInput} profile={score.profile} />}
+          {score && <MonteCarloPanel input={scoredInput} />}
+
+          <HistoryPanel
+            history={history}
+            fields={[...INPUT_FIELDS, SIMULATION_FIELD, ...PROJECTION_FIELDS, ...COLLATERAL_FIELDS, ...TAX_FIELDS, ...GUARANTOR_FIELDS]}
+            onRestore={handleRestoreHistory}
+            onClear={() => setHistory([])}
+          />
+
+          <BatchPanel profile={profile} onCasesImported={() => setCaseListVersion((prev) => prev + 1)} />
+
+          {score && showReport && (
+            <RiskReport input={input} score={score} scenarios={scenarios} caseDetails={caseDetails} onClose={() => setShowReport(false)} />
+          )}
+        </div>
       </div>
-    </div>
+    </I18nContext.Provider>
   );
 }
 
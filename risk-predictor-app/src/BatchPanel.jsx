@@ -0,0 +1,197 @@
+import React, { useMemo, useState } from 'react';
+import {
+  CASE_DETAIL_COLUMNS,
+  INPUT_COLUMNS,
+  parseCsv,
+  parseJsonCases,
+  resultsToCsv,
+  resultsToJson,
+  rowsToCases,
+  scoreBatch,
+  suggestColumnMapping,
+} from './CaseIO.js';
+import { saveCase } from './CaseStore.js';
+import { downloadText } from './Download.js';
+import { useI18n } from './I18nContext.js';
+import { RISK_LEVELS } from './RiskLevels.js';
+
+const riskLevelClass = (level) => (
+  level === RISK_LEVELS.LOW ? 'bg-green-100 text-green-800' :
+  level === RISK_LEVELS.MEDIUM ? 'bg-yellow-100 text-yellow-800' :
+  'bg-red-100 text-red-800'
+);
+
+// 例外の内容 (メッセージのキーを持つ例外は表示言語の文言にする)
+const errorDetail = (err) => (err.key ? err : err.message);
+
+// CSV / JSON の取り込みと一括スコアリング
+const BatchPanel = ({ profile, onCasesImported }) => {
+  const { t, m, percent, decimal, riskLevel, locale } = useI18n();
+  const [csv, setCsv] = useState(null); // { headers, dataRows, mapping }
+  const [jsonCases, setJsonCases] = useState(null);
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError(null);
+    setMessage(null);
+    setResults(null);
+    try {
+      const text = await file.text();
+      if (file.name.toLowerCase().endsWith('.json')) {
+        setCsv(null);
+        setJsonCases(parseJsonCases(text));
+      } else {
+        const [headers = [], ...dataRows] = parseCsv(text);
+        setJsonCases(null);
+        setCsv({ headers, dataRows, mapping: suggestColumnMapping(headers) });
+      }
+    } catch (err) {
+      setError({ key: 'batch.unreadableFile', params: { error: errorDetail(err) } });
+    }
+  };
+
+  // 各行の検証で返済予定表を作成するため、取り込んだ内容・列対応が変わったときだけ変換する
+  const cases = useMemo(
+    () => jsonCases || (csv ? rowsToCases(csv.headers, csv.dataRows, csv.mapping) : []),
+    [jsonCases, csv],
+  );
+  const invalidCount = cases.filter((item) => item.errors.length > 0).length;
+  const warnedCases = cases.filter((item) => item.errors.length === 0 && item.warnings.length > 0);
+
+  const handleScore = () => setResults(scoreBatch(cases, profile));
+
+  // 列対応を変えると以前の結果は別の内容を評価したものになるため消す
+  const handleMappingChange = (header, name) => {
+    setCsv((prev) => ({ ...prev, mapping: { ...prev.mapping, [header]: name } }));
+    setResults(null);
+  };
+
+  const handleSaveCases = async () => {
+    setError(null);
+    try {
+      const validCases = cases.filter((item) => item.errors.length === 0);
+      for (const item of validCases) {
+        await saveCase({ ...item.details, input: item.input });
+      }
+      setMessage({ key: 'batch.saved', params: { count: validCases.length } });
+      onCasesImported();
+    } catch (err) {
+      setError({ key: 'batch.saveFailed', params: { error: errorDetail(err) } });
+    }
+  };
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('batch.title')}</h2>
+
+      <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="text-sm" />
+      {error && <p className="mt-2 p-2 rounded bg-red-100 text-red-800 text-sm">{m(error)}</p>}
+      {message && <p className="mt-2 text-sm text-green-700">{m(message)}</p>}
+
+      {csv && (
+        <div className="mt-4">
+          <h3 className="text-md font-semibold text-gray-700 mb-2">{t('batch.columnMapping')}</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+            {csv.headers.map((header) => (
+              <label key={header} className="flex items-center gap-2">
+                <span className="w-1/2 truncate text-left">{header}</span>
+                <select
+                  value={csv.mapping[header]}
+                  onChange={(e) => handleMappingChange(header, e.target.value)}
+                  className="border rounded py-1 px-2 flex-1"
+                >
+                  <option value="">{t('batch.skipColumn')}</option>
+                  {[...CASE_DETAIL_COLUMNS, ...INPUT_COLUMNS].map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {cases.length > 0 && (
+        <div className="mt-4 text-sm">
+          <p>
+            {t('batch.loaded', { count: cases.length })}
+            {invalidCount > 0 && <span className="text-red-600">{t('batch.invalid', { count: invalidCount })}</span>}
+          </p>
+          {invalidCount > 0 && (
+            <ul className="mt-2 p-2 bg-red-50 rounded text-xs text-red-800 text-left">
+              {cases.filter((item) => item.errors.length > 0).map((item) => (
+                <li key={item.rowNumber}>
+                  {t('batch.rowErrors', { row: item.rowNumber, errors: item.errors.map((err) => m(err.message)).join(' / ') })}
+                </li>
+              ))}
+            </ul>
+          )}
+          {warnedCases.length > 0 && (
+            <ul className="mt-2 p-2 bg-yellow-50 rounded text-xs text-yellow-800 text-left">
+              {warnedCases.map((item) => (
+                <li key={item.rowNumber}>
+                  {t('batch.rowWarnings', { row: item.rowNumber, warnings: item.warnings.map((warning) => m(warning.message)).join(' / ') })}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex flex-wrap gap-2 mt-3">
+            <button type="button" onClick={handleScore} className="bg-green-500 text-white rounded px-3 py-1">{t('batch.score')}</button>
+            <button type="button" onClick={handleSaveCases} className="border border-blue-500 text-blue-600 rounded px-3 py-1">{t('batch.saveCases')}</button>
+          </div>
+        </div>
+      )}
+
+      {results && (
+        <div className="mt-4">
+          <div className="flex gap-2 text-sm mb-2">
+            <button type="button" onClick={() => downloadText('risk-results.csv', resultsToCsv(results, locale), 'text/csv')} className="text-blue-600">{t('caseManager.exportCsv')}</button>
+            <button type="button" onClick={() => downloadText('risk-results.json', resultsToJson(results, locale), 'application/json')} className="text-blue-600">{t('profiles.exportJson')}</button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-right bg-white rounded-lg">
+              <thead>
+                <tr className="border-b text-gray-500">
+                  <th className="text-left p-1">{t('batch.column.row')}</th>
+                  <th className="text-left p-1">{t('caseManager.field.name')}</th>
+                  <th className="p-1">{t('scenarios.column.score')}</th>
+                  <th className="p-1 text-center">{t('batch.column.riskLevel')}</th>
+                  <th className="p-1">DSR</th>
+                  <th className="p-1">DSCR</th>
+                  <th className="p-1">{t('batch.column.rateHikeDscr')}</th>
+                  <th className="p-1">{t('batch.column.vacancyDscr')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((result) => (
+                  <tr key={result.rowNumber} className="border-b border-gray-100">
+                    <td className="text-left p-1">{result.rowNumber}</td>
+                    <td className="text-left p-1">{result.details.name || '-'}</td>
+                    {result.metrics ? (
+                      <>
+                        <td className="p-1">{result.metrics.finalScore}</td>
+                        <td className="p-1 text-center">
+                          <span className={`px-2 rounded ${riskLevelClass(result.metrics.riskLevel)}`}>{riskLevel(result.metrics.riskLevel)}</span>
+                        </td>
+                        <td className="p-1">{percent(result.metrics.dsr)}</td>
+                        <td className="p-1">{decimal(result.metrics.dscr)}</td>
+                        <td className="p-1">{decimal(result.metrics.rateHikeDscr)}</td>
+                        <td className="p-1">{decimal(result.metrics.vacancyDscr)}</td>
+                      </>
+                    ) : (
+                      <td colSpan={6} className="p-1 text-red-600 text-left">{t('batch.notScored')}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
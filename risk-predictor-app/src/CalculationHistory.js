@@ -0,0 +1,97 @@
+// risk-predictor-app/src/CalculationHistory.js
+
+/**
+ * 計算履歴 (直近の計算をブラウザの localStorage に自動保存する)
+ *
+ * 計算を実行するたびに入力データ・使用したルールプロファイル・スコアを記録し、
+ * 直前の計算との入力の差分とスコアの変化を表示する。履歴から以前の入力に戻すこともできる。
+ *
+ * 履歴のレコード:
+ * { id, calculatedAt, input, profile: { id, name, revision }, finalScore, riskLevel }
+ */
+
+export const HISTORY_STORAGE_KEY = 'riskPredictor.calculationHistory';
+export const MAX_HISTORY_ENTRIES = 50;
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * 保存済みの計算履歴を読み込む (新しい順)
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ * @returns {Array<object>}
+ */
+export function loadHistory(storage = globalThis.localStorage) {
+    try {
+        const saved = storage?.getItem(HISTORY_STORAGE_KEY);
+        const history = saved ? JSON.parse(saved) : [];
+        return Array.isArray(history) ? history : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * 計算履歴を保存する
+ * @param {Array<object>} history - 計算履歴 (新しい順)
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ */
+export function saveHistory(history, storage = globalThis.localStorage) {
+    storage?.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+}
+
+/**
+ * 計算結果を履歴の先頭に追加する
+ * 直前の計算と入力・プロファイルが同じ場合は追加しない。件数は MAX_HISTORY_ENTRIES までとする。
+ * @param {Array<object>} history - 計算履歴 (新しい順)
+ * @param {object} input - 入力データ
+ * @param {object} assessment - assessCase の結果
+ * @param {Date} [now] - 計算日時
+ * @returns {Array<object>} - 更新後の計算履歴
+ */
+export function addHistoryEntry(history, input, assessment, now = new Date()) {
+    const profile = { id: assessment.profile.id, name: assessment.profile.name, revision: assessment.profile.revision };
+    const latest = history[0];
+    if (latest && isSameValue(latest.input, input) && isSameValue(latest.profile, profile)) return history;
+
+    const entry = {
+        id: `history-${now.getTime()}`,
+        calculatedAt: now.toISOString(),
+        input,
+        profile,
+        finalScore: assessment.finalScore,
+        riskLevel: assessment.riskLevel,
+    };
+    return [entry, ...history].slice(0, MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * 2つの入力データの差分を求める
+ * @param {object} before - 変更前の入力データ
+ * @param {object} after - 変更後の入力データ
+ * @returns {Array<{ name: string, before: *, after: * }>} - 値が変わった項目
+ */
+export function diffInputs(before, after) {
+    const names = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return names
+        .filter((name) => !isSameValue(before[name], after[name]))
+        .map((name) => ({ name, before: before[name], after: after[name] }));
+}
+
+/**
+ * 履歴の各レコードに、1つ前の計算からの入力の差分とスコアの変化を付ける
+ * @param {Array<object>} history - 計算履歴 (新しい順)
+ * @returns {Array<object>} - 各レコードに changes・scoreDelta・profileChanged を加えたもの
+ *                            (最も古いレコードは比較対象がないため changes は空、scoreDelta は null)
+ */
+export function describeHistory(history) {
+    return history.map((entry, index) => {
+        const previous = history[index + 1];
+        if (!previous) return { ...entry, changes: [], scoreDelta: null, profileChanged: false };
+        return {
+            ...entry,
+            changes: diffInputs(previous.input, entry.input),
+            scoreDelta: entry.finalScore - previous.finalScore,
+            profileChanged: !isSameValue(previous.profile, entry.profile),
+        };
+    });
+}
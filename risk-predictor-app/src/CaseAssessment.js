@@ -0,0 +1,25 @@
+// risk-predictor-app/src/CaseAssessment.js
+
+import { projectCashFlows } from './CashFlowProjection.js';
+import { calculateAfterTaxCashFlows } from './AfterTaxCashFlow.js';
+import { calculateGuarantorExposure } from './GuarantorExposure.js';
+import { calculateRealEstateRisk, runWorstCaseSimulation } from './RiskCalculator.js';
+import { DEFAULT_SCORING_PROFILE } from './ScoringProfiles.js';
+
+/**
+ * 1案件分の評価 (現状スコア・ワーストケース・長期収支予測・税引後CF・連帯保証人の負担能力) をまとめて計算する
+ * 画面表示・ケース比較で同じ計算結果を使うための入口
+ * @param {object} input - 入力データオブジェクト (RiskCalculator の DEFAULT_INPUT と同じスキーマ)
+ * @param {object} [profile] - ルールプロファイル (既定: 標準)
+ * @returns {object} - calculateRealEstateRisk の結果に worstCase・projection・afterTax・guarantor を加えたもの
+ */
+export function assessCase(input, profile = DEFAULT_SCORING_PROFILE) {
+    const projection = projectCashFlows(input);
+    return {
+        ...calculateRealEstateRisk(input, profile),
+        worstCase: runWorstCaseSimulation(input, { profile }),
+        projection,
+        afterTax: calculateAfterTaxCashFlows(input, projection),
+        guarantor: calculateGuarantorExposure(input),
+    };
+}
@@ -0,0 +1,511 @@
+// risk-predictor-app/src/CaseIO.js
+
+import { assessCase } from './CaseAssessment.js';
+import { STRUCTURES } from './Collateral.js';
+import { DEFAULT_LOCALE, LOCALES, LocalizedError, formatMessage, localizeMessages, translate } from './I18n.js';
+import { DEFAULT_INPUT, normalizeInput } from './RiskCalculator.js';
+import { SEVERITY, validateInput } from './Validation.js';
+
+/**
+ * ケースの CSV / JSON 入出力と一括スコアリング
+ *
+ * - CSV は1行1ケース。列は列対応 (mapping) で正規の入力項目またはケース情報に割り当てる。
+ * - 大規模修繕は「年:金額;年:金額」の形式で1セルに記載する。
+ * - 各行は検証し、エラーのある行はスコアリングの対象外とする (行番号付きでエラーを返す)。
+ *   エラー・警告の message はメッセージ ({ key, params })。CSV に書き出す際に指定の言語の文言にする。
+ * - 選択肢の値は正規の値 ('level-payment' など) のほか、各言語の表示名でも指定できる。
+ */
+
+export const CASE_DETAIL_COLUMNS = ['name', 'property', 'debtor', 'guarantor', 'notes'];
+export const INPUT_COLUMNS = Object.keys(DEFAULT_INPUT);
+
+// 列見出し → 項目名 の既定の対応 (正規の項目名・旧フィールド名はそのまま対応付ける)
+const COLUMN_ALIASES = {
+    案件名: 'name',
+    物件: 'property',
+    主債務者: 'debtor',
+    連帯保証人: 'guarantor',
+    メモ: 'notes',
+    年収: 'annualIncome',
+    主債務者の年収: 'annualIncome',
+    annualIncomeDebtor: 'annualIncome',
+    年間返済額: 'annualRepayment',
+    年間の総返済額: 'annualRepayment',
+    借入総額: 'totalDebt',
+    loanAmount: 'totalDebt',
+    家賃収入: 'annualRentIncome',
+    年間総家賃収入: 'annualRentIncome',
+    annualRentalIncomeGross: 'annualRentIncome',
+    経費率: 'expenseRate',
+    年間経費率: 'expenseRate',
+    annualExpensesRatio: 'expenseRate',
+    空室率: 'vacancyRate',
+    想定空室率: 'vacancyRate',
+    vacancyRateAssumption: 'vacancyRate',
+    金利: 'interestRate',
+    現在の金利: 'interestRate',
+    シミュレーション金利: 'simulatedInterestRate',
+    他の負債の年収比: 'otherDebtRatio',
+    otherDebtsRatio: 'otherDebtRatio',
+    残りの返済期間: 'remainingTermYears',
+    返済方式: 'repaymentMethod',
+    金利タイプ: 'rateType',
+    大規模修繕: 'largeRepairs',
+    所在エリア: 'propertyArea',
+    エリア: 'propertyArea',
+    他の物件: 'additionalProperties',
+    他の保有物件: 'additionalProperties',
+    地域の目安: 'marketBenchmark',
+    購入価格: 'purchasePrice',
+    土地価格: 'landValue',
+    建物の再調達価格: 'buildingReplacementCost',
+    再調達価格: 'buildingReplacementCost',
+    還元利回り: 'capRate',
+    構造: 'structure',
+    建物構造: 'structure',
+    築年数: 'buildingAge',
+    競売減価率: 'foreclosureDiscount',
+    建物の取得価額: 'buildingAcquisitionCost',
+    取得からの経過年数: 'yearsOwned',
+    保有年数: 'yearsOwned',
+    土地の固定資産税評価額: 'landTaxAssessedValue',
+    建物の固定資産税評価額: 'buildingTaxAssessedValue',
+    住宅用地の特例: 'residentialLandSpecial',
+    保証人の年収: 'guarantorAnnualIncome',
+    連帯保証人の年収: 'guarantorAnnualIncome',
+    保証人の資産: 'guarantorAssets',
+    連帯保証人の資産: 'guarantorAssets',
+    保証人の負債: 'guarantorDebts',
+    連帯保証人の負債: 'guarantorDebts',
+    他の保証債務: 'guarantorOtherGuarantees',
+};
+
+// 各言語の表示名 → 選択肢の値 (key はメッセージカタログのキーの接頭辞)
+const localizedAliases = (key, values) => Object.fromEntries(
+    Object.keys(LOCALES).flatMap((locale) => values.flatMap((value) => {
+        const label = translate(locale, `${key}.${value}`);
+        return [[label, value], [label.replace(/ \(.*\)$/, ''), value]];
+    })),
+);
+
+const REPAYMENT_METHOD_ALIASES = {
+    ...localizedAliases('options.repaymentMethod', ['level-payment', 'level-principal']),
+    元利均等: 'level-payment',
+    元金均等: 'level-principal',
+};
+const RATE_TYPE_ALIASES = { ...localizedAliases('options.rateType', ['variable', 'fixed']), 変動: 'variable', 固定: 'fixed' };
+const STRUCTURE_ALIASES = localizedAliases('structures', Object.keys(STRUCTURES));
+const BOOLEAN_VALUES = { true: true, false: false, 1: true, 0: false, yes: true, no: false, 適用: true, 適用しない: false };
+
+/**
+ * CSV テキストを2次元配列に変換する (ダブルクォートによるエスケープに対応)
+ * @param {string} text - CSV テキスト
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * 2次元配列を CSV テキストに変換する
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map((row) => row.map(escape).join(',')).join('\r\n');
+}
+
+/**
+ * CSV の列見出しから列対応の候補を作成する
+ * @param {Array<string>} headers - 列見出し
+ * @returns {object} - { 列見出し: 項目名 (対応なしは '') }
+ */
+export function suggestColumnMapping(headers) {
+    const known = [...CASE_DETAIL_COLUMNS, ...INPUT_COLUMNS];
+    return Object.fromEntries(headers.map((header) => {
+        const key = header.trim().replace(/\s*\(.*\)$/, '');
+        const name = known.includes(key) ? key : COLUMN_ALIASES[key] || '';
+        return [header, name];
+    }));
+}
+
+// 「年:金額;年:金額」形式の大規模修繕を配列に変換する
+const parseLargeRepairs = (text) => text
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+        const [year, amount] = part.split(':').map((value) => Number(value.replace(/,/g, '')));
+        return { year, amount };
+    });
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isObjectArray = (value) => Array.isArray(value) && value.every(isPlainObject);
+
+// JSON で記載された値 (文字列以外) のうち、配列・オブジェクトの項目の形を確認する
+const STRUCTURED_FIELD_CHECKS = {
+    largeRepairs: { isValid: isObjectArray, error: { key: 'caseIO.invalidJsonArray' } },
+    additionalProperties: { isValid: isObjectArray, error: { key: 'caseIO.invalidJsonArray' } },
+    marketBenchmark: { isValid: (value) => value === null || isPlainObject(value), error: { key: 'caseIO.invalidJsonObject' } },
+};
+
+const formatLargeRepairs = (repairs) => (repairs || []).map((repair) => `${repair.year}:${repair.amount}`).join(';');
+
+/**
+ * 1つの値を入力項目の型に変換する
+ * @returns {{ value: *, error: object|null }} - error はメッセージ
+ */
+const parseFieldValue = (name, raw) => {
+    const text = String(raw).trim();
+    if (name === 'largeRepairs') {
+        const repairs = parseLargeRepairs(text);
+        const invalid = repairs.some((repair) => !Number.isFinite(repair.year) || !Number.isFinite(repair.amount));
+        return invalid ? { value: null, error: { key: 'caseIO.invalidLargeRepairs' } } : { value: repairs, error: null };
+    }
+    if (name === 'additionalProperties') {
+        if (text === '') return { value: [], error: null };
+        try {
+            const properties = JSON.parse(text);
+            return isObjectArray(properties) ? { value: properties, error: null } : { value: null, error: { key: 'caseIO.invalidJsonArray' } };
+        } catch {
+            return { value: null, error: { key: 'caseIO.invalidJsonArray' } };
+        }
+    }
+    if (name === 'marketBenchmark') {
+        if (text === '') return { value: null, error: null };
+        try {
+            const benchmark = JSON.parse(text);
+            return isPlainObject(benchmark)
+                ? { value: benchmark, error: null }
+                : { value: null, error: { key: 'caseIO.invalidJsonObject' } };
+        } catch {
+            return { value: null, error: { key: 'caseIO.invalidJsonObject' } };
+        }
+    }
+    if (name === 'propertyArea') return { value: text, error: null };
+    if (name === 'repaymentMethod') {
+        const value = REPAYMENT_METHOD_ALIASES[text] || text;
+        return ['level-payment', 'level-principal'].includes(value) ? { value, error: null } : { value: null, error: { key: 'caseIO.invalidRepaymentMethod' } };
+    }
+    if (name === 'rateType') {
+        const value = RATE_TYPE_ALIASES[text] || text;
+        return ['variable', 'fixed'].includes(value) ? { value, error: null } : { value: null, error: { key: 'caseIO.invalidRateType' } };
+    }
+    if (name === 'structure') {
+        const value = STRUCTURE_ALIASES[text] || text;
+        return STRUCTURES[value] ? { value, error: null } : { value: null, error: { key: 'caseIO.invalidStructure' } };
+    }
+    if (name === 'applyPaymentRules' || name === 'residentialLandSpecial') {
+        const value = BOOLEAN_VALUES[text.toLowerCase()];
+        return value === undefined ? { value: null, error: { key: 'caseIO.invalidBoolean' } } : { value, error: null };
+    }
+    const number = Number(text.replace(/,/g, '').replace(/%$/, ''));
+    if (!Number.isFinite(number)) return { value: null, error: { key: 'caseIO.notNumber' } };
+    return { value: text.endsWith('%') ? number / 100 : number, error: null };
+};
+
+/**
+ * 入力データを検証し、エラーと警告に分ける (Validation.js の規則を使う)
+ * @param {object} input - 正規化済みの入力データ
+ * @returns {{ errors: Array<object>, warnings: Array<object> }}
+ */
+const splitIssues = (input) => {
+    // 一覧で行内のどの項目か分かるよう、メッセージに項目名を付ける
+    const issues = validateInput(input).map((item) => ({ ...item, message: { key: 'caseIO.fieldIssue', params: { field: item.field, issue: item.message } } }));
+    return {
+        errors: issues.filter((item) => item.severity === SEVERITY.ERROR),
+        warnings: issues.filter((item) => item.severity === SEVERITY.WARNING),
+    };
+};
+
+/**
+ * CSV の行をケースに変換し、行ごとに検証する
+ * @param {Array<string>} headers - 列見出し
+ * @param {Array<Array<string>>} dataRows - データ行
+ * @param {object} mapping - 列対応 ({ 列見出し: 項目名 })
+ * @returns {Array<object>} - 各行の { rowNumber, details, input, errors, warnings }
+ */
+export function rowsToCases(headers, dataRows, mapping) {
+    return dataRows.map((row, index) => {
+        const details = {};
+        const values = {};
+        const errors = [];
+
+        headers.forEach((header, column) => {
+            const name = mapping[header];
+            const raw = row[column] ?? '';
+            if (!name) return;
+            if (CASE_DETAIL_COLUMNS.includes(name)) {
+                details[name] = raw.trim();
+                return;
+            }
+            if (raw.trim() === '') return; // 空欄は既定値を使う
+            const { value, error } = parseFieldValue(name, raw);
+            if (error) errors.push({ field: name, message: { key: 'caseIO.fieldIssue', params: { field: header, issue: error } } });
+            else values[name] = value;
+        });
+
+        const input = normalizeInput(values);
+        const checked = errors.length === 0 ? splitIssues(input) : { errors: [], warnings: [] };
+
+        // 見出し行を1行目として数える
+        return { rowNumber: index + 2, details, input, errors: [...errors, ...checked.errors], warnings: checked.warnings };
+    });
+}
+
+/**
+ * JSON のケースの入力データを正規の項目名と型に揃える
+ * 列見出しと同じ別名を正規の項目名に読み替え、文字列の値 (「元利均等」「3%」など) は CSV と同じ規則で変換する
+ * @param {object} source - 入力データ
+ * @param {object} details - ケース情報の書き込み先 (ケース情報の項目を受け付ける場合のみ)
+ * @returns {{ values: object, errors: Array<object> }}
+ */
+const parseJsonInput = (source, details) => {
+    const values = {};
+    const errors = [];
+    const fieldError = (key, name, issue) => errors.push({ field: name, message: { key: 'caseIO.fieldIssue', params: { field: key, issue } } });
+
+    Object.entries(source).forEach(([key, value]) => {
+        const name = COLUMN_ALIASES[key] || key;
+        if (details && CASE_DETAIL_COLUMNS.includes(name)) {
+            if (value !== undefined && value !== null) details[name] = String(value);
+            return;
+        }
+        if (!INPUT_COLUMNS.includes(name)) {
+            fieldError(key, key, { key: 'caseIO.unknownField' });
+            return;
+        }
+        if (typeof value === 'string') {
+            const parsedValue = parseFieldValue(name, value);
+            if (parsedValue.error) fieldError(key, name, parsedValue.error);
+            else values[name] = parsedValue.value;
+            return;
+        }
+        if (typeof DEFAULT_INPUT[name] === 'number' && !Number.isFinite(value)) {
+            fieldError(key, name, { key: 'caseIO.notNumber' });
+            return;
+        }
+        const check = STRUCTURED_FIELD_CHECKS[name];
+        if (check && !check.isValid(value)) {
+            fieldError(key, name, check.error);
+            return;
+        }
+        values[name] = value;
+    });
+    return { values, errors };
+};
+
+/**
+ * JSON テキストをケースに変換する
+ * 入力データの配列、{ name, input } 形式のケースの配列、またはそれらを cases に持つオブジェクトを受け付ける
+ * 入力データの項目名は CSV の列見出しと同じ別名も使える。どの項目にもあたらない名前はエラーとする。
+ * @param {string} text - JSON テキスト
+ * @returns {Array<object>} - 各ケースの { rowNumber, details, input, errors, warnings }
+ * @throws {SyntaxError|LocalizedError} - JSON として読み取れない場合、配列・オブジェクト以外の場合
+ */
+export function parseJsonCases(text) {
+    const parsed = JSON.parse(text);
+    if (!Array.isArray(parsed) && !isPlainObject(parsed)) throw new LocalizedError('caseIO.invalidJsonRoot');
+    const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed.cases) ? parsed.cases : [parsed];
+
+    return list.map((item, index) => {
+        const rowNumber = index + 1;
+        if (!isPlainObject(item)) {
+            return { rowNumber, details: {}, input: normalizeInput(), errors: [{ field: null, message: { key: 'caseIO.invalidJsonObject' } }], warnings: [] };
+        }
+        const isCaseRecord = isPlainObject(item.input);
+        const details = Object.fromEntries(CASE_DETAIL_COLUMNS.filter((key) => isCaseRecord && item[key] !== undefined).map((key) => [key, String(item[key])]));
+        const { values, errors } = parseJsonInput(isCaseRecord ? item.input : item, isCaseRecord ? null : details);
+
+        const input = normalizeInput(values);
+        const checked = errors.length === 0 ? splitIssues(input) : { errors: [], warnings: [] };
+        return { rowNumber, details, input, errors: [...errors, ...checked.errors], warnings: checked.warnings };
+    });
+}
+
+/**
+ * CSV または JSON のテキストをケースに変換する (CSV の列対応は列見出しから自動で決める)
+ * コマンドラインなど、列対応を画面で確認できない場合の入口
+ * @param {string} text - CSV / JSON テキスト
+ * @param {string} [format] - 'csv' / 'json' (省略時は先頭の文字で判定する)
+ * @returns {Array<object>} - 各ケースの { rowNumber, details, input, errors, warnings }
+ */
+export function parseCasesText(text, format) {
+    const isJson = format ? format === 'json' : /^\uFEFF?\s*[[{]/.test(text);
+    if (isJson) return parseJsonCases(text.replace(/^\uFEFF/, ''));
+    const [headers = [], ...dataRows] = parseCsv(text);
+    return rowsToCases(headers, dataRows, suggestColumnMapping(headers));
+}
+
+/**
+ * 評価結果を1行分の指標に展開する (CSV / JSON 出力用)
+ * @param {object} assessment - assessCase の結果
+ * @returns {object}
+ */
+export function flattenAssessment(assessment) {
+    const { rateHike, vacancy } = assessment.worstCase;
+    const { guarantor } = assessment;
+    return {
+        modelVersion: assessment.modelVersion,
+        profileId: assessment.profile.id,
+        profileRevision: assessment.profile.revision,
+        finalScore: assessment.finalScore,
+        riskLevel: assessment.riskLevel,
+        creditScore: assessment.creditScore,
+        propertyScore: assessment.propertyScore,
+        interestRiskScore: assessment.interestRiskScore,
+        triggeredRules: assessment.contributions.filter((item) => item.points < 0).map((item) => item.ruleId).join(';'),
+        dsr: assessment.debtToIncomeRatio,
+        totalDebtToIncomeRatio: assessment.totalDebtToIncomeRatio,
+        noi: assessment.noi,
+        dscr: assessment.currentDcsr,
+        collateralValue: assessment.collateral.collateralValue,
+        ltv: assessment.collateral.ltv,
+        purchaseLtv: assessment.collateral.purchaseLtv,
+        recoveryValue: assessment.collateral.recoveryValue,
+        collateralShortfall: assessment.collateral.shortfall,
+        propertyCount: assessment.portfolio.propertyCount,
+        portfolioDscr: assessment.portfolio.portfolioDcsr,
+        areaConcentration: assessment.portfolio.areaConcentration,
+        crossSubsidyShare: assessment.portfolio.crossSubsidyShare,
+        optimisticMarketFields: assessment.marketComparison ? assessment.marketComparison.optimisticFields.join(';') : '',
+        rateHikeInterestRate: rateHike.interestRate,
+        rateHikeRepayment: rateHike.repayment,
+        rateHikeDscr: rateHike.dcsr,
+        rateHikeRiskLevel: rateHike.riskLevel,
+        vacancyStressRate: vacancy.vacancyRate,
+        vacancyDscr: vacancy.dcsr,
+        vacancyRiskLevel: vacancy.riskLevel,
+        firstDscrBelowOneYear: assessment.projection.firstDscrBelowOneYear,
+        firstNegativeCumulativeYear: assessment.projection.firstNegativeCumulativeYear,
+        deadCrossYear: assessment.afterTax.deadCrossYear,
+        firstNegativeAfterTaxYear: assessment.afterTax.firstNegativeAfterTaxYear,
+        firstYearAfterTaxCashFlow: assessment.afterTax.years[0]?.afterTaxCashFlow ?? null,
+        guarantorMaxExposure: guarantor.maxExposure,
+        guarantorExpectedShortfall: guarantor.expectedShortfall,
+        guarantorNetWorthShare: guarantor.netWorthShare,
+        guarantorIncomeYears: guarantor.incomeYears,
+        guarantorRiskLevel: guarantor.riskLevel,
+    };
+}
+
+/**
+ * 検証済みのケースを一括でスコアリングする (エラーのある行は metrics を持たない)
+ * @param {Array<object>} cases - rowsToCases / parseJsonCases の結果
+ * @param {object} [profile] - ルールプロファイル (既定: 標準)
+ * @returns {Array<object>} - 各ケースの { rowNumber, details, input, errors, warnings, metrics }
+ */
+export function scoreBatch(cases, profile) {
+    return cases.map((item) => ({
+        ...item,
+        metrics: item.errors.length === 0 ? flattenAssessment(assessCase(item.input, profile)) : null,
+    }));
+}
+
+// 出力用に入力データを1行分の値に変換する
+const inputToRow = (input) => INPUT_COLUMNS.map((name) => {
+    if (name === 'largeRepairs') return formatLargeRepairs(input[name]);
+    if (name === 'additionalProperties') return input[name].length > 0 ? JSON.stringify(input[name]) : '';
+    if (name === 'marketBenchmark') return input[name] ? JSON.stringify(input[name]) : '';
+    return input[name];
+});
+
+/**
+ * 一括スコアリングの結果を CSV に変換する (ケース情報・入力・全指標・エラー・警告)
+ * @param {Array<object>} results - scoreBatch の結果
+ * @param {string} [locale] - エラー・警告の言語 ('ja' / 'en')
+ * @returns {string}
+ */
+export function resultsToCsv(results, locale = DEFAULT_LOCALE) {
+    const scored = results.find((result) => result.metrics);
+    const metricColumns = scored ? Object.keys(scored.metrics) : [];
+    const header = ['rowNumber', ...CASE_DETAIL_COLUMNS, ...INPUT_COLUMNS, ...metricColumns, 'errors', 'warnings'];
+    const rows = results.map((result) => [
+        result.rowNumber,
+        ...CASE_DETAIL_COLUMNS.map((key) => result.details[key] || ''),
+        ...inputToRow(result.input),
+        ...metricColumns.map((key) => (result.metrics ? result.metrics[key] : '')),
+        result.errors.map((error) => formatMessage(locale, error.message)).join(' / '),
+        (result.warnings || []).map((warning) => formatMessage(locale, warning.message)).join(' / '),
+    ]);
+    return toCsv([header, ...rows]);
+}
+
+/**
+ * 一括スコアリングの結果を JSON に変換する
+ * @param {Array<object>} results - scoreBatch の結果
+ * @param {string} [locale] - エラー・警告の言語 ('ja' / 'en')
+ * @returns {string}
+ */
+export function resultsToJson(results, locale = DEFAULT_LOCALE) {
+    return JSON.stringify(localizeMessages(locale, results), null, 2);
+}
+
+/**
+ * 保存済みケースを CSV に変換する (取り込みと同じ列構成)
+ * @param {Array<object>} cases - CaseStore のケースの一覧
+ * @returns {string}
+ */
+export function casesToCsv(cases) {
+    const header = [...CASE_DETAIL_COLUMNS, ...INPUT_COLUMNS];
+    const rows = cases.map((caseRecord) => [
+        ...CASE_DETAIL_COLUMNS.map((key) => caseRecord[key] || ''),
+        ...inputToRow(normalizeInput(caseRecord.input)),
+    ]);
+    return toCsv([header, ...rows]);
+}
+
+/**
+ * 保存済みケースを JSON に変換する (取り込みと同じ形式)
+ * @param {Array<object>} cases - CaseStore のケースの一覧
+ * @returns {string}
+ */
+export function casesToJson(cases) {
+    // ID は取り込み先で新たに採番するため出力しない
+    const records = cases.map((caseRecord) => {
+        const record = { ...caseRecord };
+        delete record.id;
+        return record;
+    });
+    return JSON.stringify({ cases: records }, null, 2);
+}
@@ -0,0 +1,219 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  deleteCase,
+  duplicateCase,
+  listCases,
+  saveCase,
+  searchCases,
+} from './CaseStore.js';
+import { assessCase } from './CaseAssessment.js';
+import { casesToCsv, casesToJson } from './CaseIO.js';
+import { downloadText } from './Download.js';
+import { describeProfileForResult, profileName } from './ScoringProfiles.js';
+import { useI18n } from './I18nContext.js';
+import { RISK_LEVELS } from './RiskLevels.js';
+
+// ケース情報の入力項目 (項目名はカタログの caseManager.field)
+const detailFields = ["name", "property", "debtor", "guarantor"];
+
+const riskLevelClass = (level) => (
+  level === RISK_LEVELS.LOW ? 'bg-green-100 text-green-800' :
+  level === RISK_LEVELS.MEDIUM ? 'bg-yellow-100 text-yellow-800' :
+  'bg-red-100 text-red-800'
+);
+
+// 例外を画面に表示するメッセージにする (メッセージのキーを持たない例外は message をそのまま表示する)
+const errorMessage = (e) => (e.key ? e : e.message);
+
+// 複数ケースのスコア・シミュレーション結果の比較表
+// (各ケースは保存時のルールプロファイルで評価し、記録がなければ選択中のプロファイルを使う)
+const CaseComparison = ({ cases, profile }) => {
+  const { t, yen, percent, decimal, riskLevel } = useI18n();
+  const rows = cases.map((caseRecord) => ({ caseRecord, assessment: assessCase(caseRecord.input, caseRecord.profile || profile) }));
+  const yearOrNone = (year) => (year ? t('common.yearNumber', { year }) : t('caseManager.none'));
+  // 比較する項目 (項目名はカタログの caseManager.metric)
+  const metrics = [
+    { name: "profile", render: (a) => t('history.profile', { name: profileName(a.profile), revision: a.profile.revision }) },
+    { name: "finalScore", render: (a) => t('common.points', { points: a.finalScore }) },
+    { name: "riskLevel", render: (a) => <span className={`px-2 rounded ${riskLevelClass(a.riskLevel)}`}>{riskLevel(a.riskLevel)}</span> },
+    { name: "categoryScores", render: (a) => `${a.creditScore} / ${a.propertyScore} / ${a.interestRiskScore}` },
+    { name: "currentDcsr", render: (a) => decimal(a.currentDcsr) },
+    { name: "portfolio", render: (a) => `${a.portfolio.propertyCount} / ${a.portfolio.portfolioDcsr === null ? '-' : decimal(a.portfolio.portfolioDcsr)}` },
+    { name: "rateHikeDcsr", render: (a) => `${decimal(a.worstCase.rateHike.dcsr)} (${riskLevel(a.worstCase.rateHike.riskLevel)})` },
+    { name: "vacancyDcsr", render: (a) => `${decimal(a.worstCase.vacancy.dcsr)} (${riskLevel(a.worstCase.vacancy.riskLevel)})` },
+    { name: "rateHikeRepayment", render: (a) => yen(a.worstCase.rateHike.repayment) },
+    { name: "dscrBelowOneYear", render: (a) => yearOrNone(a.projection.firstDscrBelowOneYear) },
+    { name: "negativeCumulativeYear", render: (a) => yearOrNone(a.projection.firstNegativeCumulativeYear) },
+    { name: "deadCrossYear", render: (a) => yearOrNone(a.afterTax.deadCrossYear) },
+    { name: "firstAfterTaxCashFlow", render: (a) => yen(a.afterTax.years[0].afterTaxCashFlow) },
+    { name: "ltv", render: (a) => (Number.isFinite(a.collateral.ltv) ? percent(a.collateral.ltv) : t('common.notComputable')) },
+    { name: "maxExposure", render: (a) => yen(a.guarantor.maxExposure) },
+    { name: "expectedShortfall", render: (a) => yen(a.guarantor.expectedShortfall) },
+    { name: "guarantorRiskLevel", render: (a) => <span className={`px-2 rounded ${riskLevelClass(a.guarantor.riskLevel)}`}>{riskLevel(a.guarantor.riskLevel)}</span> },
+  ];
+
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <table className="w-full text-sm text-right bg-white rounded-lg">
+        <thead>
+          <tr className="border-b text-gray-500">
+            <th className="text-left p-1">{t('caseManager.item')}</th>
+            {rows.map(({ caseRecord }) => <th key={caseRecord.id} className="p-1">{caseRecord.name || t('caseManager.untitled')}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {metrics.map((metric) => (
+            <tr key={metric.name} className="border-b border-gray-100">
+              <td className="text-left p-1">{t(`caseManager.metric.${metric.name}`)}</td>
+              {rows.map(({ caseRecord, assessment }) => <td key={caseRecord.id} className="p-1">{metric.render(assessment)}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// 保証案件の保存・一覧・検索・複製・削除と比較
+const CaseManagerPanel = ({ input, details, onDetailsChange, onOpenCase, refreshToken, profile }) => {
+  const { t, m, dateTime } = useI18n();
+  const [cases, setCases] = useState([]);
+  const [currentId, setCurrentId] = useState(null);
+  const [query, setQuery] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => (
+    listCases().then(setCases).catch((e) => setError({ key: 'caseManager.loadFailed', params: { error: e.message } }))
+  ), []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshToken]);
+
+  const filteredCases = useMemo(() => searchCases(cases, query), [cases, query]);
+  const selectedCases = cases.filter((caseRecord) => selectedIds.includes(caseRecord.id));
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await refresh();
+    } catch (e) {
+      setError(errorMessage(e));
+    }
+  };
+
+  const handleSave = (asNew) => runAction(async () => {
+    const saved = await saveCase({ ...details, id: asNew ? undefined : currentId, input, profile: describeProfileForResult(profile) });
+    setCurrentId(saved.id);
+  });
+
+  const handleOpen = (caseRecord) => {
+    setCurrentId(caseRecord.id);
+    onOpenCase(caseRecord);
+  };
+
+  const handleDelete = (caseRecord) => {
+    if (!window.confirm(t('caseManager.confirmDelete', { name: caseRecord.name || t('caseManager.untitled') }))) return;
+    runAction(async () => {
+      await deleteCase(caseRecord.id);
+      setSelectedIds((prev) => prev.filter((id) => id !== caseRecord.id));
+      if (currentId === caseRecord.id) setCurrentId(null);
+    });
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((selected) => selected !== id) : [...prev, id]));
+  };
+
+  return (
+    <div className="mb-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('caseManager.title')}</h2>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+        {detailFields.map((name) => (
+          <label key={name} className="block text-gray-700">
+            {t(`caseManager.field.${name}`)}
+            <input
+              type="text"
+              value={details[name]}
+              onChange={(e) => onDetailsChange({ ...details, [name]: e.target.value })}
+              className="shadow border rounded w-full py-1 px-2 mt-1"
+            />
+          </label>
+        ))}
+        <label className="block text-gray-700 sm:col-span-2">
+          {t('caseManager.field.notes')}
+          <textarea
+            value={details.notes}
+            onChange={(e) => onDetailsChange({ ...details, notes: e.target.value })}
+            className="shadow border rounded w-full py-1 px-2 mt-1"
+            rows={2}
+          />
+        </label>
+      </div>
+      <div className="flex gap-2 mt-3 text-sm">
+        <button type="button" onClick={() => handleSave(false)} className="bg-blue-500 text-white rounded px-3 py-1">
+          {currentId ? t('caseManager.overwrite') : t('caseManager.save')}
+        </button>
+        {currentId && (
+          <button type="button" onClick={() => handleSave(true)} className="border border-blue-500 text-blue-600 rounded px-3 py-1">
+            {t('caseManager.saveAsNew')}
+          </button>
+        )}
+        <button type="button" onClick={() => downloadText('cases.json', casesToJson(cases), 'application/json')} className="ml-auto text-blue-600">
+          {t('caseManager.exportJson')}
+        </button>
+        <button type="button" onClick={() => downloadText('cases.csv', casesToCsv(cases), 'text/csv')} className="text-blue-600">
+          {t('caseManager.exportCsv')}
+        </button>
+      </div>
+      {error && <p className="mt-2 p-2 rounded bg-red-100 text-red-800 text-sm">{m(error)}</p>}
+
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={t('caseManager.searchPlaceholder')}
+        className="mt-4 shadow border rounded w-full py-1 px-2 text-sm"
+      />
+      <ul className="mt-2 divide-y bg-white rounded-lg text-sm">
+        {filteredCases.length === 0 && <li className="p-2 text-gray-500">{t('caseManager.empty')}</li>}
+        {filteredCases.map((caseRecord) => (
+          <li key={caseRecord.id} className={`p-2 flex items-center gap-2 ${caseRecord.id === currentId ? 'bg-blue-50' : ''}`}>
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(caseRecord.id)}
+              onChange={() => toggleSelected(caseRecord.id)}
+              title={t('caseManager.compare')}
+            />
+            <div className="flex-1 text-left">
+              <div className="font-semibold">{caseRecord.name || t('caseManager.untitled')}</div>
+              <div className="text-xs text-gray-500">
+                {[caseRecord.property, caseRecord.debtor, caseRecord.guarantor].filter(Boolean).join(' / ')} ・ {t('caseManager.updatedAt', { time: dateTime(caseRecord.updatedAt) })}
+              </div>
+            </div>
+            <button type="button" onClick={() => handleOpen(caseRecord)} className="text-blue-600">{t('caseManager.open')}</button>
+            <button
+              type="button"
+              onClick={() => runAction(() => duplicateCase(caseRecord.id, (name) => t('caseManager.copyName', { name })))}
+              className="text-gray-600"
+            >
+              {t('caseManager.duplicate')}
+            </button>
+            <button type="button" onClick={() => handleDelete(caseRecord)} className="text-red-600">{t('common.delete')}</button>
+          </li>
+        ))}
+      </ul>
+
+      {selectedCases.length >= 2 ? (
+        <CaseComparison cases={selectedCases} profile={profile} />
+      ) : (
+        <p className="mt-2 text-xs text-gray-500">{t('caseManager.compareHint')}</p>
+      )}
+    </div>
+  );
+};
+
+export default CaseManagerPanel;
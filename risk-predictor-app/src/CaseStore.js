@@ -0,0 +1,145 @@
+// risk-predictor-app/src/CaseStore.js
+
+import { LocalizedError } from './I18n.js';
+
+/**
+ * 保証案件 (ケース) をブラウザの IndexedDB に保存するストア
+ *
+ * ケースのレコード:
+ * { id, name, property, debtor, guarantor, notes, input, profile, createdAt, updatedAt }
+ * - input は RiskCalculator の DEFAULT_INPUT と同じスキーマの入力データ。
+ *   スコアは保存せず、開いた時点のモデルで再計算する。
+ * - profile は保存時のルールプロファイル (ScoringProfiles.js の describeProfileForResult)。
+ *   開いた際はこのルールで再計算し、保存時と同じ判定を再現する。
+ */
+
+const DB_NAME = 'risk-predictor';
+const DB_VERSION = 1;
+const STORE_NAME = 'cases';
+
+export const EMPTY_CASE_DETAILS = {
+    name: '',
+    property: '', // 物件 (所在地・名称など)
+    debtor: '', // 主債務者
+    guarantor: '', // 連帯保証人
+    notes: '',
+};
+
+// IDBRequest を Promise に変換する
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+let databasePromise = null;
+
+/**
+ * データベースを開く (初回のみストアを作成する)
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openCaseDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                databasePromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return databasePromise;
+}
+
+const withStore = async (mode, action) => {
+    const db = await openCaseDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const completed = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    // 要求が失敗するとトランザクションも中断するため、両方を同時に待って completed の拒否を未処理にしない
+    const [result] = await Promise.all([promisify(action(transaction.objectStore(STORE_NAME))), completed]);
+    return result;
+};
+
+const createId = () => (globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : `case-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * 保存済みのケースを更新日時の新しい順で取得する
+ * @returns {Promise<Array<object>>}
+ */
+export async function listCases() {
+    const cases = await withStore('readonly', (store) => store.getAll());
+    return cases.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * ケースを取得する
+ * @param {string} id - ケースID
+ * @returns {Promise<object|undefined>}
+ */
+export function getCase(id) {
+    return withStore('readonly', (store) => store.get(id));
+}
+
+/**
+ * ケースを保存する (id がなければ新規作成)
+ * @param {object} caseRecord - ケースのレコード
+ * @returns {Promise<object>} - 保存したレコード
+ */
+export async function saveCase(caseRecord) {
+    const now = new Date().toISOString();
+    const record = {
+        ...EMPTY_CASE_DETAILS,
+        ...caseRecord,
+        id: caseRecord.id || createId(),
+        createdAt: caseRecord.createdAt || now,
+        updatedAt: now,
+    };
+    await withStore('readwrite', (store) => store.put(record));
+    return record;
+}
+
+/**
+ * ケースを削除する
+ * @param {string} id - ケースID
+ */
+export async function deleteCase(id) {
+    await withStore('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * ケースを複製する (名前を付け替えて新規保存)
+ * @param {string} id - 複製元のケースID
+ * @param {Function} [copyName] - 元の名前から複製後の名前を作る関数 (既定: 「(コピー)」を付ける)
+ * @returns {Promise<object>} - 複製したレコード
+ */
+export async function duplicateCase(id, copyName = (name) => `${name} (コピー)`) {
+    const original = await getCase(id);
+    if (!original) throw new LocalizedError('caseManager.notFound', { id });
+    return saveCase({ ...original, id: undefined, createdAt: undefined, name: copyName(original.name) });
+}
+
+/**
+ * ケース一覧をキーワードで絞り込む (名前・物件・主債務者・連帯保証人・メモが対象)
+ * @param {Array<object>} cases - ケースの一覧
+ * @param {string} query - 検索キーワード (空白区切りで AND 検索)
+ * @returns {Array<object>}
+ */
+export function searchCases(cases, query) {
+    const keywords = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (keywords.length === 0) return cases;
+    return cases.filter((caseRecord) => {
+        const text = ['name', 'property', 'debtor', 'guarantor', 'notes']
+            .map((key) => caseRecord[key] || '')
+            .join(' ')
+            .toLowerCase();
+        return keywords.every((keyword) => text.includes(keyword));
+    });
+}
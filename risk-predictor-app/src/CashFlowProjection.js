@@ -0,0 +1,99 @@
+// risk-predictor-app/src/CashFlowProjection.js
+
+import { evaluateCollateral } from './Collateral.js';
+import { buildAmortizationSchedule, loanFromInput, summarizeScheduleByYear } from './LoanAmortization.js';
+import { calculateDcsr, calculateNoi, normalizeInput } from './RiskCalculator.js';
+
+export const MIN_PROJECTION_YEARS = 10;
+export const MAX_PROJECTION_YEARS = 35;
+const MAX_VACANCY_RATE = 0.95;
+
+/**
+ * 年間返済額の推移を返済予定表から求める
+ *
+ * 1年目は入力の年間総返済額と一致させ、2年目以降は返済予定表の年額の比率で増減させる
+ * (完済後はゼロ、最終回の一括返済も反映される)。
+ * 借入残高がない場合は、入力の年間総返済額が残りの返済期間中続くものとする。
+ * @param {object} input - 正規化済みの入力データ
+ * @param {Array<object>} yearly - summarizeScheduleByYear の結果
+ * @param {number} year - 対象年 (1始まり)
+ * @returns {number} - 対象年の年間返済額
+ */
+export function projectDebtService(input, yearly, year) {
+    const loanYear = yearly[year - 1];
+    const firstYearPayment = yearly.length > 0 ? yearly[0].payment : 0;
+    if (firstYearPayment <= 0) {
+        return year <= input.remainingTermYears ? input.annualRepayment : 0;
+    }
+    return loanYear ? input.annualRepayment * (loanYear.debtService / firstYearPayment) : 0;
+}
+
+/**
+ * 複数年のキャッシュフローを予測する関数
+ * @param {object} data - 入力データオブジェクト (RiskCalculator の DEFAULT_INPUT と同じスキーマ)
+ *   以下の前提を使用する:
+ *   projectionYears (予測年数), rentDeclineRate (家賃下落率/年), expenseRateIncrease (経費率の上昇/年),
+ *   vacancyDrift (空室率の上昇/年), largeRepairs ([{ year, amount }] 大規模修繕)
+ *   各年末の担保評価額・競売回収見込み額・回収不足額も計算する (Collateral.js)
+ * @returns {object} - { years: 各年の収支, firstDscrBelowOneYear, firstNegativeCumulativeYear, maxShortfall, maxShortfallYear }
+ */
+export function projectCashFlows(data) {
+    const input = normalizeInput(data);
+    const projectionYears = Math.min(MAX_PROJECTION_YEARS, Math.max(MIN_PROJECTION_YEARS, Math.round(input.projectionYears)));
+    const yearly = summarizeScheduleByYear(buildAmortizationSchedule(loanFromInput(input)));
+    const largeRepairs = Array.isArray(input.largeRepairs) ? input.largeRepairs : [];
+
+    const years = [];
+    let cumulativeCash = 0;
+    let firstDscrBelowOneYear = null;
+    let firstNegativeCumulativeYear = null;
+    let maxShortfall = 0;
+    let maxShortfallYear = null;
+
+    for (let year = 1; year <= projectionYears; year++) {
+        const elapsed = year - 1;
+        const rentIncome = input.annualRentIncome * Math.pow(1 - input.rentDeclineRate, elapsed);
+        const vacancyRate = Math.min(MAX_VACANCY_RATE, Math.max(0, input.vacancyRate + input.vacancyDrift * elapsed));
+        const expenseRate = Math.min(1, Math.max(0, input.expenseRate + input.expenseRateIncrease * elapsed));
+        const noi = calculateNoi({ annualRentIncome: rentIncome, vacancyRate, expenseRate });
+
+        const largeRepair = largeRepairs
+            .filter((repair) => Number(repair.year) === year)
+            .reduce((sum, repair) => sum + (Number(repair.amount) || 0), 0);
+        const debtService = projectDebtService(input, yearly, year);
+        const loanYear = yearly[year - 1];
+
+        const cashFlow = noi - largeRepair - debtService; // 返済後キャッシュフロー
+        cumulativeCash += cashFlow;
+        const dscr = calculateDcsr(noi, debtService);
+
+        if (firstDscrBelowOneYear === null && dscr < 1.0) firstDscrBelowOneYear = year;
+        if (firstNegativeCumulativeYear === null && cumulativeCash < 0) firstNegativeCumulativeYear = year;
+
+        const loanBalance = loanYear ? loanYear.endingBalance : 0;
+        const collateral = evaluateCollateral(input, { noi, loanBalance, yearsElapsed: year });
+        if (collateral.shortfall > maxShortfall) {
+            maxShortfall = collateral.shortfall;
+            maxShortfallYear = year;
+        }
+
+        years.push({
+            year,
+            rentIncome,
+            vacancyRate,
+            expenseRate,
+            noi,
+            largeRepair,
+            debtService,
+            cashFlow,
+            cumulativeCash,
+            dscr,
+            loanBalance,
+            collateralValue: collateral.collateralValue,
+            recoveryValue: collateral.recoveryValue,
+            shortfall: collateral.shortfall,
+        });
+    }
+
+    return { years, firstDscrBelowOneYear, firstNegativeCumulativeYear, maxShortfall, maxShortfallYear };
+}
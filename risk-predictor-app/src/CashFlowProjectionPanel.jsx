@@ -0,0 +1,134 @@
+import React from 'react';
+import { Bar, CartesianGrid, ComposedChart, Legend, Line, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { useI18n } from './I18nContext.js';
+
+// 大規模修繕の入力コンポーネント (実施年・金額の一覧)
+export const LargeRepairEditor = ({ repairs, onChange }) => {
+  const { t } = useI18n();
+  const updateRepair = (index, key, value) => {
+    const parsed = parseFloat(value);
+    onChange(repairs.map((repair, i) => (i === index ? { ...repair, [key]: isNaN(parsed) ? 0 : parsed } : repair)));
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 text-sm font-medium mb-1">{t('projection.largeRepairs')}</label>
+      {repairs.map((repair, index) => (
+        <div key={index} className="flex gap-2 mb-2">
+          <input
+            type="number"
+            value={repair.year}
+            min={1}
+            onChange={(e) => updateRepair(index, 'year', e.target.value)}
+            className="shadow border rounded w-20 py-1 px-2 text-gray-700"
+          />
+          <input
+            type="number"
+            value={repair.amount}
+            min={0}
+            step={100000}
+            onChange={(e) => updateRepair(index, 'amount', e.target.value)}
+            className="shadow border rounded flex-1 py-1 px-2 text-gray-700"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(repairs.filter((_, i) => i !== index))}
+            className="text-red-600 text-sm px-2"
+          >
+            {t('common.delete')}
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...repairs, { year: 10, amount: 1000000 }])}
+        className="text-blue-600 text-sm"
+      >
+        {t('projection.addRepair')}
+      </button>
+    </div>
+  );
+};
+
+// 長期収支予測 (NOI・返済額・返済後キャッシュフロー・DSCRの推移) の表示コンポーネント
+const CashFlowProjectionPanel = ({ projection }) => {
+  const { t, yen, compactYen, number, decimal } = useI18n();
+  const formatAmount = (value) => number(Math.round(value));
+  const { years, firstDscrBelowOneYear, firstNegativeCumulativeYear, maxShortfall, maxShortfallYear } = projection;
+  const isFlagged = (year) => year.year === firstDscrBelowOneYear || year.year === firstNegativeCumulativeYear;
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('projection.title', { years: years.length })}</h2>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4 text-sm">
+        <p className={`p-2 rounded text-center font-semibold ${firstDscrBelowOneYear ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+          {firstDscrBelowOneYear ? t('projection.dscrBelowOne', { year: firstDscrBelowOneYear }) : t('projection.dscrAboveOne')}
+        </p>
+        <p className={`p-2 rounded text-center font-semibold ${firstNegativeCumulativeYear ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+          {firstNegativeCumulativeYear ? t('projection.cumulativeNegative', { year: firstNegativeCumulativeYear }) : t('projection.cumulativePositive')}
+        </p>
+        <p className={`sm:col-span-2 p-2 rounded text-center font-semibold ${maxShortfall > 0 ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+          {maxShortfall > 0
+            ? t('projection.maxShortfall', { year: maxShortfallYear, shortfall: { yen: maxShortfall } })
+            : t('projection.noShortfall')}
+        </p>
+      </div>
+
+      <div className="w-full h-[320px] bg-white rounded-lg p-2">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={years}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" unit={t('projection.yearUnit')} />
+            <YAxis yAxisId="yen" tickFormatter={compactYen} />
+            <YAxis yAxisId="dscr" orientation="right" domain={[0, 'auto']} />
+            <Tooltip formatter={(value, name) => (name === 'DSCR' ? decimal(value) : yen(value))} />
+            <Legend />
+            <Bar yAxisId="yen" dataKey="noi" name="NOI" fill="#60a5fa" />
+            <Bar yAxisId="yen" dataKey="debtService" name={t('projection.column.debtService')} fill="#f97316" />
+            <Line yAxisId="yen" dataKey="cumulativeCash" name={t('projection.cumulativeCash')} stroke="#22c55e" dot={false} />
+            <Line yAxisId="dscr" dataKey="dscr" name="DSCR" stroke="#ef4444" dot={false} />
+            <ReferenceLine yAxisId="dscr" y={1} stroke="#ef4444" strokeDasharray="4 4" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs text-right bg-white rounded-lg">
+          <thead>
+            <tr className="border-b text-gray-500">
+              <th className="text-left p-1">{t('projection.column.year')}</th>
+              <th className="p-1">NOI</th>
+              <th className="p-1">{t('projection.column.largeRepair')}</th>
+              <th className="p-1">{t('projection.column.debtService')}</th>
+              <th className="p-1">{t('projection.column.cashFlow')}</th>
+              <th className="p-1">{t('projection.column.cumulativeCash')}</th>
+              <th className="p-1">DSCR</th>
+              <th className="p-1">{t('projection.column.loanBalance')}</th>
+              <th className="p-1">{t('projection.column.recoveryValue')}</th>
+              <th className="p-1">{t('projection.column.shortfall')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {years.map((year) => (
+              <tr key={year.year} className={`border-b border-gray-100 ${isFlagged(year) ? 'bg-red-50 font-bold text-red-700' : ''}`}>
+                <td className="text-left p-1">{year.year}</td>
+                <td className="p-1">{formatAmount(year.noi)}</td>
+                <td className="p-1">{formatAmount(year.largeRepair)}</td>
+                <td className="p-1">{formatAmount(year.debtService)}</td>
+                <td className="p-1">{formatAmount(year.cashFlow)}</td>
+                <td className="p-1">{formatAmount(year.cumulativeCash)}</td>
+                <td className={`p-1 ${year.dscr < 1 ? 'text-red-600' : ''}`}>{decimal(year.dscr)}</td>
+                <td className="p-1">{formatAmount(year.loanBalance)}</td>
+                <td className="p-1">{formatAmount(year.recoveryValue)}</td>
+                <td className={`p-1 ${year.shortfall > 0 ? 'text-red-600' : ''}`}>{formatAmount(year.shortfall)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CashFlowProjectionPanel;
@@ -0,0 +1,77 @@
+// risk-predictor-app/src/Collateral.js
+
+/**
+ * 担保物件の評価 (担保評価額・LTV・競売時の回収見込み)
+ *
+ * - 積算価格 = 土地価格 + 建物の再調達価格 × 残存耐用年数 / 法定耐用年数
+ * - 収益還元価格 = NOI / 還元利回り (直接還元法)
+ * - 担保評価額は積算価格と収益還元価格の低い方を採用する (保守的な評価)
+ * - 競売回収見込み額 = 担保評価額 × (1 - 競売減価率)
+ * - 回収不足額 = 借入残高 - 競売回収見込み額 (連帯保証人が負担することになる残債)
+ */
+
+// 建物構造と法定耐用年数 (住宅用。構造の表示名はメッセージカタログ structures)
+export const STRUCTURES = {
+    wood: { usefulLife: 22 },
+    'light-steel': { usefulLife: 27 },
+    steel: { usefulLife: 34 },
+    rc: { usefulLife: 47 },
+};
+
+// 構造の法定耐用年数 (不明な構造は木造として扱う)
+export function getUsefulLife(structure) {
+    return (STRUCTURES[structure] || STRUCTURES.wood).usefulLife;
+}
+
+/**
+ * 積算価格を計算する
+ * @param {object} input - 正規化済みの入力データ
+ * @param {number} [yearsElapsed=0] - 現時点からの経過年数
+ * @returns {number}
+ */
+export function calculateCostApproachValue(input, yearsElapsed = 0) {
+    const usefulLife = getUsefulLife(input.structure);
+    const remainingLife = Math.max(0, usefulLife - (input.buildingAge + yearsElapsed));
+    return input.landValue + input.buildingReplacementCost * (remainingLife / usefulLife);
+}
+
+/**
+ * 収益還元価格を計算する (還元利回りがゼロ以下の場合は評価しない)
+ * @param {number} noi - 年間純収益
+ * @param {number} capRate - 還元利回り (0.0 - 1.0)
+ * @returns {number|null}
+ */
+export function calculateIncomeApproachValue(noi, capRate) {
+    return capRate > 0 ? Math.max(0, noi / capRate) : null;
+}
+
+/**
+ * 担保評価額・競売回収見込み額・回収不足額を計算する
+ * @param {object} input - 正規化済みの入力データ
+ * @param {object} params
+ * @param {number} params.noi - 対象時点の年間純収益
+ * @param {number} params.loanBalance - 対象時点の借入残高
+ * @param {number} [params.yearsElapsed=0] - 現時点からの経過年数
+ * @returns {object} - { costValue, incomeValue, collateralValue, recoveryValue, shortfall, ltv }
+ *                     ltv は担保評価額がゼロの場合 Infinity
+ */
+export function evaluateCollateral(input, { noi, loanBalance, yearsElapsed = 0 }) {
+    const costValue = calculateCostApproachValue(input, yearsElapsed);
+    const incomeValue = calculateIncomeApproachValue(noi, input.capRate);
+    const collateralValue = incomeValue === null ? costValue : Math.min(costValue, incomeValue);
+    const recoveryValue = collateralValue * (1 - input.foreclosureDiscount);
+
+    return {
+        costValue,
+        incomeValue,
+        collateralValue,
+        recoveryValue,
+        shortfall: Math.max(0, loanBalance - recoveryValue),
+        ltv: collateralValue > 0 ? loanBalance / collateralValue : Infinity,
+    };
+}
+
+// 購入価格に対する借入比率 (購入価格が未入力の場合は null)
+export function calculatePurchaseLtv({ totalDebt, purchasePrice }) {
+    return purchasePrice > 0 ? totalDebt / purchasePrice : null;
+}
@@ -0,0 +1,18 @@
+// risk-predictor-app/src/Download.js
+
+/**
+ * テキストをファイルとしてダウンロードさせる
+ * CSV は Excel で文字化けしないよう BOM を付ける
+ * @param {string} filename - 保存ファイル名
+ * @param {string} text - ファイルの内容
+ * @param {string} mimeType - MIME タイプ
+ */
+export function downloadText(filename, text, mimeType) {
+    const content = mimeType === 'text/csv' ? ['\uFEFF', text] : [text];
+    const url = URL.createObjectURL(new Blob(content, { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,116 @@
+// risk-predictor-app/src/GuarantorExposure.js
+
+import { projectCashFlows } from './CashFlowProjection.js';
+import { evaluateCollateral } from './Collateral.js';
+import { calculateNoi, normalizeInput, simulateRateChangeRepayment } from './RiskCalculator.js';
+import { RISK_LEVELS } from './RiskLevels.js';
+
+/**
+ * 連帯保証人側の負担能力の評価
+ *
+ * 連帯保証人は催告・検索の抗弁権を持たないため、主債務者が返済できなくなった時点の
+ * 残債 (未払利息を含む) 全額を請求され得る。実際には担保物件の競売による回収後の
+ * 不足額を負担することになるため、主債務者・物件のスコアとは別に、
+ * 保証人自身の資産・収入でその不足額に耐えられるかを判定する。
+ *
+ * - 保証債務の最大額: 現在の借入総額と、金利上昇シナリオで残債 + 未払利息が最大となる額の大きい方
+ * - 担保処分後の負担見込額: 現時点と長期収支予測の各年末のうち、競売回収後の不足額が最大となる額
+ * - 純資産に占める割合: (負担見込額 + 他の保証債務) / (資産 - 負債)
+ * - 年収の何年分か: (負担見込額 + 他の保証債務) / 保証人の年収
+ */
+
+// 判定の閾値
+export const GUARANTOR_THRESHOLDS = {
+    highNetWorthShare: 1.0, // 保証債務が純資産を上回る
+    mediumNetWorthShare: 0.5,
+    highIncomeYears: 10,
+    mediumIncomeYears: 5,
+};
+
+// 判定の説明 (メッセージカタログ guarantor のキー)
+const RISK_DETAILS = {
+    insolvent: { key: 'guarantor.insolvent' },
+    exceedsNetWorth: { key: 'guarantor.exceedsNetWorth' },
+    incomeYears: { key: 'guarantor.exceedsIncomeYears', params: { years: GUARANTOR_THRESHOLDS.highIncomeYears } },
+    medium: { key: 'guarantor.medium', params: { years: GUARANTOR_THRESHOLDS.mediumIncomeYears } },
+    low: { key: 'guarantor.low' },
+};
+
+/**
+ * 保証債務の最大額と発生し得る時期を求める
+ * @param {object} input - 正規化済みの入力データ
+ * @returns {{ amount: number, year: number }} - year は 0 が現時点
+ */
+function findMaxExposure(input) {
+    const { yearly } = simulateRateChangeRepayment(input, input.simulatedInterestRate);
+    return yearly.reduce(
+        (max, year) => {
+            const amount = year.endingBalance + year.unpaidInterest;
+            return amount > max.amount ? { amount, year: year.year } : max;
+        },
+        { amount: input.totalDebt, year: 0 },
+    );
+}
+
+/**
+ * 担保物件の競売による回収後に残る不足額の最大値を求める
+ * @param {object} input - 正規化済みの入力データ
+ * @returns {{ amount: number, year: number }} - year は 0 が現時点
+ */
+function findMaxShortfall(input) {
+    const current = evaluateCollateral(input, { noi: calculateNoi(input), loanBalance: input.totalDebt });
+    const { maxShortfall, maxShortfallYear } = projectCashFlows(input);
+    return maxShortfall > current.shortfall
+        ? { amount: maxShortfall, year: maxShortfallYear }
+        : { amount: current.shortfall, year: 0 };
+}
+
+/**
+ * 連帯保証人の負担能力を評価する
+ * @param {object} data - 入力データオブジェクト
+ * @returns {object} - { maxExposure, maxExposureYear, expectedShortfall, expectedShortfallYear, otherGuarantees,
+ *                       totalExposure, netWorth, netWorthShare, incomeYears, riskLevel, riskDetail }
+ *                     netWorthShare は純資産がゼロ以下、incomeYears は年収がゼロの場合 null
+ */
+export function calculateGuarantorExposure(data) {
+    const input = normalizeInput(data);
+    const { guarantorAnnualIncome, guarantorAssets, guarantorDebts, guarantorOtherGuarantees } = input;
+
+    const maxExposure = findMaxExposure(input);
+    const shortfall = findMaxShortfall(input);
+    const totalExposure = shortfall.amount + guarantorOtherGuarantees;
+    const netWorth = guarantorAssets - guarantorDebts;
+    const netWorthShare = netWorth > 0 ? totalExposure / netWorth : null;
+    const incomeYears = guarantorAnnualIncome > 0 ? totalExposure / guarantorAnnualIncome : null;
+
+    let riskLevel = RISK_LEVELS.LOW;
+    let riskDetail = RISK_DETAILS.low;
+    if (netWorthShare === null) {
+        riskLevel = RISK_LEVELS.HIGH;
+        riskDetail = RISK_DETAILS.insolvent;
+    } else if (netWorthShare > GUARANTOR_THRESHOLDS.highNetWorthShare) {
+        riskLevel = RISK_LEVELS.HIGH;
+        riskDetail = RISK_DETAILS.exceedsNetWorth;
+    } else if (incomeYears !== null && incomeYears > GUARANTOR_THRESHOLDS.highIncomeYears) {
+        riskLevel = RISK_LEVELS.HIGH;
+        riskDetail = RISK_DETAILS.incomeYears;
+    } else if (netWorthShare > GUARANTOR_THRESHOLDS.mediumNetWorthShare
+        || (incomeYears !== null && incomeYears > GUARANTOR_THRESHOLDS.mediumIncomeYears)) {
+        riskLevel = RISK_LEVELS.MEDIUM;
+        riskDetail = RISK_DETAILS.medium;
+    }
+
+    return {
+        maxExposure: maxExposure.amount,
+        maxExposureYear: maxExposure.year,
+        expectedShortfall: shortfall.amount,
+        expectedShortfallYear: shortfall.year,
+        otherGuarantees: guarantorOtherGuarantees,
+        totalExposure,
+        netWorth,
+        netWorthShare,
+        incomeYears,
+        riskLevel,
+        riskDetail,
+    };
+}
@@ -0,0 +1,95 @@
+import React, { useMemo } from 'react';
+import { describeHistory } from './CalculationHistory.js';
+import { NUMBER_FORMATS, formatNumericValue } from './NumberFormat.js';
+import { hasMessage } from './I18n.js';
+import { marketAssumptionName } from './MarketAssumptions.js';
+import { useI18n } from './I18nContext.js';
+import { profileName } from './ScoringProfiles.js';
+
+// 入力項目の表示名 (入力フォームの項目はカタログの fields、それ以外は history.field)
+const labelOf = (name, { t }) => {
+  if (hasMessage(`fields.${name}`)) return t(`fields.${name}`);
+  return hasMessage(`history.field.${name}`) ? t(`history.field.${name}`) : name;
+};
+
+const formatHistoryValue = (name, field, value, { t, m, intl }) => {
+  if (name === 'marketBenchmark') return value ? m(marketAssumptionName(value)) : t('history.empty');
+  if (Array.isArray(value)) return t('history.count', { count: value.length });
+  if (typeof value === 'boolean') return value ? t('history.applied') : t('history.notApplied');
+  if (typeof value !== 'number') {
+    if (value === '') return t('history.empty');
+    return hasMessage(`options.${name}.${value}`) ? t(`options.${name}.${value}`) : String(value);
+  }
+  const format = field?.format || NUMBER_FORMATS.NUMBER;
+  return `${formatNumericValue(value, format, intl)}${format === NUMBER_FORMATS.PERCENT ? '%' : ''}`;
+};
+
+// 計算履歴 (直前の計算からの入力の差分・スコアの変化と、以前の入力への復元)
+const HistoryPanel = ({ history, fields, onRestore, onClear }) => {
+  const i18n = useI18n();
+  const { t, riskLevel, dateTime } = i18n;
+  const entries = useMemo(() => describeHistory(history), [history]);
+  const fieldByName = Object.fromEntries(fields.map((field) => [field.name, field]));
+
+  return (
+    <details className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner text-left">
+      <summary className="cursor-pointer text-xl font-bold text-gray-700 border-l-4 border-blue-500 pl-3">
+        {t('history.title', { count: history.length })}
+      </summary>
+
+      <div className="flex gap-2 mt-4 text-sm">
+        <button
+          type="button"
+          onClick={() => onRestore(history[1])}
+          disabled={history.length < 2}
+          className="border border-blue-500 text-blue-600 rounded px-3 py-1 disabled:opacity-50"
+        >
+          {t('history.restorePrevious')}
+        </button>
+        <button
+          type="button"
+          onClick={() => window.confirm(t('history.confirmClear')) && onClear()}
+          disabled={history.length === 0}
+          className="ml-auto text-red-600 px-2 disabled:opacity-50"
+        >
+          {t('history.clear')}
+        </button>
+      </div>
+
+      {entries.length === 0 && <p className="mt-3 text-sm text-gray-500">{t('history.none')}</p>}
+      <ol className="mt-3 space-y-2 text-sm">
+        {entries.map((entry, index) => (
+          <li key={entry.id} className="p-2 bg-white rounded-lg">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-gray-500 text-xs">{dateTime(entry.calculatedAt)}</span>
+              <span className="font-bold">{t('common.points', { points: entry.finalScore })} ({riskLevel(entry.riskLevel)})</span>
+              {entry.scoreDelta !== null && (
+                <span className={`text-xs font-semibold ${entry.scoreDelta > 0 ? 'text-green-600' : entry.scoreDelta < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                  {entry.scoreDelta > 0 ? '+' : ''}{t('common.points', { points: entry.scoreDelta })}
+                </span>
+              )}
+              <span className="text-xs text-gray-400">{t('history.profile', { name: profileName(entry.profile), revision: entry.profile.revision })}</span>
+              {index > 0 && (
+                <button type="button" onClick={() => onRestore(entry)} className="ml-auto text-blue-600 text-xs">
+                  {t('history.restore')}
+                </button>
+              )}
+            </div>
+            {(entry.changes.length > 0 || entry.profileChanged) && (
+              <ul className="mt-1 text-xs text-gray-600">
+                {entry.profileChanged && <li>{t('history.profileChanged')}</li>}
+                {entry.changes.map((change) => (
+                  <li key={change.name}>
+                    {labelOf(change.name, i18n)}: {formatHistoryValue(change.name, fieldByName[change.name], change.before, i18n)} → {formatHistoryValue(change.name, fieldByName[change.name], change.after, i18n)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,162 @@
+// risk-predictor-app/src/I18n.js
+
+import { MESSAGES_EN } from './MessagesEn.js';
+import { MESSAGES_JA } from './MessagesJa.js';
+import { formatCompactYen, formatDecimal, formatPercent, formatYen } from './NumberFormat.js';
+import { toRiskLevel } from './RiskLevels.js';
+
+/**
+ * 表示の多言語化 (日本語 / 英語)
+ *
+ * - 表示文言はメッセージカタログ (MessagesJa.js / MessagesEn.js) に「区分.名前」のキーで定義する。
+ *   名前にはルールID のように「.」を含んでよい (最初の「.」で区分と名前に分ける)。
+ *   文言中の {name} は params の値に置き換える。値がメッセージの場合はそれも翻訳し、
+ *   { yen } / { percent, digits } / { decimal, digits } の場合は表示言語の形式で数値を表示する。
+ *   配列の場合は各要素を文言にして表示言語の区切り (common.listSeparator) でつなぐ。
+ * - 計算モジュールは表示文言を持たない。リスク判定はコード (RiskLevels.js)、
+ *   説明・検証結果はメッセージ { key, params, fallback } で返し、表示する側で createTranslator の m で文言にする。
+ *   fallback はカタログにキーがない場合の文言 (利用者が編集したルールの説明など)。
+ * - 英語のカタログにないキーは日本語で表示する。
+ */
+
+export const LOCALES = {
+    ja: { label: '日本語', intl: 'ja-JP' },
+    en: { label: 'English', intl: 'en-US' },
+};
+export const DEFAULT_LOCALE = 'ja';
+export const LOCALE_STORAGE_KEY = 'riskPredictor.locale';
+
+const CATALOGS = { ja: MESSAGES_JA, en: MESSAGES_EN };
+
+const lookup = (catalog, key) => {
+    const index = key.indexOf('.');
+    return index < 0 ? undefined : catalog[key.slice(0, index)]?.[key.slice(index + 1)];
+};
+
+const isMessage = (value) => Boolean(value) && typeof value === 'object' && typeof value.key === 'string';
+
+// 置き換える値を文言にする (数値の種類の指定があれば表示言語の形式にする)
+const formatParam = (locale, value) => {
+    if (isMessage(value)) return formatMessage(locale, value);
+    if (Array.isArray(value)) return value.map((item) => formatParam(locale, item)).join(translate(locale, 'common.listSeparator'));
+    const { intl } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+    if (value && typeof value === 'object') {
+        if (value.yen !== undefined) return formatYen(value.yen, intl);
+        if (value.percent !== undefined) return formatPercent(value.percent, intl, value.digits);
+        if (value.decimal !== undefined) return formatDecimal(value.decimal, intl, value.digits);
+    }
+    return typeof value === 'number' ? value.toLocaleString(intl) : String(value);
+};
+
+/**
+ * カタログにキーがあるか (日本語のカタログにあれば英語でも表示できる)
+ * @param {string} key - メッセージのキー
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+    return lookup(MESSAGES_JA, key) !== undefined;
+}
+
+/**
+ * キーの文言を返す (キーがなければキーをそのまま返す)
+ * @param {string} locale - 'ja' / 'en'
+ * @param {string} key - メッセージのキー (例: 'riskLevels.high')
+ * @param {object} [params] - 置き換える値
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+    const template = lookup(CATALOGS[locale] || MESSAGES_JA, key) ?? lookup(MESSAGES_JA, key);
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return placeholder;
+        return formatParam(locale, value);
+    });
+}
+
+/**
+ * メッセージ ({ key, params, fallback }) を文言にする (文字列はそのまま返す)
+ * @param {string} locale - 'ja' / 'en'
+ * @param {object|string} value - メッセージまたは文字列
+ * @returns {string}
+ */
+export function formatMessage(locale, value) {
+    if (!isMessage(value)) return value ?? '';
+    if (value.fallback !== undefined && !hasMessage(value.key)) return value.fallback;
+    return translate(locale, value.key, value.params);
+}
+
+/**
+ * 値に含まれるメッセージを全て文言にする (JSON で出力する計算結果・API のレスポンス用)
+ * @param {string} locale - 'ja' / 'en'
+ * @param {*} value - 計算結果など
+ * @returns {*} - メッセージを文字列に置き換えた値
+ */
+export function localizeMessages(locale, value) {
+    if (isMessage(value)) return formatMessage(locale, value);
+    if (Array.isArray(value)) return value.map((item) => localizeMessages(locale, item));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, localizeMessages(locale, item)]));
+    }
+    return value;
+}
+
+/**
+ * 画面に表示するメッセージを持つ例外
+ * message は日本語の文言 (ログ用)。key / params を持つためメッセージとして m(error) で表示言語の文言にできる。
+ */
+export class LocalizedError extends Error {
+    constructor(key, params = {}) {
+        super(translate(DEFAULT_LOCALE, key, params));
+        this.key = key;
+        this.params = params;
+    }
+}
+
+/**
+ * 言語ごとの翻訳・表示形式の関数をまとめたオブジェクトを作成する (画面では I18nContext で配る)
+ * @param {string} [locale] - 'ja' / 'en'
+ * @returns {object} - { locale, intl, t, m, riskLevel, yen, compactYen, percent, decimal, number, dateTime }
+ */
+export function createTranslator(locale = DEFAULT_LOCALE) {
+    const current = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+    const { intl } = LOCALES[current];
+    return {
+        locale: current,
+        intl,
+        t: (key, params) => translate(current, key, params),
+        m: (value) => formatMessage(current, value),
+        riskLevel: (level) => translate(current, `riskLevels.${toRiskLevel(level)}`),
+        yen: (value) => formatYen(value, intl),
+        compactYen: (value) => formatCompactYen(value, intl),
+        percent: (value, digits) => formatPercent(value, intl, digits),
+        decimal: (value, digits) => formatDecimal(value, intl, digits),
+        number: (value, maximumFractionDigits = 0) => value.toLocaleString(intl, { maximumFractionDigits }),
+        dateTime: (value) => new Date(value).toLocaleString(intl),
+    };
+}
+
+/**
+ * 保存済みの表示言語を読み込む (未設定の場合はブラウザの言語が日本語以外なら英語)
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ * @returns {string}
+ */
+export function loadLocale(storage = globalThis.localStorage) {
+    try {
+        const saved = storage?.getItem(LOCALE_STORAGE_KEY);
+        if (LOCALES[saved]) return saved;
+    } catch {
+        // 保存先を読めない場合は既定の言語にする
+    }
+    const language = globalThis.navigator?.language;
+    return language && !language.startsWith('ja') ? 'en' : DEFAULT_LOCALE;
+}
+
+/**
+ * 表示言語を保存する
+ * @param {string} locale - 'ja' / 'en'
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ */
+export function saveLocale(locale, storage = globalThis.localStorage) {
+    storage?.setItem(LOCALE_STORAGE_KEY, locale);
+}
@@ -0,0 +1,10 @@
+// risk-predictor-app/src/I18nContext.js
+
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, createTranslator } from './I18n.js';
+
+// 表示言語の翻訳・表示形式の関数 (App で選択中の言語の createTranslator の結果を配る)
+export const I18nContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+// コンポーネントで翻訳・表示形式の関数を使う
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,88 @@
+// risk-predictor-app/src/InputFields.js
+
+import { STRUCTURES } from './Collateral.js';
+import { NUMBER_FORMATS } from './NumberFormat.js';
+
+// 入力フォームの項目定義 (画面表示と感度分析で共有する)
+// format: 'yen' は円 (万円表記の入力可)、'percent' は比率 (0.0 - 1.0) をパーセントで入力する項目
+// 項目名・選択肢の表示名はメッセージカタログ (fields / options) にあり、fieldLabel / optionLabel で表示する
+
+// 入力フィールドのデータ
+export const INPUT_FIELDS = [
+  { name: "annualIncome", placeholder: "5,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "annualRepayment", placeholder: "1,700,000", format: NUMBER_FORMATS.YEN },
+  { name: "totalDebt", placeholder: "30,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "annualRentIncome", placeholder: "2,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "expenseRate", placeholder: "30", format: NUMBER_FORMATS.PERCENT },
+  { name: "vacancyRate", placeholder: "10", format: NUMBER_FORMATS.PERCENT },
+  { name: "interestRate", placeholder: "3", format: NUMBER_FORMATS.PERCENT },
+  { name: "otherDebtRatio", placeholder: "10", format: NUMBER_FORMATS.PERCENT },
+  { name: "remainingTermYears", placeholder: "25", format: NUMBER_FORMATS.NUMBER },
+];
+
+// 担保物件の評価の前提
+export const COLLATERAL_FIELDS = [
+  { name: "purchasePrice", placeholder: "40,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "landValue", placeholder: "15,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "buildingReplacementCost", placeholder: "25,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "capRate", placeholder: "6", format: NUMBER_FORMATS.PERCENT },
+  { name: "buildingAge", placeholder: "10", format: NUMBER_FORMATS.NUMBER },
+  { name: "foreclosureDiscount", placeholder: "30", format: NUMBER_FORMATS.PERCENT },
+];
+
+export const STRUCTURE_FIELD = {
+  name: "structure",
+  options: Object.entries(STRUCTURES).map(([value, structure]) => ({
+    value,
+    labelKey: "options.structure",
+    params: { structure: { key: `structures.${value}` }, usefulLife: structure.usefulLife },
+  })),
+};
+
+// 税引後キャッシュフローの前提
+export const TAX_FIELDS = [
+  { name: "buildingAcquisitionCost", placeholder: "20,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "yearsOwned", placeholder: "0", format: NUMBER_FORMATS.NUMBER },
+  { name: "landTaxAssessedValue", placeholder: "10,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "buildingTaxAssessedValue", placeholder: "8,000,000", format: NUMBER_FORMATS.YEN },
+];
+
+// 連帯保証人の財務状況
+export const GUARANTOR_FIELDS = [
+  { name: "guarantorAnnualIncome", placeholder: "6,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "guarantorAssets", placeholder: "20,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "guarantorDebts", placeholder: "5,000,000", format: NUMBER_FORMATS.YEN },
+  { name: "guarantorOtherGuarantees", placeholder: "0", format: NUMBER_FORMATS.YEN },
+];
+
+// ローン条件の選択項目
+export const LOAN_OPTION_FIELDS = [
+  {
+    name: "repaymentMethod",
+    options: [{ value: "level-payment" }, { value: "level-principal" }],
+  },
+  {
+    name: "rateType",
+    options: [{ value: "variable" }, { value: "fixed" }],
+  },
+];
+
+export const SIMULATION_FIELD = {
+  name: "simulatedInterestRate",
+  placeholder: "4",
+  format: NUMBER_FORMATS.PERCENT,
+};
+
+// 長期収支予測の前提
+export const PROJECTION_FIELDS = [
+  { name: "projectionYears", placeholder: "20", format: NUMBER_FORMATS.NUMBER },
+  { name: "rentDeclineRate", placeholder: "1", format: NUMBER_FORMATS.PERCENT },
+  { name: "expenseRateIncrease", placeholder: "0.3", format: NUMBER_FORMATS.PERCENT },
+  { name: "vacancyDrift", placeholder: "0.3", format: NUMBER_FORMATS.PERCENT },
+];
+
+// 入力項目の表示名 (i18n は I18n.js の createTranslator の結果)
+export const fieldLabel = (field, i18n) => i18n.t(`fields.${field.name}`);
+
+// 選択肢の表示名 (labelKey があればそのキーの文言に params を埋め込む)
+export const optionLabel = (field, option, i18n) => i18n.t(option.labelKey || `options.${field.name}.${option.value}`, option.params);
@@ -0,0 +1,172 @@
+// risk-predictor-app/src/LoanAmortization.js
+
+/**
+ * 住宅・アパートローンの返済予定表 (償還表) を作成するモジュール
+ *
+ * - 元利均等返済 ('level-payment') と 元金均等返済 ('level-principal') に対応。
+ * - 変動金利の金利見直し (rateChanges) に対応し、元利均等返済では
+ *   「5年ルール」(返済額の見直しは5年毎) と「125%ルール」(見直し後の返済額は従前の1.25倍まで)
+ *   を適用できる。返済額で賄えない利息は未払利息として繰り越し、最終回に残元金とともに一括返済する。
+ */
+
+export const REPAYMENT_METHODS = {
+    LEVEL_PAYMENT: 'level-payment', // 元利均等返済
+    LEVEL_PRINCIPAL: 'level-principal', // 元金均等返済
+};
+
+export const PAYMENT_REVIEW_INTERVAL_MONTHS = 60; // 5年ルール: 返済額の見直し間隔
+export const PAYMENT_CAP_RATIO = 1.25; // 125%ルール: 見直し時の返済額の上限倍率
+
+/**
+ * 元利均等返済の毎月の返済額を計算する
+ * @param {number} principal - 借入残高
+ * @param {number} annualRate - 年利 (0.0 - 1.0)
+ * @param {number} months - 残りの返済回数
+ * @returns {number} - 毎月の返済額
+ */
+export function calculateMonthlyPayment(principal, annualRate, months) {
+    if (principal <= 0 || months <= 0) return 0;
+    const r = annualRate / 12;
+    if (r === 0) return principal / months;
+    return (principal * r) / (1 - Math.pow(1 + r, -months));
+}
+
+// 月 (1始まり) 時点で適用される年利を返す
+const rateForMonth = (annualRate, rateChanges, month) => {
+    let rate = annualRate;
+    rateChanges.forEach((change) => {
+        if (change.month <= month) rate = change.rate;
+    });
+    return rate;
+};
+
+/**
+ * 毎月の返済予定表を作成する
+ * @param {object} loan
+ * @param {number} loan.principal - 借入残高 (円)
+ * @param {number} loan.annualRate - 当初の年利 (0.0 - 1.0)
+ * @param {number} loan.termMonths - 残りの返済期間 (月)
+ * @param {string} [loan.method] - 返済方式 (REPAYMENT_METHODS)
+ * @param {Array<{month: number, rate: number}>} [loan.rateChanges] - 金利の変更 (month 月目から rate を適用)
+ * @param {boolean} [loan.applyPaymentRules] - 5年ルール・125%ルールを適用するか (元利均等返済のみ有効)
+ * @returns {Array<object>} - 各月の { month, rate, payment, interest, principal, lumpSum, balance, unpaidInterest }
+ */
+export function buildAmortizationSchedule({
+    principal,
+    annualRate,
+    termMonths,
+    method = REPAYMENT_METHODS.LEVEL_PAYMENT,
+    rateChanges = [],
+    applyPaymentRules = false,
+}) {
+    const months = Math.max(0, Math.round(termMonths));
+    const changes = [...rateChanges].sort((a, b) => a.month - b.month);
+    const isLevelPayment = method === REPAYMENT_METHODS.LEVEL_PAYMENT;
+    const principalPerMonth = months > 0 ? principal / months : 0;
+
+    const schedule = [];
+    let balance = principal;
+    let unpaidInterest = 0;
+    let previousRate = annualRate;
+    let monthlyPayment = calculateMonthlyPayment(principal, annualRate, months);
+
+    for (let month = 1; month <= months && balance > 0; month++) {
+        const rate = rateForMonth(annualRate, changes, month);
+        const remainingMonths = months - month + 1;
+
+        // 元利均等返済の返済額見直し
+        if (isLevelPayment) {
+            if (applyPaymentRules) {
+                if (month > 1 && (month - 1) % PAYMENT_REVIEW_INTERVAL_MONTHS === 0) {
+                    const recalculated = calculateMonthlyPayment(balance, rate, remainingMonths);
+                    monthlyPayment = Math.min(recalculated, monthlyPayment * PAYMENT_CAP_RATIO);
+                }
+            } else if (rate !== previousRate) {
+                monthlyPayment = calculateMonthlyPayment(balance, rate, remainingMonths);
+            }
+        }
+        previousRate = rate;
+
+        const interestDue = balance * (rate / 12) + unpaidInterest;
+        let interest;
+        let principalPaid;
+        let payment;
+        if (isLevelPayment) {
+            payment = monthlyPayment;
+            interest = Math.min(payment, interestDue);
+            principalPaid = Math.min(balance, payment - interest);
+            // 端数で返済額が残元金を超える場合は実際の支払額に合わせる
+            payment = interest + principalPaid;
+        } else {
+            interest = interestDue;
+            principalPaid = Math.min(balance, principalPerMonth);
+            payment = interest + principalPaid;
+        }
+        unpaidInterest = interestDue - interest;
+        balance -= principalPaid;
+
+        // 最終回: 残元金と未払利息を一括返済
+        let lumpSum = 0;
+        if (month === months && (balance > 0.5 || unpaidInterest > 0.5)) {
+            lumpSum = balance + unpaidInterest;
+            balance = 0;
+            unpaidInterest = 0;
+        }
+
+        schedule.push({
+            month,
+            rate,
+            payment,
+            interest,
+            principal: principalPaid,
+            lumpSum,
+            balance: Math.max(0, balance),
+            unpaidInterest,
+        });
+    }
+
+    return schedule;
+}
+
+/**
+ * 月次の返済予定表を年単位に集計する
+ * @param {Array<object>} schedule - buildAmortizationSchedule の結果
+ * @returns {Array<object>} - 各年の { year, payment, interest, principal, lumpSum, debtService, endingBalance, unpaidInterest }
+ *   (debtService = 通常の返済額 + 一括返済額)
+ */
+export function summarizeScheduleByYear(schedule) {
+    const years = [];
+    schedule.forEach((row) => {
+        const index = Math.floor((row.month - 1) / 12);
+        if (!years[index]) {
+            years[index] = { year: index + 1, payment: 0, interest: 0, principal: 0, lumpSum: 0 };
+        }
+        const year = years[index];
+        year.payment += row.payment;
+        year.interest += row.interest;
+        year.principal += row.principal;
+        year.lumpSum += row.lumpSum;
+        year.debtService = year.payment + year.lumpSum;
+        year.endingBalance = row.balance;
+        year.unpaidInterest = row.unpaidInterest;
+    });
+    return years;
+}
+
+/**
+ * 正規の入力データからローン条件を組み立てる
+ * @param {object} input - 正規化済みの入力データ (RiskCalculator の DEFAULT_INPUT と同じスキーマ)
+ * @param {number} [newRate] - 来月から適用する金利 (省略時は金利変更なし。固定金利の場合は無視)
+ * @returns {object} - buildAmortizationSchedule に渡すローン条件
+ */
+export function loanFromInput(input, newRate) {
+    const isVariable = input.rateType !== 'fixed';
+    return {
+        principal: input.totalDebt,
+        annualRate: input.interestRate,
+        termMonths: input.remainingTermYears * 12,
+        method: input.repaymentMethod,
+        rateChanges: isVariable && newRate !== undefined ? [{ month: 1, rate: newRate }] : [],
+        applyPaymentRules: isVariable && Boolean(input.applyPaymentRules),
+    };
+}
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import {
+  BUILT_IN_MARKET_ASSUMPTIONS,
+  MARKET_ASSUMPTION_FIELDS,
+  PROPERTY_TYPES,
+  applyMarketAssumption,
+  compareWithMarketBenchmark,
+  marketAssumptionName,
+  nextMarketAssumptionId,
+  validateMarketAssumption,
+} from './MarketAssumptions.js';
+import { useI18n } from './I18nContext.js';
+
+// 地域の目安の選択と入力への反映、反映した目安と現在の前提の比較 (入力フォーム内に表示する)
+// 編集中で正しくない目安は選択肢に出さない
+export const MarketBenchmarkSelector = ({ input, assumptions, onChange }) => {
+  const { t, m, percent } = useI18n();
+  const choices = assumptions.filter((entry) => validateMarketAssumption(entry).length === 0);
+  const [selectedId, setSelectedId] = useState(input.marketBenchmark?.id || '');
+  const selected = choices.find((entry) => entry.id === selectedId) || choices[0];
+  const comparison = compareWithMarketBenchmark(input);
+
+  return (
+    <div className="mb-4">
+      <div className="flex gap-2">
+        <select
+          value={selected ? selected.id : ''}
+          onChange={(e) => setSelectedId(e.target.value)}
+          className="shadow border rounded flex-1 py-2 px-3 text-gray-700 text-sm"
+        >
+          {choices.map((entry) => <option key={entry.id} value={entry.id}>{m(marketAssumptionName(entry))}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={() => onChange(applyMarketAssumption(input, selected))}
+          disabled={!selected}
+          className="bg-blue-500 text-white rounded px-3 text-sm disabled:opacity-50"
+        >
+          {t('market.apply')}
+        </button>
+      </div>
+      <p className="mt-1 text-xs text-gray-500 text-left">{t('market.applyNote')}</p>
+
+      {comparison && (
+        <div className="mt-2 p-2 bg-white rounded border border-blue-200 text-xs">
+          <div className="flex justify-between items-center mb-1">
+            <span className="font-semibold text-gray-700">{t('market.comparing', { benchmark: marketAssumptionName(comparison.benchmark) })}</span>
+            <button type="button" onClick={() => onChange({ ...input, marketBenchmark: null })} className="text-gray-500">
+              {t('market.clear')}
+            </button>
+          </div>
+          <table className="w-full text-right">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="text-left p-1">{t('market.column.field')}</th>
+                <th className="p-1">{t('market.column.input')}</th>
+                <th className="p-1">{t('market.column.benchmark')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.items.map((item) => (
+                <tr key={item.field} className={item.optimistic ? 'bg-yellow-50 text-yellow-800' : ''}>
+                  <td className="text-left p-1"><span className="capitalize">{t(`market.field.${item.field}`)}</span>{item.optimistic && ` ${t('market.optimisticMark')}`}</td>
+                  <td className="p-1">{percent(item.actual)}</td>
+                  <td className="p-1">{percent(item.benchmark)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 比率の入力欄 (パーセントで入力し、空欄は NaN として保持して検証エラーにする)
+const PercentCell = ({ value, onChange }) => (
+  <input
+    type="number"
+    step="0.1"
+    min={0}
+    value={Number.isFinite(value) ? Number((value * 100).toFixed(4)) : ''}
+    onChange={(e) => onChange(e.target.valueAsNumber / 100)}
+    className="border rounded w-16 py-1 px-1 text-right"
+  />
+);
+
+// 地域の目安のデータセットの編集 (追加・削除・組み込みのデータへの復元)
+const MarketAssumptionPanel = ({ assumptions, onAssumptionsChange }) => {
+  const { t } = useI18n();
+
+  const updateEntry = (index, key, value) => {
+    onAssumptionsChange(assumptions.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry)));
+  };
+
+  const handleAdd = () => {
+    const template = assumptions[assumptions.length - 1] || BUILT_IN_MARKET_ASSUMPTIONS[0];
+    onAssumptionsChange([...assumptions, { ...template, id: nextMarketAssumptionId(assumptions), ward: '' }]);
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(t('market.confirmReset'))) return;
+    onAssumptionsChange(BUILT_IN_MARKET_ASSUMPTIONS);
+  };
+
+  const problems = assumptions.flatMap((entry, index) => validateMarketAssumption(entry).map((error) => ({ index, error })));
+
+  return (
+    <details className="mb-8 p-4 bg-gray-100 rounded-lg shadow-inner text-left">
+      <summary className="cursor-pointer text-xl font-bold text-gray-700 border-l-4 border-blue-500 pl-3">
+        {t('market.editorTitle', { count: assumptions.length })}
+      </summary>
+      <p className="mt-2 text-xs text-gray-500">{t('market.editorNote')}</p>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs bg-white rounded-lg">
+          <thead>
+            <tr className="border-b text-gray-500">
+              <th className="text-left p-1">{t('market.column.prefecture')}</th>
+              <th className="text-left p-1">{t('market.column.ward')}</th>
+              <th className="text-left p-1">{t('market.column.propertyType')}</th>
+              {MARKET_ASSUMPTION_FIELDS.map((field) => <th key={field} className="p-1 capitalize">{t(`market.field.${field}`)} (%)</th>)}
+              <th className="p-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {assumptions.map((entry, index) => (
+              <tr key={entry.id} className="border-b border-gray-100">
+                <td className="p-1">
+                  <input type="text" value={entry.prefecture} onChange={(e) => updateEntry(index, 'prefecture', e.target.value)} className="border rounded w-20 py-1 px-1" />
+                </td>
+                <td className="p-1">
+                  <input type="text" value={entry.ward || ''} onChange={(e) => updateEntry(index, 'ward', e.target.value)} className="border rounded w-28 py-1 px-1" />
+                </td>
+                <td className="p-1">
+                  <select value={entry.propertyType} onChange={(e) => updateEntry(index, 'propertyType', e.target.value)} className="border rounded py-1 px-1">
+                    {PROPERTY_TYPES.map((type) => <option key={type} value={type}>{t(`propertyTypes.${type}`)}</option>)}
+                  </select>
+                </td>
+                {MARKET_ASSUMPTION_FIELDS.map((field) => (
+                  <td key={field} className="p-1 text-right">
+                    <PercentCell value={entry[field]} onChange={(value) => updateEntry(index, field, value)} />
+                  </td>
+                ))}
+                <td className="p-1">
+                  <button
+                    type="button"
+                    onClick={() => onAssumptionsChange(assumptions.filter((_, i) => i !== index))}
+                    className="text-red-600"
+                  >
+                    {t('common.delete')}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {problems.length > 0 && (
+        <ul className="mt-2 p-2 bg-red-50 rounded text-xs text-red-800">
+          {problems.map(({ index, error }, i) => <li key={i}>{t('market.rowError', { row: index + 1, error })}</li>)}
+        </ul>
+      )}
+
+      <div className="mt-3 flex gap-2 text-sm">
+        <button type="button" onClick={handleAdd} className="border border-blue-500 text-blue-600 rounded px-3 py-1">{t('common.add')}</button>
+        <button type="button" onClick={handleReset} className="ml-auto text-gray-600 px-2">{t('market.reset')}</button>
+      </div>
+    </details>
+  );
+};
+
+export default MarketAssumptionPanel;
@@ -0,0 +1,181 @@
+// risk-predictor-app/src/MarketAssumptions.js
+
+/**
+ * 地域・物件種別ごとの賃貸市場の前提 (地域の目安)
+ *
+ * 都道府県・市区町村と物件種別ごとに、標準的な空室率・家賃下落率 (年率)・経費率・還元利回りをまとめたデータセット。
+ * 組み込みのデータを初期値とし、利用者が画面で編集した内容は localStorage に保存する。
+ * - 入力フォームで地域の目安を選ぶと、4つの前提を入力に反映し、選んだ目安を input.marketBenchmark に記録する
+ *   (計算結果を目安のデータセットに依存させず、共有リンク・保存済みケース・CLI / API で同じ比較を再現するため)。
+ * - 入力の前提が目安より楽観的 (空室率・家賃下落率・経費率・還元利回りが目安より許容幅を超えて低い) 場合は、
+ *   入力の検証で警告し (Validation.js)、リスク判定の説明にも注意を加える (RiskCalculator.js)。
+ * 組み込みの値は公開統計・業界の一般的な水準をもとにした目安であり、個別の物件の実績値ではない。
+ * 地域名はデータの値として記録する (表示言語では切り替えない)。検証エラーはメッセージ ({ key, params }) で返す。
+ *
+ * 目安: { id, prefecture, ward, propertyType, vacancyRate, rentDeclineRate, expenseRate, capRate }
+ */
+
+export const MARKET_ASSUMPTION_STORAGE_KEY = 'riskPredictor.marketAssumptions';
+
+// 物件種別 (表示名はメッセージカタログ propertyTypes)
+export const PROPERTY_TYPES = ['unit', 'apartment', 'building']; // 区分マンション / 一棟アパート / 一棟マンション
+
+// 目安と比較する入力項目 (いずれも入力が目安より低いほど楽観的)
+export const MARKET_ASSUMPTION_FIELDS = ['vacancyRate', 'rentDeclineRate', 'expenseRate', 'capRate'];
+
+// 楽観的とみなす差 (入力が目安をこの幅を超えて下回る場合に警告する)
+export const OPTIMISM_TOLERANCE = {
+    vacancyRate: 0.01,
+    rentDeclineRate: 0.002,
+    expenseRate: 0.01,
+    capRate: 0.002,
+};
+
+export const BUILT_IN_MARKET_ASSUMPTIONS = [
+    { id: 'tokyo-minato-unit', prefecture: '東京都', ward: '港区', propertyType: 'unit', vacancyRate: 0.05, rentDeclineRate: 0.005, expenseRate: 0.2, capRate: 0.035 },
+    { id: 'tokyo-setagaya-unit', prefecture: '東京都', ward: '世田谷区', propertyType: 'unit', vacancyRate: 0.06, rentDeclineRate: 0.006, expenseRate: 0.2, capRate: 0.04 },
+    { id: 'tokyo-setagaya-apartment', prefecture: '東京都', ward: '世田谷区', propertyType: 'apartment', vacancyRate: 0.08, rentDeclineRate: 0.008, expenseRate: 0.22, capRate: 0.05 },
+    { id: 'tokyo-adachi-apartment', prefecture: '東京都', ward: '足立区', propertyType: 'apartment', vacancyRate: 0.1, rentDeclineRate: 0.01, expenseRate: 0.22, capRate: 0.06 },
+    { id: 'kanagawa-yokohama-unit', prefecture: '神奈川県', ward: '横浜市', propertyType: 'unit', vacancyRate: 0.07, rentDeclineRate: 0.007, expenseRate: 0.2, capRate: 0.045 },
+    { id: 'kanagawa-yokohama-apartment', prefecture: '神奈川県', ward: '横浜市', propertyType: 'apartment', vacancyRate: 0.1, rentDeclineRate: 0.01, expenseRate: 0.22, capRate: 0.06 },
+    { id: 'osaka-kita-unit', prefecture: '大阪府', ward: '大阪市北区', propertyType: 'unit', vacancyRate: 0.06, rentDeclineRate: 0.006, expenseRate: 0.2, capRate: 0.045 },
+    { id: 'osaka-osaka-building', prefecture: '大阪府', ward: '大阪市', propertyType: 'building', vacancyRate: 0.08, rentDeclineRate: 0.008, expenseRate: 0.23, capRate: 0.055 },
+    { id: 'aichi-nagoya-building', prefecture: '愛知県', ward: '名古屋市中区', propertyType: 'building', vacancyRate: 0.1, rentDeclineRate: 0.01, expenseRate: 0.24, capRate: 0.06 },
+    { id: 'fukuoka-chuo-unit', prefecture: '福岡県', ward: '福岡市中央区', propertyType: 'unit', vacancyRate: 0.07, rentDeclineRate: 0.007, expenseRate: 0.2, capRate: 0.05 },
+    { id: 'miyagi-sendai-apartment', prefecture: '宮城県', ward: '仙台市', propertyType: 'apartment', vacancyRate: 0.13, rentDeclineRate: 0.012, expenseRate: 0.24, capRate: 0.07 },
+    { id: 'hokkaido-sapporo-apartment', prefecture: '北海道', ward: '札幌市中央区', propertyType: 'apartment', vacancyRate: 0.15, rentDeclineRate: 0.012, expenseRate: 0.25, capRate: 0.075 },
+];
+
+const isRatio = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * 地域の目安を検証する
+ * @param {object} entry - 目安
+ * @returns {Array<object>} - 問題点のメッセージ (問題がなければ空)
+ */
+export function validateMarketAssumption(entry) {
+    if (!entry || typeof entry !== 'object') return [{ key: 'market.error.notObject' }];
+    const errors = [];
+    if (typeof entry.id !== 'string' || entry.id.trim() === '') errors.push({ key: 'market.error.id' });
+    if (typeof entry.prefecture !== 'string' || entry.prefecture.trim() === '') errors.push({ key: 'market.error.prefecture' });
+    if (entry.ward !== undefined && typeof entry.ward !== 'string') errors.push({ key: 'market.error.ward' });
+    if (!PROPERTY_TYPES.includes(entry.propertyType)) {
+        errors.push({ key: 'market.error.propertyType', params: { types: PROPERTY_TYPES.join(' / ') } });
+    }
+    MARKET_ASSUMPTION_FIELDS.forEach((field) => {
+        if (!isRatio(entry[field]) || (field === 'capRate' && entry[field] === 0)) {
+            errors.push({ key: 'market.error.ratio', params: { field: { key: `market.field.${field}` } } });
+        }
+    });
+    return errors;
+}
+
+/**
+ * 目安の表示名 (「都道府県 市区町村 (物件種別)」)
+ * @param {object} entry - 目安または input.marketBenchmark
+ * @returns {object} - メッセージ
+ */
+export function marketAssumptionName(entry) {
+    const region = [entry.prefecture, entry.ward].filter(Boolean).join(' ');
+    return { key: 'market.name', params: { region, type: { key: `propertyTypes.${entry.propertyType}` } } };
+}
+
+/**
+ * 保存済みの目安の一覧を読み込む (未保存・読み込めない場合は組み込みのデータ)
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ * @returns {Array<object>}
+ */
+export function loadMarketAssumptions(storage = globalThis.localStorage) {
+    try {
+        const saved = storage?.getItem(MARKET_ASSUMPTION_STORAGE_KEY);
+        if (!saved) return BUILT_IN_MARKET_ASSUMPTIONS;
+        const entries = JSON.parse(saved);
+        return Array.isArray(entries) ? entries.filter((entry) => validateMarketAssumption(entry).length === 0) : BUILT_IN_MARKET_ASSUMPTIONS;
+    } catch {
+        return BUILT_IN_MARKET_ASSUMPTIONS;
+    }
+}
+
+/**
+ * 目安の一覧を保存する
+ * 組み込みのデータから変更していない場合は保存を消す (組み込みのデータの更新が反映されるようにする)
+ * @param {Array<object>} entries - 目安の一覧
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ */
+export function saveMarketAssumptions(entries, storage = globalThis.localStorage) {
+    if (JSON.stringify(entries) === JSON.stringify(BUILT_IN_MARKET_ASSUMPTIONS)) {
+        storage?.removeItem(MARKET_ASSUMPTION_STORAGE_KEY);
+        return;
+    }
+    storage?.setItem(MARKET_ASSUMPTION_STORAGE_KEY, JSON.stringify(entries));
+}
+
+// 既存の id と重ならない新しい目安の id を作成する
+export function nextMarketAssumptionId(entries) {
+    let number = entries.length + 1;
+    while (entries.some((entry) => entry.id === `custom-${number}`)) number += 1;
+    return `custom-${number}`;
+}
+
+/**
+ * 目安を入力に反映する (4つの前提を目安の値にし、選んだ目安を marketBenchmark に記録する)
+ * 所在エリアが未入力の場合は目安の市区町村 (なければ都道府県) を入れる。
+ * @param {object} input - 入力データ
+ * @param {object} entry - 目安
+ * @returns {object} - 新しい入力データ
+ */
+export function applyMarketAssumption(input, entry) {
+    const benchmark = {
+        id: entry.id,
+        prefecture: entry.prefecture,
+        ward: entry.ward || '',
+        propertyType: entry.propertyType,
+        ...Object.fromEntries(MARKET_ASSUMPTION_FIELDS.map((field) => [field, entry[field]])),
+    };
+    return {
+        ...input,
+        ...Object.fromEntries(MARKET_ASSUMPTION_FIELDS.map((field) => [field, entry[field]])),
+        propertyArea: String(input.propertyArea ?? '').trim() || benchmark.ward || benchmark.prefecture,
+        marketBenchmark: benchmark,
+    };
+}
+
+/**
+ * 入力の前提を記録済みの目安 (input.marketBenchmark) と比較する
+ * @param {object} input - 入力データ
+ * @returns {object|null} - { benchmark, items: [{ field, actual, benchmark, optimistic }], optimisticFields }
+ *                          目安が記録されていない・正しくない場合は null
+ */
+export function compareWithMarketBenchmark(input) {
+    const benchmark = input.marketBenchmark;
+    if (!benchmark || validateMarketAssumption(benchmark).length > 0) return null;
+    const items = MARKET_ASSUMPTION_FIELDS.map((field) => ({
+        field,
+        actual: input[field],
+        benchmark: benchmark[field],
+        optimistic: input[field] < benchmark[field] - OPTIMISM_TOLERANCE[field],
+    }));
+    return {
+        benchmark,
+        items,
+        optimisticFields: items.filter((item) => item.optimistic).map((item) => item.field),
+    };
+}
+
+/**
+ * リスク判定の説明に、目安より楽観的な前提への注意を加える
+ * @param {object} detail - リスク判定の説明 (メッセージ)
+ * @param {object|null} comparison - compareWithMarketBenchmark の結果
+ * @returns {object} - メッセージ (楽観的な前提がなければ detail のまま)
+ */
+export function withMarketWarning(detail, comparison) {
+    if (!comparison || comparison.optimisticFields.length === 0) return detail;
+    return {
+        key: 'market.riskDetail',
+        params: {
+            detail,
+            fields: comparison.optimisticFields.map((field) => ({ key: `market.field.${field}` })),
+            benchmark: marketAssumptionName(comparison.benchmark),
+        },
+    };
+}
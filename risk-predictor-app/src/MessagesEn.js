@@ -0,0 +1,674 @@
+// risk-predictor-app/src/MessagesEn.js
+
+/**
+ * 英語のメッセージカタログ
+ * 区分ごとに「名前: 文言」を定義する。文言中の {name} は表示時に params の値に置き換える (I18n.js)
+ */
+export const MESSAGES_EN = {
+    common: {
+        error: 'Error',
+        warning: 'Warning',
+        points: '{points} pts',
+        yearNumber: 'Year {year}',
+        years: '{years} yrs',
+        close: 'Close',
+        delete: 'Delete',
+        add: 'Add',
+        notComputable: 'N/A',
+        language: 'Language',
+        listSeparator: ', ',
+    },
+    riskLevels: {
+        low: 'Low',
+        medium: 'Medium',
+        high: 'High',
+    },
+    riskDetails: {
+        low: 'Both the debtor and the property\'s profitability are strong; the guarantor risk is assessed as very low.',
+        medium: 'Some financial indicators leave room for improvement. Review the breakdown (creditworthiness, profitability) to identify the concerns.',
+        high: 'There are serious concerns about creditworthiness or the property\'s profitability. A detailed risk trade-off analysis is needed before agreeing to act as a joint guarantor.',
+    },
+    worstCase: {
+        'rateHike.low': 'The risk remains low even at the simulated interest rate.',
+        'rateHike.medium': 'At the simulated interest rate ({rate}), the DCSR falls to {dcsr} and the risk rises to medium.',
+        'rateHike.high': 'At the simulated interest rate ({rate}), the DCSR falls below {threshold}: there is a high risk that income will not cover the repayments.',
+        'vacancy.low': 'Even at a {vacancyRate}% vacancy rate the DCSR is {dcsr} and remains stable.',
+        'vacancy.medium': 'If the vacancy rate worsens to {vacancyRate}%, the DCSR falls to {dcsr} and profitability is exposed to medium risk.',
+        'vacancy.high': 'If the vacancy rate worsens to {vacancyRate}%, the DCSR falls below {threshold}: there is a high risk that income will not cover the repayments.',
+    },
+    guarantor: {
+        insolvent: 'The guarantor\'s net worth is zero or negative, leaving no capacity to honour the guarantee.',
+        exceedsNetWorth: 'The expected burden after the collateral is sold exceeds the guarantor\'s net worth; honouring the guarantee would make them insolvent.',
+        exceedsIncomeYears: 'The expected burden after the collateral is sold exceeds {years} years of the guarantor\'s income, so repaying it from income is also difficult.',
+        medium: 'Honouring the guarantee would cost the guarantor most of their assets or at least {years} years of income.',
+        low: 'The guarantor\'s assets and income are expected to be sufficient to honour the guarantee.',
+    },
+    categories: {
+        credit: 'Debtor creditworthiness',
+        property: 'Property profitability',
+        interest: 'Interest rate risk',
+    },
+    metrics: {
+        annualIncome: 'Debtor\'s annual income',
+        debtToIncomeRatio: 'Debt service ratio to income (DSR)',
+        totalDebtToIncomeRatio: 'Total debt as a multiple of income',
+        otherDebtRatio: 'Other debts relative to income',
+        currentDcsr: 'Debt service coverage ratio (DCSR)',
+        expenseRate: 'Annual expense ratio',
+        vacancyRate: 'Expected vacancy rate',
+        ltv: 'Loan to collateral value (LTV)',
+        portfolioDcsr: 'Portfolio debt service coverage ratio (DCSR)',
+        areaConcentration: 'Area concentration of rental income',
+        crossSubsidyShare: 'Shortfall as a share of other properties\' surplus (cross-subsidy)',
+        interestRate: 'Current interest rate',
+        notApplicable: 'N/A',
+        notComputable: 'Not computable',
+        yenValue: '¥{value}',
+        timesValue: '{value}x',
+    },
+    ruleConditions: {
+        over: '{metric} above {value}',
+        atLeast: '{metric} at or above {value}',
+        under: '{metric} below {value}',
+        atMost: '{metric} at or below {value}',
+    },
+    rules: {
+        'credit-dsr-over-30': 'Annual repayments are high relative to income; a drop in income could easily lead to missed payments.',
+        'credit-debt-multiple-over-5': 'Total debt exceeds five times annual income; the borrowing is excessive for the debtor\'s repayment capacity.',
+        'credit-other-debt-over-20': 'Repayments on other debts are heavy, leaving less income available for this loan.',
+        'property-dcsr-below-1.2': 'There is little headroom between rental income and repayments; vacancies or repairs could easily leave repayments unfunded.',
+        'property-dcsr-below-1.0': 'The property\'s net operating income does not cover the repayments; the debtor must top up from salary or other income.',
+        'property-expense-over-40': 'The expense ratio is high and the property is not very profitable.',
+        'property-vacancy-over-15': 'The vacancy rate is high and rental income is unstable.',
+        'property-ltv-over-80': 'The loan is large relative to the collateral value; a foreclosure sale is likely to leave a shortfall.',
+        'property-ltv-over-100': 'The loan exceeds the collateral value; debt will remain even after the collateral is sold.',
+        'property-portfolio-dcsr-below-1.0': 'The net operating income of all properties does not cover total repayments; the debtor must top up from salary or other income.',
+        'property-cross-subsidy-over-50': 'Shortfalls on properties that cannot cover their repayments are covered by other properties\' surpluses; the portfolio depends on its most profitable properties.',
+        'property-area-concentration-over-70': 'Rental income is concentrated in one area and exposed to local demand declines or disasters all at once.',
+        'interest-rate-over-4': 'The current interest rate is high and the repayment burden is heavy.',
+        'interest-rate-over-5': 'The interest rate exceeds 5%; further rises would increase repayments sharply.',
+        'interest-debt-multiple-over-8': 'Total debt exceeds eight times annual income, making it highly sensitive to rate rises.',
+        'knockout-no-income': 'Critical risk: the debtor has no annual income.',
+    },
+    structures: {
+        wood: 'Wood',
+        'light-steel': 'Light steel frame (members over 3mm up to 4mm)',
+        steel: 'Heavy steel frame',
+        rc: 'Reinforced concrete',
+    },
+    propertyFields: {
+        annualRentIncome: 'Annual gross rent',
+        vacancyRate: 'Vacancy rate',
+        expenseRate: 'Expense ratio',
+        loanBalance: 'Loan balance',
+        annualRepayment: 'Annual repayment',
+        interestRate: 'Interest rate',
+    },
+    validation: {
+        notNumber: 'Enter a number.',
+        atLeast: 'Enter {min} or more.',
+        atMost: 'Enter {max} or less.',
+        notInteger: 'Enter a whole number.',
+        largeRepair: 'Major repair #{number}: the year must be 1 or later and the amount 0 or more.',
+        property: 'Other property #{number}',
+        namedProperty: 'Other property #{number} ({name})',
+        propertyAtLeast: '{property}: enter {min} or more for {field}.',
+        propertyBetween: '{property}: enter {min} to {max} for {field}.',
+        zeroIncome: 'The debtor\'s annual income is zero. With no source of repayment this is assessed as a critical risk.',
+        repaymentExceedsDebt: 'The annual repayment exceeds the total debt.',
+        repaymentBelowInterest: 'The annual repayment is less than the annual interest (about {interest}), so the principal never decreases.',
+        repaymentMismatch: 'This differs widely from the first-year repayment calculated from the debt, rate and term (about {expected}).',
+        repaymentWithoutDebt: 'Total debt is zero, but an annual repayment has been entered.',
+        expenseAndVacancyOver100: 'The expense ratio and vacancy rate add up to more than 100%. Check the assumptions.',
+        overLoan: 'Total debt exceeds the purchase price (over-loan).',
+        simulatedRateBelowCurrent: 'The simulated interest rate is lower than the current rate.',
+        yearsOwnedExceedsAge: 'Years since acquisition exceed the building age.',
+        acquisitionCostExceedsPrice: 'The building acquisition cost exceeds the purchase price.',
+        repairOutsideProjection: 'The major repair in year {year} is outside the projection period ({years} years).',
+        invalidMarketBenchmark: 'The regional benchmark is malformed.',
+        optimisticVsMarket: 'More optimistic than the {benchmark} benchmark ({value}).',
+    },
+    numberInput: {
+        required: 'Enter a value.',
+        invalidYen: 'Enter the amount as a number (e.g. 5000000 / 500万).',
+        invalidNumber: 'Enter a number.',
+    },
+    portfolio: {
+        subjectProperty: 'Subject property',
+        unnamedProperty: 'Property {number}',
+        unspecifiedArea: 'No area',
+        noDebtService: 'No repayments',
+        yenField: '{label} (JPY)',
+        percentField: '{label} (%)',
+        namePlaceholder: 'Property name (Property {number})',
+        areaPlaceholder: 'Area',
+        addProperty: '+ Add property',
+        title: 'All properties ({count})',
+        noOtherProperties: 'No other properties are registered. Add them under "Debtor\'s properties" in the input form to assess the overall repayment capacity.',
+        portfolioDscr: 'Portfolio DSCR: {dscr}',
+        areaConcentration: 'Area concentration: {share} ({area})',
+        crossSubsidy: 'Cross-subsidy: {share}',
+        noSurplus: 'No surplus',
+        listSeparator: ', ',
+        subsidized: 'The NOI of {properties} does not cover the repayments; the annual shortfall of {deficit} is covered by the other properties\' surplus ({surplus}).',
+        notSubsidized: 'The NOI of {properties} does not cover the repayments; the annual shortfall of {deficit} cannot be covered even by the other properties\' surplus ({surplus}).',
+        'column.property': 'Property',
+        'column.area': 'Area',
+        'column.rentIncome': 'Rent income',
+        total: 'Total',
+        note: 'The debt service ratio (DSR) and debt multiple are assessed on the combined loans of all properties. Area concentration is the share of rental income.',
+    },
+    scenarios: {
+        untitled: 'New scenario',
+        'preset.preset-rate-shock': 'Interest rate shock',
+        'preset.preset-2008-downturn': '2008-style recession',
+        'preset.preset-population-decline': 'Regional population decline',
+        'preset.preset-job-loss': 'Debtor income loss',
+        saved: 'Scenarios saved.',
+        title: 'Stress scenario comparison',
+        'field.rateChange': 'Interest rate rise',
+        'field.vacancyChange': 'Vacancy rate rise',
+        'field.rentDrop': 'Rent decline',
+        'field.expenseChange': 'Expense ratio rise',
+        'field.incomeDrop': 'Income decline',
+        add: '+ Add scenario',
+        addPreset: 'Add from preset…',
+        save: 'Save scenarios',
+        'column.scenario': 'Scenario',
+        'column.score': 'Score',
+        'column.deltaScore': 'ΔScore',
+        'column.riskLevel': 'Risk level',
+        baseline: 'Current (baseline)',
+    },
+    share: {
+        unreadable: 'The shared link cannot be read. Check that the link has not been cut off.',
+        unsupported: 'This shared link format is not supported.',
+    },
+    caseManager: {
+        notFound: 'Case not found: {id}',
+        'field.name': 'Case name',
+        'field.property': 'Property',
+        'field.debtor': 'Debtor',
+        'field.guarantor': 'Guarantor',
+        'field.notes': 'Notes',
+        none: 'None',
+        'metric.profile': 'Rule profile',
+        'metric.finalScore': 'Overall score',
+        'metric.riskLevel': 'Risk level',
+        'metric.categoryScores': 'Credit / property / interest',
+        'metric.currentDcsr': 'DCSR (current)',
+        'metric.portfolio': 'Properties / portfolio DCSR',
+        'metric.rateHikeDcsr': 'DCSR with the rate hike',
+        'metric.vacancyDcsr': 'DCSR with higher vacancy',
+        'metric.rateHikeRepayment': 'Annual repayment after the rate hike',
+        'metric.dscrBelowOneYear': 'Year the DSCR falls below 1.0',
+        'metric.negativeCumulativeYear': 'Year the cumulative CF turns negative',
+        'metric.deadCrossYear': 'Dead cross year',
+        'metric.firstAfterTaxCashFlow': 'First-year after-tax CF',
+        'metric.ltv': 'LTV (to collateral value)',
+        'metric.maxExposure': 'Maximum guaranteed amount',
+        'metric.expectedShortfall': 'Expected burden after disposing of the collateral',
+        'metric.guarantorRiskLevel': 'Guarantor risk level',
+        item: 'Item',
+        untitled: '(untitled)',
+        loadFailed: 'Cannot load the case list: {error}',
+        confirmDelete: 'Delete "{name}"?',
+        title: 'Guarantee cases',
+        overwrite: 'Save',
+        save: 'Save',
+        saveAsNew: 'Save as new case',
+        exportJson: 'Export all cases as JSON',
+        exportCsv: 'Export as CSV',
+        searchPlaceholder: 'Search by case name, property, debtor, guarantor or notes',
+        empty: 'No saved cases.',
+        compare: 'Add to comparison',
+        updatedAt: 'Updated: {time}',
+        open: 'Open',
+        duplicate: 'Duplicate',
+        copyName: '{name} (copy)',
+        compareHint: 'Select two or more cases to show a comparison table.',
+    },
+    profiles: {
+        'builtIn.standard.name': 'Standard',
+        'builtIn.standard.description': 'The model\'s default thresholds.',
+        'builtIn.conservative.name': 'Conservative',
+        'builtIn.conservative.description': 'Tighter thresholds for the debt service ratio, debt multiple, DCSR and LTV, with a higher cut-off for a low-risk rating.',
+        'builtIn.bank-template.name': 'Per-lender (template)',
+        'builtIn.bank-template.description': 'A template to duplicate and edit for each lender\'s underwriting criteria (allows a debt service ratio up to 35% and a debt multiple up to 7x).',
+        notObject: 'The profile is not an object.',
+        idRequired: 'Specify id as a string.',
+        nameRequired: 'Specify name as a string.',
+        levelsRequired: 'Specify low and medium as numbers in {key}.',
+        'levelsOrder.scoreLevels': 'For the score cut-offs, low must be greater than or equal to medium.',
+        'levelsOrder.dcsrLevels': 'For the DCSR cut-offs, low must be greater than or equal to medium.',
+        rulesRequired: 'Specify {key} as an array.',
+        unnamedRule: '{path} (no id)',
+        ruleIdRequired: '{rule}: id is missing.',
+        ruleIdDuplicated: '{rule}: duplicate id.',
+        ruleCategory: '{rule}: category must be one of {categories}.',
+        ruleMetric: '{rule}: unknown metric.',
+        ruleOperator: '{rule}: operator must be one of {operators}.',
+        ruleThreshold: '{rule}: specify threshold as a number.',
+        rulePoints: '{rule}: specify points as a number of 0 or more.',
+        itemError: 'Item {number}: {error}',
+        copyName: 'Copy of {name}',
+        confirmDelete: 'Delete the profile "{name}"?',
+        saved: 'Saved "{name}" (revision {revision}).',
+        invalidJson: 'Cannot parse the JSON: {error}',
+        builtInIdConflict: 'A profile with the same id as a built-in profile cannot be imported. Change the id.',
+        imported: 'Imported {count} profile(s).',
+        unreadableFile: 'Cannot read the file: {error}',
+        title: 'Scoring settings (rule profile: {name})',
+        builtInSuffix: '(built-in)',
+        duplicate: 'Duplicate and edit',
+        exportJson: 'Export as JSON',
+        importJson: 'Import JSON',
+        summary: '{description} · id: {id} · revision: {revision}',
+        builtInReadOnly: 'Built-in profiles cannot be edited. Duplicate the profile first.',
+        name: 'Name',
+        description: 'Description',
+        scoreLevels: 'Risk level thresholds (score: low / medium)',
+        dcsrLevels: 'Risk level thresholds (DCSR: low / medium)',
+        'column.category': 'Category',
+        'column.rule': 'Rule',
+        'column.threshold': 'Threshold (ratios 0.0 - 1.0)',
+        'column.points': 'Deduction',
+        discard: 'Discard changes',
+        editJson: 'Edit JSON directly',
+        applyJson: 'Apply JSON and save',
+    },
+    caseIO: {
+        invalidLargeRepairs: 'Use the format "year:amount;year:amount"',
+        invalidJsonArray: 'Specify a JSON array',
+        invalidRepaymentMethod: 'Specify level-payment or level-principal',
+        invalidRateType: 'Specify variable or fixed',
+        invalidStructure: 'Specify wood / light-steel / steel / rc',
+        invalidBoolean: 'Specify true or false',
+        notNumber: 'Not a number',
+        fieldIssue: '{field}: {issue}',
+        invalidJsonObject: 'Specify a JSON object',
+        unknownField: 'Unknown field',
+        invalidJsonRoot: 'Specify an array of cases or an object with a cases array',
+    },
+    api: {
+        payloadTooLarge: 'Requests must be {limit} KB or smaller.',
+        unsupportedMediaType: 'Content-Type must be application/json.',
+        invalidJson: 'The body is not valid JSON: {detail}',
+        invalidRequest: 'The request is malformed.',
+        invalidProfile: 'The scoring profile is invalid.',
+        invalidInput: 'The input data has errors.',
+        tooManyCases: 'Send at most {max} cases.',
+        caseCount: '{count} cases were sent.',
+        notFound: '{path} does not exist. See GET /openapi.json for the list of endpoints.',
+        methodNotAllowed: 'Call {path} with {methods}.',
+        internalError: 'An internal server error occurred.',
+        'schema.type': 'Must be {types}.',
+        'schema.enum': 'Must be one of {values}.',
+        'schema.minimum': 'Must be {min} or more.',
+        'schema.maximum': 'Must be {max} or less.',
+        'schema.maxItems': 'Must have at most {max} items.',
+        'schema.minItems': 'Must have at least {min} items.',
+        'schema.required': 'This field is required.',
+        'schema.unknownProperty': 'Unknown field.',
+        'schema.unknownProfile': 'Specify a built-in profile ID ({ids}).',
+    },
+    cli: {
+        usage: 'Usage: risk-predictor score [files...] [options]\n\nScores cases from CSV / JSON. Reads standard input when no file or - is given.\n\nOptions:\n  --format <table|json|csv>   output format (default: table)\n  --input-format <csv|json>   input format (default: detected from the content)\n  --profile <ID|file>         scoring profile (built-in IDs: {profiles},\n                              or a JSON file exported from the app; default: {defaultProfile})\n  --fail-on <medium|high>     exit with code 1 if any case is at or above this risk level\n  --min-score <points>        exit with code 1 if any case scores below this\n  --worst-case                also apply --fail-on to the worst-case (rate hike, vacancy) levels\n  --lang <ja|en>              display language (default: en unless LANG starts with ja)\n  -h, --help                  show this help\n\nExit codes: 0 = within thresholds / 1 = a case exceeds a threshold / 2 = invalid arguments or input, or no cases',
+        invalidArguments: '{detail}',
+        unknownCommand: 'Unknown command: {command}',
+        missingCommand: 'Specify a command.',
+        invalidOption: '{option} must be one of {values}.',
+        invalidFailOn: '--fail-on must be medium or high.',
+        invalidMinScore: '--min-score must be a number.',
+        unreadableProfile: 'Cannot read the scoring profile ({file}): {detail}',
+        invalidProfile: 'Invalid scoring profile ({file}):{errors}',
+        multipleProfiles: 'The scoring profile file must contain exactly one profile ({file}).',
+        'column.case': 'Case',
+        'column.name': 'Name',
+        'column.score': 'Score',
+        'column.riskLevel': 'Risk',
+        'column.dscr': 'DSCR',
+        'column.rateHike': 'Rate hike',
+        'column.vacancy': 'Vacancy',
+        'column.result': 'Result',
+        thresholdExceeded: 'EXCEEDED',
+        ok: 'OK',
+        profile: 'Scoring profile: {name} (revision {revision})',
+        errors: 'Errors ({count}, not scored):',
+        warnings: 'Warnings:',
+        summary: '{total} cases: {scored} scored / {failed} errors / {exceeded} exceeded thresholds',
+        unreadableFile: 'Cannot read {file}: {detail}',
+        noCases: '{file} contains no cases.',
+        stdin: 'standard input',
+        serverUsage: '{detail}\nUsage: risk-predictor-server [--port <number>] [--host <address>]',
+        invalidPort: '--port must be an integer from 0 to 65535.',
+    },
+    fields: {
+        annualIncome: 'Debtor\'s annual income (JPY)',
+        annualRepayment: 'Total annual repayment (JPY) - current',
+        totalDebt: 'Total debt (JPY)',
+        annualRentIncome: 'Annual gross rent (JPY)',
+        expenseRate: 'Annual expense ratio (%)',
+        vacancyRate: 'Expected vacancy rate (%) - current',
+        interestRate: 'Current interest rate (%)',
+        otherDebtRatio: 'Other debts to income (%)',
+        remainingTermYears: 'Remaining term (years)',
+        purchasePrice: 'Purchase price (JPY)',
+        landValue: 'Land value (JPY)',
+        buildingReplacementCost: 'Building replacement cost (JPY)',
+        capRate: 'Cap rate (%)',
+        buildingAge: 'Building age (years)',
+        foreclosureDiscount: 'Foreclosure discount (%)',
+        structure: 'Building structure',
+        buildingAcquisitionCost: 'Building acquisition cost (JPY)',
+        yearsOwned: 'Years since acquisition',
+        landTaxAssessedValue: 'Land assessed value for property tax (JPY)',
+        buildingTaxAssessedValue: 'Building assessed value for property tax (JPY)',
+        guarantorAnnualIncome: 'Guarantor\'s annual income (JPY)',
+        guarantorAssets: 'Guarantor\'s assets (JPY)',
+        guarantorDebts: 'Guarantor\'s debts (JPY)',
+        guarantorOtherGuarantees: 'Other guarantees (JPY)',
+        repaymentMethod: 'Repayment method',
+        rateType: 'Rate type',
+        simulatedInterestRate: 'Simulated interest rate (%)',
+        projectionYears: 'Projection years (10 - 35)',
+        rentDeclineRate: 'Rent decline (% per year)',
+        expenseRateIncrease: 'Expense ratio increase (% per year)',
+        vacancyDrift: 'Vacancy rate increase (% per year)',
+    },
+    options: {
+        'repaymentMethod.level-payment': 'Level payment (annuity)',
+        'repaymentMethod.level-principal': 'Level principal',
+        'rateType.variable': 'Variable rate',
+        'rateType.fixed': 'Fixed rate',
+        structure: '{structure} (statutory useful life {usefulLife} yrs)',
+    },
+    app: {
+        title: 'Joint Guarantee Risk Predictor',
+        riskScore: 'Risk score',
+        totalScore: 'Overall risk score (current): {score} / 100',
+        riskLevelLabel: '{level} risk',
+        rateHikeTitle: 'Interest rate hike simulation (at {rate})',
+        simulatedRepayment: 'Estimated total annual repayment (simulated):',
+        peakYear: 'Year of peak repayment:',
+        simulatedDcsr: 'Simulated DCSR:',
+        unpaidInterest: 'Under the 5-year and 125% rules the repayments do not cover the interest: unpaid interest reaches up to {unpaid}, and a lump-sum payment of {lumpSum} is due at the final instalment.',
+        riskJudgement: 'Risk level: {level}',
+        'schedule.show': 'Show the annual repayment schedule',
+        'schedule.year': 'Year',
+        'schedule.debtService': 'Repayment',
+        'schedule.interest': 'Interest',
+        'schedule.principal': 'Principal',
+        'schedule.endingBalance': 'Year-end balance',
+        vacancyTitle: 'Vacancy rate increase simulation (assuming {rate})',
+        'collateral.title': 'Collateral valuation',
+        'collateral.values': 'Cost approach / income approach value:',
+        'collateral.collateralValue': 'Collateral value (the lower of the two):',
+        'collateral.ltv': 'LTV (collateral value / purchase price):',
+        'collateral.recoveryValue': 'Expected recovery at foreclosure:',
+        'collateral.shortfall': 'Recovery shortfall (borne by the guarantor):',
+        'guarantor.title': 'Guarantor\'s capacity to pay',
+        'guarantor.maxExposure': 'Maximum guaranteed amount:',
+        'guarantor.maxExposureYear': '(year {year} with the rate hike)',
+        'guarantor.expectedShortfall': 'Expected burden after disposing of the collateral:',
+        'guarantor.totalExposure': 'Total including other guarantees:',
+        'guarantor.netWorthShare': 'Share of net worth:',
+        'guarantor.noNetWorth': 'N/A (net worth is zero or less)',
+        'guarantor.incomeYears': 'Years of the guarantor\'s income:',
+        'guarantor.noIncome': 'N/A (no income)',
+        'guarantor.incomeYearsValue': '{years} years',
+        'guarantor.riskJudgement': 'Guarantor risk level: {level}',
+        'error.sharedInput': 'The shared link contains invalid input. Correct it before calculating.',
+        'error.input': 'The input contains errors. Check the messages in red.',
+        'error.historyInput': 'The history entry contains invalid input. Correct it before calculating.',
+        'error.caseInput': 'The saved case contains invalid input. Correct it before calculating.',
+        'share.button': 'Copy share link',
+        'share.copied': 'Share link copied. Opening the link calculates with the same conditions.',
+        'share.copyFailed': 'The share link could not be copied. Share the URL in the address bar instead.',
+        inputTitle: 'Property investment details',
+        applyPaymentRules: 'Apply the 5-year and 125% rules (variable rate, level payment)',
+        holdingsTitle: 'Debtor\'s properties',
+        propertyArea: 'Area of the subject property',
+        propertyAreaPlaceholder: 'e.g. Kohoku-ku, Yokohama',
+        otherProperties: 'Other properties (loan per property)',
+        projectionTitle: 'Long-term projection assumptions',
+        collateralTitle: 'Collateral property',
+        taxTitle: 'Tax assumptions',
+        residentialLandSpecial: 'Apply the residential land special measure (small residential land)',
+        guarantorTitle: 'Guarantor\'s finances',
+        calculate: 'Calculate risk score and simulate',
+        resultTitle: 'Risk analysis',
+        currentDetail: 'Current risk details',
+        creditScore: 'Debtor creditworthiness (max 30):',
+        propertyScore: 'Property profitability (max 40):',
+        interestRiskScore: 'Interest rate risk (max 30):',
+        currentDcsr: 'Debt service coverage ratio (DCSR) - current:',
+        currentRiskJudgement: 'Current risk level: {level}',
+        modelVersion: 'Model version: {version} (higher scores are safer)',
+        profile: 'Rule profile: {name} (revision {revision})',
+        worstCaseTitle: 'Worst-case analysis',
+        openReport: 'Open report',
+        emptyResult: 'Enter the values and press the calculate button. The results are shown as charts and simulations.',
+    },
+    sensitivity: {
+        title: 'Break-even and sensitivity analysis',
+        field: 'Input',
+        current: 'Current',
+        dcsrBreakEven: 'Value where DSCR reaches 1.0',
+        highRiskBreakEven: 'Value where the risk becomes high',
+        note: 'Boundary values when only one input changes and the others stay as they are. Red values are already past the boundary.',
+        tornadoTitle: 'Tornado chart (change in final score at ±10% of each input)',
+        pointsUnit: ' pts',
+        noValue: 'None',
+    },
+    scoreBreakdown: {
+        title: 'Score breakdown (deductions by rule)',
+        fullScore: 'Full score',
+        finalScore: 'Final score',
+        points: 'Points',
+        triggered: 'Triggered',
+        notTriggered: 'Not triggered',
+        actual: 'Actual value: {value} · Rule ID: {ruleId}',
+        hint: 'Hint: changing {field} to {value}{change} removes this deduction',
+        hintNote: 'Hints show the smallest change to a single input, with the other inputs left as they are.',
+    },
+    projection: {
+        largeRepairs: 'Major repairs (year and amount in JPY)',
+        addRepair: '+ Add repair',
+        title: 'Long-term projection ({years} years)',
+        dscrBelowOne: 'The DSCR falls below 1.0 in year {year}',
+        dscrAboveOne: 'The DSCR stays at 1.0 or above throughout the projection',
+        cumulativeNegative: 'The cumulative cash flow turns negative in year {year}',
+        cumulativePositive: 'The cumulative cash flow stays positive throughout the projection',
+        maxShortfall: 'The foreclosure recovery shortfall peaks at {shortfall} in year {year}',
+        noShortfall: 'Foreclosure recovery is expected to cover the loan balance throughout the projection',
+        yearUnit: '',
+        cumulativeCash: 'Cumulative cash flow',
+        'column.year': 'Year',
+        'column.largeRepair': 'Major repairs',
+        'column.debtService': 'Repayment',
+        'column.cashFlow': 'CF after repayment',
+        'column.cumulativeCash': 'Cumulative CF',
+        'column.loanBalance': 'Loan balance',
+        'column.recoveryValue': 'Expected foreclosure recovery',
+        'column.shortfall': 'Recovery shortfall',
+    },
+    afterTax: {
+        title: 'After-tax cash flow',
+        deadCross: 'Principal repayments exceed depreciation in year {year} (dead cross)',
+        noDeadCross: 'Depreciation stays at or above principal repayments throughout the projection',
+        negative: 'The after-tax cash flow turns negative in year {year}',
+        positive: 'The after-tax cash flow stays positive throughout the projection',
+        depreciation: 'Building depreciation period: {life} years (straight-line, rate {rate})',
+        propertyTaxes: 'Property and city planning taxes: {amount} / year',
+        baseIncomeTaxes: 'Income and resident taxes on the debtor\'s salary alone: {amount} (marginal rate {rate})',
+        principal: 'Principal repayment',
+        deadCrossLabel: 'Dead cross',
+        'column.depreciation': 'Depreciation',
+        'column.interest': 'Interest paid',
+        'column.principal': 'Principal',
+        'column.rentalIncome': 'Rental income',
+        'column.taxChange': 'Change in income and resident taxes',
+        'column.afterTaxCashFlow': 'After-tax CF',
+        'column.cumulative': 'Cumulative (after tax)',
+        note: 'The change in income and resident taxes is the difference between the tax on salary plus rental income and the tax on salary alone (negative values are tax savings). Losses attributable to interest on borrowing for the land are not offset against other income. The expense ratio is assumed to exclude property tax.',
+    },
+    monteCarlo: {
+        notPositiveDefinite: 'The correlation matrix is not positive definite.',
+        invalidTrials: 'Trials must be an integer from 1 to {max}.',
+        workerFailed: 'Could not run the simulation: {error}',
+        title: 'Monte Carlo stress simulation',
+        'config.trials': 'Trials',
+        'config.seed': 'Random seed',
+        'config.rate.drift': 'Mean interest rate change (per year)',
+        'config.rate.volatility': 'Interest rate volatility (per year)',
+        'config.vacancy.volatility': 'Vacancy shock standard deviation',
+        'config.rent.volatility': 'Rent change standard deviation',
+        'config.expense.volatility': 'Expense ratio shock standard deviation',
+        correlation: 'Correlation: {a} × {b}',
+        'factor.rate': 'Interest rate',
+        'factor.vacancy': 'Vacancy',
+        'factor.rent': 'Rent',
+        'factor.expense': 'Expenses',
+        running: 'Running… {progress}',
+        run: 'Run simulation',
+        shortfallProbability: 'Probability of a claim on the guarantor',
+        expectedLoss: 'Expected loss (mean cumulative shortfall)',
+        percentile: 'Percentile',
+        cumulativeShortfall: 'Cumulative shortfall',
+        yearlyProbability: 'Claim probability (cumulative)',
+        summary: '{trials} trials · {years} years · seed {seed}',
+    },
+    history: {
+        'field.applyPaymentRules': '5-year and 125% rules',
+        'field.largeRepairs': 'Major repairs',
+        'field.residentialLandSpecial': 'Residential land special measure',
+        'field.propertyArea': 'Area of the subject property',
+        'field.additionalProperties': 'Other properties',
+        count: '{count} items',
+        applied: 'Applied',
+        notApplied: 'Not applied',
+        empty: '(blank)',
+        title: 'Calculation history ({count})',
+        restorePrevious: 'Restore the previous calculation',
+        confirmClear: 'Delete the entire calculation history?',
+        clear: 'Clear history',
+        none: 'No calculations yet.',
+        profile: '{name} (revision {revision})',
+        restore: 'Restore this input',
+        profileChanged: 'Rule profile changed',
+        'field.marketBenchmark': 'Regional benchmark',
+    },
+    batch: {
+        unreadableFile: 'Cannot read the file: {error}',
+        saved: 'Saved {count} case(s).',
+        saveFailed: 'Cannot save the cases: {error}',
+        title: 'Bulk import and scoring (CSV / JSON)',
+        columnMapping: 'Column mapping',
+        skipColumn: '(skip)',
+        loaded: 'Loaded {count} case(s)',
+        invalid: ' ({count} of them have errors and are not scored)',
+        rowErrors: 'Row {row}: {errors}',
+        rowWarnings: 'Row {row} (warning): {warnings}',
+        score: 'Score all',
+        saveCases: 'Save as cases',
+        'column.row': 'Row',
+        'column.riskLevel': 'Risk',
+        'column.rateHikeDscr': 'DSCR with rate hike',
+        'column.vacancyDscr': 'DSCR with higher vacancy',
+        notScored: 'Not scored because of input errors',
+    },
+    report: {
+        print: 'Print / save as PDF',
+        title: 'Joint guarantee risk assessment report',
+        meta: 'Created: {createdAt} ・ Model version: {version} ・ Rule profile: {profile} (revision {revision})',
+        'section.case': 'Case details',
+        'section.overall': 'Overall assessment',
+        'section.input': 'Inputs',
+        'section.disclaimer': 'Disclaimer',
+        totalScore: 'Overall risk score:',
+        scoreValue: '{score} / 100',
+        higherIsSafer: '(higher is safer)',
+        riskLevel: 'Risk level:',
+        'column.points': 'Points',
+        'column.method': 'Method',
+        'column.deduction': 'Deduction rule',
+        'column.actual': 'Actual value',
+        'column.reason': 'Reason',
+        'column.deltaScore': 'Change from current',
+        'column.taxChange': 'Tax change',
+        method: 'Points are deducted when {rules}.',
+        ratios: 'Debt coverage ratio (DCSR): {dcsr} ・ Debt service to income (DSR): {dsr} ・ NOI: {noi}',
+        rateHike: 'Rate hike ({rate})',
+        vacancy: 'Higher vacancy ({rate})',
+        costValue: 'Cost approach value',
+        incomeValue: 'Income approach value',
+        collateralValue: 'Collateral value (the lower of the two)',
+        ltv: 'LTV (collateral value / purchase price)',
+        recoveryValue: 'Expected recovery at foreclosure',
+        totalExposure: 'Total including other guarantees',
+        netWorth: 'Guarantor net worth',
+        netWorthShare: 'Share of net worth',
+        incomeYears: 'Years of the guarantor\'s income',
+        guarantorRiskLevel: 'Guarantor risk level',
+        negativeCumulativeYear: 'Year cumulative cash flow turns negative',
+        deadCrossYear: 'Dead cross (principal repayment exceeds depreciation)',
+        negativeAfterTaxYear: 'Year after-tax cash flow turns negative',
+        depreciationLife: 'Building depreciation period: {life} years',
+        disclaimer: 'This report is an estimate based on the information entered and certain assumptions. It does not guarantee future repayment or whether, or how much, a guarantee obligation will arise. Forecasts of interest rates, vacancy and rents are uncertain. Before signing a guarantee agreement, consult professionals such as your bank, a lawyer or a tax accountant.',
+    },
+    propertyTypes: {
+        unit: 'Condominium unit',
+        apartment: 'Apartment building (wooden)',
+        building: 'Apartment building (RC)',
+    },
+    market: {
+        title: 'Regional benchmark',
+        name: '{region} ({type})',
+        apply: 'Apply to inputs',
+        applyNote: 'Sets vacancy, rent decline, expense ratio and cap rate to the benchmark and compares later edits against it.',
+        comparing: 'Compared with the {benchmark} benchmark',
+        clear: 'Don\'t compare',
+        'column.field': 'Item',
+        'column.input': 'Input',
+        'column.benchmark': 'Benchmark',
+        optimisticMark: '(more optimistic than the benchmark)',
+        riskDetail: '{detail} Note that {fields} are more optimistic than the {benchmark} benchmark.',
+        editorTitle: 'Regional benchmark data ({count})',
+        editorNote: 'The built-in values are indicative levels based on public statistics and common industry practice. Edits are saved in this browser.',
+        'column.prefecture': 'Prefecture',
+        'column.ward': 'City / ward',
+        'column.propertyType': 'Property type',
+        rowError: 'Row {row}: {error}',
+        reset: 'Restore built-in data',
+        confirmReset: 'Restore the built-in regional benchmarks? Your edits will be lost.',
+        'error.notObject': 'A benchmark must be an object.',
+        'error.id': 'Specify an id.',
+        'error.prefecture': 'Enter a prefecture.',
+        'error.ward': 'The city / ward must be a string.',
+        'error.propertyType': 'The property type must be one of {types}.',
+        'error.ratio': 'The {field} must be between 0% and 100%.',
+        'field.vacancyRate': 'vacancy rate',
+        'field.rentDeclineRate': 'rent decline',
+        'field.expenseRate': 'expense ratio',
+        'field.capRate': 'cap rate',
+    },
+    sweep: {
+        title: 'Interest rate and vacancy scenario charts',
+        note: 'DSCR and final score when only the interest rate or the vacancy rate changes and the other inputs stay as they are. When the rate changes, the annual repayment is recalculated from the repayment schedule.',
+        rateTitle: 'Across interest rates',
+        vacancyTitle: 'Across vacancy rates',
+        'axis.interestRate': 'Interest rate',
+        'axis.vacancyRate': 'Vacancy rate',
+        dcsr: 'DSCR',
+        finalScore: 'Final score',
+        current: 'Current',
+        dcsrBreakEven: '{field} where DSCR reaches 1.0: {value}',
+        highRiskBreakEven: '{field} where the risk becomes high: {value}',
+        headroom: '{value} ({difference} from current)',
+        noBreakEven: 'None',
+        heatmapTitle: 'Risk level by interest rate and vacancy rate',
+        heatmapNote: 'The outlined cell is the one closest to the current inputs (interest rate {rate}, vacancy rate {vacancy}). Hover over a cell to see its DSCR and final score.',
+        cellTitle: 'Interest rate {rate}, vacancy rate {vacancy}: {level} (DSCR {dcsr}, {score} pts)',
+    },
+};
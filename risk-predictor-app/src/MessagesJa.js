@@ -0,0 +1,674 @@
+// risk-predictor-app/src/MessagesJa.js
+
+/**
+ * 日本語のメッセージカタログ (キーの基準。英語のカタログにないキーはこの文言で表示する)
+ * 区分ごとに「名前: 文言」を定義する。文言中の {name} は表示時に params の値に置き換える (I18n.js)
+ */
+export const MESSAGES_JA = {
+    common: {
+        error: 'エラー',
+        warning: '注意',
+        points: '{points}点',
+        yearNumber: '{year}年目',
+        years: '{years}年',
+        close: '閉じる',
+        delete: '削除',
+        add: '追加',
+        notComputable: '算出不可',
+        language: '表示言語',
+        listSeparator: '、',
+    },
+    riskLevels: {
+        low: '低',
+        medium: '中',
+        high: '高',
+    },
+    riskDetails: {
+        low: '債務者・物件収益性ともに優れており、連帯保証リスクは非常に低いと評価されます。',
+        medium: '一部の財務指標に改善の余地があります。詳細な内訳（信用力、収益力）を確認し、懸念点を特定してください。',
+        high: '信用力または物件収益力に大きな懸念があります。連帯保証人として引き受ける前に、詳細なリスクトレードオフ分析が必要です。',
+    },
+    worstCase: {
+        'rateHike.low': 'シミュレーション金利でもリスクは低いままです。',
+        'rateHike.medium': 'シミュレーション金利（{rate}）では、DCSRが{dcsr}まで低下し、リスクは中程度に上昇します。',
+        'rateHike.high': 'シミュレーション金利（{rate}）では、DCSRが{threshold}を下回り、収益が返済額を下回る高いリスクがあります。',
+        'vacancy.low': '空室率{vacancyRate}%のケースでもDCSRは{dcsr}で、安定しています。',
+        'vacancy.medium': '空室率が{vacancyRate}%に悪化すると、DCSRが{dcsr}まで低下し、収益性が中程度のリスクにさらされます。',
+        'vacancy.high': '空室率が{vacancyRate}%に悪化すると、DCSRが{threshold}を下回り、収益が返済額を下回る高いリスクがあります。',
+    },
+    guarantor: {
+        insolvent: '連帯保証人の純資産がゼロ以下のため、保証債務を履行する余力がありません。',
+        exceedsNetWorth: '担保処分後の負担見込額が連帯保証人の純資産を上回り、履行すると債務超過に陥ります。',
+        exceedsIncomeYears: '担保処分後の負担見込額が連帯保証人の年収の{years}年分を超え、収入からの返済も困難です。',
+        medium: '保証債務の履行により、連帯保証人の資産の大半または年収の{years}年分以上が失われます。',
+        low: '連帯保証人の資産・収入で保証債務を履行できる見込みです。',
+    },
+    categories: {
+        credit: '主債務者信用力',
+        property: '物件収益力',
+        interest: '金利変動リスク',
+    },
+    metrics: {
+        annualIncome: '主債務者の年収',
+        debtToIncomeRatio: '年収に対する返済比率 (DSR)',
+        totalDebtToIncomeRatio: '借入総額の年収倍率',
+        otherDebtRatio: '他の負債の年収比',
+        currentDcsr: '債務カバー率 (DCSR)',
+        expenseRate: '年間経費率',
+        vacancyRate: '想定空室率',
+        ltv: '担保評価額に対する借入比率 (LTV)',
+        portfolioDcsr: '保有物件全体の債務カバー率 (DCSR)',
+        areaConcentration: '家賃収入のエリア集中度',
+        crossSubsidyShare: '他物件の余剰に占める不足額の割合 (内部補填)',
+        interestRate: '現在の金利',
+        notApplicable: '対象外',
+        notComputable: '算出不可',
+        yenValue: '{value}円',
+        timesValue: '{value}倍',
+    },
+    ruleConditions: {
+        over: '{metric}が{value}超',
+        atLeast: '{metric}が{value}以上',
+        under: '{metric}が{value}未満',
+        atMost: '{metric}が{value}以下',
+    },
+    rules: {
+        'credit-dsr-over-30': '年収に対する年間返済額の比率が高く、収入が減ると返済が滞りやすくなります。',
+        'credit-debt-multiple-over-5': '借入総額が年収の5倍を超えており、主債務者の返済余力に対して借入が過大です。',
+        'credit-other-debt-over-20': '他の負債の返済負担が大きく、本件の返済に回せる収入が少なくなります。',
+        'property-dcsr-below-1.2': '家賃収入からの返済余力が小さく、空室や修繕で返済原資が不足しやすくなります。',
+        'property-dcsr-below-1.0': '物件の純収益で返済額を賄えず、主債務者の給与等からの持ち出しが必要です。',
+        'property-expense-over-40': '経費率が高く、収益性が低い物件です。',
+        'property-vacancy-over-15': '空室率が高く、家賃収入が安定しません。',
+        'property-ltv-over-80': '担保評価額に対する借入が大きく、競売時に回収不足が生じやすくなります。',
+        'property-ltv-over-100': '借入が担保評価額を上回っており、担保処分後も残債が残ります。',
+        'property-portfolio-dcsr-below-1.0': '保有物件全体の純収益で返済総額を賄えず、主債務者の給与等からの持ち出しが必要です。',
+        'property-cross-subsidy-over-50': '返済額を賄えない物件の不足を他の物件の余剰で補っており、収益力の高い物件に依存しています。',
+        'property-area-concentration-over-70': '家賃収入が特定のエリアに集中しており、地域の需要減少や災害の影響を同時に受けます。',
+        'interest-rate-over-4': '現在の金利が高く、返済負担が重くなっています。',
+        'interest-rate-over-5': '金利が5%を超えており、さらなる上昇時の返済額の増加が大きくなります。',
+        'interest-debt-multiple-over-8': '借入総額が年収の8倍を超えており、金利上昇の影響を強く受けます。',
+        'knockout-no-income': '致命的リスク: 主債務者の年収がゼロです。',
+    },
+    structures: {
+        wood: '木造',
+        'light-steel': '軽量鉄骨造 (骨格材3mm超4mm以下)',
+        steel: '重量鉄骨造',
+        rc: '鉄筋コンクリート造',
+    },
+    propertyFields: {
+        annualRentIncome: '年間総家賃収入',
+        vacancyRate: '空室率',
+        expenseRate: '経費率',
+        loanBalance: 'ローン残高',
+        annualRepayment: '年間返済額',
+        interestRate: '金利',
+    },
+    validation: {
+        notNumber: '数値を入力してください。',
+        atLeast: '{min}以上で入力してください。',
+        atMost: '{max}以下で入力してください。',
+        notInteger: '整数で入力してください。',
+        largeRepair: '大規模修繕 {number}件目: 実施年は1以上、金額は0以上で入力してください。',
+        property: '他の物件 {number}件目',
+        namedProperty: '他の物件 {number}件目 ({name})',
+        propertyAtLeast: '{property}: {field}は{min}以上で入力してください。',
+        propertyBetween: '{property}: {field}は{min}〜{max}で入力してください。',
+        zeroIncome: '主債務者の年収がゼロです。返済原資がないため致命的リスクと評価されます。',
+        repaymentExceedsDebt: '年間の総返済額が借入総額を超えています。',
+        repaymentBelowInterest: '年間の総返済額が年間の利息 (約{interest}) に満たず、元本が減りません。',
+        repaymentMismatch: '借入総額・金利・返済期間から計算した初年度の返済額 (約{expected}) と大きく異なります。',
+        repaymentWithoutDebt: '借入総額がゼロですが、年間の総返済額が入力されています。',
+        expenseAndVacancyOver100: '経費率と空室率の合計が100%を超えています。前提を確認してください。',
+        overLoan: '借入総額が購入価格を上回っています (オーバーローン)。',
+        simulatedRateBelowCurrent: 'シミュレーション金利が現在の金利より低くなっています。',
+        yearsOwnedExceedsAge: '取得からの経過年数が築年数を超えています。',
+        acquisitionCostExceedsPrice: '建物の取得価額が購入価格を上回っています。',
+        repairOutsideProjection: '{year}年目の大規模修繕は予測期間 ({years}年) の外です。',
+        invalidMarketBenchmark: '地域の目安の形式が正しくありません。',
+        optimisticVsMarket: '{benchmark} の目安 ({value}) より楽観的な前提です。',
+    },
+    numberInput: {
+        required: '値を入力してください。',
+        invalidYen: '金額を数値で入力してください (例: 5000000 / 500万)。',
+        invalidNumber: '数値を入力してください。',
+    },
+    portfolio: {
+        subjectProperty: '対象物件',
+        unnamedProperty: '物件{number}',
+        unspecifiedArea: 'エリア未設定',
+        noDebtService: '返済なし',
+        yenField: '{label} (円)',
+        percentField: '{label} (%)',
+        namePlaceholder: '物件名 (物件{number})',
+        areaPlaceholder: '所在エリア',
+        addProperty: '+ 物件を追加',
+        title: '保有物件全体 ({count}物件)',
+        noOtherProperties: '他の保有物件は登録されていません。入力フォームの「主債務者の保有物件」から追加すると、全体の返済余力を評価します。',
+        portfolioDscr: '全体のDSCR: {dscr}',
+        areaConcentration: 'エリア集中度: {share} ({area})',
+        crossSubsidy: '内部補填: {share}',
+        noSurplus: '余剰なし',
+        listSeparator: '、',
+        subsidized: '{properties}は返済額をNOIで賄えず、年間{deficit}の不足を他の物件の余剰 ({surplus}) で補っています。',
+        notSubsidized: '{properties}は返済額をNOIで賄えず、年間{deficit}の不足を他の物件の余剰 ({surplus}) でも補いきれません。',
+        'column.property': '物件',
+        'column.area': 'エリア',
+        'column.rentIncome': '家賃収入',
+        total: '合計',
+        note: '返済比率 (DSR)・借入倍率は全物件のローンを合算して評価しています。エリア集中度は家賃収入に占める割合です。',
+    },
+    scenarios: {
+        untitled: '新しいシナリオ',
+        'preset.preset-rate-shock': '金利急上昇',
+        'preset.preset-2008-downturn': '2008年型の景気後退',
+        'preset.preset-population-decline': '地方の人口減少',
+        'preset.preset-job-loss': '主債務者の収入減少',
+        saved: 'シナリオを保存しました。',
+        title: 'ストレスシナリオ比較',
+        'field.rateChange': '金利上昇幅',
+        'field.vacancyChange': '空室率上昇幅',
+        'field.rentDrop': '家賃下落率',
+        'field.expenseChange': '経費率上昇幅',
+        'field.incomeDrop': '年収減少率',
+        add: '+ シナリオを追加',
+        addPreset: 'プリセットから追加…',
+        save: 'シナリオを保存',
+        'column.scenario': 'シナリオ',
+        'column.score': 'スコア',
+        'column.deltaScore': 'Δスコア',
+        'column.riskLevel': 'リスク判定',
+        baseline: '現状 (ベースライン)',
+    },
+    share: {
+        unreadable: '共有リンクの内容を読み取れません。リンクが途中で切れていないか確認してください。',
+        unsupported: 'この共有リンクの形式には対応していません。',
+    },
+    caseManager: {
+        notFound: 'ケースが見つかりません: {id}',
+        'field.name': '案件名',
+        'field.property': '物件',
+        'field.debtor': '主債務者',
+        'field.guarantor': '連帯保証人',
+        'field.notes': 'メモ',
+        none: 'なし',
+        'metric.profile': 'ルールプロファイル',
+        'metric.finalScore': '総合スコア',
+        'metric.riskLevel': 'リスク判定',
+        'metric.categoryScores': '信用力 / 収益力 / 金利',
+        'metric.currentDcsr': 'DCSR (現状)',
+        'metric.portfolio': '保有物件数 / 全体のDCSR',
+        'metric.rateHikeDcsr': '金利上昇時のDCSR',
+        'metric.vacancyDcsr': '空室率悪化時のDCSR',
+        'metric.rateHikeRepayment': '金利上昇後の年間返済額',
+        'metric.dscrBelowOneYear': 'DSCRが1.0を下回る年',
+        'metric.negativeCumulativeYear': '累積CFがマイナスになる年',
+        'metric.deadCrossYear': 'デッドクロスの年',
+        'metric.firstAfterTaxCashFlow': '初年度の税引後CF',
+        'metric.ltv': 'LTV (担保評価額比)',
+        'metric.maxExposure': '保証債務の最大額',
+        'metric.expectedShortfall': '担保処分後の負担見込額',
+        'metric.guarantorRiskLevel': '保証人の判定',
+        item: '項目',
+        untitled: '(無題)',
+        loadFailed: 'ケース一覧を読み込めません: {error}',
+        confirmDelete: '「{name}」を削除しますか？',
+        title: '保証案件の管理',
+        overwrite: '上書き保存',
+        save: '保存',
+        saveAsNew: '新規ケースとして保存',
+        exportJson: '全ケースをJSONで書き出し',
+        exportCsv: 'CSVで書き出し',
+        searchPlaceholder: '案件名・物件・債務者・保証人・メモで検索',
+        empty: '保存済みのケースはありません。',
+        compare: '比較対象に追加',
+        updatedAt: '更新: {time}',
+        open: '開く',
+        duplicate: '複製',
+        copyName: '{name} (コピー)',
+        compareHint: '2件以上のケースにチェックを入れると比較表を表示します。',
+    },
+    profiles: {
+        'builtIn.standard.name': '標準',
+        'builtIn.standard.description': 'モデルの既定の閾値です。',
+        'builtIn.conservative.name': '保守的',
+        'builtIn.conservative.description': '返済比率・借入倍率・DCSR・LTV の閾値を厳しくし、低リスク判定の区切りを引き上げたプロファイルです。',
+        'builtIn.bank-template.name': '金融機関別 (テンプレート)',
+        'builtIn.bank-template.description': '金融機関ごとの審査基準に合わせて複製・編集するためのひな形です (返済比率 35%、借入倍率 7倍まで許容)。',
+        notObject: 'プロファイルがオブジェクトではありません。',
+        idRequired: 'id を文字列で指定してください。',
+        nameRequired: 'name を文字列で指定してください。',
+        levelsRequired: '{key} に low・medium を数値で指定してください。',
+        'levelsOrder.scoreLevels': 'スコアの区切りは low を medium 以上にしてください。',
+        'levelsOrder.dcsrLevels': 'DCSRの区切りは low を medium 以上にしてください。',
+        rulesRequired: '{key} を配列で指定してください。',
+        unnamedRule: '{path} (id なし)',
+        ruleIdRequired: '{rule}: id がありません。',
+        ruleIdDuplicated: '{rule}: id が重複しています。',
+        ruleCategory: '{rule}: category は {categories} のいずれかです。',
+        ruleMetric: '{rule}: metric が不明です。',
+        ruleOperator: '{rule}: operator は {operators} のいずれかです。',
+        ruleThreshold: '{rule}: threshold を数値で指定してください。',
+        rulePoints: '{rule}: points を0以上の数値で指定してください。',
+        itemError: '{number}件目: {error}',
+        copyName: '{name} のコピー',
+        confirmDelete: 'プロファイル「{name}」を削除しますか？',
+        saved: '「{name}」を保存しました (版 {revision})。',
+        invalidJson: 'JSON を解析できません: {error}',
+        builtInIdConflict: '組み込みプロファイルと同じ id のプロファイルは取り込めません。id を変更してください。',
+        imported: '{count}件のプロファイルを取り込みました。',
+        unreadableFile: 'ファイルを読み込めません: {error}',
+        title: 'スコアリング設定 (ルールプロファイル: {name})',
+        builtInSuffix: '(組み込み)',
+        duplicate: '複製して編集',
+        exportJson: 'JSONで書き出し',
+        importJson: 'JSONを取り込む',
+        summary: '{description} ・ id: {id} ・ 版: {revision}',
+        builtInReadOnly: '組み込みプロファイルは編集できません。複製してから編集してください。',
+        name: '名前',
+        description: '説明',
+        scoreLevels: 'リスク判定の区切り (スコア: 低 / 中)',
+        dcsrLevels: 'リスク判定の区切り (DCSR: 低 / 中)',
+        'column.category': '評価項目',
+        'column.rule': 'ルール',
+        'column.threshold': '閾値 (比率は 0.0 - 1.0)',
+        'column.points': '減点',
+        discard: '変更を破棄',
+        editJson: 'JSONを直接編集',
+        applyJson: 'JSONを適用して保存',
+    },
+    caseIO: {
+        invalidLargeRepairs: '「年:金額;年:金額」の形式で入力してください',
+        invalidJsonArray: 'JSON の配列で指定してください',
+        invalidRepaymentMethod: '元利均等 / 元金均等 のいずれかを指定してください',
+        invalidRateType: '変動 / 固定 のいずれかを指定してください',
+        invalidStructure: '木造 / 軽量鉄骨造 / 重量鉄骨造 / 鉄筋コンクリート造 のいずれかを指定してください',
+        invalidBoolean: 'true / false で指定してください',
+        notNumber: '数値ではありません',
+        fieldIssue: '{field}: {issue}',
+        invalidJsonObject: 'JSON のオブジェクトで指定してください',
+        unknownField: '不明な項目です',
+        invalidJsonRoot: 'ケースの配列、またはケースを cases に持つオブジェクトで指定してください',
+    },
+    api: {
+        payloadTooLarge: 'リクエストは{limit}KB 以下にしてください。',
+        unsupportedMediaType: 'Content-Type は application/json にしてください。',
+        invalidJson: 'JSON として読み取れません: {detail}',
+        invalidRequest: 'リクエストの形式が正しくありません。',
+        invalidProfile: 'ルールプロファイルが正しくありません。',
+        invalidInput: '入力データにエラーがあります。',
+        tooManyCases: 'ケースは{max}件以下にしてください。',
+        caseCount: '{count}件あります。',
+        notFound: '{path} は存在しません。GET /openapi.json で API の一覧を確認してください。',
+        methodNotAllowed: '{path} は {methods} で呼び出してください。',
+        internalError: 'サーバー内部でエラーが発生しました。',
+        'schema.type': '{types} で指定してください。',
+        'schema.enum': '{values} のいずれかを指定してください。',
+        'schema.minimum': '{min}以上で指定してください。',
+        'schema.maximum': '{max}以下で指定してください。',
+        'schema.maxItems': '{max}件以下で指定してください。',
+        'schema.minItems': '{min}件以上で指定してください。',
+        'schema.required': '必須の項目です。',
+        'schema.unknownProperty': '不明な項目です。',
+        'schema.unknownProfile': '組み込みプロファイルの ID ({ids}) を指定してください。',
+    },
+    cli: {
+        usage: '使い方: risk-predictor score [ファイル...] [オプション]\n\nCSV / JSON のケースをスコアリングします。ファイルを省略するか - を指定すると標準入力から読み込みます。\n\nオプション:\n  --format <table|json|csv>   出力形式 (既定: table)\n  --input-format <csv|json>   入力形式 (既定: 内容から判定)\n  --profile <ID|ファイル>      ルールプロファイル (組み込みの ID: {profiles}、\n                              または画面から書き出した JSON ファイル。既定: {defaultProfile})\n  --fail-on <medium|high>     このリスク判定以上のケースがあれば終了コード 1 で終了する (中 / 高 も可)\n  --min-score <点>             スコアがこの点数未満のケースがあれば終了コード 1 で終了する\n  --worst-case                --fail-on をワーストケース (金利上昇・空室率悪化) の判定にも適用する\n  --lang <ja|en>              表示言語 (既定: 環境変数 LANG が ja で始まらなければ en)\n  -h, --help                  この説明を表示する\n\n終了コード: 0 = 閾値の範囲内 / 1 = 閾値を超えるケースあり / 2 = 引数・入力データのエラー、またはケースなし',
+        invalidArguments: '{detail}',
+        unknownCommand: '不明なコマンドです: {command}',
+        missingCommand: 'コマンドを指定してください。',
+        invalidOption: '{option} は {values} のいずれかを指定してください。',
+        invalidFailOn: '--fail-on は medium / high (中 / 高) のいずれかを指定してください。',
+        invalidMinScore: '--min-score には数値を指定してください。',
+        unreadableProfile: 'ルールプロファイルを読み込めません ({file}): {detail}',
+        invalidProfile: 'ルールプロファイルが正しくありません ({file}):{errors}',
+        multipleProfiles: 'ルールプロファイルのファイルには1件だけ記載してください ({file})。',
+        'column.case': 'ケース',
+        'column.name': '案件名',
+        'column.score': 'スコア',
+        'column.riskLevel': '判定',
+        'column.dscr': 'DSCR',
+        'column.rateHike': '金利上昇時',
+        'column.vacancy': '空室率悪化時',
+        'column.result': '結果',
+        thresholdExceeded: '閾値超過',
+        ok: 'OK',
+        profile: 'ルールプロファイル: {name} (版 {revision})',
+        errors: 'エラー ({count}件、スコアリングの対象外):',
+        warnings: '警告:',
+        summary: '{total}件中 スコアリング {scored}件 / エラー {failed}件 / 閾値超過 {exceeded}件',
+        unreadableFile: '{file} を読み込めません: {detail}',
+        noCases: '{file} にケースがありません。',
+        stdin: '標準入力',
+        serverUsage: '{detail}\n使い方: risk-predictor-server [--port <番号>] [--host <アドレス>]',
+        invalidPort: '--port には 0 - 65535 の整数を指定してください。',
+    },
+    fields: {
+        annualIncome: '主債務者の年収 (円)',
+        annualRepayment: '年間の総返済額 (円) - 現状',
+        totalDebt: '借入総額 (円)',
+        annualRentIncome: '年間総家賃収入 (円)',
+        expenseRate: '年間経費率 (%)',
+        vacancyRate: '想定空室率 (%) - 現状',
+        interestRate: '現在の金利 (%)',
+        otherDebtRatio: '他の負債の年収比 (%)',
+        remainingTermYears: '残りの返済期間 (年)',
+        purchasePrice: '購入価格 (円)',
+        landValue: '土地価格 (円)',
+        buildingReplacementCost: '建物の再調達価格 (円)',
+        capRate: '還元利回り (%)',
+        buildingAge: '築年数 (年)',
+        foreclosureDiscount: '競売減価率 (%)',
+        structure: '建物構造',
+        buildingAcquisitionCost: '建物の取得価額 (円)',
+        yearsOwned: '取得からの経過年数 (年)',
+        landTaxAssessedValue: '土地の固定資産税評価額 (円)',
+        buildingTaxAssessedValue: '建物の固定資産税評価額 (円)',
+        guarantorAnnualIncome: '連帯保証人の年収 (円)',
+        guarantorAssets: '連帯保証人の資産 (円)',
+        guarantorDebts: '連帯保証人の負債 (円)',
+        guarantorOtherGuarantees: '他の保証債務 (円)',
+        repaymentMethod: '返済方式',
+        rateType: '金利タイプ',
+        simulatedInterestRate: 'シミュレーション金利 (%)',
+        projectionYears: '予測年数 (10 - 35年)',
+        rentDeclineRate: '家賃下落率 (年率 %)',
+        expenseRateIncrease: '経費率の上昇幅 (年あたり %)',
+        vacancyDrift: '空室率の上昇幅 (年あたり %)',
+    },
+    options: {
+        'repaymentMethod.level-payment': '元利均等返済',
+        'repaymentMethod.level-principal': '元金均等返済',
+        'rateType.variable': '変動金利',
+        'rateType.fixed': '固定金利',
+        structure: '{structure} (法定耐用年数 {usefulLife}年)',
+    },
+    app: {
+        title: '連帯保証リスク予測 Webアプリ',
+        riskScore: 'リスクスコア',
+        totalScore: '総合リスクスコア (現状): {score}点 / 100点',
+        riskLevelLabel: '{level}リスク',
+        rateHikeTitle: '金利上昇シミュレーション ({rate} 適用時)',
+        simulatedRepayment: '概算の年間総返済額 (シミュレーション後):',
+        peakYear: '返済額が最大となる年:',
+        simulatedDcsr: 'シミュレーション後のDCSR:',
+        unpaidInterest: '5年ルール・125%ルールにより返済額で利息を賄えず、未払利息が最大{unpaid}発生します。最終回に{lumpSum}の一括返済が必要です。',
+        riskJudgement: 'リスク判定: {level}',
+        'schedule.show': '返済予定表 (年次) を表示',
+        'schedule.year': '年',
+        'schedule.debtService': '返済額',
+        'schedule.interest': '利息',
+        'schedule.principal': '元金',
+        'schedule.endingBalance': '年末残高',
+        vacancyTitle: '空室率悪化シミュレーション ({rate} 想定)',
+        'collateral.title': '担保評価',
+        'collateral.values': '積算価格 / 収益還元価格:',
+        'collateral.collateralValue': '担保評価額 (低い方を採用):',
+        'collateral.ltv': 'LTV (担保評価額 / 購入価格):',
+        'collateral.recoveryValue': '競売時の回収見込み額:',
+        'collateral.shortfall': '回収不足額 (保証人の負担):',
+        'guarantor.title': '連帯保証人の負担能力',
+        'guarantor.maxExposure': '保証債務の最大額:',
+        'guarantor.maxExposureYear': '(金利上昇時 {year}年目)',
+        'guarantor.expectedShortfall': '担保処分後の負担見込額:',
+        'guarantor.totalExposure': '他の保証債務を含む合計:',
+        'guarantor.netWorthShare': '純資産に占める割合:',
+        'guarantor.noNetWorth': '算出不可 (純資産がゼロ以下)',
+        'guarantor.incomeYears': '保証人の年収の何年分か:',
+        'guarantor.noIncome': '算出不可 (年収がゼロ)',
+        'guarantor.incomeYearsValue': '{years}年分',
+        'guarantor.riskJudgement': '保証人リスク判定: {level}',
+        'error.sharedInput': '共有リンクの入力内容にエラーがあります。修正してから計算してください。',
+        'error.input': '入力内容にエラーがあります。赤字のメッセージを確認してください。',
+        'error.historyInput': '履歴の入力内容にエラーがあります。修正してから計算してください。',
+        'error.caseInput': '保存済みケースの入力内容にエラーがあります。修正してから計算してください。',
+        'share.button': '共有リンクをコピー',
+        'share.copied': '共有リンクをコピーしました。リンクを開くと同じ条件で計算されます。',
+        'share.copyFailed': '共有リンクをコピーできませんでした。アドレスバーの URL を共有してください。',
+        inputTitle: '不動産投資案件の詳細入力',
+        applyPaymentRules: '5年ルール・125%ルールを適用 (変動金利・元利均等返済)',
+        holdingsTitle: '主債務者の保有物件',
+        propertyArea: '対象物件の所在エリア',
+        propertyAreaPlaceholder: '例: 横浜市港北区',
+        otherProperties: '他の保有物件 (物件ごとのローン)',
+        projectionTitle: '長期収支予測の前提',
+        collateralTitle: '担保物件',
+        taxTitle: '税務の前提',
+        residentialLandSpecial: '住宅用地の特例を適用 (小規模住宅用地)',
+        guarantorTitle: '連帯保証人の財務状況',
+        calculate: 'リスクスコアを計算・シミュレーション',
+        resultTitle: 'リスク分析結果',
+        currentDetail: '現状のリスク詳細',
+        creditScore: '主債務者信用力 (最大30点):',
+        propertyScore: '物件収益力 (最大40点):',
+        interestRiskScore: '金利変動リスク (最大30点):',
+        currentDcsr: '債務カバー率 (DCSR) - 現状:',
+        currentRiskJudgement: '現状リスク判定: {level}',
+        modelVersion: 'モデルバージョン: {version} (スコアは高いほど安全)',
+        profile: 'ルールプロファイル: {name} (版 {revision})',
+        worstCaseTitle: 'ワーストケース分析',
+        openReport: 'レポート出力',
+        emptyResult: '入力値を設定し、「リスクスコアを計算」ボタンを押してください。結果がグラフとシミュレーションで表示されます。',
+    },
+    sensitivity: {
+        title: '損益分岐点・感度分析',
+        field: '入力項目',
+        current: '現状',
+        dcsrBreakEven: 'DSCRが1.0になる値',
+        highRiskBreakEven: '高リスク判定になる値',
+        note: '他の入力を現状のまま、1項目だけを動かした場合の境界値です。赤字は現状ですでに境界を超えている項目です。',
+        tornadoTitle: 'トルネードチャート (各入力 ±10% 時の最終スコア変化)',
+        pointsUnit: '点',
+        noValue: '該当なし',
+    },
+    scoreBreakdown: {
+        title: 'スコアの内訳 (ルール別の減点)',
+        fullScore: '満点',
+        finalScore: '最終スコア',
+        points: '点数',
+        triggered: '該当',
+        notTriggered: '非該当',
+        actual: '実際の値: {value} ・ ルールID: {ruleId}',
+        hint: '改善のヒント: {field}を{value}{change} にすると、この減点はなくなります',
+        hintNote: '改善のヒントは、他の入力を現状のまま1項目だけを動かした場合の最小の変更です。',
+    },
+    projection: {
+        largeRepairs: '大規模修繕 (実施年・金額 円)',
+        addRepair: '+ 修繕を追加',
+        title: '長期収支予測 ({years}年間)',
+        dscrBelowOne: '{year}年目にDSCRが1.0を下回ります',
+        dscrAboveOne: '予測期間中、DSCRは1.0以上を維持します',
+        cumulativeNegative: '{year}年目に累積キャッシュフローがマイナスになります',
+        cumulativePositive: '予測期間中、累積キャッシュフローはプラスを維持します',
+        maxShortfall: '競売時の回収不足額は{year}年目に最大{shortfall}となります',
+        noShortfall: '予測期間中、競売による回収でローン残高を賄える見込みです',
+        yearUnit: '年',
+        cumulativeCash: '累積キャッシュフロー',
+        'column.year': '年',
+        'column.largeRepair': '大規模修繕',
+        'column.debtService': '返済額',
+        'column.cashFlow': '返済後CF',
+        'column.cumulativeCash': '累積CF',
+        'column.loanBalance': 'ローン残高',
+        'column.recoveryValue': '競売回収見込',
+        'column.shortfall': '回収不足額',
+    },
+    afterTax: {
+        title: '税引後キャッシュフロー',
+        deadCross: '{year}年目に元金返済額が減価償却費を上回ります (デッドクロス)',
+        noDeadCross: '予測期間中、減価償却費は元金返済額以上です',
+        negative: '{year}年目に税引後キャッシュフローがマイナスになります',
+        positive: '予測期間中、税引後キャッシュフローはプラスを維持します',
+        depreciation: '建物の償却期間: {life}年 (定額法・償却率 {rate})',
+        propertyTaxes: '固定資産税・都市計画税: {amount} / 年',
+        baseIncomeTaxes: '主債務者の給与所得のみの所得税・住民税: {amount} (限界税率 {rate})',
+        principal: '元金返済額',
+        deadCrossLabel: 'デッドクロス',
+        'column.depreciation': '減価償却費',
+        'column.interest': '支払利息',
+        'column.principal': '元金返済',
+        'column.rentalIncome': '不動産所得',
+        'column.taxChange': '所得税・住民税の増減',
+        'column.afterTaxCashFlow': '税引後CF',
+        'column.cumulative': '累積 (税引後)',
+        note: '所得税・住民税の増減は、給与所得に不動産所得を合算した税額と給与所得のみの税額の差です (マイナスは節税額)。赤字のうち土地取得の借入金利子に相当する部分は損益通算していません。経費率には固定資産税を含めない前提です。',
+    },
+    monteCarlo: {
+        notPositiveDefinite: '相関行列が正定値ではありません。',
+        invalidTrials: '試行回数は 1 - {max} の整数を指定してください。',
+        workerFailed: 'シミュレーションを実行できません: {error}',
+        title: 'モンテカルロ・ストレスシミュレーション',
+        'config.trials': '試行回数',
+        'config.seed': '乱数シード',
+        'config.rate.drift': '金利の平均変化幅 (年あたり)',
+        'config.rate.volatility': '金利変動の標準偏差 (年あたり)',
+        'config.vacancy.volatility': '空室率ショックの標準偏差',
+        'config.rent.volatility': '家賃変化率の標準偏差',
+        'config.expense.volatility': '経費率ショックの標準偏差',
+        correlation: '相関: {a} × {b}',
+        'factor.rate': '金利',
+        'factor.vacancy': '空室率',
+        'factor.rent': '家賃',
+        'factor.expense': '経費率',
+        running: '計算中… {progress}',
+        run: 'シミュレーションを実行',
+        shortfallProbability: '保証人への請求が発生する確率',
+        expectedLoss: '期待損失 (累積不足額の平均)',
+        percentile: 'パーセンタイル',
+        cumulativeShortfall: '累積不足額',
+        yearlyProbability: '請求発生確率 (累積)',
+        summary: '{trials}回試行・{years}年間・シード {seed}',
+    },
+    history: {
+        'field.applyPaymentRules': '5年ルール・125%ルール',
+        'field.largeRepairs': '大規模修繕',
+        'field.residentialLandSpecial': '住宅用地の特例',
+        'field.propertyArea': '対象物件の所在エリア',
+        'field.additionalProperties': '他の保有物件',
+        count: '{count}件',
+        applied: '適用',
+        notApplied: '適用しない',
+        empty: '(未入力)',
+        title: '計算履歴 ({count}件)',
+        restorePrevious: '1つ前の計算に戻す',
+        confirmClear: '計算履歴をすべて削除しますか？',
+        clear: '履歴を削除',
+        none: 'まだ計算していません。',
+        profile: '{name} (版 {revision})',
+        restore: 'この入力に戻す',
+        profileChanged: 'ルールプロファイルを変更',
+        'field.marketBenchmark': '地域の目安',
+    },
+    batch: {
+        unreadableFile: 'ファイルを読み込めません: {error}',
+        saved: '{count}件のケースを保存しました。',
+        saveFailed: 'ケースを保存できません: {error}',
+        title: '一括取り込み・スコアリング (CSV / JSON)',
+        columnMapping: '列の対応付け',
+        skipColumn: '(取り込まない)',
+        loaded: '{count}件を読み込みました',
+        invalid: '（うち{count}件にエラーがあり、スコアリング対象外です）',
+        rowErrors: '{row}行目: {errors}',
+        rowWarnings: '{row}行目 (注意): {warnings}',
+        score: '一括スコアリング',
+        saveCases: 'ケースとして保存',
+        'column.row': '行',
+        'column.riskLevel': '判定',
+        'column.rateHikeDscr': '金利上昇時DSCR',
+        'column.vacancyDscr': '空室悪化時DSCR',
+        notScored: '入力エラーのためスコアリングしていません',
+    },
+    report: {
+        print: '印刷 / PDFとして保存',
+        title: '連帯保証リスク評価レポート',
+        meta: '作成日時: {createdAt} ・ モデルバージョン: {version} ・ ルールプロファイル: {profile} (版 {revision})',
+        'section.case': '案件情報',
+        'section.overall': '総合評価',
+        'section.input': '入力内容',
+        'section.disclaimer': '免責事項',
+        totalScore: '総合リスクスコア:',
+        scoreValue: '{score}点 / 100点',
+        higherIsSafer: '(高いほど安全)',
+        riskLevel: 'リスク判定:',
+        'column.points': '得点',
+        'column.method': '評価方法',
+        'column.deduction': '減点項目',
+        'column.actual': '実際の値',
+        'column.reason': '理由',
+        'column.deltaScore': '現状との差',
+        'column.taxChange': '税額の増減',
+        method: '{rules}の場合に減点します。',
+        ratios: '債務カバー率 (DCSR): {dcsr} ・ 年収に対する返済比率 (DSR): {dsr} ・ NOI: {noi}',
+        rateHike: '金利上昇 ({rate})',
+        vacancy: '空室率悪化 ({rate})',
+        costValue: '積算価格',
+        incomeValue: '収益還元価格',
+        collateralValue: '担保評価額 (低い方を採用)',
+        ltv: 'LTV (担保評価額 / 購入価格)',
+        recoveryValue: '競売時の回収見込み額',
+        totalExposure: '他の保証債務を含む合計',
+        netWorth: '保証人の純資産',
+        netWorthShare: '純資産に占める割合',
+        incomeYears: '保証人の年収の何年分か',
+        guarantorRiskLevel: '保証人リスク判定',
+        negativeCumulativeYear: '累積キャッシュフローがマイナスになる年',
+        deadCrossYear: 'デッドクロス (元金返済額が減価償却費を上回る年)',
+        negativeAfterTaxYear: '税引後CFがマイナスになる年',
+        depreciationLife: '建物の償却期間: {life}年',
+        disclaimer: '本レポートは入力された情報と一定の前提条件に基づく試算であり、将来の返済状況や連帯保証債務の発生・金額を保証するものではありません。金利・空室率・家賃等の将来予測には不確実性があります。連帯保証契約の締結にあたっては、金融機関・弁護士・税理士等の専門家にご相談ください。',
+    },
+    propertyTypes: {
+        unit: '区分マンション',
+        apartment: '一棟アパート',
+        building: '一棟マンション',
+    },
+    market: {
+        title: '地域の目安',
+        name: '{region} ({type})',
+        apply: '入力に反映',
+        applyNote: '空室率・家賃下落率・経費率・還元利回りを目安の値にし、以後の入力を目安と比較します。',
+        comparing: '{benchmark} の目安と比較',
+        clear: '比較しない',
+        'column.field': '項目',
+        'column.input': '入力',
+        'column.benchmark': '目安',
+        optimisticMark: '(目安より楽観的)',
+        riskDetail: '{detail}ただし、{fields}が{benchmark} の目安より楽観的な前提です。',
+        editorTitle: '地域の目安のデータ ({count}件)',
+        editorNote: '組み込みの値は公開統計・業界の一般的な水準をもとにした目安です。編集した内容はこのブラウザに保存されます。',
+        'column.prefecture': '都道府県',
+        'column.ward': '市区町村',
+        'column.propertyType': '物件種別',
+        rowError: '{row}行目: {error}',
+        reset: '組み込みのデータに戻す',
+        confirmReset: '地域の目安を組み込みのデータに戻しますか? 編集した内容は失われます。',
+        'error.notObject': '目安はオブジェクトで指定してください。',
+        'error.id': 'id を指定してください。',
+        'error.prefecture': '都道府県を入力してください。',
+        'error.ward': '市区町村は文字列で指定してください。',
+        'error.propertyType': '物件種別は {types} のいずれかを指定してください。',
+        'error.ratio': '{field}は 0% - 100% で指定してください。',
+        'field.vacancyRate': '空室率',
+        'field.rentDeclineRate': '家賃下落率',
+        'field.expenseRate': '経費率',
+        'field.capRate': '還元利回り',
+    },
+    sweep: {
+        title: '金利・空室率のシナリオチャート',
+        note: '他の入力を現状のまま、金利または空室率だけを動かした場合の DSCR・最終スコアです。金利を動かす場合は年間総返済額も返済予定表から再計算します。',
+        rateTitle: '金利を動かした場合',
+        vacancyTitle: '空室率を動かした場合',
+        'axis.interestRate': '金利',
+        'axis.vacancyRate': '空室率',
+        dcsr: 'DSCR',
+        finalScore: '最終スコア',
+        current: '現状',
+        dcsrBreakEven: 'DSCRが1.0になる{field}: {value}',
+        highRiskBreakEven: '高リスク判定になる{field}: {value}',
+        headroom: '{value} (現状との差 {difference})',
+        noBreakEven: '該当なし',
+        heatmapTitle: '金利 × 空室率のリスク判定',
+        heatmapNote: '太枠は現状 (金利 {rate}・空室率 {vacancy}) に最も近いセルです。セルにカーソルを合わせると DSCR と最終スコアを表示します。',
+        cellTitle: '金利 {rate}・空室率 {vacancy}: {level} (DSCR {dcsr}・{score}点)',
+    },
+};
@@ -0,0 +1,180 @@
+// risk-predictor-app/src/MonteCarlo.js
+
+import { buildAmortizationSchedule, loanFromInput, summarizeScheduleByYear } from './LoanAmortization.js';
+import { projectDebtService } from './CashFlowProjection.js';
+import { calculateNoi, normalizeInput } from './RiskCalculator.js';
+import { LocalizedError } from './I18n.js';
+
+/**
+ * モンテカルロ法によるストレスシミュレーション
+ *
+ * 金利・空室率・家賃・経費率の年次ショックを相関付きの正規分布から抽出し、
+ * 返済期間にわたる返済後キャッシュフローを試行ごとに計算する。
+ * 累積キャッシュフローがマイナスになった試行を「連帯保証人への請求が発生した」とみなし、
+ * その最大不足額 (累積不足額) の分布と期待値 (期待損失) を集計する。
+ * 乱数はシード付きのため、同じ入力・設定からは常に同じ結果が得られる。
+ */
+
+export const SHOCK_FACTORS = ['rate', 'vacancy', 'rent', 'expense'];
+export const SHORTFALL_PERCENTILES = [0.5, 0.75, 0.9, 0.95, 0.99];
+export const MAX_TRIALS = 20000; // 試行回数の上限 (画面が長時間待たされないように)
+const MAX_SIMULATION_YEARS = 35;
+const MAX_VACANCY_RATE = 0.95;
+
+export const DEFAULT_MONTE_CARLO_CONFIG = {
+    trials: 2000, // 試行回数
+    seed: 20240401, // 乱数シード
+    rate: { drift: 0.001, volatility: 0.003, floor: 0, cap: 0.15 }, // 金利: 年あたりの平均変化幅・標準偏差・下限・上限
+    vacancy: { volatility: 0.05 }, // 空室率: 年次ショックの標準偏差 (水準は入力値 + 空室率の上昇幅 を中心とする)
+    rent: { volatility: 0.02 }, // 家賃: 年次変化率の標準偏差 (平均は入力の家賃下落率)
+    expense: { volatility: 0.03 }, // 経費率: 年次ショックの標準偏差
+    // 相関行列 (SHOCK_FACTORS の順)。金利上昇局面では空室率が上がり家賃が下がりやすい、という前提
+    correlation: [
+        [1.0, 0.3, -0.2, 0.1],
+        [0.3, 1.0, -0.5, 0.1],
+        [-0.2, -0.5, 1.0, 0.0],
+        [0.1, 0.1, 0.0, 1.0],
+    ],
+};
+
+/**
+ * シード付き乱数生成器 (mulberry32) を作成する
+ * @param {number} seed - 乱数シード
+ * @returns {function(): number} - [0, 1) の一様乱数を返す関数
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 標準正規乱数 (Box-Muller 法)
+const createNormal = (random) => () => {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * 相関行列をコレスキー分解する (下三角行列を返す)
+ * 正定値でない行列が与えられた場合はエラーを投げる
+ */
+export function choleskyDecompose(matrix) {
+    const n = matrix.length;
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+            if (i === j) {
+                if (sum <= 0) throw new LocalizedError('monteCarlo.notPositiveDefinite');
+                lower[i][i] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+    return lower;
+}
+
+// ソート済み配列のパーセンタイル (線形補間)
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) return 0;
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * モンテカルロ・ストレスシミュレーションを実行する関数
+ * @param {object} data - 入力データオブジェクト (RiskCalculator の DEFAULT_INPUT と同じスキーマ)
+ * @param {object} [config] - シミュレーション設定 (DEFAULT_MONTE_CARLO_CONFIG を部分的に上書き)
+ * @param {function(number): void} [onProgress] - 進捗 (0.0 - 1.0) の通知先
+ * @returns {object} - { trials, years, shortfallProbability, expectedLoss, shortfallPercentiles, yearlyShortfallProbability, config }
+ */
+export function runMonteCarloSimulation(data, config = {}, onProgress) {
+    const input = normalizeInput(data);
+    const settings = { ...DEFAULT_MONTE_CARLO_CONFIG, ...config };
+    SHOCK_FACTORS.forEach((factor) => {
+        settings[factor] = { ...DEFAULT_MONTE_CARLO_CONFIG[factor], ...config[factor] };
+    });
+    const trials = clamp(Math.round(settings.trials), 1, MAX_TRIALS);
+    const years = clamp(Math.round(input.remainingTermYears), 1, MAX_SIMULATION_YEARS);
+
+    const random = createRandom(settings.seed);
+    const normal = createNormal(random);
+    const cholesky = choleskyDecompose(settings.correlation);
+    const baseLoan = loanFromInput(input);
+    const isVariable = input.rateType !== 'fixed';
+    const largeRepairs = Array.isArray(input.largeRepairs) ? input.largeRepairs : [];
+    const repairByYear = (year) => largeRepairs
+        .filter((repair) => Number(repair.year) === year)
+        .reduce((sum, repair) => sum + (Number(repair.amount) || 0), 0);
+
+    // 相関付きショック (SHOCK_FACTORS の順) を1年分生成する
+    const drawShocks = () => {
+        const z = SHOCK_FACTORS.map(() => normal());
+        return cholesky.map((row) => row.reduce((sum, weight, k) => sum + weight * z[k], 0));
+    };
+
+    const shortfalls = [];
+    const yearlyShortfallCounts = new Array(years).fill(0);
+    const progressInterval = Math.max(1, Math.floor(trials / 20));
+
+    for (let trial = 0; trial < trials; trial++) {
+        let rate = input.interestRate;
+        let rentIndex = 1;
+        const rateChanges = [];
+        const shocksByYear = [];
+
+        for (let year = 1; year <= years; year++) {
+            const [rateShock, vacancyShock, rentShock, expenseShock] = drawShocks();
+            if (year > 1) {
+                rate = clamp(rate + settings.rate.drift + settings.rate.volatility * rateShock, settings.rate.floor, settings.rate.cap);
+                rentIndex *= Math.max(0, 1 - input.rentDeclineRate + settings.rent.volatility * rentShock);
+                if (isVariable) rateChanges.push({ month: (year - 1) * 12 + 1, rate });
+            }
+            shocksByYear.push({ vacancyShock, expenseShock, rentIndex });
+        }
+
+        const yearly = summarizeScheduleByYear(buildAmortizationSchedule({ ...baseLoan, rateChanges }));
+
+        let cumulativeCash = 0;
+        let minCumulativeCash = 0;
+        shocksByYear.forEach(({ vacancyShock, expenseShock, rentIndex: index }, i) => {
+            const vacancyRate = clamp(input.vacancyRate + input.vacancyDrift * i + settings.vacancy.volatility * vacancyShock, 0, MAX_VACANCY_RATE);
+            const expenseRate = clamp(input.expenseRate + input.expenseRateIncrease * i + settings.expense.volatility * expenseShock, 0, 1);
+            const noi = calculateNoi({ annualRentIncome: input.annualRentIncome * index, vacancyRate, expenseRate });
+            const debtService = projectDebtService(input, yearly, i + 1);
+
+            cumulativeCash += noi - repairByYear(i + 1) - debtService;
+            minCumulativeCash = Math.min(minCumulativeCash, cumulativeCash);
+            if (minCumulativeCash < 0) yearlyShortfallCounts[i] += 1;
+        });
+
+        shortfalls.push(-minCumulativeCash);
+
+        if (onProgress && (trial + 1) % progressInterval === 0) onProgress((trial + 1) / trials);
+    }
+
+    const sorted = [...shortfalls].sort((a, b) => a - b);
+    const calledCount = shortfalls.filter((shortfall) => shortfall > 0).length;
+
+    return {
+        trials,
+        years,
+        shortfallProbability: calledCount / trials,
+        expectedLoss: shortfalls.reduce((sum, shortfall) => sum + shortfall, 0) / trials,
+        shortfallPercentiles: SHORTFALL_PERCENTILES.map((p) => ({ percentile: p, shortfall: percentile(sorted, p) })),
+        yearlyShortfallProbability: yearlyShortfallCounts.map((count, i) => ({ year: i + 1, probability: count / trials })),
+        config: settings,
+    };
+}
@@ -0,0 +1,188 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { DEFAULT_MONTE_CARLO_CONFIG, MAX_TRIALS, SHOCK_FACTORS } from './MonteCarlo.js';
+import { useI18n } from './I18nContext.js';
+
+// 画面で編集する設定項目 (path は設定オブジェクト内の位置。項目名はカタログの monteCarlo.config.<path>)
+const configFields = [
+  { path: ['trials'], step: 500, min: 1, max: MAX_TRIALS },
+  { path: ['seed'], step: 1 },
+  { path: ['rate', 'drift'], step: 0.0005 },
+  { path: ['rate', 'volatility'], step: 0.0005 },
+  { path: ['vacancy', 'volatility'], step: 0.01 },
+  { path: ['rent', 'volatility'], step: 0.005 },
+  { path: ['expense', 'volatility'], step: 0.005 },
+];
+
+// 画面で編集する相関係数 (SHOCK_FACTORS の組。要因名はカタログの monteCarlo.factor)
+const correlationFields = [
+  { pair: ['rate', 'vacancy'] },
+  { pair: ['rate', 'rent'] },
+  { pair: ['vacancy', 'rent'] },
+];
+
+const getValue = (config, path) => path.reduce((value, key) => value[key], config);
+
+const setValue = (config, path, value) => {
+  if (path.length === 1) return { ...config, [path[0]]: value };
+  return { ...config, [path[0]]: { ...config[path[0]], [path[1]]: value } };
+};
+
+const setCorrelation = (config, [a, b], value) => {
+  const i = SHOCK_FACTORS.indexOf(a);
+  const j = SHOCK_FACTORS.indexOf(b);
+  const correlation = config.correlation.map((row) => [...row]);
+  correlation[i][j] = value;
+  correlation[j][i] = value;
+  return { ...config, correlation };
+};
+
+// 試行回数は 1 以上 MAX_TRIALS 以下の整数
+const isValidTrials = (trials) => Number.isInteger(trials) && trials >= 1 && trials <= MAX_TRIALS;
+
+// モンテカルロ・ストレスシミュレーションの設定と結果表示 (計算は Web Worker で実行)
+// input は表示中の評価結果を計算した入力
+const MonteCarloPanel = ({ input }) => {
+  const { t, m, yen, percent, number } = useI18n();
+  const [config, setConfig] = useState(DEFAULT_MONTE_CARLO_CONFIG);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const handleRun = () => {
+    if (!isValidTrials(config.trials)) {
+      setError({ key: 'monteCarlo.invalidTrials', params: { max: MAX_TRIALS } });
+      return;
+    }
+    workerRef.current?.terminate();
+    const worker = new Worker(new URL('./MonteCarloWorker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    setError(null);
+    setProgress(0);
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        setProgress(message.progress);
+        return;
+      }
+      if (message.type === 'result') setResult(message.result);
+      if (message.type === 'error') setError(message.message);
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    // Worker のスクリプトを読み込めない場合など、結果が返らないまま実行中の表示が残らないようにする
+    worker.onerror = (event) => {
+      event.preventDefault();
+      setError({ key: 'monteCarlo.workerFailed', params: { error: event.message || '' } });
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.postMessage({ input, config });
+  };
+
+  const handleNumberChange = (update) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value)) setConfig((prev) => update(prev, value));
+  };
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('monteCarlo.title')}</h2>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 text-sm">
+        {configFields.map((field) => (
+          <label key={field.path.join('.')} className="block text-gray-700">
+            {t(`monteCarlo.config.${field.path.join('.')}`)}
+            <input
+              type="number"
+              value={getValue(config, field.path)}
+              step={field.step}
+              min={field.min}
+              max={field.max}
+              onChange={handleNumberChange((prev, value) => setValue(prev, field.path, value))}
+              className="shadow border rounded w-full py-1 px-2 mt-1"
+            />
+          </label>
+        ))}
+        {correlationFields.map((field) => (
+          <label key={field.pair.join('-')} className="block text-gray-700">
+            {t('monteCarlo.correlation', { a: { key: `monteCarlo.factor.${field.pair[0]}` }, b: { key: `monteCarlo.factor.${field.pair[1]}` } })}
+            <input
+              type="number"
+              value={config.correlation[SHOCK_FACTORS.indexOf(field.pair[0])][SHOCK_FACTORS.indexOf(field.pair[1])]}
+              step={0.1}
+              min={-1}
+              max={1}
+              onChange={handleNumberChange((prev, value) => setCorrelation(prev, field.pair, value))}
+              className="shadow border rounded w-full py-1 px-2 mt-1"
+            />
+          </label>
+        ))}
+      </div>
+
+      <button
+        onClick={handleRun}
+        disabled={progress !== null}
+        className="mt-4 w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg shadow disabled:opacity-50"
+      >
+        {progress !== null ? t('monteCarlo.running', { progress: percent(progress) }) : t('monteCarlo.run')}
+      </button>
+      {error && <p className="mt-2 p-2 rounded bg-red-100 text-red-800 text-sm">{m(error)}</p>}
+
+      {result && (
+        <div className="mt-4 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-center">
+            <div className="p-3 bg-white rounded-lg">
+              <div className="text-sm text-gray-600">{t('monteCarlo.shortfallProbability')}</div>
+              <div className={`text-2xl font-extrabold ${result.shortfallProbability >= 0.2 ? 'text-red-600' : 'text-green-600'}`}>
+                {percent(result.shortfallProbability)}
+              </div>
+            </div>
+            <div className="p-3 bg-white rounded-lg">
+              <div className="text-sm text-gray-600">{t('monteCarlo.expectedLoss')}</div>
+              <div className="text-2xl font-extrabold text-gray-800">{yen(result.expectedLoss)}</div>
+            </div>
+          </div>
+
+          <table className="w-full text-sm text-right bg-white rounded-lg">
+            <thead>
+              <tr className="border-b text-gray-500">
+                <th className="text-left p-1">{t('monteCarlo.percentile')}</th>
+                <th className="p-1">{t('monteCarlo.cumulativeShortfall')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.shortfallPercentiles.map((band) => (
+                <tr key={band.percentile} className="border-b border-gray-100">
+                  <td className="text-left p-1">{percent(band.percentile, 0)}</td>
+                  <td className="p-1">{yen(band.shortfall)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="w-full h-[240px] bg-white rounded-lg p-2">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.yearlyShortfallProbability}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" unit={t('projection.yearUnit')} />
+                <YAxis tickFormatter={(value) => percent(value)} domain={[0, 1]} />
+                <Tooltip formatter={(value) => percent(value)} />
+                <Line dataKey="probability" name={t('monteCarlo.yearlyProbability')} stroke="#ef4444" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-xs text-gray-500">{t('monteCarlo.summary', { trials: number(result.trials), years: result.years, seed: String(result.config.seed) })}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloPanel;
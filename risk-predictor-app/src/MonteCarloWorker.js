@@ -0,0 +1,17 @@
+// risk-predictor-app/src/MonteCarloWorker.js
+
+// モンテカルロ・シミュレーションを UI スレッドの外で実行する Web Worker
+import { runMonteCarloSimulation } from './MonteCarlo.js';
+
+self.onmessage = (event) => {
+    const { input, config } = event.data;
+    try {
+        const result = runMonteCarloSimulation(input, config, (progress) => {
+            self.postMessage({ type: 'progress', progress });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        // 画面で表示言語の文言にするため、メッセージのキーがあればキーで返す
+        self.postMessage({ type: 'error', message: error.key ? { key: error.key, params: error.params } : error.message });
+    }
+};
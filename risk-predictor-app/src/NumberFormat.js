@@ -0,0 +1,127 @@
+// risk-predictor-app/src/NumberFormat.js
+
+/**
+ * 数値の表示形式と入力欄の解析
+ *
+ * - 'yen': 円。3桁区切りで表示し、「500万」「1.2億」「3,000,000円」のような入力を受け付ける
+ * - 'percent': 比率 (0.0 - 1.0) をパーセントで表示・入力する (「3」「3%」→ 0.03)
+ * - 'number': そのままの数値 (年数など)
+ *
+ * 表示用の関数は Intl のロケール ('ja-JP' / 'en-US' など) で3桁区切り・小数点を切り替える。
+ * 解析のエラーは画面の言語で表示できるよう、メッセージのキー ({ key, params }) で返す。
+ */
+
+export const NUMBER_FORMATS = {
+    YEN: 'yen',
+    PERCENT: 'percent',
+    NUMBER: 'number',
+};
+
+export const DEFAULT_NUMBER_LOCALE = 'ja-JP';
+
+const UNIT_MULTIPLIERS = { 万: 10000, 億: 100000000 };
+
+// 浮動小数点の誤差を表示に出さないよう丸める (例: 0.07 * 100 = 7.000000000000001)
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * 入力欄の文字列を数値に変換する
+ * @param {string} text - 入力された文字列
+ * @param {string} format - NUMBER_FORMATS のいずれか
+ * @returns {{ value: number|null, error: { key: string }|null }} - error は I18n.js のメッセージ
+ */
+export function parseNumericText(text, format = NUMBER_FORMATS.NUMBER) {
+    const trimmed = String(text)
+        .trim()
+        .replace(/[０-９．]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+        .replace(/[,，\s]/g, '');
+    if (trimmed === '') return { value: null, error: { key: 'numberInput.required' } };
+
+    if (format === NUMBER_FORMATS.YEN) {
+        const match = trimmed.replace(/円$/, '').match(/^(-?\d*\.?\d+)(万|億)?$/);
+        if (!match) return { value: null, error: { key: 'numberInput.invalidYen' } };
+        return { value: Math.round(Number(match[1]) * (UNIT_MULTIPLIERS[match[2]] || 1)), error: null };
+    }
+
+    const number = Number(format === NUMBER_FORMATS.PERCENT ? trimmed.replace(/%$/, '') : trimmed);
+    if (!Number.isFinite(number)) return { value: null, error: { key: 'numberInput.invalidNumber' } };
+    return { value: format === NUMBER_FORMATS.PERCENT ? round(number / 100, 10) : number, error: null };
+}
+
+/**
+ * 数値を入力欄に表示する文字列に変換する
+ * @param {number} value - 数値
+ * @param {string} format - NUMBER_FORMATS のいずれか
+ * @param {string} [locale] - 3桁区切りのロケール
+ * @returns {string}
+ */
+export function formatNumericValue(value, format = NUMBER_FORMATS.NUMBER, locale = DEFAULT_NUMBER_LOCALE) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return '';
+    if (format === NUMBER_FORMATS.YEN) return Math.round(value).toLocaleString(locale);
+    if (format === NUMBER_FORMATS.PERCENT) return String(round(value * 100, 6));
+    return String(value);
+}
+
+/**
+ * 金額を万円単位で表示する (入力欄の補助表示用)
+ * @param {number} value - 金額 (円)
+ * @returns {string} - 例: 「3,000万円」「1億2,000万円」
+ */
+export function formatManYen(value) {
+    if (!Number.isFinite(value)) return '';
+    const sign = value < 0 ? '-' : '';
+    const abs = Math.abs(value);
+    // 万円単位に丸めてから億と万に分ける (丸めで1万万円にならないように)
+    const totalMan = round(abs / 10000, 1);
+    const oku = Math.floor(totalMan / 10000);
+    const man = round(totalMan - oku * 10000, 1);
+    if (oku > 0) return `${sign}${oku.toLocaleString('ja-JP')}億${man > 0 ? `${man.toLocaleString('ja-JP')}万` : ''}円`;
+    return `${sign}${man.toLocaleString('ja-JP')}万円`;
+}
+
+/**
+ * 数値を小数点以下の桁数を揃えて表示する (例: DSCR「1.26」)
+ * @param {number} value - 数値
+ * @param {string} [locale] - ロケール
+ * @param {number} [digits] - 小数点以下の桁数
+ * @returns {string}
+ */
+export function formatDecimal(value, locale = DEFAULT_NUMBER_LOCALE, digits = 2) {
+    return value.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * 金額を円で表示する (例: 「¥1,234,567」)
+ * @param {number} value - 金額 (円)
+ * @param {string} [locale] - ロケール
+ * @returns {string}
+ */
+export function formatYen(value, locale = DEFAULT_NUMBER_LOCALE) {
+    const rounded = Math.round(value);
+    return `${rounded < 0 ? '-' : ''}¥${Math.abs(rounded).toLocaleString(locale)}`;
+}
+
+/**
+ * 金額を大きな単位で短く表示する
+ * 日本語は万円表記 (「3,000万円」「1億2,000万円」)、それ以外は K / M / B 表記 (「¥30M」)
+ * @param {number} value - 金額 (円)
+ * @param {string} [locale] - ロケール
+ * @returns {string}
+ */
+export function formatCompactYen(value, locale = DEFAULT_NUMBER_LOCALE) {
+    if (!Number.isFinite(value)) return '';
+    if (locale.startsWith('ja')) return formatManYen(value);
+    const compact = Math.abs(value).toLocaleString(locale, { notation: 'compact', maximumFractionDigits: 1 });
+    return `${value < 0 ? '-' : ''}¥${compact}`;
+}
+
+/**
+ * 比率 (0.0 - 1.0) をパーセントで表示する (例: 0.123 → 「12.3%」)
+ * @param {number} value - 比率
+ * @param {string} [locale] - ロケール
+ * @param {number} [digits] - 小数点以下の桁数
+ * @returns {string}
+ */
+export function formatPercent(value, locale = DEFAULT_NUMBER_LOCALE, digits = 1) {
+    return `${formatDecimal(value * 100, locale, digits)}%`;
+}
@@ -0,0 +1,116 @@
+// risk-predictor-app/src/Portfolio.js
+
+/**
+ * 主債務者の保有物件全体 (ポートフォリオ) の集計
+ *
+ * 入力フォームの物件 (対象物件) に加え、主債務者が保有する他の物件を
+ * additionalProperties に物件ごとのローン・家賃・空室率・経費率とともに登録する。
+ * 各物件の NOI・DSCR と全体の DSCR (NOI の合計 / 年間返済額の合計) は RiskCalculator.js で計算し、
+ * ここでは次を集計する。
+ * - エリア別の集中度: 家賃収入に占めるエリアごとの割合 (最大の割合を集中度とする)
+ * - 内部補填 (クロスサブシディ): 返済額を NOI で賄えない物件の不足額が、
+ *   他の物件の返済後の余剰に占める割合。1 を超えると余剰で不足を賄えない。
+ * 他の物件がない場合、ポートフォリオの指標は null (対象外) とする。
+ * 物件名は入力された名前、または名前のない物件の表示名のメッセージ ({ key, params }) とする。
+ */
+
+// 所在エリアが未入力の物件の集計キー (表示は「エリア未設定」)
+export const UNSPECIFIED_AREA = '';
+
+// 他の物件の既定値 (追加時の初期値を兼ねる)
+export const DEFAULT_PROPERTY = {
+    name: '', // 物件名
+    area: '', // 所在エリア (市区町村など)
+    annualRentIncome: 0, // 年間総家賃収入 (円)
+    vacancyRate: 0.1, // 想定空室率 (0.0 - 1.0)
+    expenseRate: 0.3, // 年間経費率 (0.0 - 1.0)
+    loanBalance: 0, // ローン残高 (円)
+    annualRepayment: 0, // 年間返済額 (円)
+    interestRate: 0.02, // 金利 (0.0 - 1.0)
+};
+
+/**
+ * 他の物件の入力を揃える (未指定項目の補完と数値化)
+ * @param {object} property - 物件の入力
+ * @returns {object}
+ */
+export function normalizeProperty(property = {}) {
+    const normalized = { ...DEFAULT_PROPERTY };
+    Object.entries(property).forEach(([key, value]) => {
+        if (typeof DEFAULT_PROPERTY[key] === 'number') {
+            const num = Number(value);
+            normalized[key] = Number.isFinite(num) ? num : DEFAULT_PROPERTY[key];
+        } else if (key in DEFAULT_PROPERTY) {
+            normalized[key] = value == null ? '' : String(value);
+        }
+    });
+    return normalized;
+}
+
+// 他の物件の一覧 (配列でない場合は空)
+export function listAdditionalProperties(input) {
+    return Array.isArray(input.additionalProperties) ? input.additionalProperties.map(normalizeProperty) : [];
+}
+
+/**
+ * エリア別の家賃収入の割合を集計する
+ * @param {Array<object>} properties - 物件の一覧 ({ area, annualRentIncome })
+ * @returns {Array<{ area: string, rentIncome: number, share: number, count: number }>} - 割合の大きい順
+ */
+export function summarizeAreas(properties) {
+    const totalRent = properties.reduce((sum, property) => sum + property.annualRentIncome, 0);
+    const areas = new Map();
+    properties.forEach((property) => {
+        const area = property.area.trim() || UNSPECIFIED_AREA;
+        const entry = areas.get(area) || { area, rentIncome: 0, count: 0 };
+        entry.rentIncome += property.annualRentIncome;
+        entry.count += 1;
+        areas.set(area, entry);
+    });
+    return [...areas.values()]
+        .map((entry) => ({ ...entry, share: totalRent > 0 ? entry.rentIncome / totalRent : entry.count / properties.length }))
+        .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * ポートフォリオ全体の指標を集計する
+ * @param {Array<object>} properties - 物件ごとの { name, area, annualRentIncome, noi, annualRepayment, loanBalance, interestRate, dscr }
+ *                                     (先頭が対象物件)
+ * @returns {object} - { properties, propertyCount, totalNoi, totalRepayment, totalLoanBalance, weightedInterestRate,
+ *                       areas, areaConcentration, deficit, surplus, crossSubsidyShare, subsidizedProperties }
+ *                     他の物件がない場合、areaConcentration・crossSubsidyShare は null
+ */
+export function summarizePortfolio(properties) {
+    const sum = (key) => properties.reduce((total, property) => total + property[key], 0);
+    const totalNoi = sum('noi');
+    const totalRepayment = sum('annualRepayment');
+    const totalLoanBalance = sum('loanBalance');
+    const weightedInterestRate = totalLoanBalance > 0
+        ? properties.reduce((total, property) => total + property.interestRate * property.loanBalance, 0) / totalLoanBalance
+        : 0;
+
+    // 返済後に不足が出る物件と余剰が出る物件
+    const deficit = properties.reduce((total, property) => total + Math.max(0, property.annualRepayment - property.noi), 0);
+    const surplus = properties.reduce((total, property) => total + Math.max(0, property.noi - property.annualRepayment), 0);
+    const subsidizedProperties = properties.filter((property) => property.noi < property.annualRepayment).map((property) => property.name);
+
+    const areas = summarizeAreas(properties);
+    const isPortfolio = properties.length > 1;
+    let crossSubsidyShare = null;
+    if (isPortfolio) crossSubsidyShare = deficit === 0 ? 0 : (surplus > 0 ? deficit / surplus : Infinity);
+
+    return {
+        properties,
+        propertyCount: properties.length,
+        totalNoi,
+        totalRepayment,
+        totalLoanBalance,
+        weightedInterestRate,
+        areas,
+        areaConcentration: isPortfolio ? areas[0].share : null,
+        deficit,
+        surplus,
+        crossSubsidyShare,
+        subsidizedProperties,
+    };
+}
@@ -0,0 +1,190 @@
+import React from 'react';
+import { DEFAULT_PROPERTY } from './Portfolio.js';
+import { NO_DEBT_SERVICE_DCSR } from './RiskCalculator.js';
+import { useI18n } from './I18nContext.js';
+
+const formatDscr = (value, i18n) => (value >= NO_DEBT_SERVICE_DCSR ? i18n.t('portfolio.noDebtService') : i18n.decimal(value));
+
+// 他の物件の数値項目 (percent は 0.0 - 1.0 の比率をパーセントで入力する。項目名はカタログの propertyFields)
+const PROPERTY_NUMBER_FIELDS = [
+  { name: 'annualRentIncome', step: 100000 },
+  { name: 'vacancyRate', percent: true },
+  { name: 'expenseRate', percent: true },
+  { name: 'loanBalance', step: 1000000 },
+  { name: 'annualRepayment', step: 100000 },
+  { name: 'interestRate', percent: true },
+];
+
+// 他の保有物件の入力コンポーネント (物件ごとのローン・家賃・空室率・経費率)
+export const PropertyListEditor = ({ properties, onChange }) => {
+  const { t } = useI18n();
+  const updateProperty = (index, key, value) => {
+    onChange(properties.map((property, i) => (i === index ? { ...property, [key]: value } : property)));
+  };
+
+  const updateNumber = (index, field, text) => {
+    const parsed = parseFloat(text);
+    const value = isNaN(parsed) ? 0 : parsed;
+    updateProperty(index, field.name, field.percent ? value / 100 : value);
+  };
+
+  return (
+    <div className="mb-4">
+      {properties.map((property, index) => (
+        <div key={index} className="mb-3 p-2 border border-blue-200 rounded bg-white">
+          <div className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={property.name}
+              placeholder={t('portfolio.namePlaceholder', { number: index + 2 })}
+              onChange={(e) => updateProperty(index, 'name', e.target.value)}
+              className="shadow border rounded flex-1 py-1 px-2 text-gray-700 text-sm"
+            />
+            <input
+              type="text"
+              value={property.area}
+              placeholder={t('portfolio.areaPlaceholder')}
+              onChange={(e) => updateProperty(index, 'area', e.target.value)}
+              className="shadow border rounded w-28 py-1 px-2 text-gray-700 text-sm"
+            />
+            <button
+              type="button"
+              onClick={() => onChange(properties.filter((_, i) => i !== index))}
+              className="text-red-600 text-sm px-2"
+            >
+              {t('common.delete')}
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            {PROPERTY_NUMBER_FIELDS.map((field) => (
+              <label key={field.name} className="block text-xs text-gray-600">
+                {t(field.percent ? 'portfolio.percentField' : 'portfolio.yenField', { label: { key: `propertyFields.${field.name}` } })}
+                <input
+                  type="number"
+                  value={field.percent ? Number((property[field.name] * 100).toFixed(4)) : property[field.name]}
+                  min={0}
+                  step={field.step || 0.1}
+                  onChange={(e) => updateNumber(index, field, e.target.value)}
+                  className="shadow border rounded w-full py-1 px-2 text-gray-700"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...properties, { ...DEFAULT_PROPERTY }])}
+        className="text-blue-600 text-sm"
+      >
+        {t('portfolio.addProperty')}
+      </button>
+    </div>
+  );
+};
+
+// 保有物件全体 (物件別・全体の DSCR、エリア集中度、物件間の内部補填) の表示コンポーネント
+// 各指標の強調表示は、スコアの減点ルールに該当したかどうかで決める
+const PortfolioPanel = ({ portfolio, contributions }) => {
+  const i18n = useI18n();
+  const { t, m, yen, percent } = i18n;
+  const areaName = (area) => area || t('portfolio.unspecifiedArea');
+  const isFlagged = (metric) => contributions.some((item) => item.metric === metric && item.triggered);
+  const { properties, propertyCount, totalNoi, totalRepayment, totalLoanBalance, weightedInterestRate, portfolioDcsr,
+    areas, areaConcentration, deficit, surplus, crossSubsidyShare, subsidizedProperties } = portfolio;
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('portfolio.title', { count: propertyCount })}</h2>
+
+      {propertyCount === 1 ? (
+        <p className="text-sm text-gray-600 text-left">
+          {t('portfolio.noOtherProperties')}
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4 text-sm">
+            <p className={`p-2 rounded text-center font-semibold ${isFlagged('portfolioDcsr') ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+              {t('portfolio.portfolioDscr', { dscr: formatDscr(portfolioDcsr, i18n) })}
+            </p>
+            <p className={`p-2 rounded text-center font-semibold ${isFlagged('areaConcentration') ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
+              {t('portfolio.areaConcentration', { share: percent(areaConcentration), area: areaName(areas[0].area) })}
+            </p>
+            <p className={`p-2 rounded text-center font-semibold ${isFlagged('crossSubsidyShare') ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+              {t('portfolio.crossSubsidy', { share: Number.isFinite(crossSubsidyShare) ? percent(crossSubsidyShare) : t('portfolio.noSurplus') })}
+            </p>
+          </div>
+          {deficit > 0 && (
+            <p className="mb-4 p-2 rounded bg-yellow-50 text-yellow-800 text-xs text-left">
+              {t(surplus >= deficit ? 'portfolio.subsidized' : 'portfolio.notSubsidized', {
+                properties: subsidizedProperties.map(m).join(t('portfolio.listSeparator')),
+                deficit: { yen: deficit },
+                surplus: { yen: surplus },
+              })}
+            </p>
+          )}
+        </>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs text-right bg-white rounded-lg">
+          <thead>
+            <tr className="border-b text-gray-500">
+              <th className="text-left p-1">{t('portfolio.column.property')}</th>
+              <th className="text-left p-1">{t('portfolio.column.area')}</th>
+              <th className="p-1">{t('portfolio.column.rentIncome')}</th>
+              <th className="p-1">NOI</th>
+              <th className="p-1">{t('propertyFields.annualRepayment')}</th>
+              <th className="p-1">DSCR</th>
+              <th className="p-1">{t('propertyFields.loanBalance')}</th>
+              <th className="p-1">{t('propertyFields.interestRate')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {properties.map((property, index) => (
+              <tr key={index} className={`border-b border-gray-100 ${property.dscr < 1 ? 'bg-red-50 text-red-700' : ''}`}>
+                <td className="text-left p-1">{m(property.name)}</td>
+                <td className="text-left p-1">{property.area || '-'}</td>
+                <td className="p-1">{yen(property.annualRentIncome)}</td>
+                <td className="p-1">{yen(property.noi)}</td>
+                <td className="p-1">{yen(property.annualRepayment)}</td>
+                <td className="p-1">{formatDscr(property.dscr, i18n)}</td>
+                <td className="p-1">{yen(property.loanBalance)}</td>
+                <td className="p-1">{percent(property.interestRate)}</td>
+              </tr>
+            ))}
+            {propertyCount > 1 && (
+              <tr className="font-bold">
+                <td className="text-left p-1" colSpan={3}>{t('portfolio.total')}</td>
+                <td className="p-1">{yen(totalNoi)}</td>
+                <td className="p-1">{yen(totalRepayment)}</td>
+                <td className="p-1">{formatDscr(portfolioDcsr, i18n)}</td>
+                <td className="p-1">{yen(totalLoanBalance)}</td>
+                <td className="p-1">{percent(weightedInterestRate)}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {propertyCount > 1 && (
+        <div className="mt-4 space-y-1 text-xs text-left">
+          {areas.map((area) => (
+            <div key={area.area} className="flex items-center gap-2">
+              <span className="w-28 text-gray-600">{areaName(area.area)} ({area.count})</span>
+              <div className="flex-1 bg-white rounded h-3">
+                <div className="bg-blue-400 h-3 rounded" style={{ width: `${area.share * 100}%` }} />
+              </div>
+              <span className="w-12 text-right text-gray-600">{percent(area.share)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="mt-2 text-xs text-gray-500 text-left">
+        {t('portfolio.note')}
+      </p>
+    </div>
+  );
+};
+
+export default PortfolioPanel;
@@ -1,101 +1,347 @@
 // risk-predictor-app/src/RiskCalculator.js
 
+import { calculatePurchaseLtv, evaluateCollateral } from './Collateral.js';
+import { buildAmortizationSchedule, loanFromInput, summarizeScheduleByYear } from './LoanAmortization.js';
+import { compareWithMarketBenchmark, withMarketWarning } from './MarketAssumptions.js';
+import { listAdditionalProperties, summarizePortfolio } from './Portfolio.js';
+import { RISK_LEVELS } from './RiskLevels.js';
+import { evaluateScoreRules, explainRule } from './ScoreRules.js';
+import { DEFAULT_SCORING_PROFILE, describeProfileForResult } from './ScoringProfiles.js';
+
 /**
- * 不動産投資案件の連帯保証リスクスコアを計算する関数
+ * 連帯保証リスク評価モデル (スコアリングエンジン)
+ *
+ * - スコアは 0〜100点。点数が高いほど安全 (リスクが低い) という向きで統一する。
+ * - 内訳は 主債務者信用力 (30点) + 物件収益力 (40点) + 金利変動リスク (30点)。
+ *   物件収益力には担保評価額に対する借入比率 (LTV) による減点を含む。
+ * - 主債務者が他の物件を保有する場合、返済比率・借入倍率は全物件のローンで計算し、
+ *   ポートフォリオ全体の DSCR・エリア集中度・物件間の内部補填も物件収益力で評価する (Portfolio.js)。
+ * - 減点ルールとリスク判定の区切りはルールプロファイル (ScoringProfiles.js) で切り替えられる。
+ * - 地域の目安 (MarketAssumptions.js) を選んだ場合、目安より楽観的な前提があればリスク判定の説明に注意を加える (スコアは変えない)。
+ * - リスク判定はコード (RiskLevels.js)、説明はメッセージ { key, params } で返す (表示文言は I18n.js)。
+ * - 計算ロジック・入力の初期値 (省略した項目の値) を変更した場合は必ず MODEL_VERSION を更新すること。
+ *   過去に提示したスコアを再現できるよう、全ての結果にバージョンと使用したプロファイルを記録している。
+ */
+
+// --- モデル定義 ---
+export const MODEL_VERSION = '1.6.0';
+export const SCORE_DIRECTION = 'higher-is-safer';
+
+export const WORST_CASE_VACANCY_RATE = 0.20; // 空室率悪化シナリオの既定値
+export const NO_DEBT_SERVICE_DCSR = 999.0; // 返済額ゼロ時のDCSR (実質的に無限大)
+
+// 正規の入力スキーマ (初期値を兼ねる)
+export const DEFAULT_INPUT = {
+    annualIncome: 5000000, // 主債務者の年収 (円)
+    annualRepayment: 1700000, // 年間の総返済額 (円。借入総額・金利・返済期間から計算した初年度の返済額に合わせる)
+    totalDebt: 30000000, // 借入総額 (円)
+    annualRentIncome: 2000000, // 年間総家賃収入 (円)
+    expenseRate: 0.3, // 年間経費率 (0.0 - 1.0)
+    vacancyRate: 0.1, // 想定空室率 (0.0 - 1.0)
+    interestRate: 0.03, // 現在の金利 (0.0 - 1.0)
+    simulatedInterestRate: 0.04, // シミュレーション用金利 (0.0 - 1.0)
+    otherDebtRatio: 0.1, // 他の負債の年収比 (0.0 - 1.0)
+    remainingTermYears: 25, // 残りの返済期間 (年)
+    repaymentMethod: 'level-payment', // 返済方式 ('level-payment': 元利均等 / 'level-principal': 元金均等)
+    rateType: 'variable', // 金利タイプ ('variable': 変動 / 'fixed': 固定)
+    applyPaymentRules: true, // 5年ルール・125%ルールの適用有無 (変動金利の元利均等返済のみ)
+    // 長期収支予測の前提
+    projectionYears: 20, // 予測年数 (10 - 35年)
+    rentDeclineRate: 0.01, // 築年数による家賃下落率 (年率)
+    expenseRateIncrease: 0.003, // 経費率の上昇幅 (年あたり)
+    vacancyDrift: 0.003, // 空室率の上昇幅 (年あたり)
+    largeRepairs: [{ year: 15, amount: 3000000 }], // 大規模修繕 (実施年・金額)
+    // 主債務者の保有物件 (Portfolio.js)
+    propertyArea: '', // 対象物件の所在エリア
+    additionalProperties: [], // 他の保有物件 ([{ name, area, annualRentIncome, vacancyRate, expenseRate, loanBalance, annualRepayment, interestRate }])
+    marketBenchmark: null, // 比較する地域の目安 (MarketAssumptions.js の applyMarketAssumption で記録。比較しない場合は null)
+    // 担保物件
+    purchasePrice: 40000000, // 購入価格 (円)
+    landValue: 15000000, // 土地価格 (路線価等による評価額, 円)
+    buildingReplacementCost: 25000000, // 建物の再調達価格 (新築時の建築費相当, 円)
+    capRate: 0.06, // 還元利回り (0.0 - 1.0)
+    structure: 'wood', // 建物構造 (Collateral.js の STRUCTURES)
+    buildingAge: 10, // 築年数 (年)
+    foreclosureDiscount: 0.3, // 競売減価率 (市場価格に対する下落率, 0.0 - 1.0)
+    // 税務の前提 (AfterTaxCashFlow.js)
+    buildingAcquisitionCost: 20000000, // 建物の取得価額 (減価償却の基礎, 円)
+    yearsOwned: 0, // 取得からの経過年数 (年)
+    landTaxAssessedValue: 10000000, // 土地の固定資産税評価額 (円)
+    buildingTaxAssessedValue: 8000000, // 建物の固定資産税評価額 (円)
+    residentialLandSpecial: true, // 住宅用地の特例 (小規模住宅用地) の適用有無
+    // 連帯保証人の財務状況
+    guarantorAnnualIncome: 6000000, // 連帯保証人の年収 (円)
+    guarantorAssets: 20000000, // 連帯保証人の資産 (預貯金・不動産等の時価, 円)
+    guarantorDebts: 5000000, // 連帯保証人自身の負債残高 (円)
+    guarantorOtherGuarantees: 0, // 連帯保証人が他に負っている保証債務 (円)
+};
+
+// 旧 RiskCalculator.js の入力名 → 正規の入力名
+export const LEGACY_FIELD_ALIASES = {
+    annualIncomeDebtor: 'annualIncome',
+    loanAmount: 'totalDebt',
+    annualRentalIncomeGross: 'annualRentIncome',
+    annualExpensesRatio: 'expenseRate',
+    vacancyRateAssumption: 'vacancyRate',
+    otherDebtsRatio: 'otherDebtRatio',
+};
+
+/**
+ * 入力データを正規のスキーマに揃える
+ * (旧フィールド名の読み替え、未指定項目への初期値補完、数値化)
  * @param {object} data - 入力データオブジェクト
- * @param {number} [repaymentOverride] - シミュレーション用の年間返済額 (オプション)
- * @returns {object} - 計算結果と詳細を含むオブジェクト
+ * @returns {object} - 正規化された入力データ
+ */
+export function normalizeInput(data = {}) {
+    const normalized = { ...DEFAULT_INPUT };
+
+    Object.entries(data).forEach(([key, value]) => {
+        const name = LEGACY_FIELD_ALIASES[key] || key;
+        if (typeof DEFAULT_INPUT[name] === 'number') {
+            const num = Number(value);
+            normalized[name] = Number.isFinite(num) ? num : DEFAULT_INPUT[name];
+        } else {
+            normalized[name] = value;
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * 想定年間純収益 (NOI: Net Operating Income) を計算する
+ * NOI = 年間家賃収入 * (1 - 空室率) * (1 - 経費率)
+ */
+export function calculateNoi({ annualRentIncome, vacancyRate, expenseRate }) {
+    return annualRentIncome * (1 - vacancyRate) * (1 - expenseRate);
+}
+
+/**
+ * 債務カバー率 (DCSR: Debt Service Coverage Ratio) を計算する
+ * 返済額がゼロの場合は NO_DEBT_SERVICE_DCSR を返す
+ */
+export function calculateDcsr(noi, annualRepayment) {
+    return annualRepayment > 0 ? noi / annualRepayment : NO_DEBT_SERVICE_DCSR;
+}
+
+// DCSR からリスク判定 (RISK_LEVELS のコード) を返す
+export function classifyDcsr(dcsr, levels = DEFAULT_SCORING_PROFILE.dcsrLevels) {
+    if (dcsr < levels.medium) return RISK_LEVELS.HIGH;
+    if (dcsr < levels.low) return RISK_LEVELS.MEDIUM;
+    return RISK_LEVELS.LOW;
+}
+
+// 最終スコアからリスク判定 (RISK_LEVELS のコード) を返す
+export function classifyScore(finalScore, levels = DEFAULT_SCORING_PROFILE.scoreLevels) {
+    if (finalScore < levels.medium) return RISK_LEVELS.HIGH;
+    if (finalScore < levels.low) return RISK_LEVELS.MEDIUM;
+    return RISK_LEVELS.LOW;
+}
+
+/**
+ * 対象物件と他の保有物件の NOI・DSCR を計算し、ポートフォリオ全体を集計する
+ * @param {object} input - 正規化済みの入力データ
+ * @param {number} noi - 対象物件の NOI
+ * @param {number} currentDcsr - 対象物件の DCSR
+ * @returns {object} - summarizePortfolio の結果に portfolioDcsr (他の物件がない場合 null) を加えたもの
  */
-export function calculateRealEstateRisk(data, repaymentOverride) {
-    const annualRepayment = repaymentOverride !== undefined ? repaymentOverride : data.annualRepayment;
-
-    // 1. DSR (主債務者の個人経済状況) の計算
-    let dsr;
-    if (data.annualIncomeDebtor === 0.0) {
-        return {
-            score: 100,
-            level: "致命的リスク: 主債務者の年収がゼロです。",
-            dcrComment: "",
-            dcrDetail: "",
-            dcrValue: 0.0
-        };
-    } else {
-        dsr = annualRepayment / data.annualIncomeDebtor;
-    }
-    let baseScore = Math.min(100, Math.floor(dsr * 150));
-
-    // 2. DCR (物件の収益性) の計算
-    let dcrComment = "";
-    let dcrDetail = "";
-    let dcr = 0.0;
-
-    // 想定年間純収益 (NOI: Net Operating Income) の計算
-    const grossIncomeAfterVacancy = data.annualRentalIncomeGross * (1.0 - data.vacancyRateAssumption);
-    const annualNetIncome = grossIncomeAfterVacancy - (data.annualRentalIncomeGross * data.annualExpensesRatio);
-
-    // 借入償還カバー率 (DCR: Debt Coverage Ratio) の計算
-    if (annualRepayment > 0) {
-        dcr = annualNetIncome / annualRepayment;
-    } else {
-        dcr = 999.0;
-    }
-
-    dcrComment = `【収益性指標】借入償還カバー率(DCR): ${dcr.toFixed(2)} (目標: 1.20以上)`;
-
-    // DCRに基づいたリスクスコアの調整
-    if (dcr < 1.0) {
-        baseScore += 40;
-        dcrDetail = "【🚨極めて高いリスク】収益で返済を賄えません。持ち出し必須。";
-    } else if (dcr < 1.2) {
-        baseScore += 15;
-        dcrDetail = "【⚠️高いリスク】DCRがタイトです。キャッシュフローに余裕がありません。";
-    } else {
-        baseScore -= 10;
-        dcrDetail = "【✅低いリスク】収益に一定の余裕があります。";
-    }
-
-    // 3. その他の負債による調整と最終スコア
-    baseScore += Math.floor(data.otherDebtsRatio * 30);
-    const finalScore = Math.max(0, Math.min(100, baseScore));
-
-    // 4. 総合リスクレベルの評価
-    let level;
-    if (finalScore >= 70) {
-        level = "非常に高いリスク (⚠️ 専門家への相談を強く推奨)";
-    } else if (finalScore >= 50) {
-        level = "高いリスク (注意深く検討が必要)";
-    } else if (finalScore >= 30) {
-        level = "中程度のリスク (詳細な情報確認を)";
-    } else {
-        level = "比較的低いリスク";
-    }
+export function buildPortfolio(input, noi, currentDcsr) {
+    const properties = [
+        {
+            name: { key: 'portfolio.subjectProperty' },
+            area: String(input.propertyArea ?? ''),
+            annualRentIncome: input.annualRentIncome,
+            noi,
+            annualRepayment: input.annualRepayment,
+            loanBalance: input.totalDebt,
+            interestRate: input.interestRate,
+            dscr: currentDcsr,
+        },
+        ...listAdditionalProperties(input).map((property, index) => {
+            const propertyNoi = calculateNoi(property);
+            return {
+                ...property,
+                name: property.name || { key: 'portfolio.unnamedProperty', params: { number: index + 2 } },
+                noi: propertyNoi,
+                dscr: calculateDcsr(propertyNoi, property.annualRepayment),
+            };
+        }),
+    ];
+    const summary = summarizePortfolio(properties);
+    return {
+        ...summary,
+        portfolioDcsr: properties.length > 1 ? calculateDcsr(summary.totalNoi, summary.totalRepayment) : null,
+    };
+}
+
+// 年収に対する比率 (年収ゼロ以下の場合は無限大として扱う)
+const ratioToIncome = (amount, annualIncome) => (annualIncome > 0 ? amount / annualIncome : Infinity);
+
+/**
+ * 不動産投資案件の連帯保証リスクスコアを計算する関数
+ * @param {object} data - 入力データオブジェクト (DEFAULT_INPUT と同じスキーマ)
+ * @param {object} [profile] - ルールプロファイル (既定: 標準)
+ * @returns {object} - スコア (高いほど安全)・内訳・指標とモデルバージョン・プロファイルを含むオブジェクト
+ */
+export function calculateRealEstateRisk(data, profile = DEFAULT_SCORING_PROFILE) {
+    const input = normalizeInput(data);
+    const {
+        annualIncome,
+        annualRepayment,
+        totalDebt,
+        expenseRate,
+        vacancyRate,
+        interestRate,
+        otherDebtRatio,
+    } = input;
+
+    const noi = calculateNoi(input);
+    const currentDcsr = calculateDcsr(noi, annualRepayment);
+    // 他の保有物件を含めたポートフォリオ (返済比率・借入倍率は全物件のローンで計算する)
+    const portfolio = buildPortfolio(input, noi, currentDcsr);
+    const debtToIncomeRatio = ratioToIncome(portfolio.totalRepayment, annualIncome); // DSR
+    const totalDebtToIncomeRatio = ratioToIncome(portfolio.totalLoanBalance, annualIncome);
+    // 担保評価額に対する借入比率 (LTV)。担保で回収できない部分は連帯保証人の負担になる
+    const collateral = evaluateCollateral(input, { noi, loanBalance: totalDebt });
+
+    // 減点ルールの評価 (主債務者信用力 30点・物件収益力 40点・金利変動リスク 30点、閾値はプロファイルによる)
+    const metrics = {
+        annualIncome,
+        debtToIncomeRatio,
+        totalDebtToIncomeRatio,
+        otherDebtRatio,
+        currentDcsr,
+        expenseRate,
+        vacancyRate,
+        ltv: collateral.ltv,
+        portfolioDcsr: portfolio.portfolioDcsr,
+        areaConcentration: portfolio.areaConcentration,
+        crossSubsidyShare: portfolio.crossSubsidyShare,
+        interestRate,
+    };
+    const { scores, contributions, knockout } = evaluateScoreRules(metrics, profile);
+
+    // 主債務者の年収がゼロの場合などは、該当する評価項目を 0点・最終スコアを 0点とする
+    if (knockout) scores[knockout.category] = 0;
+    const { credit: creditScore, property: propertyScore, interest: interestRiskScore } = scores;
+
+    // 最終スコア (合計 100点満点)
+    const finalScore = knockout ? 0 : creditScore + propertyScore + interestRiskScore;
+    const riskLevel = classifyScore(finalScore, profile.scoreLevels);
+    // 入力の前提と地域の目安の比較 (目安を選んでいない場合は null)
+    const marketComparison = compareWithMarketBenchmark(input);
 
     return {
-        score: finalScore,
-        level: level,
-        dcrComment: dcrComment,
-        dcrDetail: dcrDetail,
-        dcrValue: dcr,
-        annualNetIncome: annualNetIncome // 追加情報
+        modelVersion: MODEL_VERSION,
+        profile: describeProfileForResult(profile),
+        scoreDirection: SCORE_DIRECTION,
+        finalScore,
+        riskLevel,
+        riskDetail: withMarketWarning(knockout ? explainRule(knockout) : { key: `riskDetails.${riskLevel}` }, marketComparison),
+        creditScore,
+        propertyScore,
+        interestRiskScore,
+        debtToIncomeRatio,
+        totalDebtToIncomeRatio,
+        noi,
+        currentDcsr,
+        collateral: { ...collateral, purchaseLtv: calculatePurchaseLtv(input) },
+        portfolio,
+        marketComparison,
+        contributions: knockout ? [...contributions, knockout] : contributions,
     };
 }
 
+/**
+ * 金利上昇時の年間総返済額を返済予定表から計算する
+ *
+ * 来月から金利が newRate に変わった場合の返済予定表を作成し、
+ * 現状の初年度のローン返済額との差額を入力の年間総返済額に加算する
+ * (年間総返済額には対象ローン以外の返済も含まれ得るため、差額のみを反映する)。
+ * 5年ルールにより返済額の増加が後年に現れるため、通常返済の年額が最大となる年を採用する。
+ * @param {object} input - 正規化済みの入力データ
+ * @param {number} newRate - シミュレーション金利
+ * @returns {object} - { repayment, peakYear, maxUnpaidInterest, finalLumpSum, schedule, yearly }
+ */
+export function simulateRateChangeRepayment(input, newRate) {
+    const baseYearly = summarizeScheduleByYear(buildAmortizationSchedule(loanFromInput(input)));
+    const schedule = buildAmortizationSchedule(loanFromInput(input, newRate));
+    const yearly = summarizeScheduleByYear(schedule);
 
-export function runWorstCaseSimulation(originalData, rateIncreasePercentage = 0.02, worstVacancyRate = 0.20) {
-    // 1. 空室率悪化シミュレーション (20%に悪化)
-    const simDataVacancy = { ...originalData, vacancyRateAssumption: worstVacancyRate };
-    const resultVacancy = calculateRealEstateRisk(simDataVacancy);
+    const basePayment = baseYearly.length > 0 ? baseYearly[0].payment : 0;
+    const peak = yearly.reduce((max, year) => (max === null || year.payment > max.payment ? year : max), null);
+    const peakPayment = peak ? peak.payment : 0;
 
-    // 2. 金利上昇シミュレーション (2%上昇)
-    const annualRepaymentIncrease = originalData.loanAmount * rateIncreasePercentage;
-    const newAnnualRepayment = originalData.annualRepayment + annualRepaymentIncrease;
+    return {
+        repayment: input.annualRepayment + (peakPayment - basePayment),
+        peakYear: peak ? peak.year : 0,
+        maxUnpaidInterest: schedule.reduce((max, row) => Math.max(max, row.unpaidInterest), 0),
+        finalLumpSum: schedule.reduce((sum, row) => sum + row.lumpSum, 0),
+        schedule,
+        yearly,
+    };
+}
 
-    const resultRate = calculateRealEstateRisk(originalData, newAnnualRepayment);
+/**
+ * ワーストケース (金利上昇・空室率悪化) のシミュレーションを実行する関数
+ * @param {object} data - 入力データオブジェクト
+ * @param {object} [options]
+ * @param {number} [options.simulatedInterestRate] - 金利上昇シナリオの金利 (既定: 入力値)
+ * @param {number} [options.worstVacancyRate] - 空室率悪化シナリオの空室率 (既定: 20%)
+ * @param {object} [options.profile] - ルールプロファイル (既定: 標準)
+ * @returns {object} - 現状・金利上昇・空室率悪化それぞれの結果
+ */
+export function runWorstCaseSimulation(data, options = {}) {
+    const input = normalizeInput(data);
+    const {
+        simulatedInterestRate = input.simulatedInterestRate,
+        worstVacancyRate = WORST_CASE_VACANCY_RATE,
+        profile = DEFAULT_SCORING_PROFILE,
+    } = options;
+    const original = calculateRealEstateRisk(input, profile);
+    const { dcsrLevels } = profile;
+
+    // 1. 金利上昇シミュレーション
+    const rateChange = simulateRateChangeRepayment(input, simulatedInterestRate);
+    const simulatedRepayment = rateChange.repayment;
+    const rateHikeDcsr = calculateDcsr(original.noi, simulatedRepayment);
+    const rateHikeLevel = classifyDcsr(rateHikeDcsr, dcsrLevels);
+
+    const rateHikeDetail = {
+        key: `worstCase.rateHike.${rateHikeLevel}`,
+        params: { rate: { percent: simulatedInterestRate, digits: 2 }, dcsr: { decimal: rateHikeDcsr }, threshold: dcsrLevels.medium },
+    };
+
+    // 2. 空室率悪化シミュレーション (年間返済額は現状のまま)
+    const vacancyInput = { ...input, vacancyRate: worstVacancyRate };
+    const vacancyDcsr = calculateDcsr(calculateNoi(vacancyInput), input.annualRepayment);
+    const vacancyLevel = classifyDcsr(vacancyDcsr, dcsrLevels);
+    const vacancyDetail = {
+        key: `worstCase.vacancy.${vacancyLevel}`,
+        params: { vacancyRate: worstVacancyRate * 100, dcsr: { decimal: vacancyDcsr }, threshold: dcsrLevels.medium },
+    };
 
     return {
-        original: calculateRealEstateRisk(originalData),
-        vacancy: resultVacancy,
-        rateHike: resultRate,
-        newRepaymentAmount: newAnnualRepayment
+        modelVersion: MODEL_VERSION,
+        original,
+        rateHike: {
+            interestRate: simulatedInterestRate,
+            repayment: simulatedRepayment,
+            peakYear: rateChange.peakYear,
+            maxUnpaidInterest: rateChange.maxUnpaidInterest,
+            finalLumpSum: rateChange.finalLumpSum,
+            yearly: rateChange.yearly,
+            dcsr: rateHikeDcsr,
+            riskLevel: rateHikeLevel,
+            riskDetail: rateHikeDetail,
+            result: calculateRealEstateRisk({ ...input, interestRate: simulatedInterestRate, annualRepayment: simulatedRepayment }, profile),
+        },
+        vacancy: {
+            vacancyRate: worstVacancyRate,
+            dcsr: vacancyDcsr,
+            riskLevel: vacancyLevel,
+            riskDetail: vacancyDetail,
+            result: calculateRealEstateRisk(vacancyInput, profile),
+        },
     };
-}
\ No newline at end of file
+}
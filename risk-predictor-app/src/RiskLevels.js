@@ -0,0 +1,32 @@
+// risk-predictor-app/src/RiskLevels.js
+
+/**
+ * リスク判定のコード
+ *
+ * 計算結果・保存データ・CSV / JSON / API ではコードを使い、表示時に I18n.js で各言語の文言にする。
+ * モデル 1.3.0 までは '低' / '中' / '高' の文字列で記録していたため、保存済みのデータは toRiskLevel で読み替える。
+ */
+
+export const RISK_LEVELS = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+};
+
+// リスクの大きさの順序 (閾値の比較用)
+export const RISK_LEVEL_ORDER = {
+    [RISK_LEVELS.LOW]: 0,
+    [RISK_LEVELS.MEDIUM]: 1,
+    [RISK_LEVELS.HIGH]: 2,
+};
+
+const LEGACY_RISK_LEVELS = { 低: RISK_LEVELS.LOW, 中: RISK_LEVELS.MEDIUM, 高: RISK_LEVELS.HIGH };
+
+/**
+ * 旧形式の判定 ('低' / '中' / '高') をコードに読み替える (コードはそのまま返す)
+ * @param {string} value - リスク判定
+ * @returns {string}
+ */
+export function toRiskLevel(value) {
+    return LEGACY_RISK_LEVELS[value] || value;
+}
@@ -0,0 +1,392 @@
+import React, { useMemo } from 'react';
+import './RiskReport.css';
+import {
+  COLLATERAL_FIELDS,
+  GUARANTOR_FIELDS,
+  INPUT_FIELDS,
+  LOAN_OPTION_FIELDS,
+  PROJECTION_FIELDS,
+  SIMULATION_FIELD,
+  STRUCTURE_FIELD,
+  TAX_FIELDS,
+  fieldLabel,
+  optionLabel,
+} from './InputFields.js';
+import { NUMBER_FORMATS } from './NumberFormat.js';
+import { marketAssumptionName } from './MarketAssumptions.js';
+import { SCORE_CATEGORIES, describeRule, explainRule, formatMetricValue } from './ScoreRules.js';
+import { profileName } from './ScoringProfiles.js';
+import { compareScenarios, scenarioName } from './StressScenarios.js';
+import { useI18n } from './I18nContext.js';
+
+// 入力項目の表示 (比率項目はパーセント表示)
+const formatInputValue = (field, value, i18n) => {
+  if (field.format === NUMBER_FORMATS.PERCENT) return i18n.percent(value, 2);
+  if (field.format === NUMBER_FORMATS.YEN) return i18n.yen(value);
+  return i18n.number(value, 2);
+};
+
+const ReportSection = ({ title, children }) => (
+  <section className="risk-report-section">
+    <h2>{title}</h2>
+    {children}
+  </section>
+);
+
+// 印刷用 (A4) のリスク評価レポート。ブラウザの印刷機能から PDF として保存できる
+const RiskReport = ({ input, score, scenarios, caseDetails, onClose }) => {
+  const i18n = useI18n();
+  const { t, m, yen, percent, decimal, riskLevel, dateTime } = i18n;
+  const scenarioComparison = useMemo(() => compareScenarios(input, scenarios, score.profile), [input, scenarios, score.profile]);
+  const createdAt = dateTime(Date.now());
+  const { rateHike, vacancy } = score.worstCase;
+  const { projection, afterTax, guarantor, collateral, portfolio } = score;
+  const yearOrNone = (year) => (year ? t('common.yearNumber', { year }) : t('caseManager.none'));
+  const applied = (value) => (value ? t('history.applied') : t('history.notApplied'));
+
+  return (
+    <div className="risk-report-overlay">
+      <div className="risk-report-toolbar">
+        <button type="button" onClick={() => window.print()}>{t('report.print')}</button>
+        <button type="button" onClick={onClose}>{t('common.close')}</button>
+      </div>
+
+      <article className="risk-report">
+        <header>
+          <h1>{t('report.title')}</h1>
+          <p>
+            {t('report.meta', {
+              createdAt,
+              version: score.modelVersion,
+              profile: profileName(score.profile),
+              revision: score.profile.revision,
+            })}
+          </p>
+        </header>
+
+        <ReportSection title={t('report.section.case')}>
+          <table>
+            <tbody>
+              <tr><th>{t('caseManager.field.name')}</th><td>{caseDetails.name || t('caseManager.untitled')}</td></tr>
+              <tr><th>{t('caseManager.field.property')}</th><td>{caseDetails.property}</td></tr>
+              <tr><th>{t('caseManager.field.debtor')}</th><td>{caseDetails.debtor}</td></tr>
+              <tr><th>{t('caseManager.field.guarantor')}</th><td>{caseDetails.guarantor}</td></tr>
+              <tr><th>{t('caseManager.field.notes')}</th><td>{caseDetails.notes}</td></tr>
+            </tbody>
+          </table>
+        </ReportSection>
+
+        <ReportSection title={t('report.section.overall')}>
+          <p className="risk-report-score">
+            {t('report.totalScore')} <strong>{t('report.scoreValue', { score: score.finalScore })}</strong> {t('report.higherIsSafer')} ・ {t('report.riskLevel')} <strong>{riskLevel(score.riskLevel)}</strong>
+          </p>
+          <p>{m(score.riskDetail)}</p>
+          <table>
+            <thead>
+              <tr><th>{t('profiles.column.category')}</th><th>{t('report.column.points')}</th><th>{t('report.column.method')}</th></tr>
+            </thead>
+            <tbody>
+              {Object.entries(SCORE_CATEGORIES).map(([key, category]) => (
+                <tr key={key}>
+                  <td>{t(`categories.${key}`)}</td>
+                  <td className="number">{score[category.scoreKey]} / {t('common.points', { points: category.max })}</td>
+                  <td>
+                    {t('report.method', {
+                      rules: score.contributions
+                        .filter((item) => item.category === key && !item.knockout)
+                        .map((item) => describeRule(item, i18n))
+                        .join(t('portfolio.listSeparator')),
+                    })}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <table>
+            <thead>
+              <tr>
+                <th>{t('report.column.deduction')}</th>
+                <th>{t('report.column.actual')}</th>
+                <th>{t('profiles.column.points')}</th>
+                <th>{t('report.column.reason')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {score.contributions.filter((item) => item.points < 0).map((item) => (
+                <tr key={item.ruleId}>
+                  <td>{describeRule(item, i18n)}</td>
+                  <td className="number">{formatMetricValue(item.metric, item.actual, i18n)}</td>
+                  <td className="number">{t('common.points', { points: item.points })}</td>
+                  <td>{m(explainRule(item))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p>{t('report.ratios', { dcsr: decimal(score.currentDcsr), dsr: percent(score.debtToIncomeRatio), noi: yen(score.noi) })}</p>
+        </ReportSection>
+
+        <ReportSection title={t('report.section.input')}>
+          <table>
+            <tbody>
+              {[...INPUT_FIELDS, SIMULATION_FIELD, ...PROJECTION_FIELDS, ...COLLATERAL_FIELDS, ...TAX_FIELDS, ...GUARANTOR_FIELDS].map((field) => (
+                <tr key={field.name}>
+                  <th>{fieldLabel(field, i18n)}</th>
+                  <td className="number">{formatInputValue(field, input[field.name], i18n)}</td>
+                </tr>
+              ))}
+              {[...LOAN_OPTION_FIELDS, STRUCTURE_FIELD].map((field) => {
+                const option = field.options.find((item) => item.value === input[field.name]);
+                return (
+                  <tr key={field.name}>
+                    <th>{fieldLabel(field, i18n)}</th>
+                    <td className="number">{option && optionLabel(field, option, i18n)}</td>
+                  </tr>
+                );
+              })}
+              <tr>
+                <th>{t('history.field.applyPaymentRules')}</th>
+                <td className="number">{applied(input.applyPaymentRules)}</td>
+              </tr>
+              <tr>
+                <th>{t('history.field.residentialLandSpecial')}</th>
+                <td className="number">{applied(input.residentialLandSpecial)}</td>
+              </tr>
+              <tr>
+                <th>{t('history.field.largeRepairs')}</th>
+                <td className="number">
+                  {input.largeRepairs
+                    .map((repair) => `${t('common.yearNumber', { year: repair.year })} ${yen(repair.amount)}`)
+                    .join(t('portfolio.listSeparator')) || t('caseManager.none')}
+                </td>
+              </tr>
+              <tr>
+                <th>{t('history.field.marketBenchmark')}</th>
+                <td className="number">{input.marketBenchmark ? m(marketAssumptionName(input.marketBenchmark)) : t('caseManager.none')}</td>
+              </tr>
+            </tbody>
+          </table>
+        </ReportSection>
+
+        <ReportSection title={t('app.worstCaseTitle')}>
+          <table>
+            <thead>
+              <tr>
+                <th>{t('scenarios.column.scenario')}</th>
+                <th>{t('propertyFields.annualRepayment')}</th>
+                <th>DCSR</th>
+                <th>{t('batch.column.riskLevel')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>{t('report.rateHike', { rate: percent(rateHike.interestRate, 2) })}</td>
+                <td className="number">{yen(rateHike.repayment)}</td>
+                <td className="number">{decimal(rateHike.dcsr)}</td>
+                <td>{riskLevel(rateHike.riskLevel)}</td>
+              </tr>
+              <tr>
+                <td>{t('report.vacancy', { rate: percent(vacancy.vacancyRate, 0) })}</td>
+                <td className="number">{yen(input.annualRepayment)}</td>
+                <td className="number">{decimal(vacancy.dcsr)}</td>
+                <td>{riskLevel(vacancy.riskLevel)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p>{m(rateHike.riskDetail)}</p>
+          <p>{m(vacancy.riskDetail)}</p>
+        </ReportSection>
+
+        <ReportSection title={t('app.collateral.title')}>
+          <table>
+            <tbody>
+              <tr><th>{t('report.costValue')}</th><td className="number">{yen(collateral.costValue)}</td></tr>
+              <tr><th>{t('report.incomeValue')}</th><td className="number">{collateral.incomeValue === null ? '-' : yen(collateral.incomeValue)}</td></tr>
+              <tr><th>{t('report.collateralValue')}</th><td className="number">{yen(collateral.collateralValue)}</td></tr>
+              <tr>
+                <th>{t('report.ltv')}</th>
+                <td className="number">
+                  {Number.isFinite(collateral.ltv) ? percent(collateral.ltv) : t('common.notComputable')} / {collateral.purchaseLtv === null ? '-' : percent(collateral.purchaseLtv)}
+                </td>
+              </tr>
+              <tr><th>{t('report.recoveryValue')}</th><td className="number">{yen(collateral.recoveryValue)}</td></tr>
+              <tr><th>{t('projection.column.shortfall')}</th><td className="number">{yen(collateral.shortfall)}</td></tr>
+            </tbody>
+          </table>
+        </ReportSection>
+
+        <ReportSection title={t('app.guarantor.title')}>
+          <table>
+            <tbody>
+              <tr>
+                <th>{t('caseManager.metric.maxExposure')}</th>
+                <td className="number">
+                  {yen(guarantor.maxExposure)}
+                  {guarantor.maxExposureYear > 0 && ` ${t('app.guarantor.maxExposureYear', { year: guarantor.maxExposureYear })}`}
+                </td>
+              </tr>
+              <tr>
+                <th>{t('caseManager.metric.expectedShortfall')}</th>
+                <td className="number">
+                  {yen(guarantor.expectedShortfall)}
+                  {guarantor.expectedShortfallYear > 0 && ` (${t('common.yearNumber', { year: guarantor.expectedShortfallYear })})`}
+                </td>
+              </tr>
+              <tr><th>{t('report.totalExposure')}</th><td className="number">{yen(guarantor.totalExposure)}</td></tr>
+              <tr><th>{t('report.netWorth')}</th><td className="number">{yen(guarantor.netWorth)}</td></tr>
+              <tr>
+                <th>{t('report.netWorthShare')}</th>
+                <td className="number">{guarantor.netWorthShare === null ? t('common.notComputable') : percent(guarantor.netWorthShare)}</td>
+              </tr>
+              <tr>
+                <th>{t('report.incomeYears')}</th>
+                <td className="number">
+                  {guarantor.incomeYears === null
+                    ? t('common.notComputable')
+                    : t('app.guarantor.incomeYearsValue', { years: decimal(guarantor.incomeYears, 1) })}
+                </td>
+              </tr>
+              <tr><th>{t('report.guarantorRiskLevel')}</th><td className="number">{riskLevel(guarantor.riskLevel)}</td></tr>
+            </tbody>
+          </table>
+          <p>{m(guarantor.riskDetail)}</p>
+        </ReportSection>
+
+        <ReportSection title={t('scenarios.title')}>
+          <table>
+            <thead>
+              <tr>
+                <th>{t('scenarios.column.scenario')}</th>
+                <th>DSCR</th>
+                <th>{t('scenarios.column.score')}</th>
+                <th>{t('report.column.deltaScore')}</th>
+                <th>{t('batch.column.riskLevel')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scenarioComparison.rows.map((row, index) => (
+                <tr key={row.scenario.id || index}>
+                  <td>{m(scenarioName(row.scenario))}</td>
+                  <td className="number">{decimal(row.dcsr)}</td>
+                  <td className="number">{t('common.points', { points: row.result.finalScore })}</td>
+                  <td className="number">{row.deltaScore > 0 ? '+' : ''}{t('common.points', { points: row.deltaScore })}</td>
+                  <td>{riskLevel(row.result.riskLevel)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </ReportSection>
+
+        {portfolio.propertyCount > 1 && (
+          <ReportSection title={t('portfolio.title', { count: portfolio.propertyCount })}>
+            <p>
+              {t('portfolio.portfolioDscr', { dscr: decimal(portfolio.portfolioDcsr) })} ・{' '}
+              {t('portfolio.areaConcentration', {
+                share: percent(portfolio.areaConcentration),
+                area: portfolio.areas[0].area || t('portfolio.unspecifiedArea'),
+              })} ・{' '}
+              {t('portfolio.crossSubsidy', {
+                share: Number.isFinite(portfolio.crossSubsidyShare) ? percent(portfolio.crossSubsidyShare) : t('portfolio.noSurplus'),
+              })}
+            </p>
+            <table className="risk-report-compact">
+              <thead>
+                <tr>
+                  <th>{t('portfolio.column.property')}</th>
+                  <th>{t('portfolio.column.area')}</th>
+                  <th>NOI</th>
+                  <th>{t('propertyFields.annualRepayment')}</th>
+                  <th>DSCR</th>
+                  <th>{t('propertyFields.loanBalance')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {portfolio.properties.map((property, index) => (
+                  <tr key={index}>
+                    <td>{m(property.name)}</td>
+                    <td>{property.area}</td>
+                    <td className="number">{yen(property.noi)}</td>
+                    <td className="number">{yen(property.annualRepayment)}</td>
+                    <td className="number">{decimal(property.dscr)}</td>
+                    <td className="number">{yen(property.loanBalance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </ReportSection>
+        )}
+
+        <ReportSection title={t('projection.title', { years: projection.years.length })}>
+          <p>
+            {t('caseManager.metric.dscrBelowOneYear')}: {yearOrNone(projection.firstDscrBelowOneYear)} ・{' '}
+            {t('report.negativeCumulativeYear')}: {yearOrNone(projection.firstNegativeCumulativeYear)}
+          </p>
+          <table className="risk-report-compact">
+            <thead>
+              <tr>
+                <th>{t('projection.column.year')}</th>
+                <th>NOI</th>
+                <th>{t('projection.column.debtService')}</th>
+                <th>{t('projection.column.cashFlow')}</th>
+                <th>{t('projection.column.cumulativeCash')}</th>
+                <th>DSCR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {projection.years.map((year) => (
+                <tr key={year.year}>
+                  <td>{year.year}</td>
+                  <td className="number">{yen(year.noi)}</td>
+                  <td className="number">{yen(year.debtService)}</td>
+                  <td className="number">{yen(year.cashFlow)}</td>
+                  <td className="number">{yen(year.cumulativeCash)}</td>
+                  <td className="number">{decimal(year.dscr)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </ReportSection>
+
+        <ReportSection title={t('afterTax.title')}>
+          <p>
+            {t('report.deadCrossYear')}: {yearOrNone(afterTax.deadCrossYear)} ・{' '}
+            {t('report.negativeAfterTaxYear')}: {yearOrNone(afterTax.firstNegativeAfterTaxYear)} ・{' '}
+            {t('report.depreciationLife', { life: afterTax.depreciationLife })} ・{' '}
+            {t('afterTax.propertyTaxes', { amount: yen(afterTax.propertyTaxes) })}
+          </p>
+          <table className="risk-report-compact">
+            <thead>
+              <tr>
+                <th>{t('projection.column.year')}</th>
+                <th>{t('afterTax.column.depreciation')}</th>
+                <th>{t('afterTax.column.interest')}</th>
+                <th>{t('afterTax.column.principal')}</th>
+                <th>{t('afterTax.column.rentalIncome')}</th>
+                <th>{t('report.column.taxChange')}</th>
+                <th>{t('afterTax.column.afterTaxCashFlow')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {afterTax.years.map((year) => (
+                <tr key={year.year}>
+                  <td>{year.year}</td>
+                  <td className="number">{yen(year.depreciation)}</td>
+                  <td className="number">{yen(year.interest)}</td>
+                  <td className="number">{yen(year.principal)}</td>
+                  <td className="number">{yen(year.rentalIncome)}</td>
+                  <td className="number">{yen(year.taxChange)}</td>
+                  <td className="number">{yen(year.afterTaxCashFlow)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </ReportSection>
+
+        <ReportSection title={t('report.section.disclaimer')}>
+          <p className="risk-report-disclaimer">{t('report.disclaimer')}</p>
+        </ReportSection>
+      </article>
+    </div>
+  );
+};
+
+export default RiskReport;
@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import {
+  EMPTY_SCENARIO,
+  SCENARIO_PRESETS,
+  compareScenarios,
+  saveScenarios,
+  scenarioName,
+} from './StressScenarios.js';
+import { useI18n } from './I18nContext.js';
+import { RISK_LEVELS } from './RiskLevels.js';
+
+// シナリオの編集項目 (値はすべて 0.0 - 1.0 の比率。項目名はカタログの scenarios.field)
+const scenarioFields = [
+  { name: "rateChange", step: 0.005 },
+  { name: "vacancyChange", step: 0.01 },
+  { name: "rentDrop", step: 0.01 },
+  { name: "expenseChange", step: 0.01 },
+  { name: "incomeDrop", step: 0.05 },
+];
+
+const formatDelta = (value, digits, { decimal }) => `${value > 0 ? '+' : ''}${decimal(value, digits)}`;
+
+const riskLevelClass = (level) => (
+  level === RISK_LEVELS.LOW ? 'bg-green-100 text-green-800' :
+  level === RISK_LEVELS.MEDIUM ? 'bg-yellow-100 text-yellow-800' :
+  'bg-red-100 text-red-800'
+);
+
+// 複合ストレスシナリオの作成・保存と比較表
+// (シナリオは共有リンクにも含めるため App で管理する。input は表示中の評価結果を計算した入力)
+const ScenarioBuilderPanel = ({ input, profile, scenarios, onScenariosChange }) => {
+  const i18n = useI18n();
+  const { t, m, decimal, riskLevel } = i18n;
+  const [savedMessage, setSavedMessage] = useState('');
+  const setScenarios = (update) => onScenariosChange(update(scenarios));
+
+  const comparison = useMemo(() => compareScenarios(input, scenarios, profile), [input, scenarios, profile]);
+
+  const updateScenario = (index, name, value) => {
+    setSavedMessage('');
+    setScenarios((prev) => prev.map((scenario, i) => (i === index ? { ...scenario, [name]: value } : scenario)));
+  };
+
+  // プリセットから追加したシナリオは、追加時の表示言語のプリセット名を名前にする (以後は自由に編集できる)
+  const addScenario = (template) => {
+    setSavedMessage('');
+    setScenarios((prev) => [...prev, { ...template, name: template.id ? m(scenarioName(template)) : '', id: `scenario-${Date.now()}` }]);
+  };
+
+  const handleSave = () => {
+    saveScenarios(scenarios);
+    setSavedMessage(t('scenarios.saved'));
+  };
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('scenarios.title')}</h2>
+
+      <div className="space-y-3">
+        {scenarios.map((scenario, index) => (
+          <div key={scenario.id || index} className="p-3 bg-white rounded-lg text-sm">
+            <div className="flex gap-2 mb-2">
+              <input
+                type="text"
+                value={scenario.name}
+                placeholder={m(scenarioName(scenario))}
+                onChange={(e) => updateScenario(index, 'name', e.target.value)}
+                className="shadow border rounded flex-1 py-1 px-2 font-semibold"
+              />
+              <button
+                type="button"
+                onClick={() => setScenarios((prev) => prev.filter((_, i) => i !== index))}
+                className="text-red-600 px-2"
+              >
+                {t('common.delete')}
+              </button>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+              {scenarioFields.map((field) => (
+                <label key={field.name} className="block text-gray-600 text-xs">
+                  {t(`scenarios.field.${field.name}`)}
+                  <input
+                    type="number"
+                    value={scenario[field.name]}
+                    step={field.step}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      updateScenario(index, field.name, isNaN(value) ? 0 : value);
+                    }}
+                    className="shadow border rounded w-full py-1 px-2 mt-1"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-3 text-sm">
+        <button type="button" onClick={() => addScenario(EMPTY_SCENARIO)} className="text-blue-600">
+          {t('scenarios.add')}
+        </button>
+        <select
+          value=""
+          onChange={(e) => {
+            const preset = SCENARIO_PRESETS.find((p) => p.id === e.target.value);
+            if (preset) addScenario(preset);
+          }}
+          className="border rounded py-1 px-2"
+        >
+          <option value="">{t('scenarios.addPreset')}</option>
+          {SCENARIO_PRESETS.map((preset) => (
+            <option key={preset.id} value={preset.id}>{m(scenarioName(preset))}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleSave} className="ml-auto bg-blue-500 text-white rounded px-3 py-1">
+          {t('scenarios.save')}
+        </button>
+      </div>
+      {savedMessage && <p className="mt-2 text-xs text-green-700">{savedMessage}</p>}
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-sm text-right bg-white rounded-lg">
+          <thead>
+            <tr className="border-b text-gray-500">
+              <th className="text-left p-1">{t('scenarios.column.scenario')}</th>
+              <th className="p-1">DSCR</th>
+              <th className="p-1">ΔDSCR</th>
+              <th className="p-1">{t('scenarios.column.score')}</th>
+              <th className="p-1">{t('scenarios.column.deltaScore')}</th>
+              <th className="p-1 text-center">{t('scenarios.column.riskLevel')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-b border-gray-100 font-semibold">
+              <td className="text-left p-1">{t('scenarios.baseline')}</td>
+              <td className="p-1">{decimal(comparison.baseline.currentDcsr)}</td>
+              <td className="p-1">-</td>
+              <td className="p-1">{comparison.baseline.finalScore}</td>
+              <td className="p-1">-</td>
+              <td className="p-1 text-center">
+                <span className={`px-2 rounded ${riskLevelClass(comparison.baseline.riskLevel)}`}>{riskLevel(comparison.baseline.riskLevel)}</span>
+              </td>
+            </tr>
+            {comparison.rows.map((row, index) => (
+              <tr key={row.scenario.id || index} className="border-b border-gray-100">
+                <td className="text-left p-1">{m(scenarioName(row.scenario))}</td>
+                <td className={`p-1 ${row.dcsr < 1 ? 'text-red-600 font-bold' : ''}`}>{decimal(row.dcsr)}</td>
+                <td className="p-1">{formatDelta(row.deltaDcsr, 2, i18n)}</td>
+                <td className="p-1">{row.result.finalScore}</td>
+                <td className="p-1">{formatDelta(row.deltaScore, 0, i18n)}</td>
+                <td className="p-1 text-center">
+                  <span className={`px-2 rounded ${riskLevelClass(row.result.riskLevel)}`}>{riskLevel(row.result.riskLevel)}</span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioBuilderPanel;
@@ -0,0 +1,115 @@
+// risk-predictor-app/src/ScenarioSweep.js
+
+import { calculateRealEstateRisk, normalizeInput, simulateRateChangeRepayment } from './RiskCalculator.js';
+import { DEFAULT_SCORING_PROFILE } from './ScoringProfiles.js';
+import { withInputValue } from './Sensitivity.js';
+
+/**
+ * 金利・空室率のスイープ (シナリオチャート用)
+ *
+ * - buildSweep: 金利または空室率だけを範囲内で動かし、各点の DSCR・最終スコア・リスク判定を求める (折れ線グラフ用)。
+ * - buildRiskHeatmap: 金利 × 空室率の組み合わせごとのリスク判定を求める (ヒートマップ用)。
+ * 他の入力は現状のまま。金利を動かす場合は、Sensitivity.js と同じく年間総返済額も返済予定表から再計算する。
+ * 現状の値が範囲外でも、現状の点がグラフに入るように範囲を広げる。
+ */
+
+// 走査する範囲 (min・max・step はいずれも比率)
+export const SWEEP_RANGES = {
+    interestRate: { min: 0, max: 0.08, step: 0.0025 },
+    vacancyRate: { min: 0, max: 0.5, step: 0.01 },
+};
+
+// ヒートマップの刻み (折れ線グラフより粗くする)
+export const HEATMAP_STEPS = {
+    interestRate: 0.005,
+    vacancyRate: 0.05,
+};
+
+// 刻みの累積による誤差を丸める桁数
+const VALUE_DIGITS = 6;
+
+/**
+ * 範囲内の値の一覧を作成する
+ * @param {object} range - { min, max, step }
+ * @param {number} [current] - 現状の値 (指定した場合は一覧に含め、範囲外なら範囲を広げる)
+ * @returns {Array<number>} - 昇順の値
+ */
+export function sweepValues({ min, max, step }, current) {
+    const upper = Number.isFinite(current) ? Math.max(max, current) : max;
+    const values = [];
+    for (let i = 0; min + i * step <= upper + step / 2; i++) {
+        values.push(Number((min + i * step).toFixed(VALUE_DIGITS)));
+    }
+    if (Number.isFinite(current) && !values.includes(current)) values.push(current);
+    return values.sort((a, b) => a - b);
+}
+
+/**
+ * 1つの入力項目 (金利・空室率) を範囲内で動かしたときの DSCR・最終スコア・リスク判定
+ * @param {object} data - 入力データオブジェクト
+ * @param {string} name - 'interestRate' または 'vacancyRate'
+ * @param {object} [options]
+ * @param {object} [options.range] - 走査する範囲 (既定: SWEEP_RANGES[name])
+ * @param {object} [options.profile] - ルールプロファイル (既定: 標準)
+ * @returns {object} - { name, current, points: [{ value, dcsr, finalScore, riskLevel, isCurrent }] }
+ */
+export function buildSweep(data, name, options = {}) {
+    const { range = SWEEP_RANGES[name], profile = DEFAULT_SCORING_PROFILE } = options;
+    const input = normalizeInput(data);
+    const current = input[name];
+
+    const points = sweepValues(range, current).map((value) => {
+        const result = calculateRealEstateRisk(withInputValue(input, name, value), profile);
+        return {
+            value,
+            dcsr: result.currentDcsr,
+            finalScore: result.finalScore,
+            riskLevel: result.riskLevel,
+            isCurrent: value === current,
+        };
+    });
+    return { name, current, points };
+}
+
+/**
+ * 金利 × 空室率の組み合わせごとのリスク判定 (ヒートマップ用)
+ * 現状の値に最も近いセルに isCurrent を付ける。
+ * @param {object} data - 入力データオブジェクト
+ * @param {object} [options]
+ * @param {object} [options.steps] - 刻み (既定: HEATMAP_STEPS)
+ * @param {object} [options.profile] - ルールプロファイル (既定: 標準)
+ * @returns {object} - { interestRates, vacancyRates, current: { interestRate, vacancyRate },
+ *                      rows: 空室率ごとの [{ interestRate, vacancyRate, dcsr, finalScore, riskLevel, isCurrent }] }
+ */
+export function buildRiskHeatmap(data, options = {}) {
+    const { steps = HEATMAP_STEPS, profile = DEFAULT_SCORING_PROFILE } = options;
+    const input = normalizeInput(data);
+    const current = { interestRate: input.interestRate, vacancyRate: input.vacancyRate };
+    // 現状が範囲外の場合も端のセルが現状の近くになるように、範囲を広げてから刻む
+    const axis = (name) => {
+        const range = SWEEP_RANGES[name];
+        return sweepValues({ ...range, max: Math.max(range.max, current[name]), step: steps[name] });
+    };
+    const interestRates = axis('interestRate');
+    const vacancyRates = axis('vacancyRate');
+
+    const nearest = (values, value) => values.reduce((best, item) => (Math.abs(item - value) < Math.abs(best - value) ? item : best));
+    const currentRate = nearest(interestRates, current.interestRate);
+    const currentVacancy = nearest(vacancyRates, current.vacancyRate);
+
+    // 金利ごとの年間総返済額は空室率によらないため、先にまとめて計算する
+    const repayments = new Map(interestRates.map((rate) => [rate, simulateRateChangeRepayment(input, rate).repayment]));
+
+    const rows = vacancyRates.map((vacancyRate) => interestRates.map((interestRate) => {
+        const result = calculateRealEstateRisk({ ...input, interestRate, annualRepayment: repayments.get(interestRate), vacancyRate }, profile);
+        return {
+            interestRate,
+            vacancyRate,
+            dcsr: result.currentDcsr,
+            finalScore: result.finalScore,
+            riskLevel: result.riskLevel,
+            isCurrent: interestRate === currentRate && vacancyRate === currentVacancy,
+        };
+    }));
+    return { interestRates, vacancyRates, current, rows };
+}
@@ -0,0 +1,146 @@
+import React, { useMemo } from 'react';
+import { CartesianGrid, Legend, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { RISK_LEVELS } from './RiskLevels.js';
+import { buildRiskHeatmap, buildSweep } from './ScenarioSweep.js';
+import { findBreakEven } from './Sensitivity.js';
+import { useI18n } from './I18nContext.js';
+
+// ヒートマップのセルの色 (リスク判定ごと。ゲージメーターと同じ色)
+const HEATMAP_COLORS = { [RISK_LEVELS.LOW]: '#22c55e', [RISK_LEVELS.MEDIUM]: '#f97316', [RISK_LEVELS.HIGH]: '#ef4444' };
+
+const cellStyle = (riskLevel, isCurrent) => ({
+  backgroundColor: HEATMAP_COLORS[riskLevel],
+  width: 24,
+  height: 18,
+  outline: isCurrent ? '2px solid #111827' : undefined,
+});
+
+// DSCR の軸の上限 (返済額ゼロ時の DSCR などで軸が伸びすぎないようにする)
+const DCSR_AXIS_MAX = 3;
+
+// 境界値と現状との差 (差は比率のポイント差をパーセントで表示する)
+const BreakEvenLine = ({ labelKey, field, breakEven }) => {
+  const { t, percent } = useI18n();
+  const { breakEvenValue, baseValue } = breakEven;
+  const difference = breakEvenValue - baseValue;
+  const value = breakEvenValue === null
+    ? t('sweep.noBreakEven')
+    : t('sweep.headroom', { value: percent(breakEvenValue, 2), difference: `${difference > 0 ? '+' : ''}${percent(difference, 2)}` });
+  return <li className={breakEven.isSafe ? '' : 'text-red-600'}>{t(labelKey, { field: t(`sweep.axis.${field}`), value })}</li>;
+};
+
+// 金利または空室率を動かした場合の DSCR (左軸)・最終スコア (右軸) の折れ線グラフ
+const SweepChart = ({ title, sweep, input, profile }) => {
+  const { t, percent, decimal } = useI18n();
+  const breakEvens = useMemo(() => ({
+    dcsr: findBreakEven(input, sweep.name, 'dcsr', profile),
+    highRisk: findBreakEven(input, sweep.name, 'highRisk', profile),
+  }), [input, sweep.name, profile]);
+
+  return (
+    <div className="bg-white rounded-lg p-2">
+      <h3 className="text-md font-semibold text-gray-700 mb-2">{title}</h3>
+      <div className="w-full h-[280px]">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={sweep.points} margin={{ top: 10, right: 10, bottom: 10, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="value" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(value) => percent(value)} />
+            <YAxis yAxisId="dcsr" domain={[0, (max) => Math.min(Math.ceil(max * 2) / 2, DCSR_AXIS_MAX)]} allowDataOverflow />
+            <YAxis yAxisId="score" orientation="right" domain={[0, 100]} />
+            <Tooltip
+              labelFormatter={(value) => `${t(`sweep.axis.${sweep.name}`)}: ${percent(value, 2)}`}
+              formatter={(value, name, item) => (item.dataKey === 'dcsr' ? decimal(value) : t('common.points', { points: value }))}
+            />
+            <Legend />
+            <ReferenceLine yAxisId="dcsr" y={1} stroke="#ef4444" strokeDasharray="4 4" />
+            <ReferenceLine yAxisId="dcsr" x={sweep.current} stroke="#4b5563" label={{ value: t('sweep.current'), position: 'top', fontSize: 11 }} />
+            <Line yAxisId="dcsr" dataKey="dcsr" name={t('sweep.dcsr')} stroke="#3b82f6" dot={false} />
+            <Line yAxisId="score" dataKey="finalScore" name={t('sweep.finalScore')} stroke="#f97316" dot={false} type="stepAfter" />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <ul className="mt-1 text-xs text-gray-600 text-left">
+        <BreakEvenLine labelKey="sweep.dcsrBreakEven" field={sweep.name} breakEven={breakEvens.dcsr} />
+        <BreakEvenLine labelKey="sweep.highRiskBreakEven" field={sweep.name} breakEven={breakEvens.highRisk} />
+      </ul>
+    </div>
+  );
+};
+
+// 金利 × 空室率のリスク判定のヒートマップ (行は空室率の高い順、列は金利の低い順)
+const RiskHeatmap = ({ heatmap }) => {
+  const { t, percent, decimal, riskLevel } = useI18n();
+  const rows = [...heatmap.rows].reverse();
+
+  return (
+    <div className="bg-white rounded-lg p-2 overflow-x-auto">
+      <h3 className="text-md font-semibold text-gray-700 mb-2">{t('sweep.heatmapTitle')}</h3>
+      <table className="mx-auto text-xs text-gray-600" style={{ borderSpacing: 2, borderCollapse: 'separate' }}>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row[0].vacancyRate}>
+              <th className="pr-1 text-right font-normal">{percent(row[0].vacancyRate)}</th>
+              {row.map((cell) => (
+                <td
+                  key={cell.interestRate}
+                  title={t('sweep.cellTitle', {
+                    rate: percent(cell.interestRate, 2),
+                    vacancy: percent(cell.vacancyRate),
+                    level: riskLevel(cell.riskLevel),
+                    dcsr: decimal(cell.dcsr),
+                    score: cell.finalScore,
+                  })}
+                  style={cellStyle(cell.riskLevel, cell.isCurrent)}
+                />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th className="pr-1 text-right font-normal">{t('sweep.axis.vacancyRate')} / {t('sweep.axis.interestRate')}</th>
+            {heatmap.interestRates.map((rate, index) => (
+              <th key={rate} className="font-normal">{index % 2 === 0 ? percent(rate, 1) : ''}</th>
+            ))}
+          </tr>
+        </tfoot>
+      </table>
+      <div className="mt-2 flex justify-center gap-3 text-xs text-gray-600">
+        {Object.values(RISK_LEVELS).map((level) => (
+          <span key={level} className="flex items-center gap-1">
+            <span className="inline-block" style={{ ...cellStyle(level, false), width: 12, height: 12 }} />
+            {riskLevel(level)}
+          </span>
+        ))}
+      </div>
+      <p className="mt-1 text-xs text-gray-500 text-left">
+        {t('sweep.heatmapNote', { rate: percent(heatmap.current.interestRate, 2), vacancy: percent(heatmap.current.vacancyRate) })}
+      </p>
+    </div>
+  );
+};
+
+// 金利・空室率のスイープの折れ線グラフとヒートマップ (現状からどれだけ余裕があるかを示す)
+// input は表示中の評価結果を計算した入力 (編集中の入力では表示中のスコアと食い違うため)
+const ScenarioSweepPanel = ({ input, profile }) => {
+  const { t } = useI18n();
+  const rateSweep = useMemo(() => buildSweep(input, 'interestRate', { profile }), [input, profile]);
+  const vacancySweep = useMemo(() => buildSweep(input, 'vacancyRate', { profile }), [input, profile]);
+  const heatmap = useMemo(() => buildRiskHeatmap(input, { profile }), [input, profile]);
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-2 border-l-4 border-blue-500 pl-3">{t('sweep.title')}</h2>
+      <p className="mb-4 text-xs text-gray-500 text-left">{t('sweep.note')}</p>
+      <div className="grid gap-4 md:grid-cols-2">
+        <SweepChart title={t('sweep.rateTitle')} sweep={rateSweep} input={input} profile={profile} />
+        <SweepChart title={t('sweep.vacancyTitle')} sweep={vacancySweep} input={input} profile={profile} />
+      </div>
+      <div className="mt-4">
+        <RiskHeatmap heatmap={heatmap} />
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioSweepPanel;
@@ -0,0 +1,121 @@
+import React, { useMemo } from 'react';
+import { Bar, BarChart, CartesianGrid, Cell, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { NUMBER_FORMATS } from './NumberFormat.js';
+import { SCORE_CATEGORIES, describeRule, explainRule, formatMetricValue } from './ScoreRules.js';
+import { buildRuleHints } from './Sensitivity.js';
+import { fieldLabel } from './InputFields.js';
+import { useI18n } from './I18nContext.js';
+
+const BAR_COLORS = { total: '#3b82f6', deduction: '#ef4444', knockout: '#7f1d1d' };
+
+const formatFieldValue = (field, value, i18n) => {
+  if (field.format === NUMBER_FORMATS.PERCENT) return i18n.percent(value, 2);
+  if (field.format === NUMBER_FORMATS.YEN) return i18n.yen(value);
+  return i18n.number(value, 1);
+};
+
+const formatChange = (change, i18n) => (change === null ? '' : ` (${change > 0 ? '+' : ''}${i18n.percent(change)})`);
+
+// ウォーターフォールチャートのデータ (満点から減点を順に差し引き、最終スコアに至る)
+const buildWaterfall = (score, i18n) => {
+  const total = Object.values(SCORE_CATEGORIES).reduce((sum, category) => sum + category.max, 0);
+  const rows = [{ name: i18n.t('scoreBreakdown.fullScore'), base: 0, value: total, kind: 'total' }];
+  let running = total;
+  score.contributions
+    .filter((item) => item.points < 0)
+    .forEach((item) => {
+      running += item.points;
+      rows.push({
+        name: describeRule(item, i18n),
+        base: running,
+        value: -item.points,
+        kind: item.knockout ? 'knockout' : 'deduction',
+      });
+    });
+  rows.push({ name: i18n.t('scoreBreakdown.finalScore'), base: 0, value: score.finalScore, kind: 'total' });
+  return rows;
+};
+
+// スコアの内訳 (ルールごとの寄与・ウォーターフォールチャート・改善のヒント)
+// 改善のヒントも寄与と同じく、score を計算した入力 (input) から作る
+const ScoreBreakdownPanel = ({ input, score, fields }) => {
+  const i18n = useI18n();
+  const { t, m } = i18n;
+  const waterfall = useMemo(() => buildWaterfall(score, i18n), [score, i18n]);
+  const hints = useMemo(() => buildRuleHints(input, score.profile), [input, score.profile]);
+  const fieldByName = Object.fromEntries(fields.map((field) => [field.name, field]));
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('scoreBreakdown.title')}</h2>
+
+      <div className="w-full bg-white rounded-lg p-2" style={{ height: 80 + waterfall.length * 32 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={waterfall} layout="vertical" margin={{ left: 40 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" domain={[0, 100]} unit={t('sensitivity.pointsUnit')} />
+            <YAxis type="category" dataKey="name" width={220} tick={{ fontSize: 11 }} />
+            <Tooltip formatter={(value) => t('common.points', { points: value })} />
+            <Bar dataKey="base" stackId="waterfall" fill="transparent" tooltipType="none" />
+            <Bar dataKey="value" name={t('scoreBreakdown.points')} stackId="waterfall">
+              {waterfall.map((row, index) => <Cell key={index} fill={BAR_COLORS[row.kind]} />)}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-4 space-y-2 text-sm text-left">
+        {Object.entries(SCORE_CATEGORIES).map(([key, category]) => {
+          const items = score.contributions.filter((item) => item.category === key && !item.knockout);
+          return (
+            <details key={key} className="bg-white rounded-lg p-2" open={items.some((item) => item.triggered)}>
+              <summary className="cursor-pointer font-semibold text-gray-700">
+                {t(`categories.${key}`)}: {score[category.scoreKey]} / {t('common.points', { points: category.max })}
+              </summary>
+              <ul className="mt-2 space-y-2">
+                {items.map((item) => {
+                  const hint = hints.find((entry) => entry.ruleId === item.ruleId);
+                  return (
+                    <li key={item.ruleId} className={`p-2 rounded ${item.triggered ? 'bg-red-50' : 'bg-gray-50'}`}>
+                      <div className="flex justify-between">
+                        <span className={item.triggered ? 'text-red-700 font-medium' : 'text-gray-600'}>
+                          {item.triggered ? t('scoreBreakdown.triggered') : t('scoreBreakdown.notTriggered')}: {describeRule(item, i18n)}
+                        </span>
+                        <span className={`font-bold ${item.points < 0 ? 'text-red-600' : 'text-gray-400'}`}>{t('common.points', { points: item.points })}</span>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        {t('scoreBreakdown.actual', { value: formatMetricValue(item.metric, item.actual, i18n), ruleId: item.ruleId })}
+                      </p>
+                      {item.triggered && <p className="text-xs text-gray-600 mt-1">{m(explainRule(item))}</p>}
+                      {hint && hint.options.length > 0 && (
+                        <ul className="mt-1 text-xs text-blue-700">
+                          {hint.options.map((option) => (
+                            <li key={option.name}>
+                              {t('scoreBreakdown.hint', {
+                                field: fieldByName[option.name] ? fieldLabel(fieldByName[option.name], i18n) : option.name,
+                                value: fieldByName[option.name] ? formatFieldValue(fieldByName[option.name], option.requiredValue, i18n) : option.requiredValue,
+                                change: formatChange(option.change, i18n),
+                              })}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </details>
+          );
+        })}
+        {score.contributions.filter((item) => item.knockout).map((item) => (
+          <p key={item.ruleId} className="p-2 rounded bg-red-100 text-red-800 font-semibold">
+            {m(explainRule(item))} ({t('common.points', { points: item.points })})
+          </p>
+        ))}
+      </div>
+      <p className="mt-1 text-xs text-gray-500">{t('scoreBreakdown.hintNote')}</p>
+    </div>
+  );
+};
+
+export default ScoreBreakdownPanel;
@@ -0,0 +1,309 @@
+// risk-predictor-app/src/ScoreRules.js
+
+import { hasMessage } from './I18n.js';
+
+/**
+ * スコアリングの減点ルール
+ *
+ * 各ルールは「指標 (metric) が閾値 (threshold) を超えたら points 点減点する」という形のデータで定義する。
+ * 評価結果は全ルール分の寄与レコード (ルールID・閾値・実際の値・減点・説明) として返し、
+ * 画面の内訳表示・ウォーターフォールチャート・改善のヒントで使う。
+ * levers は改善のヒントで動かす入力項目 (このルールの判定を変え得る項目)。
+ * 評価項目・指標の表示名と既定のルールの説明の各言語の文言はメッセージカタログ (categories / metrics / rules) にある。
+ */
+
+// 評価項目 (満点と結果オブジェクトのキー)
+export const SCORE_CATEGORIES = {
+    credit: { max: 30, scoreKey: 'creditScore' },
+    property: { max: 40, scoreKey: 'propertyScore' },
+    interest: { max: 30, scoreKey: 'interestRiskScore' },
+};
+
+// 指標の表示形式 ('yen': 円 / 'percent': パーセント / 'times': 倍率 / 'ratio': 比率をそのまま表示)
+export const SCORE_METRICS = {
+    annualIncome: { format: 'yen' },
+    debtToIncomeRatio: { format: 'percent' },
+    totalDebtToIncomeRatio: { format: 'times' },
+    otherDebtRatio: { format: 'percent' },
+    currentDcsr: { format: 'ratio' },
+    expenseRate: { format: 'percent' },
+    vacancyRate: { format: 'percent' },
+    ltv: { format: 'percent' },
+    portfolioDcsr: { format: 'ratio' },
+    areaConcentration: { format: 'percent' },
+    crossSubsidyShare: { format: 'percent' },
+    interestRate: { format: 'percent' },
+};
+
+export const DEFAULT_SCORE_RULES = [
+    {
+        id: 'credit-dsr-over-30',
+        category: 'credit',
+        metric: 'debtToIncomeRatio',
+        operator: '>',
+        threshold: 0.3,
+        points: 5,
+        explanation: '年収に対する年間返済額の比率が高く、収入が減ると返済が滞りやすくなります。',
+        levers: ['annualRepayment', 'annualIncome'],
+    },
+    {
+        id: 'credit-debt-multiple-over-5',
+        category: 'credit',
+        metric: 'totalDebtToIncomeRatio',
+        operator: '>',
+        threshold: 5,
+        points: 10,
+        explanation: '借入総額が年収の5倍を超えており、主債務者の返済余力に対して借入が過大です。',
+        levers: ['totalDebt', 'annualIncome'],
+    },
+    {
+        id: 'credit-other-debt-over-20',
+        category: 'credit',
+        metric: 'otherDebtRatio',
+        operator: '>',
+        threshold: 0.2,
+        points: 5,
+        explanation: '他の負債の返済負担が大きく、本件の返済に回せる収入が少なくなります。',
+        levers: ['otherDebtRatio'],
+    },
+    {
+        id: 'property-dcsr-below-1.2',
+        category: 'property',
+        metric: 'currentDcsr',
+        operator: '<',
+        threshold: 1.2,
+        points: 10,
+        explanation: '家賃収入からの返済余力が小さく、空室や修繕で返済原資が不足しやすくなります。',
+        levers: ['annualRentIncome', 'annualRepayment', 'vacancyRate', 'expenseRate'],
+    },
+    {
+        id: 'property-dcsr-below-1.0',
+        category: 'property',
+        metric: 'currentDcsr',
+        operator: '<',
+        threshold: 1.0,
+        points: 15,
+        explanation: '物件の純収益で返済額を賄えず、主債務者の給与等からの持ち出しが必要です。',
+        levers: ['annualRentIncome', 'annualRepayment', 'vacancyRate', 'expenseRate'],
+    },
+    {
+        id: 'property-expense-over-40',
+        category: 'property',
+        metric: 'expenseRate',
+        operator: '>',
+        threshold: 0.4,
+        points: 5,
+        explanation: '経費率が高く、収益性が低い物件です。',
+        levers: ['expenseRate'],
+    },
+    {
+        id: 'property-vacancy-over-15',
+        category: 'property',
+        metric: 'vacancyRate',
+        operator: '>',
+        threshold: 0.15,
+        points: 5,
+        explanation: '空室率が高く、家賃収入が安定しません。',
+        levers: ['vacancyRate'],
+    },
+    {
+        id: 'property-ltv-over-80',
+        category: 'property',
+        metric: 'ltv',
+        operator: '>',
+        threshold: 0.8,
+        points: 5,
+        explanation: '担保評価額に対する借入が大きく、競売時に回収不足が生じやすくなります。',
+        levers: ['totalDebt'],
+    },
+    {
+        id: 'property-ltv-over-100',
+        category: 'property',
+        metric: 'ltv',
+        operator: '>',
+        threshold: 1.0,
+        points: 5,
+        explanation: '借入が担保評価額を上回っており、担保処分後も残債が残ります。',
+        levers: ['totalDebt'],
+    },
+    {
+        id: 'property-portfolio-dcsr-below-1.0',
+        category: 'property',
+        metric: 'portfolioDcsr',
+        operator: '<',
+        threshold: 1.0,
+        points: 10,
+        explanation: '保有物件全体の純収益で返済総額を賄えず、主債務者の給与等からの持ち出しが必要です。',
+        levers: ['annualRentIncome', 'annualRepayment'],
+    },
+    {
+        id: 'property-cross-subsidy-over-50',
+        category: 'property',
+        metric: 'crossSubsidyShare',
+        operator: '>',
+        threshold: 0.5,
+        points: 5,
+        explanation: '返済額を賄えない物件の不足を他の物件の余剰で補っており、収益力の高い物件に依存しています。',
+        levers: ['annualRentIncome', 'annualRepayment'],
+    },
+    {
+        id: 'property-area-concentration-over-70',
+        category: 'property',
+        metric: 'areaConcentration',
+        operator: '>',
+        threshold: 0.7,
+        points: 5,
+        explanation: '家賃収入が特定のエリアに集中しており、地域の需要減少や災害の影響を同時に受けます。',
+        levers: [],
+    },
+    {
+        id: 'interest-rate-over-4',
+        category: 'interest',
+        metric: 'interestRate',
+        operator: '>',
+        threshold: 0.04,
+        points: 10,
+        explanation: '現在の金利が高く、返済負担が重くなっています。',
+        levers: ['interestRate'],
+    },
+    {
+        id: 'interest-rate-over-5',
+        category: 'interest',
+        metric: 'interestRate',
+        operator: '>',
+        threshold: 0.05,
+        points: 10,
+        explanation: '金利が5%を超えており、さらなる上昇時の返済額の増加が大きくなります。',
+        levers: ['interestRate'],
+    },
+    {
+        id: 'interest-debt-multiple-over-8',
+        category: 'interest',
+        metric: 'totalDebtToIncomeRatio',
+        operator: '>',
+        threshold: 8,
+        points: 5,
+        explanation: '借入総額が年収の8倍を超えており、金利上昇の影響を強く受けます。',
+        levers: ['totalDebt', 'annualIncome'],
+    },
+];
+
+// 該当すると最終スコアを 0点とするルール (返済原資がない場合など)
+export const DEFAULT_KNOCKOUT_RULES = [
+    {
+        id: 'knockout-no-income',
+        metric: 'annualIncome',
+        operator: '<=',
+        threshold: 0,
+        category: 'credit',
+        explanation: '致命的リスク: 主債務者の年収がゼロです。',
+        levers: [],
+    },
+];
+
+// 比較演算子 → メッセージカタログ (ruleConditions) のキー
+const OPERATOR_KEYS = { '>': 'over', '>=': 'atLeast', '<': 'under', '<=': 'atMost' };
+
+/**
+ * 指標の値を表示用の文字列に変換する (null は他の物件がない場合のポートフォリオ指標など、対象外の指標)
+ * @param {string} metric - 指標 (SCORE_METRICS のキー)
+ * @param {number|null} value - 値
+ * @param {object} i18n - 表示言語の翻訳・表示形式の関数 (I18n.js の createTranslator)
+ * @returns {string}
+ */
+export function formatMetricValue(metric, value, i18n) {
+    if (value === null) return i18n.t('metrics.notApplicable');
+    if (!Number.isFinite(value)) return i18n.t('metrics.notComputable');
+    const { format } = SCORE_METRICS[metric] || {};
+    if (format === 'yen') return i18n.t('metrics.yenValue', { value: i18n.number(value) });
+    if (format === 'percent') return `${i18n.number(value * 100, 2)}%`;
+    if (format === 'times') return i18n.t('metrics.timesValue', { value: i18n.number(value, 2) });
+    return i18n.decimal(value);
+}
+
+/**
+ * ルールの条件を文章にする (例: 「年間経費率が40%超」)
+ * @param {object} rule - ルールまたは寄与レコード ({ metric, operator, threshold })
+ * @param {object} i18n - 表示言語の翻訳・表示形式の関数 (I18n.js の createTranslator)
+ * @returns {string}
+ */
+export function describeRule(rule, i18n) {
+    const label = hasMessage(`metrics.${rule.metric}`) ? i18n.t(`metrics.${rule.metric}`) : rule.metric;
+    return i18n.t(`ruleConditions.${OPERATOR_KEYS[rule.operator]}`, {
+        metric: label,
+        value: formatMetricValue(rule.metric, rule.threshold, i18n),
+    });
+}
+
+const DEFAULT_EXPLANATIONS = new Map([...DEFAULT_SCORE_RULES, ...DEFAULT_KNOCKOUT_RULES].map((rule) => [rule.id, rule.explanation]));
+
+/**
+ * ルールの説明を表示用のメッセージにする
+ * 既定の説明のままなら表示言語の文言 (カタログの rules.<ルールID>)、プロファイルで編集した説明はそのまま表示する。
+ * @param {object} item - ルール ({ id, explanation }) または寄与レコード ({ ruleId, explanation })
+ * @returns {object|string} - メッセージまたは説明の文字列
+ */
+export function explainRule(item) {
+    const id = item.ruleId ?? item.id;
+    return DEFAULT_EXPLANATIONS.get(id) === item.explanation ? { key: `rules.${id}` } : item.explanation;
+}
+
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+};
+
+// ルールに該当するか (指標の値が閾値を超えているか。対象外 (null) の指標には該当しない)
+export function isRuleTriggered(rule, metrics) {
+    const value = metrics[rule.metric];
+    return value !== null && OPERATORS[rule.operator](value, rule.threshold);
+}
+
+/**
+ * 減点ルールを評価し、評価項目ごとの得点と寄与レコードを返す
+ * 減点は評価項目の得点が 0点を下回らない範囲で、ルールの順に適用する
+ * (寄与レコードの points の合計は常に満点との差に一致する)。
+ * @param {object} metrics - 指標の値 ({ debtToIncomeRatio, currentDcsr, ... })
+ * @param {object} [rules] - ルールプロファイル (ScoringProfiles.js) など
+ * @param {Array<object>} [rules.scoreRules] - 減点ルール (既定: DEFAULT_SCORE_RULES)
+ * @param {Array<object>} [rules.knockoutRules] - 最終スコアを 0点とするルール (既定: DEFAULT_KNOCKOUT_RULES)
+ * @returns {object} - { scores: { credit, property, interest }, contributions, knockout (該当時の寄与レコード or null) }
+ */
+export function evaluateScoreRules(metrics, { scoreRules = DEFAULT_SCORE_RULES, knockoutRules = DEFAULT_KNOCKOUT_RULES } = {}) {
+    const scores = Object.fromEntries(Object.entries(SCORE_CATEGORIES).map(([key, category]) => [key, category.max]));
+
+    const contributions = scoreRules.map((rule) => {
+        const triggered = isRuleTriggered(rule, metrics);
+        const points = triggered ? -Math.min(rule.points, scores[rule.category]) : 0;
+        scores[rule.category] += points;
+        return {
+            ruleId: rule.id,
+            category: rule.category,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            actual: metrics[rule.metric],
+            triggered,
+            points,
+            explanation: rule.explanation,
+        };
+    });
+
+    const knockoutRule = knockoutRules.find((rule) => isRuleTriggered(rule, metrics)) || null;
+    const knockout = knockoutRule && {
+        ruleId: knockoutRule.id,
+        category: knockoutRule.category,
+        metric: knockoutRule.metric,
+        operator: knockoutRule.operator,
+        threshold: knockoutRule.threshold,
+        actual: metrics[knockoutRule.metric],
+        triggered: true,
+        knockout: true,
+        points: -Object.values(scores).reduce((sum, score) => sum + score, 0),
+        explanation: knockoutRule.explanation,
+    };
+
+    return { scores, contributions, knockout };
+}
@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import { downloadText } from './Download.js';
+import { describeRule } from './ScoreRules.js';
+import {
+  duplicateProfile,
+  parseProfilesJson,
+  profileDescription,
+  profileName,
+  profileToJson,
+  validateProfile,
+} from './ScoringProfiles.js';
+import { useI18n } from './I18nContext.js';
+
+const numberValue = (value) => (Number.isFinite(value) ? value : '');
+
+// 数値入力欄 (空欄は NaN として保持し、保存時の検証でエラーにする)
+const NumberCell = ({ value, onChange, disabled }) => (
+  <input
+    type="number"
+    step="any"
+    value={numberValue(value)}
+    onChange={(e) => onChange(e.target.valueAsNumber)}
+    disabled={disabled}
+    className="border rounded w-24 py-1 px-2 text-right disabled:bg-gray-100"
+  />
+);
+
+// ルールプロファイルの選択・編集・取り込み・書き出し
+const ScoringProfilePanel = ({ profiles, activeProfileId, onProfilesChange, onActiveProfileChange }) => {
+  const i18n = useI18n();
+  const { t, m } = i18n;
+  const active = profiles.find((profile) => profile.id === activeProfileId) || profiles[0];
+  const [draft, setDraft] = useState(null); // 編集中のプロファイル (編集していない場合は null)
+  const [jsonText, setJsonText] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const editing = draft !== null && draft.id === active.id;
+  const shown = editing ? draft : active;
+
+  const resetMessages = () => {
+    setErrors([]);
+    setMessage(null);
+  };
+
+  const handleSelect = (id) => {
+    resetMessages();
+    setDraft(null);
+    onActiveProfileChange(id);
+  };
+
+  // 複製の名前・説明は表示言語の文言にする (組み込みプロファイルの名前・説明は表示言語で切り替わるため)
+  const handleDuplicate = () => {
+    resetMessages();
+    const copy = {
+      ...duplicateProfile(active, profiles, t('profiles.copyName', { name: profileName(active) })),
+      description: m(profileDescription(active)),
+    };
+    onProfilesChange([...profiles, copy]);
+    onActiveProfileChange(copy.id);
+    setDraft(copy);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(t('profiles.confirmDelete', { name: profileName(active) }))) return;
+    resetMessages();
+    setDraft(null);
+    onProfilesChange(profiles.filter((profile) => profile.id !== active.id));
+    onActiveProfileChange(profiles[0].id);
+  };
+
+  const updateDraft = (changes) => setDraft((prev) => ({ ...(prev && prev.id === active.id ? prev : active), ...changes }));
+
+  const updateRule = (index, key, value) => {
+    const scoreRules = shown.scoreRules.map((rule, i) => (i === index ? { ...rule, [key]: value } : rule));
+    updateDraft({ scoreRules });
+  };
+
+  // 保存のたびに版数を上げる (評価結果に記録した版数と照合できるようにする)
+  const commit = (profile) => {
+    const problems = validateProfile(profile);
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    const saved = { ...profile, builtIn: false, revision: (active.revision || 0) + 1 };
+    onProfilesChange(profiles.map((item) => (item.id === active.id ? saved : item)));
+    onActiveProfileChange(saved.id);
+    setDraft(null);
+    setErrors([]);
+    setMessage({ key: 'profiles.saved', params: { name: saved.name, revision: saved.revision } });
+  };
+
+  const handleApplyJson = () => {
+    resetMessages();
+    try {
+      commit({ ...JSON.parse(jsonText), id: active.id });
+    } catch (e) {
+      setErrors([{ key: 'profiles.invalidJson', params: { error: e.message } }]);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    resetMessages();
+    try {
+      const { profiles: imported, errors: problems } = parseProfilesJson(await file.text());
+      setErrors(problems);
+      if (imported.length === 0) return;
+      const importedIds = imported.map((profile) => profile.id);
+      if (importedIds.some((id) => profiles.some((profile) => profile.id === id && profile.builtIn))) {
+        setErrors((prev) => [...prev, { key: 'profiles.builtInIdConflict' }]);
+        return;
+      }
+      onProfilesChange([...profiles.filter((profile) => !importedIds.includes(profile.id)), ...imported]);
+      onActiveProfileChange(imported[0].id);
+      setMessage({ key: 'profiles.imported', params: { count: imported.length } });
+    } catch (err) {
+      setErrors([{ key: 'profiles.unreadableFile', params: { error: err.message } }]);
+    }
+  };
+
+  return (
+    <details className="mb-8 p-4 bg-gray-100 rounded-lg shadow-inner text-left">
+      <summary className="cursor-pointer text-xl font-bold text-gray-700 border-l-4 border-blue-500 pl-3">
+        {t('profiles.title', { name: profileName(active) })}
+      </summary>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+        <select value={active.id} onChange={(e) => handleSelect(e.target.value)} className="border rounded py-1 px-2">
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>{m(profileName(profile))}{profile.builtIn ? ` ${t('profiles.builtInSuffix')}` : ''}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleDuplicate} className="border border-blue-500 text-blue-600 rounded px-3 py-1">{t('profiles.duplicate')}</button>
+        {!active.builtIn && (
+          <button type="button" onClick={handleDelete} className="text-red-600 px-2">{t('common.delete')}</button>
+        )}
+        <button
+          type="button"
+          onClick={() => downloadText(`scoring-profile-${active.id}.json`, profileToJson(active), 'application/json')}
+          className="ml-auto text-blue-600"
+        >
+          {t('profiles.exportJson')}
+        </button>
+        <label className="text-blue-600 cursor-pointer">
+          {t('profiles.importJson')}
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {t('profiles.summary', { description: profileDescription(active), id: active.id, revision: active.revision })}
+        {active.builtIn && ` ・ ${t('profiles.builtInReadOnly')}`}
+      </p>
+      {message && <p className="mt-2 text-sm text-green-700">{m(message)}</p>}
+      {errors.length > 0 && (
+        <ul className="mt-2 p-2 bg-red-50 rounded text-xs text-red-800">
+          {errors.map((error, index) => <li key={index}>{m(error)}</li>)}
+        </ul>
+      )}
+
+      <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+        <label className="block">
+          {t('profiles.name')}
+          <input
+            type="text"
+            value={active.builtIn ? m(profileName(shown)) : shown.name}
+            onChange={(e) => updateDraft({ name: e.target.value })}
+            disabled={active.builtIn}
+            className="border rounded w-full py-1 px-2 mt-1 disabled:bg-gray-100"
+          />
+        </label>
+        <label className="block">
+          {t('profiles.description')}
+          <input
+            type="text"
+            value={active.builtIn ? m(profileDescription(shown)) : shown.description || ''}
+            onChange={(e) => updateDraft({ description: e.target.value })}
+            disabled={active.builtIn}
+            className="border rounded w-full py-1 px-2 mt-1 disabled:bg-gray-100"
+          />
+        </label>
+        <div>
+          <span className="block">{t('profiles.scoreLevels')}</span>
+          <div className="flex gap-2 mt-1">
+            <NumberCell value={shown.scoreLevels.low} onChange={(low) => updateDraft({ scoreLevels: { ...shown.scoreLevels, low } })} disabled={active.builtIn} />
+            <NumberCell value={shown.scoreLevels.medium} onChange={(medium) => updateDraft({ scoreLevels: { ...shown.scoreLevels, medium } })} disabled={active.builtIn} />
+          </div>
+        </div>
+        <div>
+          <span className="block">{t('profiles.dcsrLevels')}</span>
+          <div className="flex gap-2 mt-1">
+            <NumberCell value={shown.dcsrLevels.low} onChange={(low) => updateDraft({ dcsrLevels: { ...shown.dcsrLevels, low } })} disabled={active.builtIn} />
+            <NumberCell value={shown.dcsrLevels.medium} onChange={(medium) => updateDraft({ dcsrLevels: { ...shown.dcsrLevels, medium } })} disabled={active.builtIn} />
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs bg-white rounded-lg">
+          <thead>
+            <tr className="border-b text-gray-500">
+              <th className="text-left p-1">{t('profiles.column.category')}</th>
+              <th className="text-left p-1">{t('profiles.column.rule')}</th>
+              <th className="p-1">{t('profiles.column.threshold')}</th>
+              <th className="p-1">{t('profiles.column.points')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.scoreRules.map((rule, index) => (
+              <tr key={rule.id} className="border-b border-gray-100">
+                <td className="p-1">{t(`categories.${rule.category}`)}</td>
+                <td className="p-1">{describeRule(rule, i18n)}<div className="text-gray-400">{rule.id}</div></td>
+                <td className="p-1 text-right">
+                  <NumberCell value={rule.threshold} onChange={(value) => updateRule(index, 'threshold', value)} disabled={active.builtIn} />
+                </td>
+                <td className="p-1 text-right">
+                  <NumberCell value={rule.points} onChange={(value) => updateRule(index, 'points', value)} disabled={active.builtIn} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!active.builtIn && (
+        <div className="mt-3 flex gap-2 text-sm">
+          <button type="button" onClick={() => commit(shown)} disabled={!editing} className="bg-blue-500 text-white rounded px-3 py-1 disabled:opacity-50">
+            {t('caseManager.save')}
+          </button>
+          {editing && (
+            <button type="button" onClick={() => { setDraft(null); resetMessages(); }} className="text-gray-600 px-2">{t('profiles.discard')}</button>
+          )}
+        </div>
+      )}
+
+      {!active.builtIn && (
+        <details className="mt-4 text-sm">
+          <summary className="cursor-pointer text-gray-600" onClick={() => setJsonText(profileToJson(active))}>{t('profiles.editJson')}</summary>
+          <textarea
+            value={jsonText}
+            onChange={(e) => setJsonText(e.target.value)}
+            rows={12}
+            className="mt-2 w-full border rounded p-2 font-mono text-xs"
+          />
+          <button type="button" onClick={handleApplyJson} className="mt-1 bg-blue-500 text-white rounded px-3 py-1">{t('profiles.applyJson')}</button>
+        </details>
+      )}
+    </details>
+  );
+};
+
+export default ScoringProfilePanel;
@@ -0,0 +1,228 @@
+// risk-predictor-app/src/ScoringProfiles.js
+
+import { DEFAULT_KNOCKOUT_RULES, DEFAULT_SCORE_RULES, SCORE_CATEGORIES, SCORE_METRICS } from './ScoreRules.js';
+
+/**
+ * スコアリングのルールプロファイル
+ *
+ * 減点ルール・ノックアウトルール・リスク判定の区切り (スコア 80 / 50 点、DCSR 1.2 / 1.0) を
+ * 1つの JSON にまとめたもの。審査部門が設定画面で編集し、複数のプロファイルを切り替えて使う。
+ * 計算結果には使用したプロファイルを記録し、過去の評価を同じ条件で再現できるようにする。
+ *
+ * プロファイル:
+ * { id, name, description, builtIn, revision, scoreLevels: { low, medium }, dcsrLevels: { low, medium },
+ *   scoreRules, knockoutRules }
+ * - scoreLevels: 最終スコアが low 以上なら 'low'、medium 以上なら 'medium'、それ未満は 'high' (RiskLevels.js)
+ * - dcsrLevels: DCSR が low 以上なら 'low'、medium 以上なら 'medium'、それ未満は 'high'
+ * - revision: 保存のたびに増える版数 (id と合わせて評価時のプロファイルを特定する)
+ * 組み込みプロファイルの名前・説明は日本語で記録し、表示時は profileName / profileDescription で表示言語の文言にする。
+ * 検証エラーはメッセージ ({ key, params }) で返す。
+ */
+
+export const PROFILE_STORAGE_KEY = 'riskPredictor.scoringProfiles';
+export const ACTIVE_PROFILE_STORAGE_KEY = 'riskPredictor.activeScoringProfile';
+
+// ルールの閾値・減点だけを差し替えたルール一覧を作成する
+const withOverrides = (rules, overrides) => rules.map((rule) => ({ ...rule, ...(overrides[rule.id] || {}) }));
+
+export const STANDARD_PROFILE = {
+    id: 'standard',
+    name: '標準',
+    description: 'モデルの既定の閾値です。',
+    builtIn: true,
+    revision: 1,
+    scoreLevels: { low: 80, medium: 50 },
+    dcsrLevels: { low: 1.2, medium: 1.0 },
+    scoreRules: DEFAULT_SCORE_RULES,
+    knockoutRules: DEFAULT_KNOCKOUT_RULES,
+};
+
+export const BUILT_IN_PROFILES = [
+    STANDARD_PROFILE,
+    {
+        ...STANDARD_PROFILE,
+        id: 'conservative',
+        name: '保守的',
+        description: '返済比率・借入倍率・DCSR・LTV の閾値を厳しくし、低リスク判定の区切りを引き上げたプロファイルです。',
+        scoreLevels: { low: 85, medium: 60 },
+        dcsrLevels: { low: 1.3, medium: 1.1 },
+        scoreRules: withOverrides(DEFAULT_SCORE_RULES, {
+            'credit-dsr-over-30': { threshold: 0.25 },
+            'credit-debt-multiple-over-5': { threshold: 4 },
+            'property-dcsr-below-1.2': { threshold: 1.3 },
+            'property-dcsr-below-1.0': { threshold: 1.1 },
+            'property-ltv-over-80': { threshold: 0.7, points: 10 },
+            'interest-rate-over-4': { threshold: 0.03 },
+        }),
+    },
+    {
+        ...STANDARD_PROFILE,
+        id: 'bank-template',
+        name: '金融機関別 (テンプレート)',
+        description: '金融機関ごとの審査基準に合わせて複製・編集するためのひな形です (返済比率 35%、借入倍率 7倍まで許容)。',
+        scoreRules: withOverrides(DEFAULT_SCORE_RULES, {
+            'credit-dsr-over-30': { threshold: 0.35 },
+            'credit-debt-multiple-over-5': { threshold: 7 },
+            'interest-debt-multiple-over-8': { threshold: 10 },
+        }),
+    },
+];
+
+export const DEFAULT_SCORING_PROFILE = STANDARD_PROFILE;
+
+const findBuiltIn = (id) => BUILT_IN_PROFILES.find((profile) => profile.id === id);
+
+/**
+ * プロファイルの表示名 (組み込みプロファイルの名前のままなら表示言語の文言、それ以外は名前をそのまま表示する)
+ * @param {object} profile - プロファイルまたは評価結果に記録したプロファイル ({ id, name })
+ * @returns {object|string} - メッセージまたは名前
+ */
+export function profileName(profile) {
+    return findBuiltIn(profile.id)?.name === profile.name ? { key: `profiles.builtIn.${profile.id}.name` } : profile.name;
+}
+
+// プロファイルの説明 (組み込みプロファイルの説明のままなら表示言語の文言)
+export function profileDescription(profile) {
+    return findBuiltIn(profile.id)?.description === profile.description
+        ? { key: `profiles.builtIn.${profile.id}.description` }
+        : profile.description || '';
+}
+
+const OPERATORS = ['>', '>=', '<', '<='];
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * プロファイルの内容を検証する (取り込み・編集時)
+ * @param {object} profile - プロファイル
+ * @returns {Array<object>} - エラーのメッセージ (問題がなければ空)
+ */
+export function validateProfile(profile) {
+    const errors = [];
+    const error = (key, params = {}) => errors.push({ key: `profiles.${key}`, params });
+    if (!profile || typeof profile !== 'object') return [{ key: 'profiles.notObject', params: {} }];
+    if (!profile.id || typeof profile.id !== 'string') error('idRequired');
+    if (!profile.name || typeof profile.name !== 'string') error('nameRequired');
+
+    ['scoreLevels', 'dcsrLevels'].forEach((key) => {
+        const levels = profile[key];
+        if (!levels || !isNumber(levels.low) || !isNumber(levels.medium)) {
+            error('levelsRequired', { key });
+        } else if (levels.low < levels.medium) {
+            error(`levelsOrder.${key}`);
+        }
+    });
+
+    const ids = new Set();
+    [['scoreRules', true], ['knockoutRules', false]].forEach(([key, hasPoints]) => {
+        if (!Array.isArray(profile[key])) {
+            error('rulesRequired', { key });
+            return;
+        }
+        profile[key].forEach((rule, index) => {
+            const path = `${key}[${index}]`;
+            const name = rule?.id ? `${path} (${rule.id})` : { key: 'profiles.unnamedRule', params: { path } };
+            if (!rule || !rule.id) error('ruleIdRequired', { rule: name });
+            else if (ids.has(rule.id)) error('ruleIdDuplicated', { rule: name });
+            else ids.add(rule.id);
+            if (!SCORE_CATEGORIES[rule?.category]) error('ruleCategory', { rule: name, categories: Object.keys(SCORE_CATEGORIES).join(' / ') });
+            if (!SCORE_METRICS[rule?.metric]) error('ruleMetric', { rule: name });
+            if (!OPERATORS.includes(rule?.operator)) error('ruleOperator', { rule: name, operators: OPERATORS.join(' ') });
+            if (!isNumber(rule?.threshold)) error('ruleThreshold', { rule: name });
+            if (hasPoints && !(isNumber(rule?.points) && rule.points >= 0)) error('rulePoints', { rule: name });
+        });
+    });
+    return errors;
+}
+
+/**
+ * 評価結果に記録するプロファイルの情報 (再現に必要なルール一式を含む)
+ * @param {object} profile - プロファイル
+ * @returns {object}
+ */
+export function describeProfileForResult(profile) {
+    const { id, name, revision, scoreLevels, dcsrLevels, scoreRules, knockoutRules } = profile;
+    return { id, name, revision, scoreLevels, dcsrLevels, scoreRules, knockoutRules };
+}
+
+/**
+ * ユーザー定義プロファイルを読み込み、組み込みプロファイルと合わせて返す
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ * @returns {Array<object>}
+ */
+export function loadProfiles(storage = globalThis.localStorage) {
+    try {
+        const saved = storage?.getItem(PROFILE_STORAGE_KEY);
+        const profiles = saved ? JSON.parse(saved) : [];
+        const custom = Array.isArray(profiles) ? profiles.filter((profile) => validateProfile(profile).length === 0) : [];
+        return [...BUILT_IN_PROFILES, ...custom.filter((profile) => !BUILT_IN_PROFILES.some((builtIn) => builtIn.id === profile.id))];
+    } catch {
+        return BUILT_IN_PROFILES;
+    }
+}
+
+/**
+ * ユーザー定義プロファイルを保存する (組み込みプロファイルは保存しない)
+ * @param {Array<object>} profiles - プロファイルの一覧
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ */
+export function saveProfiles(profiles, storage = globalThis.localStorage) {
+    storage?.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles.filter((profile) => !profile.builtIn)));
+}
+
+// 選択中のプロファイルID を読み込む
+export function loadActiveProfileId(storage = globalThis.localStorage) {
+    try {
+        return storage?.getItem(ACTIVE_PROFILE_STORAGE_KEY) || DEFAULT_SCORING_PROFILE.id;
+    } catch {
+        return DEFAULT_SCORING_PROFILE.id;
+    }
+}
+
+// 選択中のプロファイルID を保存する
+export function saveActiveProfileId(id, storage = globalThis.localStorage) {
+    storage?.setItem(ACTIVE_PROFILE_STORAGE_KEY, id);
+}
+
+/**
+ * 既存のプロファイルを複製して編集用の新しいプロファイルを作成する
+ * @param {object} profile - 複製元
+ * @param {Array<object>} existing - 既存のプロファイル (id の重複を避けるため)
+ * @param {string} [name] - 複製後の名前 (既定: 元の名前に「のコピー」を付ける)
+ * @returns {object}
+ */
+export function duplicateProfile(profile, existing, name = `${profile.name} のコピー`) {
+    let id = `${profile.id}-copy`;
+    for (let i = 2; existing.some((item) => item.id === id); i++) id = `${profile.id}-copy-${i}`;
+    return {
+        ...JSON.parse(JSON.stringify(profile)),
+        id,
+        name,
+        builtIn: false,
+        revision: 1,
+    };
+}
+
+/**
+ * JSON テキストからプロファイルを取り込む (単体または配列)
+ * @param {string} text - JSON テキスト
+ * @returns {{ profiles: Array<object>, errors: Array<object> }} - errors はメッセージ
+ */
+export function parseProfilesJson(text) {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : [parsed];
+    const profiles = [];
+    const errors = [];
+    list.forEach((profile, index) => {
+        const problems = validateProfile(profile);
+        if (problems.length > 0) errors.push(...problems.map((problem) => ({ key: 'profiles.itemError', params: { number: index + 1, error: problem } })));
+        else profiles.push({ ...profile, builtIn: false, revision: isNumber(profile.revision) ? profile.revision : 1 });
+    });
+    return { profiles, errors };
+}
+
+// プロファイルを JSON テキストに変換する (書き出し用)
+export function profileToJson(profile) {
+    const exported = { ...profile };
+    delete exported.builtIn;
+    return JSON.stringify(exported, null, 2);
+}
@@ -0,0 +1,188 @@
+// risk-predictor-app/src/Sensitivity.js
+
+import { calculateRealEstateRisk, normalizeInput, simulateRateChangeRepayment } from './RiskCalculator.js';
+import { RISK_LEVELS } from './RiskLevels.js';
+import { DEFAULT_SCORING_PROFILE } from './ScoringProfiles.js';
+
+/**
+ * 損益分岐点 (リバース・ストレステスト) と感度分析 (トルネードチャート)
+ *
+ * - findBreakEven: 1つの入力項目だけを動かし、DSCR が 1.0 を下回る / スコアが高リスク帯に入る
+ *   境界の値を探索する。
+ * - buildTornado: 各入力項目を ±10% 変化させたときの最終スコアの変化量を求め、影響の大きい順に並べる。
+ * - buildRuleHints: 減点ルールごとに、そのルールに該当しなくなる最小の入力変更を求める。
+ * 金利を動かす場合は、年間総返済額も返済予定表から再計算する (返済額が金利に連動するため)。
+ */
+
+// 探索する境界 (dcsr: DSCR が 1.0 を下回る / highRisk: 高リスク判定になる)
+export const BREAK_EVEN_TARGETS = {
+    dcsr: { isSafe: (result) => result.currentDcsr >= 1.0 },
+    highRisk: { isSafe: (result) => result.riskLevel !== RISK_LEVELS.HIGH },
+};
+
+// 比率項目 (0.0 - 1.0) の探索範囲
+const RATIO_FIELDS = ['expenseRate', 'vacancyRate', 'interestRate', 'otherDebtRatio', 'capRate', 'foreclosureDiscount'];
+const SCAN_STEPS = 200;
+const BISECTION_ITERATIONS = 40;
+
+/**
+ * 1つの入力項目を変更した入力データを作成する
+ * (金利の場合は年間総返済額も再計算する)
+ */
+export function withInputValue(input, name, value) {
+    if (name === 'interestRate') {
+        return {
+            ...input,
+            interestRate: value,
+            annualRepayment: simulateRateChangeRepayment(input, value).repayment,
+        };
+    }
+    return { ...input, [name]: value };
+}
+
+const searchRange = (name, baseValue) => {
+    if (RATIO_FIELDS.includes(name)) return [0, 1];
+    if (name === 'remainingTermYears') return [1, 50];
+    return [0, baseValue > 0 ? baseValue * 5 : 100000000];
+};
+
+/**
+ * 1つの入力項目を現状の値から上下それぞれの方向に走査し、判定が切り替わる最も近い値を二分法で求める
+ * @param {object} input - 正規化済みの入力データ
+ * @param {string} name - 探索する入力項目名
+ * @param {Function} evaluate - 入力データを受け取り判定 (true / false) を返す関数
+ * @returns {number|null} - 判定が切り替わる値 (見つからない場合は null)
+ */
+export function findNearestFlip(input, name, evaluate) {
+    const check = (value) => evaluate(withInputValue(input, name, value));
+    const baseValue = input[name];
+    const baseResult = check(baseValue);
+    const [min, max] = searchRange(name, baseValue);
+    const step = (max - min) / SCAN_STEPS;
+
+    let best = null;
+    [1, -1].forEach((sign) => {
+        let previous = baseValue;
+        for (let value = baseValue + sign * step; value >= min && value <= max; value += sign * step) {
+            if (check(value) !== baseResult) {
+                // previous (判定変化なし) と value (判定変化あり) の間を二分法で絞り込む
+                let inside = previous;
+                let outside = value;
+                for (let i = 0; i < BISECTION_ITERATIONS; i++) {
+                    const middle = (inside + outside) / 2;
+                    if (check(middle) === baseResult) inside = middle;
+                    else outside = middle;
+                }
+                if (best === null || Math.abs(outside - baseValue) < Math.abs(best - baseValue)) best = outside;
+                return;
+            }
+            previous = value;
+        }
+    });
+    return best;
+}
+
+/**
+ * 入力項目の損益分岐点を探索する
+ * @param {object} data - 入力データオブジェクト
+ * @param {string} name - 探索する入力項目名
+ * @param {string} [target] - 'dcsr' (DSCR 1.0) または 'highRisk' (高リスク判定)
+ * @param {object} [profile] - ルールプロファイル (既定: 標準)
+ * @returns {object} - { name, target, baseValue, breakEvenValue (見つからない場合は null), direction, change }
+ */
+export function findBreakEven(data, name, target = 'dcsr', profile = DEFAULT_SCORING_PROFILE) {
+    const input = normalizeInput(data);
+    const { isSafe } = BREAK_EVEN_TARGETS[target];
+    const evaluate = (changed) => isSafe(calculateRealEstateRisk(changed, profile));
+
+    const baseValue = input[name];
+    const best = findNearestFlip(input, name, evaluate);
+
+    return {
+        name,
+        target,
+        baseValue,
+        isSafe: evaluate(input),
+        breakEvenValue: best,
+        direction: best === null ? null : best > baseValue ? 'increase' : 'decrease',
+        change: best === null || baseValue === 0 ? null : (best - baseValue) / baseValue,
+    };
+}
+
+/**
+ * 全ての入力項目について損益分岐点を探索する
+ * @param {object} data - 入力データオブジェクト
+ * @param {Array<{name: string}>} fields - 対象の入力項目 (InputFields.js の INPUT_FIELDS など)
+ * @param {object} [profile] - ルールプロファイル (既定: 標準)
+ * @returns {Array<object>} - 各項目の { name, dcsr: DSCR 1.0 の分岐点, highRisk: 高リスク判定の分岐点 }
+ */
+export function findBreakEvens(data, fields, profile = DEFAULT_SCORING_PROFILE) {
+    return fields.map((field) => ({
+        name: field.name,
+        dcsr: findBreakEven(data, field.name, 'dcsr', profile),
+        highRisk: findBreakEven(data, field.name, 'highRisk', profile),
+    }));
+}
+
+/**
+ * 各入力項目を ±change 変化させたときの最終スコアの変化量 (トルネードチャート用)
+ * @param {object} data - 入力データオブジェクト
+ * @param {Array<{name: string}>} fields - 対象の入力項目
+ * @param {number} [change] - 変化率 (既定: 10%)
+ * @param {object} [profile] - ルールプロファイル (既定: 標準)
+ * @returns {Array<object>} - 影響の大きい順の { name, lowDelta, highDelta, lowDcsrDelta, highDcsrDelta, range }
+ */
+export function buildTornado(data, fields, change = 0.1, profile = DEFAULT_SCORING_PROFILE) {
+    const input = normalizeInput(data);
+    const baseline = calculateRealEstateRisk(input, profile);
+
+    return fields
+        .map((field) => {
+            const low = calculateRealEstateRisk(withInputValue(input, field.name, input[field.name] * (1 - change)), profile);
+            const high = calculateRealEstateRisk(withInputValue(input, field.name, input[field.name] * (1 + change)), profile);
+            const lowDelta = low.finalScore - baseline.finalScore;
+            const highDelta = high.finalScore - baseline.finalScore;
+            return {
+                name: field.name,
+                lowDelta,
+                highDelta,
+                lowDcsrDelta: low.currentDcsr - baseline.currentDcsr,
+                highDcsrDelta: high.currentDcsr - baseline.currentDcsr,
+                range: Math.abs(highDelta - lowDelta),
+            };
+        })
+        .sort((a, b) => b.range - a.range || Math.abs(b.highDcsrDelta - b.lowDcsrDelta) - Math.abs(a.highDcsrDelta - a.lowDcsrDelta));
+}
+
+/**
+ * 該当している減点ルールごとに「何を変えれば減点がなくなるか」を求める
+ * ルールの levers の各入力項目を1つずつ動かし、そのルールに該当しなくなる最も近い値を探索する。
+ * @param {object} data - 入力データオブジェクト
+ * @param {object} [profile] - ルールプロファイル (既定: 標準)
+ * @returns {Array<object>} - 該当ルールごとの { ruleId, options: [{ name, baseValue, requiredValue, change }] }
+ *                            (探索範囲内で解消できない項目は options に含めない)
+ */
+export function buildRuleHints(data, profile = DEFAULT_SCORING_PROFILE) {
+    const input = normalizeInput(data);
+    const baseline = calculateRealEstateRisk(input, profile);
+    const rules = [...profile.scoreRules, ...profile.knockoutRules];
+    const isTriggered = (result, ruleId) => result.contributions.some((item) => item.ruleId === ruleId && item.triggered);
+
+    return rules
+        .filter((rule) => isTriggered(baseline, rule.id))
+        .map((rule) => ({
+            ruleId: rule.id,
+            options: (rule.levers || [])
+                .map((name) => {
+                    const requiredValue = findNearestFlip(input, name, (changed) => isTriggered(calculateRealEstateRisk(changed, profile), rule.id));
+                    const baseValue = input[name];
+                    return {
+                        name,
+                        baseValue,
+                        requiredValue,
+                        change: requiredValue === null || baseValue === 0 ? null : (requiredValue - baseValue) / baseValue,
+                    };
+                })
+                .filter((option) => option.requiredValue !== null),
+        }));
+}
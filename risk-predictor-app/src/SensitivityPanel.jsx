@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+import { Bar, BarChart, CartesianGrid, Legend, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { NUMBER_FORMATS } from './NumberFormat.js';
+import { buildTornado, findBreakEvens } from './Sensitivity.js';
+import { fieldLabel } from './InputFields.js';
+import { useI18n } from './I18nContext.js';
+
+// 比率項目はパーセント、それ以外は金額・年数で表示する
+const formatFieldValue = (field, value, i18n) => {
+  if (value === null) return i18n.t('sensitivity.noValue');
+  if (field.format === NUMBER_FORMATS.PERCENT) return i18n.percent(value, 2);
+  if (field.name === 'remainingTermYears') return i18n.t('common.years', { years: i18n.decimal(value, 1) });
+  return i18n.yen(value);
+};
+
+const formatChange = (change, i18n) => (change === null ? '' : ` (${change > 0 ? '+' : ''}${i18n.percent(change)})`);
+
+// 損益分岐点の一覧とトルネードチャート (input は表示中の評価結果を計算した入力)
+const SensitivityPanel = ({ input, fields, profile }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const breakEvens = useMemo(() => findBreakEvens(input, fields, profile), [input, fields, profile]);
+  const tornado = useMemo(() => buildTornado(input, fields, 0.1, profile), [input, fields, profile]);
+  const tornadoData = tornado.map((row) => ({ ...row, label: t(`fields.${row.name}`) }));
+
+  return (
+    <div className="mt-8 p-4 bg-gray-100 rounded-lg shadow-inner">
+      <h2 className="text-xl font-bold text-gray-700 mb-4 border-l-4 border-blue-500 pl-3">{t('sensitivity.title')}</h2>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-right bg-white rounded-lg">
+          <thead>
+            <tr className="border-b text-gray-500">
+              <th className="text-left p-1">{t('sensitivity.field')}</th>
+              <th className="p-1">{t('sensitivity.current')}</th>
+              <th className="p-1">{t('sensitivity.dcsrBreakEven')}</th>
+              <th className="p-1">{t('sensitivity.highRiskBreakEven')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {breakEvens.map((row, index) => {
+              const field = fields[index];
+              return (
+                <tr key={field.name} className="border-b border-gray-100">
+                  <td className="text-left p-1">{fieldLabel(field, i18n)}</td>
+                  <td className="p-1">{formatFieldValue(field, row.dcsr.baseValue, i18n)}</td>
+                  <td className={`p-1 ${row.dcsr.isSafe ? '' : 'text-red-600'}`}>
+                    {formatFieldValue(field, row.dcsr.breakEvenValue, i18n)}{formatChange(row.dcsr.change, i18n)}
+                  </td>
+                  <td className={`p-1 ${row.highRisk.isSafe ? '' : 'text-red-600'}`}>
+                    {formatFieldValue(field, row.highRisk.breakEvenValue, i18n)}{formatChange(row.highRisk.change, i18n)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <p className="mt-1 text-xs text-gray-500">{t('sensitivity.note')}</p>
+      </div>
+
+      <h3 className="text-md font-semibold text-gray-700 mt-6 mb-2">{t('sensitivity.tornadoTitle')}</h3>
+      <div className="w-full h-[360px] bg-white rounded-lg p-2">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ left: 40 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" unit={t('sensitivity.pointsUnit')} />
+            <YAxis type="category" dataKey="label" width={160} tick={{ fontSize: 11 }} />
+            <Tooltip formatter={(value) => `${value > 0 ? '+' : ''}${t('common.points', { points: value })}`} />
+            <Legend />
+            <ReferenceLine x={0} stroke="#4b5563" />
+            <Bar dataKey="lowDelta" name="-10%" fill="#60a5fa" stackId="delta" />
+            <Bar dataKey="highDelta" name="+10%" fill="#f97316" stackId="delta" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default SensitivityPanel;
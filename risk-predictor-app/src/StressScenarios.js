@@ -0,0 +1,121 @@
+// risk-predictor-app/src/StressScenarios.js
+
+import { calculateRealEstateRisk, classifyDcsr, normalizeInput, simulateRateChangeRepayment } from './RiskCalculator.js';
+import { DEFAULT_SCORING_PROFILE } from './ScoringProfiles.js';
+
+/**
+ * 複合ストレスシナリオ
+ *
+ * シナリオは現状の入力に対する変化量で定義する:
+ * - rateChange: 金利の上昇幅 (例: 0.02 = +2%)
+ * - vacancyChange: 空室率の上昇幅 (例: 0.1 = +10ポイント)
+ * - rentDrop: 家賃の下落率 (例: 0.1 = -10%)
+ * - expenseChange: 経費率の上昇幅 (例: 0.05 = +5ポイント)
+ * - incomeDrop: 主債務者の年収の減少率 (例: 0.2 = -20%)
+ * 名前を付けていないシナリオは scenarioName で表示名 (プリセット名など) のメッセージにする。
+ */
+
+export const SCENARIO_STORAGE_KEY = 'riskPredictor.scenarios';
+
+export const EMPTY_SCENARIO = {
+    name: '',
+    rateChange: 0,
+    vacancyChange: 0,
+    rentDrop: 0,
+    expenseChange: 0,
+    incomeDrop: 0,
+};
+
+export const SCENARIO_PRESETS = [
+    { id: 'preset-rate-shock', name: '', rateChange: 0.03, vacancyChange: 0, rentDrop: 0, expenseChange: 0, incomeDrop: 0 },
+    { id: 'preset-2008-downturn', name: '', rateChange: 0.01, vacancyChange: 0.1, rentDrop: 0.1, expenseChange: 0.02, incomeDrop: 0.2 },
+    { id: 'preset-population-decline', name: '', rateChange: 0, vacancyChange: 0.15, rentDrop: 0.15, expenseChange: 0.03, incomeDrop: 0 },
+    { id: 'preset-job-loss', name: '', rateChange: 0, vacancyChange: 0, rentDrop: 0, expenseChange: 0, incomeDrop: 0.5 },
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * シナリオの表示名 (名前を付けていないプリセットはプリセット名、それ以外は「新しいシナリオ」のメッセージ)
+ * @param {object} scenario - シナリオ
+ * @returns {string|object} - 名前またはメッセージ
+ */
+export function scenarioName(scenario) {
+    if (scenario.name) return scenario.name;
+    return SCENARIO_PRESETS.some((preset) => preset.id === scenario.id)
+        ? { key: `scenarios.preset.${scenario.id}` }
+        : { key: 'scenarios.untitled' };
+}
+
+/**
+ * シナリオを適用したストレス後の入力データを作成する
+ * 金利上昇分の返済額は返済予定表 (5年ルール・125%ルールを含む) から再計算する
+ * @param {object} data - 入力データオブジェクト
+ * @param {object} scenario - シナリオ (EMPTY_SCENARIO と同じ項目)
+ * @returns {object} - ストレス後の入力データ
+ */
+export function applyScenario(data, scenario) {
+    const input = normalizeInput(data);
+    const { rateChange = 0, vacancyChange = 0, rentDrop = 0, expenseChange = 0, incomeDrop = 0 } = scenario;
+
+    const interestRate = Math.max(0, input.interestRate + rateChange);
+    const annualRepayment = rateChange !== 0
+        ? simulateRateChangeRepayment(input, interestRate).repayment
+        : input.annualRepayment;
+
+    return {
+        ...input,
+        interestRate,
+        annualRepayment,
+        vacancyRate: clamp(input.vacancyRate + vacancyChange, 0, 1),
+        annualRentIncome: input.annualRentIncome * Math.max(0, 1 - rentDrop),
+        expenseRate: clamp(input.expenseRate + expenseChange, 0, 1),
+        annualIncome: input.annualIncome * Math.max(0, 1 - incomeDrop),
+    };
+}
+
+/**
+ * 複数のシナリオを評価し、現状 (ベースライン) との差分を含む比較表を作成する
+ * @param {object} data - 入力データオブジェクト
+ * @param {Array<object>} scenarios - シナリオの一覧
+ * @param {object} [profile] - ルールプロファイル (既定: 標準)
+ * @returns {object} - { baseline, rows: [{ scenario, result, dcsr, dcsrLevel, deltaScore, deltaDcsr }] }
+ */
+export function compareScenarios(data, scenarios, profile = DEFAULT_SCORING_PROFILE) {
+    const baseline = calculateRealEstateRisk(data, profile);
+    const rows = scenarios.map((scenario) => {
+        const result = calculateRealEstateRisk(applyScenario(data, scenario), profile);
+        return {
+            scenario,
+            result,
+            dcsr: result.currentDcsr,
+            dcsrLevel: classifyDcsr(result.currentDcsr, profile.dcsrLevels),
+            deltaScore: result.finalScore - baseline.finalScore,
+            deltaDcsr: result.currentDcsr - baseline.currentDcsr,
+        };
+    });
+    return { baseline, rows };
+}
+
+/**
+ * 保存済みのユーザー定義シナリオを読み込む (保存がなければプリセットを返す)
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ */
+export function loadSavedScenarios(storage = globalThis.localStorage) {
+    try {
+        const saved = storage?.getItem(SCENARIO_STORAGE_KEY);
+        const scenarios = saved ? JSON.parse(saved) : null;
+        return Array.isArray(scenarios) ? scenarios : SCENARIO_PRESETS;
+    } catch {
+        return SCENARIO_PRESETS;
+    }
+}
+
+/**
+ * ユーザー定義シナリオを保存する
+ * @param {Array<object>} scenarios - シナリオの一覧
+ * @param {Storage} [storage] - 保存先 (既定: localStorage)
+ */
+export function saveScenarios(scenarios, storage = globalThis.localStorage) {
+    storage?.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+}
@@ -0,0 +1,93 @@
+// risk-predictor-app/src/UrlState.js
+
+import { LocalizedError } from './I18n.js';
+import { DEFAULT_INPUT } from './RiskCalculator.js';
+
+/**
+ * 共有リンク (URL に埋め込んだ計算条件)
+ *
+ * 入力データ・ストレスシナリオ・ルールプロファイルを JSON にまとめ、
+ * UTF-8 → base64url に変換して URL のフラグメント (#s=...) に格納する。
+ * フラグメントはサーバーに送信されないため、案件の数値が外部のログに残らない。
+ * URL を短くするため、入力データは既定値 (DEFAULT_INPUT) と異なる項目だけを格納する。
+ *
+ * 格納する状態: { v, input, scenarios, profile }
+ * - v: 形式のバージョン (URL_STATE_VERSION)
+ * - profile: 評価に使ったルールプロファイル (describeProfileForResult の結果)
+ */
+
+export const URL_STATE_VERSION = 1;
+export const URL_STATE_PARAM = 's';
+
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * 計算条件を URL のフラグメントに格納する文字列に変換する
+ * @param {object} state
+ * @param {object} state.input - 入力データ
+ * @param {Array<object>} [state.scenarios] - ストレスシナリオ
+ * @param {object} [state.profile] - ルールプロファイル
+ * @returns {string} - base64url 文字列
+ */
+export function encodeUrlState({ input, scenarios, profile }) {
+    const changedInput = Object.fromEntries(
+        Object.entries(input).filter(([name, value]) => !isSameValue(value, DEFAULT_INPUT[name])),
+    );
+    return toBase64Url(JSON.stringify({ v: URL_STATE_VERSION, input: changedInput, scenarios, profile }));
+}
+
+/**
+ * URL のフラグメントから計算条件を復元する
+ * @param {string} encoded - encodeUrlState の結果
+ * @returns {object} - { input (既定値で補完済み), scenarios (なければ null), profile (なければ null) }
+ * @throws {LocalizedError} - 形式が正しくない場合
+ */
+export function decodeUrlState(encoded) {
+    let state;
+    try {
+        state = JSON.parse(fromBase64Url(encoded));
+    } catch {
+        throw new LocalizedError('share.unreadable');
+    }
+    if (!state || typeof state !== 'object' || state.v !== URL_STATE_VERSION || typeof state.input !== 'object') {
+        throw new LocalizedError('share.unsupported');
+    }
+    return {
+        input: { ...DEFAULT_INPUT, ...state.input },
+        scenarios: Array.isArray(state.scenarios) ? state.scenarios : null,
+        profile: state.profile && typeof state.profile === 'object' ? state.profile : null,
+    };
+}
+
+/**
+ * 現在のページの URL から計算条件を読み取る (共有リンクでない場合は null)
+ * @param {string} [hash] - URL のフラグメント (既定: location.hash)
+ * @returns {string|null} - encodeUrlState の結果
+ */
+export function readUrlStateParam(hash = globalThis.location?.hash ?? '') {
+    return new URLSearchParams(hash.replace(/^#/, '')).get(URL_STATE_PARAM);
+}
+
+/**
+ * 計算条件を格納した共有リンクを作成する
+ * @param {object} state - encodeUrlState の引数
+ * @param {string} [baseUrl] - フラグメントを除いたページの URL (既定: 現在のページ)
+ * @returns {string}
+ */
+export function buildShareUrl(state, baseUrl = globalThis.location.href.split('#')[0]) {
+    return `${baseUrl}#${URL_STATE_PARAM}=${encodeUrlState(state)}`;
+}
@@ -0,0 +1,214 @@
+// risk-predictor-app/src/Validation.js
+
+import { buildAmortizationSchedule, loanFromInput, summarizeScheduleByYear } from './LoanAmortization.js';
+import { compareWithMarketBenchmark, marketAssumptionName, validateMarketAssumption } from './MarketAssumptions.js';
+
+/**
+ * 入力データの検証
+ *
+ * - 項目ごとのルール (FIELD_RULES): 数値であること・範囲
+ * - 項目間の整合性チェック: 返済額と借入額・金利、経費率 + 空室率 など
+ * - 地域の目安 (MarketAssumptions.js) との比較: 目安より楽観的な前提を警告する
+ * 検証結果は { field, severity, message } の一覧で返す (message はメッセージ { key, params }。表示文言は I18n.js)。
+ * severity が 'error' の項目があるとスコアは計算しない。'warning' は計算するが注意を促す。
+ */
+
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+};
+
+// 項目ごとのルール (ratio は 0.0 - 1.0 の比率)
+export const FIELD_RULES = {
+    annualIncome: { min: 0 },
+    annualRepayment: { min: 0 },
+    totalDebt: { min: 0 },
+    annualRentIncome: { min: 0 },
+    expenseRate: { min: 0, max: 1, ratio: true },
+    vacancyRate: { min: 0, max: 1, ratio: true },
+    interestRate: { min: 0, max: 0.2, ratio: true },
+    simulatedInterestRate: { min: 0, max: 0.2, ratio: true },
+    otherDebtRatio: { min: 0, max: 1, ratio: true },
+    remainingTermYears: { min: 1, max: 50, integer: true },
+    projectionYears: { min: 10, max: 35, integer: true },
+    rentDeclineRate: { min: 0, max: 0.2, ratio: true },
+    expenseRateIncrease: { min: 0, max: 0.1, ratio: true },
+    vacancyDrift: { min: 0, max: 0.1, ratio: true },
+    purchasePrice: { min: 0 },
+    landValue: { min: 0 },
+    buildingReplacementCost: { min: 0 },
+    capRate: { min: 0.01, max: 0.3, ratio: true },
+    buildingAge: { min: 0, max: 100, integer: true },
+    foreclosureDiscount: { min: 0, max: 0.9, ratio: true },
+    buildingAcquisitionCost: { min: 0 },
+    yearsOwned: { min: 0, max: 100, integer: true },
+    landTaxAssessedValue: { min: 0 },
+    buildingTaxAssessedValue: { min: 0 },
+    guarantorAnnualIncome: { min: 0 },
+    guarantorAssets: { min: 0 },
+    guarantorDebts: { min: 0 },
+    guarantorOtherGuarantees: { min: 0 },
+};
+
+// 他の保有物件 (additionalProperties) の項目ごとのルール (項目名はメッセージカタログ propertyFields)
+export const PROPERTY_RULES = {
+    annualRentIncome: { min: 0 },
+    vacancyRate: { min: 0, max: 1, ratio: true },
+    expenseRate: { min: 0, max: 1, ratio: true },
+    loanBalance: { min: 0 },
+    annualRepayment: { min: 0 },
+    interestRate: { min: 0, max: 0.2, ratio: true },
+};
+
+// 年間返済額と返済予定表の初年度返済額の乖離を警告する割合
+const REPAYMENT_MISMATCH_TOLERANCE = 0.3;
+
+// 閾値の表示形式 (比率はパーセントで表示する)
+const limitParam = (rule, value) => (rule.ratio ? { percent: value } : value);
+
+const issue = (field, severity, key, params = {}) => ({ field, severity, message: { key: `validation.${key}`, params } });
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 項目ごとのルールを検証する
+ * @param {object} input - 入力データ
+ * @returns {Array<object>} - 検証結果
+ */
+export function validateFields(input) {
+    const issues = [];
+    Object.entries(FIELD_RULES).forEach(([field, rule]) => {
+        const value = input[field];
+        if (value === undefined) return;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            issues.push(issue(field, SEVERITY.ERROR, 'notNumber'));
+            return;
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            issues.push(issue(field, SEVERITY.ERROR, 'atLeast', { min: limitParam(rule, rule.min) }));
+        } else if (rule.max !== undefined && value > rule.max) {
+            issues.push(issue(field, SEVERITY.ERROR, 'atMost', { max: limitParam(rule, rule.max) }));
+        } else if (rule.integer && !Number.isInteger(value)) {
+            issues.push(issue(field, SEVERITY.ERROR, 'notInteger'));
+        }
+    });
+
+    (Array.isArray(input.largeRepairs) ? input.largeRepairs : []).forEach((repair, index) => {
+        if (!isPlainObject(repair) || !(repair.year >= 1) || !(repair.amount >= 0)) {
+            issues.push(issue('largeRepairs', SEVERITY.ERROR, 'largeRepair', { number: index + 1 }));
+        }
+    });
+
+    (Array.isArray(input.additionalProperties) ? input.additionalProperties : []).forEach((item, index) => {
+        // オブジェクトでない要素は全項目が未入力の物件として報告する
+        const property = isPlainObject(item) ? item : {};
+        const name = property.name
+            ? { key: 'validation.namedProperty', params: { number: index + 1, name: property.name } }
+            : { key: 'validation.property', params: { number: index + 1 } };
+        Object.entries(PROPERTY_RULES).forEach(([key, rule]) => {
+            const value = property[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < rule.min || (rule.max !== undefined && value > rule.max)) {
+                const params = { property: name, field: { key: `propertyFields.${key}` }, min: limitParam(rule, rule.min) };
+                if (rule.max === undefined) {
+                    issues.push(issue('additionalProperties', SEVERITY.ERROR, 'propertyAtLeast', params));
+                } else {
+                    issues.push(issue('additionalProperties', SEVERITY.ERROR, 'propertyBetween', { ...params, max: limitParam(rule, rule.max) }));
+                }
+            }
+        });
+    });
+
+    if (input.marketBenchmark != null && validateMarketAssumption(input.marketBenchmark).length > 0) {
+        issues.push(issue('marketBenchmark', SEVERITY.ERROR, 'invalidMarketBenchmark'));
+    }
+    return issues;
+}
+
+/**
+ * 項目間の整合性を検証する (項目ごとのルールを満たしていることが前提)
+ * @param {object} input - 入力データ
+ * @returns {Array<object>} - 検証結果
+ */
+export function validateConsistency(input) {
+    const issues = [];
+    const { annualIncome, annualRepayment, totalDebt, interestRate, expenseRate, vacancyRate } = input;
+
+    if (annualIncome === 0) {
+        issues.push(issue('annualIncome', SEVERITY.WARNING, 'zeroIncome'));
+    }
+
+    if (totalDebt > 0 && annualRepayment > totalDebt) {
+        issues.push(issue('annualRepayment', SEVERITY.ERROR, 'repaymentExceedsDebt'));
+    } else if (totalDebt > 0 && annualRepayment < totalDebt * interestRate) {
+        issues.push(issue('annualRepayment', SEVERITY.WARNING, 'repaymentBelowInterest', { interest: { yen: totalDebt * interestRate } }));
+    } else if (totalDebt > 0 && input.remainingTermYears >= 1) {
+        const yearly = summarizeScheduleByYear(buildAmortizationSchedule(loanFromInput(input)));
+        const expected = yearly.length > 0 ? yearly[0].payment : 0;
+        if (expected > 0 && Math.abs(annualRepayment - expected) / expected > REPAYMENT_MISMATCH_TOLERANCE) {
+            issues.push(issue('annualRepayment', SEVERITY.WARNING, 'repaymentMismatch', { expected: { yen: expected } }));
+        }
+    }
+
+    if (totalDebt === 0 && annualRepayment > 0) {
+        issues.push(issue('totalDebt', SEVERITY.WARNING, 'repaymentWithoutDebt'));
+    }
+
+    if (expenseRate + vacancyRate > 1) {
+        issues.push(issue('expenseRate', SEVERITY.WARNING, 'expenseAndVacancyOver100'));
+    }
+
+    if (input.purchasePrice > 0 && totalDebt > input.purchasePrice) {
+        issues.push(issue('totalDebt', SEVERITY.WARNING, 'overLoan'));
+    }
+
+    if (input.simulatedInterestRate < interestRate) {
+        issues.push(issue('simulatedInterestRate', SEVERITY.WARNING, 'simulatedRateBelowCurrent'));
+    }
+
+    if (input.yearsOwned > input.buildingAge) {
+        issues.push(issue('yearsOwned', SEVERITY.ERROR, 'yearsOwnedExceedsAge'));
+    }
+
+    if (input.purchasePrice > 0 && input.buildingAcquisitionCost > input.purchasePrice) {
+        issues.push(issue('buildingAcquisitionCost', SEVERITY.WARNING, 'acquisitionCostExceedsPrice'));
+    }
+
+    (Array.isArray(input.largeRepairs) ? input.largeRepairs : []).forEach((repair) => {
+        if (repair.year > input.projectionYears) {
+            issues.push(issue('largeRepairs', SEVERITY.WARNING, 'repairOutsideProjection', { year: repair.year, years: input.projectionYears }));
+        }
+    });
+
+    const market = compareWithMarketBenchmark(input);
+    (market ? market.items : []).filter((item) => item.optimistic).forEach((item) => {
+        issues.push(issue(item.field, SEVERITY.WARNING, 'optimisticVsMarket', {
+            benchmark: marketAssumptionName(market.benchmark),
+            value: { percent: item.benchmark },
+        }));
+    });
+    return issues;
+}
+
+/**
+ * 入力データを検証する (項目ごとのルールにエラーがある場合は整合性チェックを行わない)
+ * @param {object} input - 入力データ
+ * @returns {Array<{field: string, severity: string, message: object}>}
+ */
+export function validateInput(input) {
+    const fieldIssues = validateFields(input);
+    if (fieldIssues.some((item) => item.severity === SEVERITY.ERROR)) return fieldIssues;
+    return [...fieldIssues, ...validateConsistency(input)];
+}
+
+// 検証結果にエラーが含まれるか
+export function hasErrors(issues) {
+    return issues.some((item) => item.severity === SEVERITY.ERROR);
+}
+
+// 検証結果を項目ごとにまとめる ({ 項目名: [検証結果] })
+export function groupIssuesByField(issues) {
+    return issues.reduce((groups, item) => {
+        (groups[item.field] = groups[item.field] || []).push(item);
+        return groups;
+    }, {});
+}
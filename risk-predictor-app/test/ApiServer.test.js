@@ -0,0 +1,56 @@
+// risk-predictor-app/test/ApiServer.test.js
+
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createApiServer } from '../server/ApiServer.js';
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    server = createApiServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+const postBatch = async (body) => {
+    const response = await fetch(`${baseUrl}/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept-Language': 'en' },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+describe('POST /batch', () => {
+    it('列見出しと同じ別名の項目名を正規の項目として評価する', async () => {
+        const { status, body } = await postBatch({ cases: [{ 年収: 1000000, annualRepayment: 900000 }, { input: { 主債務者の年収: 1000000 } }] });
+        expect(status).toBe(200);
+        expect(body.summary).toEqual({ total: 2, scored: 2, failed: 0 });
+        body.results.forEach((result) => expect(result.input.annualIncome).toBe(1000000));
+        expect(body.results[0].input.annualRepayment).toBe(900000);
+    });
+
+    it('形の誤った値を持つケースはそのケースだけをエラーにし、他のケースは評価する', async () => {
+        const { status, body } = await postBatch({
+            cases: [
+                { additionalProperties: [null] },
+                { input: { largeRepairs: [null] } },
+                { largeRepairs: [{ year: 10, amount: 1000000 }] },
+            ],
+        });
+        expect(status).toBe(200);
+        expect(body.summary).toEqual({ total: 3, scored: 1, failed: 2 });
+        expect(body.results[0].errors.map((error) => error.field)).toEqual(['additionalProperties']);
+        expect(body.results[1].errors.map((error) => error.field)).toEqual(['largeRepairs']);
+    });
+
+    it('どの項目にもあたらない名前のケースは評価せずエラーを返す', async () => {
+        const { status, body } = await postBatch({ cases: [{ 年収額: 1000000 }, { annualIncome: 6000000 }] });
+        expect(status).toBe(200);
+        expect(body.summary).toEqual({ total: 2, scored: 1, failed: 1 });
+        expect(body.results[0].metrics).toBeNull();
+        expect(body.results[0].errors).toEqual([{ field: '年収額', message: '年収額: Unknown field' }]);
+    });
+});
@@ -0,0 +1,182 @@
+// risk-predictor-app/test/CaseIO.test.js
+
+import { describe, expect, it } from 'vitest';
+import {
+    casesToJson,
+    parseCasesText,
+    parseCsv,
+    parseJsonCases,
+    resultsToCsv,
+    rowsToCases,
+    scoreBatch,
+    suggestColumnMapping,
+    toCsv,
+} from '../src/CaseIO.js';
+import { DEFAULT_INPUT } from '../src/RiskCalculator.js';
+
+// エラーのメッセージの { field, issue } (field は元の項目名・列見出し)
+const errorIssues = (item) => item.errors.map((error) => ({ field: error.message.params?.field, issue: error.message.params?.issue.key }));
+
+describe('parseCsv / toCsv', () => {
+    it('ダブルクォートで囲んだカンマ・改行・引用符を読み取り、空行を除く', () => {
+        const text = '\uFEFF名前,メモ\r\n"A, B","1行目\n""2行目"""\r\n\r\nC,\n';
+        expect(parseCsv(text)).toEqual([['名前', 'メモ'], ['A, B', '1行目\n"2行目"'], ['C', '']]);
+    });
+
+    it('書き出した CSV を読み戻すと同じ値になる', () => {
+        const rows = [['a', 'b,c'], ['"quoted"', 'line\nbreak'], ['x', null]];
+        expect(parseCsv(toCsv(rows))).toEqual([['a', 'b,c'], ['"quoted"', 'line\nbreak'], ['x', '']]);
+    });
+});
+
+describe('suggestColumnMapping', () => {
+    it('正規の項目名・列見出しの別名・旧フィールド名を対応付け、不明な列は空にする', () => {
+        expect(suggestColumnMapping(['annualIncome', '年収 (円)', 'loanAmount', '案件名', '備考'])).toEqual({
+            annualIncome: 'annualIncome',
+            '年収 (円)': 'annualIncome',
+            loanAmount: 'totalDebt',
+            案件名: 'name',
+            備考: '',
+        });
+    });
+});
+
+describe('rowsToCases', () => {
+    const headers = ['案件名', '年収', '金利', '返済方式', '大規模修繕'];
+    const mapping = suggestColumnMapping(headers);
+
+    it('列対応に従って値を変換し、空欄は初期値にする', () => {
+        const [item, blank] = rowsToCases(headers, [['案件A', '6,000,000', '2.5%', '元金均等', '10:2000000;20:3000000'], ['案件B', '', '', '', '']], mapping);
+        expect(item.rowNumber).toBe(2);
+        expect(item.details).toEqual({ name: '案件A' });
+        expect(item.input.annualIncome).toBe(6000000);
+        expect(item.input.interestRate).toBeCloseTo(0.025);
+        expect(item.input.repaymentMethod).toBe('level-principal');
+        expect(item.input.largeRepairs).toEqual([{ year: 10, amount: 2000000 }, { year: 20, amount: 3000000 }]);
+        expect(blank.input.annualIncome).toBe(DEFAULT_INPUT.annualIncome);
+    });
+
+    it('変換できない値は列見出し付きのエラーにし、検証エラーも行のエラーにする', () => {
+        const [invalid, outOfRange] = rowsToCases(headers, [['案件C', 'abc', '3%', '一括', ''], ['案件D', '-1', '', '', '']], mapping);
+        expect(errorIssues(invalid)).toEqual([
+            { field: '年収', issue: 'caseIO.notNumber' },
+            { field: '返済方式', issue: 'caseIO.invalidRepaymentMethod' },
+        ]);
+        expect(outOfRange.errors.map((error) => error.field)).toEqual(['annualIncome']);
+    });
+
+    it('対応なしの列は読み飛ばす', () => {
+        const [item] = rowsToCases(['年収', '備考'], [['7000000', 'メモ']], { 年収: 'annualIncome', 備考: '' });
+        expect(item.errors).toEqual([]);
+        expect(item.details).toEqual({});
+        expect(item.input.annualIncome).toBe(7000000);
+    });
+});
+
+describe('parseJsonCases', () => {
+    it('列見出しと同じ別名・旧フィールド名を正規の項目名に読み替える', () => {
+        const [item] = parseJsonCases(JSON.stringify([{ 年収: 1000000, 借入総額: '25,000,000', loanAmount: 26000000, 空室率: '15%', annualExpensesRatio: 0.25 }]));
+        expect(item.errors).toEqual([]);
+        expect(item.input.annualIncome).toBe(1000000);
+        expect(item.input.totalDebt).toBe(26000000);
+        expect(item.input.vacancyRate).toBeCloseTo(0.15);
+        expect(item.input.expenseRate).toBe(0.25);
+        expect(item.input).not.toHaveProperty('年収');
+    });
+
+    it('{ name, input } 形式のケースからケース情報と入力データを読み取る', () => {
+        const [item] = parseJsonCases(JSON.stringify({ cases: [{ name: '案件A', notes: 3, input: { 主債務者の年収: 7000000, 返済方式: '元金均等' } }] }));
+        expect(item.details).toEqual({ name: '案件A', notes: '3' });
+        expect(item.input.annualIncome).toBe(7000000);
+        expect(item.input.repaymentMethod).toBe('level-principal');
+    });
+
+    it('入力データだけの形式ではケース情報の項目をケース情報として扱う', () => {
+        const [item] = parseJsonCases(JSON.stringify({ 案件名: '案件B', annualIncome: 6000000 }));
+        expect(item.errors).toEqual([]);
+        expect(item.details).toEqual({ name: '案件B' });
+        expect(item.input.annualIncome).toBe(6000000);
+    });
+
+    it('どの項目にもあたらない名前はエラーにする', () => {
+        const [item] = parseJsonCases(JSON.stringify([{ 年収額: 1000000, annualRepayment: 900000 }]));
+        expect(errorIssues(item)).toEqual([{ field: '年収額', issue: 'caseIO.unknownField' }]);
+    });
+
+    it('数値の項目に数値以外の値があればエラーにする', () => {
+        const [item] = parseJsonCases(JSON.stringify([{ annualIncome: true, 金利: '三%' }]));
+        expect(errorIssues(item)).toEqual([
+            { field: 'annualIncome', issue: 'caseIO.notNumber' },
+            { field: '金利', issue: 'caseIO.notNumber' },
+        ]);
+    });
+
+    it('大規模修繕・他の物件はオブジェクトの配列、地域の目安はオブジェクトか null でなければエラーにする', () => {
+        const items = parseJsonCases(JSON.stringify([
+            { largeRepairs: [null] },
+            { additionalProperties: {} },
+            { additionalProperties: '[1]' },
+            { marketBenchmark: [] },
+            { largeRepairs: [], additionalProperties: [], marketBenchmark: null },
+        ]));
+        expect(items.map(errorIssues)).toEqual([
+            [{ field: 'largeRepairs', issue: 'caseIO.invalidJsonArray' }],
+            [{ field: 'additionalProperties', issue: 'caseIO.invalidJsonArray' }],
+            [{ field: 'additionalProperties', issue: 'caseIO.invalidJsonArray' }],
+            [{ field: 'marketBenchmark', issue: 'caseIO.invalidJsonObject' }],
+            [],
+        ]);
+    });
+
+    it('形の誤った値があっても同じファイルの他のケースは読み取る', () => {
+        const [invalid, valid] = parseCasesText('[{"largeRepairs":[null]},{"annualIncome":6000000}]');
+        expect(invalid.errors).toHaveLength(1);
+        expect(valid.errors).toEqual([]);
+        expect(valid.input.annualIncome).toBe(6000000);
+    });
+
+    it('配列の要素がオブジェクトでなければその行をエラーにする', () => {
+        const items = parseJsonCases('[null, 1, {}]');
+        expect(items.map((item) => item.errors.length > 0)).toEqual([true, true, false]);
+        expect(items[0].input).toEqual(DEFAULT_INPUT);
+        expect(items[2].rowNumber).toBe(3);
+    });
+
+    it('配列・オブジェクト以外の JSON は読み取りエラーにする', () => {
+        ['null', '1', '"text"', 'true'].forEach((text) => {
+            expect(() => parseJsonCases(text)).toThrow(expect.objectContaining({ key: 'caseIO.invalidJsonRoot' }));
+        });
+        expect(() => parseJsonCases('{')).toThrow(SyntaxError);
+    });
+});
+
+describe('scoreBatch / resultsToCsv', () => {
+    it('エラーのない行だけを評価し、CSV にはエラーを指定の言語の文言で書き出す', () => {
+        const results = scoreBatch(parseJsonCases(JSON.stringify([{ annualIncome: 6000000 }, { 年収額: 1 }])));
+        expect(results[0].metrics.profileId).toBe('standard');
+        expect(results[1].metrics).toBeNull();
+        const [header, , failed] = parseCsv(resultsToCsv(results, 'en'));
+        expect(header[0]).toBe('rowNumber');
+        expect(failed[header.indexOf('errors')]).toBe('年収額: Unknown field');
+    });
+});
+
+describe('casesToJson', () => {
+    it('書き出したケースを取り込むと同じケース情報・入力データになる', () => {
+        const input = { ...DEFAULT_INPUT, annualIncome: 7200000 };
+        const json = casesToJson([{ id: 'case-1', name: '案件E', notes: 'メモ', input }]);
+        expect(JSON.parse(json).cases[0]).not.toHaveProperty('id');
+        const [item] = parseJsonCases(json);
+        expect(item.errors).toEqual([]);
+        expect(item.details).toEqual({ name: '案件E', notes: 'メモ' });
+        expect(item.input).toEqual(input);
+    });
+});
+
+describe('parseCasesText', () => {
+    it('先頭の文字で JSON と判定し、別名の項目も読み替える', () => {
+        const [item] = parseCasesText('\uFEFF[{"年収":1000000,"annualRepayment":900000}]');
+        expect(item.input.annualIncome).toBe(1000000);
+        expect(item.input.annualRepayment).toBe(900000);
+    });
+});
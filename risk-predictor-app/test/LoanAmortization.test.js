@@ -0,0 +1,115 @@
+// risk-predictor-app/test/LoanAmortization.test.js
+
+import { describe, expect, it } from 'vitest';
+import {
+    PAYMENT_CAP_RATIO,
+    PAYMENT_REVIEW_INTERVAL_MONTHS,
+    REPAYMENT_METHODS,
+    buildAmortizationSchedule,
+    calculateMonthlyPayment,
+    loanFromInput,
+    summarizeScheduleByYear,
+} from '../src/LoanAmortization.js';
+import { DEFAULT_INPUT } from '../src/RiskCalculator.js';
+
+const LOAN = { principal: 30000000, annualRate: 0.03, termMonths: 300 };
+
+// 返済予定表の元金返済額と一括返済額の合計 (未払利息がない場合は借入残高に一致する)
+const repaidPrincipal = (schedule) => schedule.reduce((sum, row) => sum + row.principal + row.lumpSum, 0);
+const paymentOf = (schedule, month) => schedule.find((row) => row.month === month).payment;
+
+describe('calculateMonthlyPayment', () => {
+    it('元利均等返済の毎月の返済額を計算する', () => {
+        expect(calculateMonthlyPayment(30000000, 0.03, 300) * 12).toBeCloseTo(1707161, 0);
+    });
+
+    it('金利ゼロは元金の均等割り、残高・回数がゼロ以下は 0', () => {
+        expect(calculateMonthlyPayment(1200000, 0, 12)).toBe(100000);
+        expect(calculateMonthlyPayment(0, 0.03, 12)).toBe(0);
+        expect(calculateMonthlyPayment(1200000, 0.03, 0)).toBe(0);
+    });
+});
+
+describe('buildAmortizationSchedule', () => {
+    it('元利均等返済は返済額が一定で、最終回までに完済する', () => {
+        const schedule = buildAmortizationSchedule(LOAN);
+        expect(schedule).toHaveLength(300);
+        const payment = calculateMonthlyPayment(30000000, 0.03, 300);
+        schedule.forEach((row) => expect(row.payment).toBeCloseTo(payment, 4));
+        expect(schedule.at(-1).balance).toBe(0);
+        expect(repaidPrincipal(schedule)).toBeCloseTo(30000000, 0);
+    });
+
+    it('元金均等返済は毎月の元金返済額が一定で、返済額は減っていく', () => {
+        const schedule = buildAmortizationSchedule({ ...LOAN, method: REPAYMENT_METHODS.LEVEL_PRINCIPAL });
+        schedule.forEach((row) => expect(row.principal).toBeCloseTo(100000, 6));
+        expect(schedule[0].payment).toBeCloseTo(100000 + 30000000 * 0.03 / 12, 6);
+        expect(schedule.at(-1).payment).toBeLessThan(schedule[0].payment);
+        expect(schedule.at(-1).balance).toBe(0);
+    });
+
+    it('5年ルール・125%ルールを適用しない場合は金利変更の月から返済額を見直す', () => {
+        const schedule = buildAmortizationSchedule({ ...LOAN, rateChanges: [{ month: 13, rate: 0.05 }] });
+        expect(paymentOf(schedule, 13)).toBeGreaterThan(paymentOf(schedule, 12));
+        expect(schedule[12].rate).toBe(0.05);
+    });
+
+    it('5年ルール: 金利が上がっても返済額は5年間変わらず、超過分は元金の返済が減る', () => {
+        const schedule = buildAmortizationSchedule({ ...LOAN, rateChanges: [{ month: 13, rate: 0.04 }], applyPaymentRules: true });
+        const initial = paymentOf(schedule, 1);
+        expect(paymentOf(schedule, PAYMENT_REVIEW_INTERVAL_MONTHS)).toBeCloseTo(initial, 6);
+        expect(schedule[12].principal).toBeLessThan(schedule[11].principal);
+        expect(paymentOf(schedule, PAYMENT_REVIEW_INTERVAL_MONTHS + 1)).toBeGreaterThan(initial);
+    });
+
+    it('125%ルール: 見直し後の返済額は従前の1.25倍までとし、賄えない利息は最終回に一括返済する', () => {
+        const schedule = buildAmortizationSchedule({ ...LOAN, rateChanges: [{ month: 2, rate: 0.12 }], applyPaymentRules: true });
+        const initial = paymentOf(schedule, 1);
+        // 1回目の見直しで上限に達し、2回目は見直し後の返済額の1.25倍まで
+        expect(paymentOf(schedule, PAYMENT_REVIEW_INTERVAL_MONTHS + 1)).toBeCloseTo(initial * PAYMENT_CAP_RATIO, 6);
+        expect(paymentOf(schedule, PAYMENT_REVIEW_INTERVAL_MONTHS * 2 + 1)).toBeCloseTo(initial * PAYMENT_CAP_RATIO ** 2, 6);
+        expect(schedule.some((row) => row.unpaidInterest > 0)).toBe(true);
+        const last = schedule.at(-1);
+        expect(last.lumpSum).toBeGreaterThan(0);
+        expect(last.balance).toBe(0);
+        expect(last.unpaidInterest).toBe(0);
+    });
+
+    it('元金均等返済には5年ルール・125%ルールを適用しない', () => {
+        const schedule = buildAmortizationSchedule({
+            ...LOAN,
+            method: REPAYMENT_METHODS.LEVEL_PRINCIPAL,
+            rateChanges: [{ month: 2, rate: 0.12 }],
+            applyPaymentRules: true,
+        });
+        expect(schedule[1].interest).toBeCloseTo(schedule[0].balance * 0.12 / 12, 6);
+        expect(schedule.every((row) => row.lumpSum === 0)).toBe(true);
+    });
+});
+
+describe('summarizeScheduleByYear', () => {
+    it('12か月ごとに返済額を合計し、年末の残高を記録する', () => {
+        const schedule = buildAmortizationSchedule(LOAN);
+        const yearly = summarizeScheduleByYear(schedule);
+        expect(yearly).toHaveLength(25);
+        expect(yearly[0].year).toBe(1);
+        expect(yearly[0].payment).toBeCloseTo(schedule.slice(0, 12).reduce((sum, row) => sum + row.payment, 0), 6);
+        expect(yearly[0].endingBalance).toBe(schedule[11].balance);
+        expect(yearly.at(-1).endingBalance).toBe(0);
+        yearly.forEach((year) => expect(year.debtService).toBe(year.payment + year.lumpSum));
+    });
+});
+
+describe('loanFromInput', () => {
+    it('変動金利では新しい金利を翌月から適用し、5年ルール・125%ルールの設定を引き継ぐ', () => {
+        const loan = loanFromInput(DEFAULT_INPUT, 0.05);
+        expect(loan).toMatchObject({ principal: 30000000, annualRate: 0.03, termMonths: 300, method: 'level-payment', applyPaymentRules: true });
+        expect(loan.rateChanges).toEqual([{ month: 1, rate: 0.05 }]);
+    });
+
+    it('固定金利では金利の変更と5年ルール・125%ルールを適用しない', () => {
+        const loan = loanFromInput({ ...DEFAULT_INPUT, rateType: 'fixed' }, 0.05);
+        expect(loan.rateChanges).toEqual([]);
+        expect(loan.applyPaymentRules).toBe(false);
+    });
+});
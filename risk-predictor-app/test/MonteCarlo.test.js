@@ -0,0 +1,92 @@
+// risk-predictor-app/test/MonteCarlo.test.js
+
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_MONTE_CARLO_CONFIG,
+    MAX_TRIALS,
+    SHORTFALL_PERCENTILES,
+    choleskyDecompose,
+    createRandom,
+    runMonteCarloSimulation,
+} from '../src/MonteCarlo.js';
+import { DEFAULT_INPUT } from '../src/RiskCalculator.js';
+
+// テストの実行時間を抑えるため試行回数を減らす
+const TRIALS = 200;
+
+// 下三角行列 L から L・Lᵀ を計算する
+const multiplyTranspose = (lower) => lower.map((row) => lower.map((other) => row.reduce((sum, value, k) => sum + value * other[k], 0)));
+
+describe('createRandom', () => {
+    it('同じシードからは同じ乱数列、異なるシードからは異なる乱数列を返す', () => {
+        const draw = (seed) => {
+            const random = createRandom(seed);
+            return Array.from({ length: 5 }, () => random());
+        };
+        expect(draw(42)).toEqual(draw(42));
+        expect(draw(42)).not.toEqual(draw(43));
+        draw(42).forEach((value) => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+});
+
+describe('choleskyDecompose', () => {
+    it('既定の相関行列を L・Lᵀ が元の行列になる下三角行列に分解する', () => {
+        const { correlation } = DEFAULT_MONTE_CARLO_CONFIG;
+        const lower = choleskyDecompose(correlation);
+        lower.forEach((row, i) => row.forEach((value, j) => {
+            if (j > i) expect(value).toBe(0);
+        }));
+        multiplyTranspose(lower).forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(correlation[i][j], 10)));
+    });
+
+    it('正定値でない相関行列はエラーにする', () => {
+        const notPositiveDefinite = [
+            [1.0, 0.9, -0.9],
+            [0.9, 1.0, 0.9],
+            [-0.9, 0.9, 1.0],
+        ];
+        expect(() => choleskyDecompose(notPositiveDefinite)).toThrow(expect.objectContaining({ key: 'monteCarlo.notPositiveDefinite' }));
+    });
+});
+
+describe('runMonteCarloSimulation', () => {
+    it('同じシードからは同じパーセンタイル・確率を返す', () => {
+        const first = runMonteCarloSimulation(DEFAULT_INPUT, { trials: TRIALS, seed: 7 });
+        const second = runMonteCarloSimulation(DEFAULT_INPUT, { trials: TRIALS, seed: 7 });
+        expect(second.shortfallPercentiles).toEqual(first.shortfallPercentiles);
+        expect(second.shortfallProbability).toBe(first.shortfallProbability);
+        expect(second.expectedLoss).toBe(first.expectedLoss);
+        expect(second.yearlyShortfallProbability).toEqual(first.yearlyShortfallProbability);
+        expect(first.shortfallPercentiles.map((item) => item.percentile)).toEqual(SHORTFALL_PERCENTILES);
+    });
+
+    it('シードを変えると結果が変わる', () => {
+        const first = runMonteCarloSimulation(DEFAULT_INPUT, { trials: TRIALS, seed: 7 });
+        const other = runMonteCarloSimulation(DEFAULT_INPUT, { trials: TRIALS, seed: 8 });
+        expect(other.expectedLoss).not.toBe(first.expectedLoss);
+    });
+
+    it('パーセンタイルは単調に増え、年ごとの請求発生確率は減らない', () => {
+        const result = runMonteCarloSimulation(DEFAULT_INPUT, { trials: TRIALS });
+        const shortfalls = result.shortfallPercentiles.map((item) => item.shortfall);
+        shortfalls.slice(1).forEach((value, i) => expect(value).toBeGreaterThanOrEqual(shortfalls[i]));
+        const probabilities = result.yearlyShortfallProbability.map((item) => item.probability);
+        probabilities.slice(1).forEach((value, i) => expect(value).toBeGreaterThanOrEqual(probabilities[i]));
+        expect(probabilities.at(-1)).toBe(result.shortfallProbability);
+    });
+
+    it('試行回数は 1 以上 MAX_TRIALS 以下に収める', () => {
+        expect(runMonteCarloSimulation(DEFAULT_INPUT, { trials: 0 }).trials).toBe(1);
+        expect(runMonteCarloSimulation({ ...DEFAULT_INPUT, remainingTermYears: 1 }, { trials: MAX_TRIALS + 1 }).trials).toBe(MAX_TRIALS);
+    });
+
+    it('正定値でない相関行列を指定するとエラーにする', () => {
+        const correlation = DEFAULT_MONTE_CARLO_CONFIG.correlation.map((row) => [...row]);
+        correlation[1][2] = -1.5;
+        correlation[2][1] = -1.5;
+        expect(() => runMonteCarloSimulation(DEFAULT_INPUT, { trials: TRIALS, correlation })).toThrow(expect.objectContaining({ key: 'monteCarlo.notPositiveDefinite' }));
+    });
+});
@@ -0,0 +1,25 @@
+// risk-predictor-app/test/NumberFormat.test.js
+
+import { describe, expect, it } from 'vitest';
+import { formatCompactYen, formatManYen } from '../src/NumberFormat.js';
+
+describe('formatManYen', () => {
+    it('億・万の単位で表示する', () => {
+        expect(formatManYen(30000000)).toBe('3,000万円');
+        expect(formatManYen(120000000)).toBe('1億2,000万円');
+        expect(formatManYen(200000000)).toBe('2億円');
+        expect(formatManYen(-15000)).toBe('-1.5万円');
+        expect(formatManYen(NaN)).toBe('');
+    });
+
+    it('万円単位に丸めてから億と万に分ける (繰り上がりで1万万円にしない)', () => {
+        expect(formatManYen(199999999)).toBe('2億円');
+        expect(formatManYen(99999999)).toBe('1億円');
+        expect(formatManYen(100049999)).toBe('1億5万円');
+    });
+
+    it('日本語のロケールでは億・万、それ以外は短縮表記にする', () => {
+        expect(formatCompactYen(199999999)).toBe('2億円');
+        expect(formatCompactYen(1500000, 'en-US')).toBe('¥1.5M');
+    });
+});
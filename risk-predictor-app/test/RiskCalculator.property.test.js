@@ -0,0 +1,111 @@
+// risk-predictor-app/test/RiskCalculator.property.test.js
+
+import fc from 'fast-check';
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_INPUT, calculateRealEstateRisk, classifyScore, runWorstCaseSimulation } from '../src/RiskCalculator.js';
+import { SCORE_CATEGORIES } from '../src/ScoreRules.js';
+import { BUILT_IN_PROFILES } from '../src/ScoringProfiles.js';
+
+/**
+ * 計算モジュールの性質のテスト (fast-check で入力を生成する)
+ * 失敗した場合は fast-check が縮小した反例と seed を表示する。
+ */
+
+const yen = (max) => fc.integer({ min: 0, max });
+const ratio = (min = 0, max = 1) => fc.double({ min, max, noNaN: true, noDefaultInfinity: true });
+// 金利は画面の入力と同じく 0.01% 刻み (0〜10%)
+const rate = () => fc.integer({ min: 0, max: 1000 }).map((basisPoints) => basisPoints / 10000);
+
+// 画面の入力範囲に収まる入力データ
+const inputArbitrary = fc.record({
+    annualIncome: yen(50000000),
+    annualRepayment: yen(10000000),
+    totalDebt: yen(300000000),
+    annualRentIncome: yen(30000000),
+    expenseRate: ratio(),
+    vacancyRate: ratio(),
+    interestRate: rate(),
+    simulatedInterestRate: rate(),
+    otherDebtRatio: ratio(),
+    remainingTermYears: fc.integer({ min: 1, max: 35 }),
+    purchasePrice: yen(500000000),
+    landValue: yen(300000000),
+    buildingReplacementCost: yen(300000000),
+    capRate: ratio(0.01, 0.15),
+    buildingAge: fc.integer({ min: 0, max: 60 }),
+    foreclosureDiscount: ratio(),
+}).map((values) => ({ ...DEFAULT_INPUT, ...values }));
+
+const profileArbitrary = fc.constantFrom(...BUILT_IN_PROFILES);
+
+describe('calculateRealEstateRisk の性質', () => {
+    it('最終スコアは 0〜100点、評価項目の得点は 0点〜満点に収まる', () => {
+        fc.assert(fc.property(inputArbitrary, profileArbitrary, (input, profile) => {
+            const result = calculateRealEstateRisk(input, profile);
+            expect(result.finalScore).toBeGreaterThanOrEqual(0);
+            expect(result.finalScore).toBeLessThanOrEqual(100);
+            Object.values(SCORE_CATEGORIES).forEach(({ max, scoreKey }) => {
+                expect(result[scoreKey]).toBeGreaterThanOrEqual(0);
+                expect(result[scoreKey]).toBeLessThanOrEqual(max);
+            });
+        }));
+    });
+
+    it('リスク判定は最終スコアとプロファイルの区切りに一致する', () => {
+        fc.assert(fc.property(inputArbitrary, profileArbitrary, (input, profile) => {
+            const result = calculateRealEstateRisk(input, profile);
+            expect(result.riskLevel).toBe(classifyScore(result.finalScore, profile.scoreLevels));
+        }));
+    });
+
+    it('寄与レコードの減点の合計は満点との差に一致する', () => {
+        const total = Object.values(SCORE_CATEGORIES).reduce((sum, category) => sum + category.max, 0);
+        fc.assert(fc.property(inputArbitrary, profileArbitrary, (input, profile) => {
+            const result = calculateRealEstateRisk(input, profile);
+            expect(result.contributions.reduce((sum, item) => sum + item.points, 0)).toBe(result.finalScore - total);
+        }));
+    });
+
+    it('年間返済額が増えても最終スコア・DSCR は上がらない', () => {
+        fc.assert(fc.property(inputArbitrary, profileArbitrary, yen(5000000), (input, profile, increase) => {
+            const base = calculateRealEstateRisk(input, profile);
+            const worse = calculateRealEstateRisk({ ...input, annualRepayment: input.annualRepayment + increase }, profile);
+            expect(worse.finalScore).toBeLessThanOrEqual(base.finalScore);
+            // 返済額ゼロの DSCR は NO_DEBT_SERVICE_DCSR (999) で、ごく小さい返済額の DSCR より小さくなり得るため比較しない
+            if (input.annualRepayment > 0) expect(worse.currentDcsr).toBeLessThanOrEqual(base.currentDcsr);
+        }));
+    });
+
+    it('空室率が上がっても最終スコア・DSCR は上がらない', () => {
+        fc.assert(fc.property(inputArbitrary, profileArbitrary, ratio(), (input, profile, other) => {
+            const [low, high] = [input.vacancyRate, other].sort((a, b) => a - b);
+            const base = calculateRealEstateRisk({ ...input, vacancyRate: low }, profile);
+            const worse = calculateRealEstateRisk({ ...input, vacancyRate: high }, profile);
+            expect(worse.finalScore).toBeLessThanOrEqual(base.finalScore);
+            expect(worse.currentDcsr).toBeLessThanOrEqual(base.currentDcsr);
+        }));
+    });
+});
+
+describe('runWorstCaseSimulation の性質', () => {
+    it('現状以上の空室率のシナリオでは DSCR が現状を上回らない', () => {
+        fc.assert(fc.property(inputArbitrary, ratio(), (input, worstVacancyRate) => {
+            fc.pre(worstVacancyRate >= input.vacancyRate);
+            const { original, vacancy } = runWorstCaseSimulation(input, { worstVacancyRate });
+            expect(vacancy.dcsr).toBeLessThanOrEqual(original.currentDcsr);
+            expect(vacancy.result.finalScore).toBeLessThanOrEqual(original.finalScore);
+        }));
+    });
+
+    it('シミュレーション金利が高いほど金利上昇時の返済額は増え、DSCR は下がる', () => {
+        fc.assert(fc.property(inputArbitrary, rate(), rate(), (input, a, b) => {
+            const [low, high] = [a, b].sort((x, y) => x - y);
+            const lower = runWorstCaseSimulation(input, { simulatedInterestRate: low }).rateHike;
+            const higher = runWorstCaseSimulation(input, { simulatedInterestRate: high }).rateHike;
+            // 返済額は差額の計算で浮動小数点の誤差を含むため、わずかな誤差を許容する
+            expect(higher.repayment).toBeGreaterThanOrEqual(lower.repayment - 1e-6);
+            // 返済額がゼロ以下になる場合の DSCR は NO_DEBT_SERVICE_DCSR (999) のため比較しない
+            if (lower.repayment > 0 && higher.repayment > 0) expect(higher.dcsr).toBeLessThanOrEqual(lower.dcsr * (1 + 1e-6));
+        }));
+    });
+});
@@ -0,0 +1,241 @@
+// risk-predictor-app/test/RiskCalculator.test.js
+
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_INPUT,
+    LEGACY_FIELD_ALIASES,
+    MODEL_VERSION,
+    NO_DEBT_SERVICE_DCSR,
+    SCORE_DIRECTION,
+    WORST_CASE_VACANCY_RATE,
+    calculateDcsr,
+    calculateNoi,
+    calculateRealEstateRisk,
+    classifyDcsr,
+    classifyScore,
+    normalizeInput,
+    runWorstCaseSimulation,
+} from '../src/RiskCalculator.js';
+import { RISK_LEVELS } from '../src/RiskLevels.js';
+import { SCORE_CATEGORIES } from '../src/ScoreRules.js';
+import { BUILT_IN_PROFILES } from '../src/ScoringProfiles.js';
+
+// 評価結果の減点ルールの ID (減点があったもののみ)
+const deductedRules = (result) => result.contributions.filter((item) => item.points < 0).map((item) => item.ruleId);
+
+describe('normalizeInput', () => {
+    it('未指定の項目を初期値で補う', () => {
+        expect(normalizeInput({})).toEqual(DEFAULT_INPUT);
+        expect(normalizeInput()).toEqual(DEFAULT_INPUT);
+    });
+
+    it('旧フィールド名を正規の名前に読み替える', () => {
+        const input = normalizeInput({ annualIncomeDebtor: 7000000, loanAmount: 50000000, vacancyRateAssumption: 0.2 });
+        expect(input.annualIncome).toBe(7000000);
+        expect(input.totalDebt).toBe(50000000);
+        expect(input.vacancyRate).toBe(0.2);
+        expect(input).not.toHaveProperty('annualIncomeDebtor');
+    });
+
+    it.each(Object.entries(LEGACY_FIELD_ALIASES))('旧フィールド名 %s は %s として扱う', (legacy, name) => {
+        const value = DEFAULT_INPUT[name] * 2;
+        const input = normalizeInput({ [legacy]: value });
+        expect(input[name]).toBe(value);
+        expect(input).not.toHaveProperty(legacy);
+        expect(Object.keys(input)).toEqual(Object.keys(DEFAULT_INPUT));
+    });
+
+    it('元の入力データを変更しない', () => {
+        const data = { annualIncomeDebtor: '7000000' };
+        normalizeInput(data);
+        expect(data).toEqual({ annualIncomeDebtor: '7000000' });
+    });
+
+    it('数値項目の文字列を数値にし、数値にできない値は初期値にする', () => {
+        const input = normalizeInput({ annualIncome: '8000000', vacancyRate: 'abc', expenseRate: Infinity });
+        expect(input.annualIncome).toBe(8000000);
+        expect(input.vacancyRate).toBe(DEFAULT_INPUT.vacancyRate);
+        expect(input.expenseRate).toBe(DEFAULT_INPUT.expenseRate);
+    });
+
+    it('数値以外の項目はそのまま残す', () => {
+        expect(normalizeInput({ repaymentMethod: 'level-principal' }).repaymentMethod).toBe('level-principal');
+    });
+});
+
+describe('calculateNoi / calculateDcsr', () => {
+    it('NOI は家賃収入から空室・経費を差し引いた額', () => {
+        expect(calculateNoi({ annualRentIncome: 2000000, vacancyRate: 0.1, expenseRate: 0.3 })).toBeCloseTo(1260000);
+    });
+
+    it('返済額がゼロ以下の場合は NO_DEBT_SERVICE_DCSR を返す', () => {
+        expect(calculateDcsr(1000000, 0)).toBe(NO_DEBT_SERVICE_DCSR);
+        expect(calculateDcsr(1000000, -1)).toBe(NO_DEBT_SERVICE_DCSR);
+        expect(calculateDcsr(1260000, 1000000)).toBeCloseTo(1.26);
+    });
+});
+
+describe('classifyDcsr / classifyScore', () => {
+    it('区切りちょうどの値は安全側に判定する', () => {
+        expect(classifyDcsr(1.2)).toBe(RISK_LEVELS.LOW);
+        expect(classifyDcsr(1.0)).toBe(RISK_LEVELS.MEDIUM);
+        expect(classifyDcsr(0.99)).toBe(RISK_LEVELS.HIGH);
+        expect(classifyScore(80)).toBe(RISK_LEVELS.LOW);
+        expect(classifyScore(50)).toBe(RISK_LEVELS.MEDIUM);
+        expect(classifyScore(49)).toBe(RISK_LEVELS.HIGH);
+    });
+
+    it('プロファイルの区切りを使う', () => {
+        expect(classifyScore(80, { low: 85, medium: 60 })).toBe(RISK_LEVELS.MEDIUM);
+        expect(classifyDcsr(1.2, { low: 1.3, medium: 1.1 })).toBe(RISK_LEVELS.MEDIUM);
+    });
+});
+
+describe('calculateRealEstateRisk', () => {
+    it('初期値の入力を評価する', () => {
+        const result = calculateRealEstateRisk(DEFAULT_INPUT);
+        expect(result.modelVersion).toBe(MODEL_VERSION);
+        expect(result.scoreDirection).toBe(SCORE_DIRECTION);
+        expect(result.profile.id).toBe('standard');
+        expect(result.noi).toBeCloseTo(1260000);
+        expect(result.currentDcsr).toBeCloseTo(1260000 / 1700000);
+        expect(result.finalScore).toBe(50);
+        expect(result.riskLevel).toBe(RISK_LEVELS.MEDIUM);
+        expect(result.riskDetail).toEqual({ key: 'riskDetails.medium' });
+        expect(result.marketComparison).toBeNull();
+    });
+
+    it('最終スコアは評価項目の得点の合計', () => {
+        const result = calculateRealEstateRisk({ ...DEFAULT_INPUT, interestRate: 0.055, vacancyRate: 0.2 });
+        expect(result.finalScore).toBe(result.creditScore + result.propertyScore + result.interestRiskScore);
+    });
+
+    it('主債務者の年収がゼロの場合はノックアウトで 0点・高リスクにする', () => {
+        const result = calculateRealEstateRisk({ ...DEFAULT_INPUT, annualIncome: 0 });
+        expect(result.finalScore).toBe(0);
+        expect(result.creditScore).toBe(0);
+        expect(result.riskLevel).toBe(RISK_LEVELS.HIGH);
+        expect(result.riskDetail).toEqual({ key: 'rules.knockout-no-income' });
+        expect(result.debtToIncomeRatio).toBe(Infinity);
+
+        const knockout = result.contributions.find((item) => item.knockout);
+        expect(knockout.ruleId).toBe('knockout-no-income');
+        // ノックアウトの減点は、ルールによる減点後に残っていた得点の合計
+        const total = Object.values(SCORE_CATEGORIES).reduce((sum, category) => sum + category.max, 0);
+        expect(result.contributions.reduce((sum, item) => sum + item.points, 0)).toBe(-total);
+    });
+
+    it('返済額がゼロの場合は DSCR を NO_DEBT_SERVICE_DCSR とし、DSCR の減点をしない', () => {
+        const result = calculateRealEstateRisk({ ...DEFAULT_INPUT, annualRepayment: 0 });
+        expect(result.currentDcsr).toBe(NO_DEBT_SERVICE_DCSR);
+        expect(result.debtToIncomeRatio).toBe(0);
+        expect(deductedRules(result)).not.toContain('property-dcsr-below-1.2');
+        expect(deductedRules(result)).not.toContain('property-dcsr-below-1.0');
+    });
+
+    it('減点は評価項目の満点を超えず、得点は 0点を下回らない', () => {
+        const result = calculateRealEstateRisk({
+            ...DEFAULT_INPUT,
+            annualIncome: 1000000,
+            annualRepayment: 3000000,
+            totalDebt: 200000000,
+            otherDebtRatio: 0.5,
+            vacancyRate: 0.6,
+            expenseRate: 0.6,
+            interestRate: 0.07,
+            capRate: 0.2,
+        });
+        Object.values(SCORE_CATEGORIES).forEach(({ max, scoreKey }) => {
+            expect(result[scoreKey]).toBeGreaterThanOrEqual(0);
+            expect(result[scoreKey]).toBeLessThanOrEqual(max);
+        });
+        expect(result.propertyScore).toBe(0);
+        expect(result.riskLevel).toBe(RISK_LEVELS.HIGH);
+        // 得点が残っていない評価項目のルールは、該当しても減点しない
+        const ltvOver100 = result.contributions.find((item) => item.ruleId === 'property-ltv-over-100');
+        expect(ltvOver100.triggered).toBe(true);
+        expect(Math.abs(ltvOver100.points)).toBe(0);
+        // 寄与レコードの減点の合計は満点との差に一致する
+        const total = Object.values(SCORE_CATEGORIES).reduce((sum, category) => sum + category.max, 0);
+        expect(result.contributions.reduce((sum, item) => sum + item.points, 0)).toBe(result.finalScore - total);
+    });
+
+    it('旧フィールド名の入力も同じ結果になる', () => {
+        const legacy = calculateRealEstateRisk({ annualIncomeDebtor: 4000000, vacancyRateAssumption: 0.2 });
+        const current = calculateRealEstateRisk({ annualIncome: 4000000, vacancyRate: 0.2 });
+        expect(legacy).toEqual(current);
+    });
+
+    it('旧 RiskCalculator.js の全項目を旧フィールド名で渡しても同じ結果になる', () => {
+        const current = {
+            annualIncome: 6500000,
+            totalDebt: 42000000,
+            annualRentIncome: 3100000,
+            expenseRate: 0.25,
+            vacancyRate: 0.15,
+            otherDebtRatio: 0.2,
+        };
+        const legacy = Object.fromEntries(Object.entries(LEGACY_FIELD_ALIASES).map(([key, name]) => [key, current[name]]));
+        expect(calculateRealEstateRisk(legacy)).toEqual(calculateRealEstateRisk(current));
+    });
+
+    it('数値の文字列で渡した入力も同じ結果になる', () => {
+        const result = calculateRealEstateRisk({ annualIncome: '4000000', interestRate: '0.035' });
+        expect(result).toEqual(calculateRealEstateRisk({ annualIncome: 4000000, interestRate: 0.035 }));
+    });
+
+    it('プロファイルの閾値で判定が変わる', () => {
+        const conservative = BUILT_IN_PROFILES.find((profile) => profile.id === 'conservative');
+        // DSCR 1.26: 標準の区切り (1.2) は上回り、保守的な区切りは下回る
+        const input = { ...DEFAULT_INPUT, annualRentIncome: 3400000 };
+        const standard = calculateRealEstateRisk(input);
+        const result = calculateRealEstateRisk(input, conservative);
+        expect(result.profile).toMatchObject({ id: 'conservative', revision: conservative.revision });
+        expect(result.finalScore).toBeLessThan(standard.finalScore);
+        expect(deductedRules(standard)).not.toContain('property-dcsr-below-1.2');
+        expect(deductedRules(result)).toContain('property-dcsr-below-1.2');
+    });
+
+    it('地域の目安より楽観的な前提はスコアを変えずに説明へ注意を加える', () => {
+        const marketBenchmark = {
+            id: 'test', prefecture: '東京都', ward: '港区', propertyType: 'unit',
+            vacancyRate: 0.2, rentDeclineRate: 0.005, expenseRate: 0.3, capRate: 0.06,
+        };
+        const base = calculateRealEstateRisk(DEFAULT_INPUT);
+        const result = calculateRealEstateRisk({ ...DEFAULT_INPUT, marketBenchmark });
+        expect(result.finalScore).toBe(base.finalScore);
+        expect(result.marketComparison.optimisticFields).toEqual(['vacancyRate']);
+        expect(result.riskDetail).toMatchObject({ key: 'market.riskDetail', params: { detail: base.riskDetail } });
+    });
+});
+
+describe('runWorstCaseSimulation', () => {
+    it('空室率悪化シナリオは既定で 20%、年間返済額は現状のまま', () => {
+        const { original, vacancy } = runWorstCaseSimulation(DEFAULT_INPUT);
+        expect(vacancy.vacancyRate).toBe(WORST_CASE_VACANCY_RATE);
+        const noi = calculateNoi({ ...DEFAULT_INPUT, vacancyRate: WORST_CASE_VACANCY_RATE });
+        expect(vacancy.dcsr).toBeCloseTo(noi / DEFAULT_INPUT.annualRepayment);
+        expect(vacancy.dcsr).toBeLessThan(original.currentDcsr);
+    });
+
+    it('金利上昇シナリオは返済予定表から返済額を再計算する', () => {
+        const { original, rateHike } = runWorstCaseSimulation(DEFAULT_INPUT);
+        expect(rateHike.interestRate).toBe(DEFAULT_INPUT.simulatedInterestRate);
+        expect(rateHike.repayment).toBeGreaterThan(DEFAULT_INPUT.annualRepayment);
+        expect(rateHike.dcsr).toBeCloseTo(original.noi / rateHike.repayment);
+        expect(rateHike.riskLevel).toBe(classifyDcsr(rateHike.dcsr));
+    });
+
+    it('シミュレーション金利が現在の金利と同じなら返済額は変わらない', () => {
+        const { rateHike } = runWorstCaseSimulation(DEFAULT_INPUT, { simulatedInterestRate: DEFAULT_INPUT.interestRate });
+        expect(rateHike.repayment).toBeCloseTo(DEFAULT_INPUT.annualRepayment);
+    });
+
+    it('オプションで空室率・プロファイルを指定できる', () => {
+        const conservative = BUILT_IN_PROFILES.find((profile) => profile.id === 'conservative');
+        const { original, vacancy } = runWorstCaseSimulation(DEFAULT_INPUT, { worstVacancyRate: 0.5, profile: conservative });
+        expect(vacancy.vacancyRate).toBe(0.5);
+        expect(original.profile.id).toBe('conservative');
+        expect(vacancy.riskLevel).toBe(classifyDcsr(vacancy.dcsr, conservative.dcsrLevels));
+    });
+});
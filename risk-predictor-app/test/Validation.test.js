@@ -0,0 +1,40 @@
+// risk-predictor-app/test/Validation.test.js
+
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_INPUT } from '../src/RiskCalculator.js';
+import { SEVERITY, hasErrors, validateInput } from '../src/Validation.js';
+
+const issueKeys = (input) => validateInput(input).map((item) => item.message.key);
+
+describe('validateInput', () => {
+    it('初期値の入力にはエラーも警告もない', () => {
+        expect(validateInput(DEFAULT_INPUT)).toEqual([]);
+    });
+
+    it('年間返済額が返済予定表の初年度返済額と大きく異なれば警告する', () => {
+        const issues = validateInput({ ...DEFAULT_INPUT, annualRepayment: 1000000 });
+        expect(issues).toHaveLength(1);
+        expect(issues[0]).toMatchObject({ field: 'annualRepayment', severity: SEVERITY.WARNING, message: { key: 'validation.repaymentMismatch' } });
+        expect(issues[0].message.params.expected.yen).toBeCloseTo(1707161, 0);
+        expect(hasErrors(issues)).toBe(false);
+    });
+
+    it('年間返済額が借入総額を超えればエラー、利息にも満たなければ警告にする', () => {
+        expect(issueKeys({ ...DEFAULT_INPUT, annualRepayment: 40000000 })).toContain('validation.repaymentExceedsDebt');
+        expect(hasErrors(validateInput({ ...DEFAULT_INPUT, annualRepayment: 40000000 }))).toBe(true);
+        expect(issueKeys({ ...DEFAULT_INPUT, annualRepayment: 800000 })).toEqual(['validation.repaymentBelowInterest']);
+    });
+
+    it('大規模修繕・他の物件のオブジェクトでない要素は例外にせずエラーにする', () => {
+        expect(issueKeys({ ...DEFAULT_INPUT, largeRepairs: [null, 5, { year: 10, amount: 1000000 }] })).toEqual(['validation.largeRepair', 'validation.largeRepair']);
+        const issues = validateInput({ ...DEFAULT_INPUT, additionalProperties: [null, 'x'] });
+        expect(hasErrors(issues)).toBe(true);
+        expect(issues.every((item) => item.field === 'additionalProperties')).toBe(true);
+        expect(issues[0].message.params.property).toEqual({ key: 'validation.property', params: { number: 1 } });
+    });
+
+    it('項目ごとのルールにエラーがあれば整合性チェックは行わない', () => {
+        expect(issueKeys({ ...DEFAULT_INPUT, vacancyRate: 1.5, annualRepayment: 40000000 })).toEqual(['validation.atMost']);
+        expect(issueKeys({ ...DEFAULT_INPUT, remainingTermYears: 2.5 })).toEqual(['validation.notInteger']);
+    });
+});
@@ -0,0 +1,57 @@
+// risk-predictor-app/test/golden.test.js
+
+import { describe, expect, it } from 'vitest';
+import { assessCase } from '../src/CaseAssessment.js';
+import { flattenAssessment } from '../src/CaseIO.js';
+import { MODEL_VERSION } from '../src/RiskCalculator.js';
+import { BUILT_IN_PROFILES } from '../src/ScoringProfiles.js';
+import { hasErrors, validateInput } from '../src/Validation.js';
+import { GOLDEN_CASES } from './goldenCases.js';
+
+/**
+ * 基準ケースの回帰テスト
+ *
+ * 基準ケースごとに主な指標 (CSV / JSON 出力と同じ flattenAssessment の項目) と判定の説明をスナップショットと比較する。
+ * スナップショットが変わったケースが、モデルの変更で評価が変わる過去の案件にあたる。
+ * モデルバージョンは個別のケースではなく1か所で比較する (バージョンの更新だけで全ケースが差分にならないように)。
+ */
+
+// 浮動小数点の計算順序による末尾の差でスナップショットが変わらないように丸める
+const SNAPSHOT_DIGITS = 6;
+const roundNumbers = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? Number(value.toFixed(SNAPSHOT_DIGITS)) : value;
+    if (Array.isArray(value)) return value.map(roundNumbers);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundNumbers(item)]));
+    return value;
+};
+
+const findProfile = (id) => BUILT_IN_PROFILES.find((profile) => profile.id === id);
+
+describe('基準ケース', () => {
+    it('モデルバージョン', () => {
+        expect(MODEL_VERSION).toMatchSnapshot();
+    });
+
+    it('基準ケースの id は重複しない', () => {
+        const ids = GOLDEN_CASES.map((item) => item.id);
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    describe.each(GOLDEN_CASES)('$id: $description', ({ profileId, input }) => {
+        it('入力データに検証エラーがない', () => {
+            expect(findProfile(profileId)).toBeDefined();
+            expect(hasErrors(validateInput(input))).toBe(false);
+        });
+
+        it('評価結果がスナップショットと一致する', () => {
+            const assessment = assessCase(input, findProfile(profileId));
+            const { modelVersion: _modelVersion, ...metrics } = flattenAssessment(assessment);
+            expect(roundNumbers({
+                metrics,
+                riskDetail: assessment.riskDetail,
+                rateHikeDetail: assessment.worstCase.rateHike.riskDetail,
+                vacancyDetail: assessment.worstCase.vacancy.riskDetail,
+            })).toMatchSnapshot();
+        });
+    });
+});
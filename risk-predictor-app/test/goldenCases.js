@@ -0,0 +1,216 @@
+// risk-predictor-app/test/goldenCases.js
+
+/**
+ * 回帰テストの基準ケース (golden.test.js)
+ *
+ * 過去の評価で扱った典型的な案件と境界のケースを、入力の全項目を書いた形で固定する
+ * (DEFAULT_INPUT を変更しても基準ケースの入力は変わらない)。
+ * 計算結果はスナップショット (__snapshots__/golden.test.js.snap) と比較し、モデルを変更した場合に
+ * どのケースの評価が変わるかを確認する。変更が意図どおりなら `npx vitest run -u` でスナップショットを更新する。
+ *
+ * ケース: { id, description, profileId (ScoringProfiles.js の組み込みプロファイル), input }
+ */
+
+// 基準ケースの共通の入力 (モデル 1.5.0 時点の初期値。1.6.0 で年間返済額の初期値を 1,700,000 に変更したが、基準ケースは 1,000,000 のまま固定する)
+const BASE_INPUT = {
+    annualIncome: 5000000,
+    annualRepayment: 1000000,
+    totalDebt: 30000000,
+    annualRentIncome: 2000000,
+    expenseRate: 0.3,
+    vacancyRate: 0.1,
+    interestRate: 0.03,
+    simulatedInterestRate: 0.04,
+    otherDebtRatio: 0.1,
+    remainingTermYears: 25,
+    repaymentMethod: 'level-payment',
+    rateType: 'variable',
+    applyPaymentRules: true,
+    projectionYears: 20,
+    rentDeclineRate: 0.01,
+    expenseRateIncrease: 0.003,
+    vacancyDrift: 0.003,
+    largeRepairs: [{ year: 15, amount: 3000000 }],
+    propertyArea: '',
+    additionalProperties: [],
+    marketBenchmark: null,
+    purchasePrice: 40000000,
+    landValue: 15000000,
+    buildingReplacementCost: 25000000,
+    capRate: 0.06,
+    structure: 'wood',
+    buildingAge: 10,
+    foreclosureDiscount: 0.3,
+    buildingAcquisitionCost: 20000000,
+    yearsOwned: 0,
+    landTaxAssessedValue: 10000000,
+    buildingTaxAssessedValue: 8000000,
+    residentialLandSpecial: true,
+    guarantorAnnualIncome: 6000000,
+    guarantorAssets: 20000000,
+    guarantorDebts: 5000000,
+    guarantorOtherGuarantees: 0,
+};
+
+export const GOLDEN_CASES = [
+    {
+        id: 'standard-baseline',
+        description: '初期値の案件 (標準プロファイル)',
+        profileId: 'standard',
+        input: BASE_INPUT,
+    },
+    {
+        id: 'knockout-no-income',
+        description: '主債務者の年収がゼロ (ノックアウト)',
+        profileId: 'standard',
+        input: { ...BASE_INPUT, annualIncome: 0 },
+    },
+    {
+        id: 'no-debt-service',
+        description: '返済額ゼロ (DSCR は 999 として扱う)',
+        profileId: 'standard',
+        input: { ...BASE_INPUT, annualRepayment: 0, totalDebt: 0 },
+    },
+    {
+        id: 'thin-margin-rate-hike',
+        description: 'DSCR の余裕が小さく、金利上昇で 1.0 を下回る案件',
+        profileId: 'standard',
+        input: {
+            ...BASE_INPUT,
+            annualIncome: 6500000,
+            annualRepayment: 1900000,
+            totalDebt: 45000000,
+            annualRentIncome: 3200000,
+            expenseRate: 0.25,
+            vacancyRate: 0.08,
+            interestRate: 0.025,
+            simulatedInterestRate: 0.045,
+            remainingTermYears: 33,
+            purchasePrice: 52000000,
+        },
+    },
+    {
+        id: 'rural-high-vacancy',
+        description: '地方の一棟アパート (高い空室率・経費率)',
+        profileId: 'standard',
+        input: {
+            ...BASE_INPUT,
+            annualIncome: 4200000,
+            annualRepayment: 1400000,
+            totalDebt: 22000000,
+            annualRentIncome: 3000000,
+            expenseRate: 0.42,
+            vacancyRate: 0.22,
+            propertyArea: '札幌市中央区',
+            purchasePrice: 28000000,
+            landValue: 6000000,
+            buildingReplacementCost: 30000000,
+            capRate: 0.085,
+            buildingAge: 24,
+        },
+    },
+    {
+        id: 'over-leveraged',
+        description: '担保評価を大きく上回る借入 (LTV 100% 超) と高金利',
+        profileId: 'standard',
+        input: {
+            ...BASE_INPUT,
+            annualIncome: 7000000,
+            annualRepayment: 2600000,
+            totalDebt: 62000000,
+            annualRentIncome: 3100000,
+            interestRate: 0.052,
+            simulatedInterestRate: 0.065,
+            otherDebtRatio: 0.25,
+            remainingTermYears: 30,
+            purchasePrice: 55000000,
+            landValue: 9000000,
+            buildingReplacementCost: 20000000,
+            buildingAge: 28,
+        },
+    },
+    {
+        id: 'fixed-level-principal',
+        description: '固定金利・元金均等返済の区分マンション',
+        profileId: 'standard',
+        input: {
+            ...BASE_INPUT,
+            annualIncome: 9000000,
+            annualRepayment: 1500000,
+            totalDebt: 25000000,
+            annualRentIncome: 1800000,
+            expenseRate: 0.22,
+            vacancyRate: 0.05,
+            interestRate: 0.018,
+            simulatedInterestRate: 0.03,
+            repaymentMethod: 'level-principal',
+            rateType: 'fixed',
+            propertyArea: '港区',
+            purchasePrice: 32000000,
+            landValue: 8000000,
+            buildingReplacementCost: 22000000,
+            capRate: 0.04,
+            structure: 'rc',
+            buildingAge: 15,
+        },
+    },
+    {
+        id: 'portfolio-area-concentration',
+        description: '同じエリアに集中した3物件の保有 (エリア集中度・ポートフォリオ全体の DSCR を評価)',
+        profileId: 'standard',
+        input: {
+            ...BASE_INPUT,
+            annualIncome: 8000000,
+            propertyArea: '足立区',
+            additionalProperties: [
+                { name: '第2物件', area: '足立区', annualRentIncome: 1500000, vacancyRate: 0.25, expenseRate: 0.35, loanBalance: 28000000, annualRepayment: 1300000, interestRate: 0.028 },
+                { name: '第3物件', area: '足立区', annualRentIncome: 2400000, vacancyRate: 0.05, expenseRate: 0.2, loanBalance: 15000000, annualRepayment: 800000, interestRate: 0.022 },
+            ],
+        },
+    },
+    {
+        id: 'optimistic-vs-market',
+        description: '地域の目安より楽観的な空室率・還元利回りの前提',
+        profileId: 'standard',
+        input: {
+            ...BASE_INPUT,
+            vacancyRate: 0.05,
+            capRate: 0.05,
+            propertyArea: '札幌市中央区',
+            marketBenchmark: {
+                id: 'hokkaido-sapporo-apartment',
+                prefecture: '北海道',
+                ward: '札幌市中央区',
+                propertyType: 'apartment',
+                vacancyRate: 0.15,
+                rentDeclineRate: 0.012,
+                expenseRate: 0.25,
+                capRate: 0.075,
+            },
+        },
+    },
+    {
+        id: 'conservative-baseline',
+        description: '初期値の案件 (保守的プロファイル)',
+        profileId: 'conservative',
+        input: BASE_INPUT,
+    },
+    {
+        id: 'bank-template-high-dsr',
+        description: '返済比率 33% の案件 (金融機関別テンプレートでは許容)',
+        profileId: 'bank-template',
+        input: { ...BASE_INPUT, annualIncome: 3000000, totalDebt: 18000000, otherDebtRatio: 0.05 },
+    },
+    {
+        id: 'weak-guarantor',
+        description: '連帯保証人の資産が乏しく、他の保証債務もある案件',
+        profileId: 'standard',
+        input: {
+            ...BASE_INPUT,
+            guarantorAnnualIncome: 3000000,
+            guarantorAssets: 2000000,
+            guarantorDebts: 8000000,
+            guarantorOtherGuarantees: 15000000,
+        },
+    },
+];